@@ -20,6 +20,7 @@ bitcore.crypto = {};
 bitcore.crypto.BN = require('./lib/crypto/bn');
 bitcore.crypto.ECDSA = require('./lib/crypto/ecdsa');
 bitcore.crypto.Schnorr = require('./lib/crypto/schnorr');
+bitcore.crypto.MuSig2 = require('./lib/crypto/musig2');
 bitcore.crypto.Hash = require('./lib/crypto/hash');
 bitcore.crypto.Random = require('./lib/crypto/random');
 bitcore.crypto.Point = require('./lib/crypto/point');
@@ -48,12 +49,18 @@ bitcore.Address = require('./lib/address');
 bitcore.Block = require('./lib/block');
 bitcore.MerkleBlock = require('./lib/block/merkleblock');
 bitcore.BlockHeader = require('./lib/block/blockheader');
+bitcore.Retarget = require('./lib/block/retarget');
+bitcore.HeaderChain = require('./lib/block/headerchain');
+bitcore.StakeKernel = require('./lib/block/stakekernel');
+bitcore.StakeModifier = require('./lib/block/stakemodifier');
+bitcore.Subsidy = require('./lib/block/subsidy');
 bitcore.HDPrivateKey = require('./lib/hdprivatekey.js');
 bitcore.HDPublicKey = require('./lib/hdpublickey.js');
 bitcore.Message = require('./lib/message');
 bitcore.Networks = require('./lib/networks');
 bitcore.Opcode = require('./lib/opcode');
 bitcore.PrivateKey = require('./lib/privatekey');
+bitcore.Psbt = require('./lib/transaction/psbt');
 bitcore.PublicKey = require('./lib/publickey');
 bitcore.Script = require('./lib/script');
 bitcore.Transaction = require('./lib/transaction');
@@ -7,6 +7,10 @@ var BufferUtil = require('../util/buffer');
 var BufferReader = require('../encoding/bufferreader');
 var BufferWriter = require('../encoding/bufferwriter');
 var Hash = require('../crypto/hash');
+var ECDSA = require('../crypto/ecdsa');
+var Signature = require('../crypto/signature');
+var PublicKey = require('../publickey');
+var Networks = require('../networks');
 var Transaction = require('../transaction');
 var $ = require('../util/preconditions');
 
@@ -15,32 +19,38 @@ var $ = require('../util/preconditions');
  * the properties of the Block
  *
  * @param {*} - A Buffer, JSON string, or Object
+ * @param {Object=} opts
+ * @param {Network|string=} opts.network - the network whose serialization
+ *   format is used, defaults to `Networks.defaultNetwork`
  * @returns {Block}
  * @constructor
  */
-function Block(arg) {
+function Block(arg, opts) {
   if (!(this instanceof Block)) {
-    return new Block(arg);
+    return new Block(arg, opts);
   }
-  _.extend(this, Block._from(arg));
+  _.extend(this, Block._from(arg, opts));
   return this;
 }
 
 // https://github.com/bitcoin/bitcoin/blob/b5fa132329f0377d787a4a21c1686609c2bfaece/src/primitives/block.h#L14
+// Bitcoin's value, blocks are checked against `network.consensus.maxBlockSize`
 Block.MAX_BLOCK_SIZE = 1000000;
 
 /**
  * @param {*} - A Buffer, JSON string or Object
+ * @param {Object=} opts - see {@link Block}
  * @returns {Object} - An object representing block data
  * @throws {TypeError} - If the argument was not recognized
  * @private
  */
-Block._from = function _from(arg) {
+Block._from = function _from(arg, opts) {
   var info = {};
+  var network = opts && opts.network;
   if (BufferUtil.isBuffer(arg)) {
-    info = Block._fromBufferReader(BufferReader(arg));
+    info = Block._fromBufferReader(BufferReader(arg), network);
   } else if (_.isObject(arg)) {
-    info = Block._fromObject(arg);
+    info = Block._fromObject(arg, network);
   } else {
     throw new TypeError('Unrecognized argument for Block');
   }
@@ -49,92 +59,152 @@ Block._from = function _from(arg) {
 
 /**
  * @param {Object} - A plain JavaScript object
+ * @param {Network|string=} network
  * @returns {Object} - An object representing block data
  * @private
  */
-Block._fromObject = function _fromObject(data) {
+Block._fromObject = function _fromObject(data, network) {
+  network = Networks.get(data.network || network) || Networks.defaultNetwork;
   var transactions = [];
   data.transactions.forEach(function(tx) {
     if (tx instanceof Transaction) {
       transactions.push(tx);
     } else {
-      transactions.push(Transaction().fromObject(tx));
+      transactions.push(Transaction(null, { network: network }).fromObject(tx));
     }
   });
+  var blockSig = data.blockSig;
+  if (_.isString(blockSig)) {
+    blockSig = Buffer.from(blockSig, 'hex');
+  }
   var info = {
-    header: BlockHeader.fromObject(data.header),
-    transactions: transactions
+    header: BlockHeader.fromObject(data.header, { network: network }),
+    transactions: transactions,
+    network: network
   };
+  if (Block._hasSignature(info.header, network)) {
+    info.blockSig = blockSig || Buffer.alloc(0);
+  }
   return info;
 };
 
 /**
  * @param {Object} - A plain JavaScript object
+ * @param {Object=} opts - see {@link Block}
  * @returns {Block} - An instance of block
  */
-Block.fromObject = function fromObject(obj) {
-  var info = Block._fromObject(obj);
+Block.fromObject = function fromObject(obj, opts) {
+  var info = Block._fromObject(obj, opts && opts.network);
   return new Block(info);
 };
 
 /**
  * @param {BufferReader} - Block data
+ * @param {Network|string=} network
  * @returns {Object} - An object representing the block data
  * @private
  */
-Block._fromBufferReader = function _fromBufferReader(br) {
+Block._fromBufferReader = function _fromBufferReader(br, network) {
   var info = {};
   $.checkState(!br.finished(), 'No block data received');
-  info.header = BlockHeader.fromBufferReader(br);
+  info.network = Networks.get(network) || Networks.defaultNetwork;
+  info.header = BlockHeader.fromBufferReader(br, { network: info.network });
   var transactions = br.readVarintNum();
   info.transactions = [];
   for (var i = 0; i < transactions; i++) {
-    info.transactions.push(Transaction().fromBufferReader(br));
+    info.transactions.push(Transaction(null, { network: info.network }).fromBufferReader(br));
+  }
+  if (Block._hasSignature(info.header, info.network)) {
+    info.blockSig = br.readVarLengthBuffer();
   }
   return info;
 };
 
 /**
  * @param {BufferReader} - A buffer reader of the block
+ * @param {Object=} opts - see {@link Block}
  * @returns {Block} - An instance of block
  */
-Block.fromBufferReader = function fromBufferReader(br) {
+Block.fromBufferReader = function fromBufferReader(br, opts) {
   $.checkArgument(br, 'br is required');
-  var info = Block._fromBufferReader(br);
+  var info = Block._fromBufferReader(br, opts && opts.network);
   return new Block(info);
 };
 
 /**
  * @param {Buffer} - A buffer of the block
+ * @param {Object=} opts - see {@link Block}
  * @returns {Block} - An instance of block
  */
-Block.fromBuffer = function fromBuffer(buf) {
-  return Block.fromBufferReader(new BufferReader(buf));
+Block.fromBuffer = function fromBuffer(buf, opts) {
+  return Block.fromBufferReader(new BufferReader(buf), opts);
 };
 
 /**
  * @param {string} - str - A hex encoded string of the block
+ * @param {Object=} opts - see {@link Block}
  * @returns {Block} - A hex encoded string of the block
  */
-Block.fromString = function fromString(str) {
+Block.fromString = function fromString(str, opts) {
   var buf = Buffer.from(str, 'hex');
-  return Block.fromBuffer(buf);
+  return Block.fromBuffer(buf, opts);
 };
 
 /**
  * @param {Binary} - Raw block binary data or buffer
+ * @param {Object=} opts - see {@link Block}
  * @returns {Block} - An instance of block
  */
-Block.fromRawBlock = function fromRawBlock(data) {
+Block.fromRawBlock = function fromRawBlock(data, opts) {
   if (!BufferUtil.isBuffer(data)) {
     data = Buffer.from(data, 'binary');
   }
   var br = BufferReader(data);
   br.pos = Block.Values.START_OF_BLOCK;
-  var info = Block._fromBufferReader(br);
+  var info = Block._fromBufferReader(br, opts && opts.network);
   return new Block(info);
 };
 
+/**
+ * Builds the genesis block of a network from `network.genesis`, checking its
+ * hash against the network's checkpoint at height 0.
+ *
+ * @param {Network|string=} network - defaults to `Networks.defaultNetwork`
+ * @returns {Block} - The genesis block of the network
+ */
+Block.genesis = function genesis(network) {
+  network = _.isUndefined(network) ? Networks.defaultNetwork : Networks.get(network);
+  $.checkArgument(network, 'Unknown network');
+  $.checkArgument(network.genesis, 'No genesis block is known for network ' + network.name);
+  var coinbase = new Transaction(network.genesis.coinbase, { network: network });
+  var block = new Block({
+    header: {
+      version: network.genesis.version,
+      prevHash: Block.Values.NULL_HASH,
+      merkleRoot: coinbase._getHash(),
+      time: network.genesis.time,
+      bits: network.genesis.bits,
+      nonce: network.genesis.nonce
+    },
+    transactions: [coinbase]
+  }, { network: network });
+  $.checkState(block.header.validCheckpoint(0), 'Invalid genesis block for network ' + network.name);
+  return block;
+};
+
+/**
+ * PoSV blocks (block version `network.blockSigVersion` and above) are
+ * followed by the block signature `vchBlockSig` after their transactions.
+ *
+ * @param {BlockHeader} header
+ * @param {Network} network
+ * @returns {Boolean}
+ * @private
+ */
+Block._hasSignature = function _hasSignature(header, network) {
+  return !!network.blockSigVersion && header.version >= network.blockSigVersion;
+};
+
 /**
  * @returns {Object} - A plain object with the block properties
  */
@@ -143,17 +213,21 @@ Block.prototype.toObject = Block.prototype.toJSON = function toObject() {
   this.transactions.forEach(function(tx) {
     transactions.push(tx.toObject());
   });
-  return {
+  var obj = {
     header: this.header.toObject(),
     transactions: transactions
   };
+  if (this.blockSig) {
+    obj.blockSig = this.blockSig.toString('hex');
+  }
+  return obj;
 };
 
 /**
  * @returns {Buffer} - A buffer of the block
  */
-Block.prototype.toBuffer = function toBuffer() {
-  return this.toBufferWriter().concat();
+Block.prototype.toBuffer = function toBuffer(noWitness) {
+  return this.toBufferWriter(null, noWitness).concat();
 };
 
 /**
@@ -165,20 +239,87 @@ Block.prototype.toString = function toString() {
 
 /**
  * @param {BufferWriter} - An existing instance of BufferWriter
+ * @param {Boolean=} noWitness - serialize the transactions without their witnesses
  * @returns {BufferWriter} - An instance of BufferWriter representation of the Block
  */
-Block.prototype.toBufferWriter = function toBufferWriter(bw) {
+Block.prototype.toBufferWriter = function toBufferWriter(bw, noWitness) {
   if (!bw) {
     bw = new BufferWriter();
   }
   bw.write(this.header.toBuffer());
   bw.writeVarintNum(this.transactions.length);
   for (var i = 0; i < this.transactions.length; i++) {
-    this.transactions[i].toBufferWriter(bw);
+    this.transactions[i].toBufferWriter(bw, noWitness);
+  }
+  if (this.blockSig) {
+    bw.writeVarintNum(this.blockSig.length);
+    bw.write(this.blockSig);
   }
   return bw;
 };
 
+/**
+ * @returns {Number} - The block weight: three times its size without
+ * witnesses plus its full size
+ */
+Block.prototype.getWeight = function getWeight() {
+  return this.toBuffer(true).length * 3 + this.toBuffer().length;
+};
+
+/**
+ * @returns {Boolean} - If the block is within the size and weight limits of its network
+ */
+Block.prototype.validSize = function validSize() {
+  var consensus = this.network.consensus;
+  return this.toBuffer(true).length <= consensus.maxBlockSize &&
+    this.getWeight() <= consensus.maxBlockWeight;
+};
+
+/**
+ * A PoSV block's second transaction is a coinstake.
+ * @returns {Boolean} - If this is a proof-of-stake block
+ */
+Block.prototype.isProofOfStake = function isProofOfStake() {
+  return this.transactions.length > 1 && this.transactions[1].isCoinstake();
+};
+
+/**
+ * @returns {Transaction|null} - The coinstake transaction of a proof-of-stake block
+ */
+Block.prototype.getCoinstake = function getCoinstake() {
+  return this.isProofOfStake() ? this.transactions[1] : null;
+};
+
+/**
+ * Checks the block signature. Proof-of-work blocks must not be signed, while
+ * proof-of-stake blocks must be signed by the public key paid by the first
+ * non-empty output of the coinstake transaction.
+ *
+ * @returns {Boolean} - If the block signature is valid
+ */
+Block.prototype.verifyBlockSignature = function verifyBlockSignature() {
+  var blockSig = this.blockSig || Buffer.alloc(0);
+  if (!this.isProofOfStake()) {
+    return blockSig.length === 0;
+  }
+  if (blockSig.length === 0) {
+    return false;
+  }
+  var output = _.find(this.getCoinstake().outputs, function(output) {
+    return !output.isEmpty();
+  });
+  if (!output || !output.script.isPublicKeyOut()) {
+    return false;
+  }
+  try {
+    var publicKey = PublicKey.fromBuffer(output.script.chunks[0].buf);
+    var signature = Signature.fromDER(blockSig);
+    return ECDSA.verify(this._getHash(), signature, publicKey);
+  } catch (e) {
+    return false;
+  }
+};
+
 /**
  * Will iterate through each transaction and return an array of hashes
  * @returns {Array} - An array with transaction hashes
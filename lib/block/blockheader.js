@@ -7,23 +7,26 @@ var BufferReader = require('../encoding/bufferreader');
 var BufferWriter = require('../encoding/bufferwriter');
 var Hash = require('../crypto/hash');
 var JSUtil = require('../util/js');
+var Networks = require('../networks');
 var $ = require('../util/preconditions');
 
-var GENESIS_BITS = 0x1d00ffff;
-
 /**
  * Instantiate a BlockHeader from a Buffer, JSON object, or Object with
  * the properties of the BlockHeader
  *
  * @param {*} - A Buffer, JSON string, or Object
+ * @param {Object=} opts
+ * @param {Network|string=} opts.network - the network whose proof-of-work
+ *   algorithm applies, defaults to `Networks.defaultNetwork`
  * @returns {BlockHeader} - An instance of block header
  * @constructor
  */
-var BlockHeader = function BlockHeader(arg) {
+var BlockHeader = function BlockHeader(arg, opts) {
   if (!(this instanceof BlockHeader)) {
-    return new BlockHeader(arg);
+    return new BlockHeader(arg, opts);
   }
   var info = BlockHeader._from(arg);
+  this.network = Networks.get(opts && opts.network) || Networks.defaultNetwork;
   this.version = info.version;
   this.prevHash = info.prevHash;
   this.merkleRoot = info.merkleRoot;
@@ -90,43 +93,47 @@ BlockHeader._fromObject = function _fromObject(data) {
 
 /**
  * @param {Object} - A plain JavaScript object
+ * @param {Object=} opts - see {@link BlockHeader}
  * @returns {BlockHeader} - An instance of block header
  */
-BlockHeader.fromObject = function fromObject(obj) {
+BlockHeader.fromObject = function fromObject(obj, opts) {
   var info = BlockHeader._fromObject(obj);
-  return new BlockHeader(info);
+  return new BlockHeader(info, opts);
 };
 
 /**
  * @param {Binary} - Raw block binary data or buffer
+ * @param {Object=} opts - see {@link BlockHeader}
  * @returns {BlockHeader} - An instance of block header
  */
-BlockHeader.fromRawBlock = function fromRawBlock(data) {
+BlockHeader.fromRawBlock = function fromRawBlock(data, opts) {
   if (!BufferUtil.isBuffer(data)) {
     data = Buffer.from(data, 'binary');
   }
   var br = BufferReader(data);
   br.pos = BlockHeader.Constants.START_OF_HEADER;
   var info = BlockHeader._fromBufferReader(br);
-  return new BlockHeader(info);
+  return new BlockHeader(info, opts);
 };
 
 /**
  * @param {Buffer} - A buffer of the block header
+ * @param {Object=} opts - see {@link BlockHeader}
  * @returns {BlockHeader} - An instance of block header
  */
-BlockHeader.fromBuffer = function fromBuffer(buf) {
+BlockHeader.fromBuffer = function fromBuffer(buf, opts) {
   var info = BlockHeader._fromBufferReader(BufferReader(buf));
-  return new BlockHeader(info);
+  return new BlockHeader(info, opts);
 };
 
 /**
  * @param {string} - A hex encoded buffer of the block header
+ * @param {Object=} opts - see {@link BlockHeader}
  * @returns {BlockHeader} - An instance of block header
  */
-BlockHeader.fromString = function fromString(str) {
+BlockHeader.fromString = function fromString(str, opts) {
   var buf = Buffer.from(str, 'hex');
-  return BlockHeader.fromBuffer(buf);
+  return BlockHeader.fromBuffer(buf, opts);
 };
 
 /**
@@ -147,11 +154,12 @@ BlockHeader._fromBufferReader = function _fromBufferReader(br) {
 
 /**
  * @param {BufferReader} - A BufferReader of the block header
+ * @param {Object=} opts - see {@link BlockHeader}
  * @returns {BlockHeader} - An instance of block header
  */
-BlockHeader.fromBufferReader = function fromBufferReader(br) {
+BlockHeader.fromBufferReader = function fromBufferReader(br, opts) {
   var info = BlockHeader._fromBufferReader(br);
-  return new BlockHeader(info);
+  return new BlockHeader(info, opts);
 };
 
 /**
@@ -216,15 +224,28 @@ BlockHeader.prototype.getTargetDifficulty = function getTargetDifficulty(bits) {
   return target;
 };
 
+/**
+ * Returns the work proven by this header: the expected number of hashes to
+ * meet its target, 2^256 / (target + 1). The chain with the most cumulative
+ * work is the best chain.
+ * @returns {BN}
+ */
+BlockHeader.prototype.getWork = function getWork() {
+  var target = this.getTargetDifficulty();
+  return new BN(1).ushln(256).div(target.addn(1));
+};
+
 /**
  * @link https://en.bitcoin.it/wiki/Difficulty
  * @return {Number}
  */
 BlockHeader.prototype.getDifficulty = function getDifficulty() {
-  var difficulty1TargetBN = this.getTargetDifficulty(GENESIS_BITS).mul(new BN(Math.pow(10, 8)));
+  var difficulty1Bits = this.network.consensus.difficultyOneBits;
+  var difficulty1TargetBN = this.getTargetDifficulty(difficulty1Bits).mul(new BN(Math.pow(10, 8)));
   var currentTargetBN = this.getTargetDifficulty();
 
-  var difficultyString = difficulty1TargetBN.div(currentTargetBN).toString(10);
+  // padded so that difficulties below 1, as in Reddcoin's early blocks, keep their leading zeros
+  var difficultyString = _.padStart(difficulty1TargetBN.div(currentTargetBN).toString(10), 9, '0');
   var decimalPos = difficultyString.length - 8;
   difficultyString = difficultyString.slice(0, decimalPos) + '.' + difficultyString.slice(decimalPos);
 
@@ -261,25 +282,101 @@ Object.defineProperty(BlockHeader.prototype, 'hash', idProperty);
  */
 BlockHeader.prototype.validTimestamp = function validTimestamp() {
   var currentTime = Math.round(new Date().getTime() / 1000);
-  if (this.time > currentTime + BlockHeader.Constants.MAX_TIME_OFFSET) {
+  if (this.time > currentTime + this.network.consensus.maxTimeOffset) {
     return false;
   }
   return true;
 };
 
 /**
- * @returns {Boolean} - If the proof-of-work hash satisfies the target difficulty
+ * The proof-of-work hash of the header, computed with the network's
+ * algorithm (scrypt for Reddcoin, double SHA256 for bitcoin). Unlike the
+ * block `id`, it is not an identifier.
+ *
+ * @returns {Buffer} - The little endian proof-of-work hash of the header
+ */
+BlockHeader.prototype.getPowHash = function getPowHash() {
+  if (this.network.powAlgorithm === 'scrypt') {
+    return Hash.scrypt(this.toBuffer());
+  }
+  return this._getHash();
+};
+
+/**
+ * The genesis block of the network is always valid: nodes hardcode it and never
+ * check its proof-of-work, which the Reddcoin mainnet genesis does not meet.
+ *
+ * @returns {Boolean} - If the proof-of-work hash satisfies the target difficulty,
+ * which must not be easier than the network's proof-of-work limit
  */
 BlockHeader.prototype.validProofOfWork = function validProofOfWork() {
-  var pow = new BN(this.id, 'hex');
+  if (this.network.checkpoints[0] === this.id) {
+    return true;
+  }
+  var pow = BN.fromBuffer(this.getPowHash(), { endian: 'little' });
   var target = this.getTargetDifficulty();
 
+  if (target.isZero() || target.cmp(this.getTargetDifficulty(this.network.consensus.powLimit)) > 0) {
+    return false;
+  }
   if (pow.cmp(target) > 0) {
     return false;
   }
   return true;
 };
 
+/**
+ * @param {Number} height - The height of the header in its chain
+ * @returns {Boolean} - If the header does not contradict the network's
+ * checkpoint at this height, see `network.checkpoints`
+ */
+BlockHeader.prototype.validCheckpoint = function validCheckpoint(height) {
+  $.checkArgument(JSUtil.isNaturalNumber(height), 'Invalid height');
+  var checkpoint = this.network.checkpoints[height];
+  return !checkpoint || checkpoint === this.id;
+};
+
+/**
+ * Checks a run of consecutive headers, starting at `height`: each header must
+ * extend the previous one and none may contradict a checkpoint of its network.
+ *
+ * @param {Array.<BlockHeader>} headers - The headers, in chain order
+ * @param {Number} height - The height of the first header
+ * @returns {Boolean} - If the headers form a chain agreeing with the checkpoints
+ */
+BlockHeader.validChain = function validChain(headers, height) {
+  $.checkArgument(_.isArray(headers), 'An array of headers is required');
+  $.checkArgument(JSUtil.isNaturalNumber(height), 'Invalid height');
+  for (var i = 0; i < headers.length; i++) {
+    if (i > 0 && !BufferUtil.equals(headers[i].prevHash, headers[i - 1]._getHash())) {
+      return false;
+    }
+    if (!headers[i].validCheckpoint(height + i)) {
+      return false;
+    }
+  }
+  return true;
+};
+
+/**
+ * Returns the median time past of a block: the median of the times of the
+ * block and the 10 blocks before it. The time of the next block must be after
+ * it, and lock times are compared to it (BIP113). Fewer headers are used when
+ * the chain is shorter.
+ *
+ * @param {Array.<BlockHeader>} headers - The previous headers, in chain order,
+ * of which the last 11 are used
+ * @returns {Number} - The median time past, in seconds
+ */
+BlockHeader.getMedianTimePast = function getMedianTimePast(headers) {
+  $.checkArgument(_.isArray(headers) && headers.length > 0, 'An array of headers is required');
+  var times = _.map(_.takeRight(headers, BlockHeader.Constants.MEDIAN_TIME_SPAN), 'time');
+  times.sort(function(a, b) {
+    return a - b;
+  });
+  return times[Math.floor(times.length / 2)];
+};
+
 /**
  * @returns {string} - A string formatted for the console
  */
@@ -289,7 +386,8 @@ BlockHeader.prototype.inspect = function inspect() {
 
 BlockHeader.Constants = {
   START_OF_HEADER: 8, // Start buffer position in raw block data
-  MAX_TIME_OFFSET: 2 * 60 * 60, // The max a timestamp can be in the future
+  MAX_TIME_OFFSET: 2 * 60 * 60, // The max a timestamp can be in the future on bitcoin, see `consensus.maxTimeOffset`
+  MEDIAN_TIME_SPAN: 11, // The number of blocks of the median time past
   LARGEST_HASH: new BN('10000000000000000000000000000000000000000000000000000000000000000', 'hex')
 };
 
@@ -0,0 +1,326 @@
+'use strict';
+
+var _ = require('lodash');
+var $ = require('../util/preconditions');
+var BN = require('../crypto/bn');
+var BufferUtil = require('../util/buffer');
+var JSUtil = require('../util/js');
+var Networks = require('../networks');
+var Block = require('./block');
+var BlockHeader = require('./blockheader');
+var Retarget = require('./retarget');
+
+/**
+ * Follows the block headers of a network, as a light client does before or
+ * instead of downloading blocks. Headers are added in order and each one is
+ * checked against its parent: it must extend a known header, meet its
+ * proof-of-work and the target set by the difficulty retarget, have a time
+ * after the median time of the previous 11 blocks and agree with the
+ * checkpoints of the network.
+ *
+ * Several branches can be followed at once. The best tip is the one with the
+ * most cumulative work, and a header moving it to another branch reports the
+ * blocks that were disconnected and connected.
+ *
+ * @example
+ * ```javascript
+ * var chain = new HeaderChain({ network: 'livenet' });
+ * var result = chain.add(header);
+ * // { height: 1, hash: '...', chainwork: '...', header: <BlockHeader>, best: true, reorg: null }
+ * ```
+ *
+ * @param {Object=} opts
+ * @param {Network|string=} opts.network - defaults to `Networks.defaultNetwork`
+ * @param {Object=} opts.start - a trusted header to start from, the genesis
+ *   block of the network by default
+ * @param {BlockHeader} opts.start.header
+ * @param {number} opts.start.height
+ * @param {string=} opts.start.chainwork - the cumulative work up to and including
+ *   the header, as in `getblockheader`
+ * @param {boolean=} opts.start.proofOfStake - whether it is a proof-of-stake block
+ * @constructor
+ */
+function HeaderChain(opts) {
+  if (!(this instanceof HeaderChain)) {
+    return new HeaderChain(opts);
+  }
+  opts = opts || {};
+  this.network = Networks.get(opts.network) || Networks.defaultNetwork;
+  var start = opts.start || { header: Block.genesis(this.network).header, height: 0 };
+  $.checkArgument(start.header instanceof BlockHeader, 'A start header is required');
+  $.checkArgument(JSUtil.isNaturalNumber(start.height), 'Invalid height');
+  this._checkNetwork(start.header);
+  $.checkArgument(start.header.validCheckpoint(start.height),
+    'Header ' + start.header.id + ' contradicts the checkpoint at height ' + start.height);
+
+  var entry = {
+    header: start.header,
+    hash: start.header.id,
+    height: start.height,
+    chainwork: start.chainwork ? new BN(start.chainwork, 16) : start.header.getWork(),
+    proofOfStake: !!start.proofOfStake,
+    prev: null
+  };
+  // block hash => entry, for the headers of all branches
+  this._entries = {};
+  this._entries[entry.hash] = entry;
+  // the entries of the best chain, from the start header
+  this._chain = [entry];
+  this.startHeight = start.height;
+}
+
+/**
+ * Adds the next header of a branch and checks it against its parent.
+ *
+ * @param {BlockHeader|Block} header - the header, or a block
+ * @param {Object=} opts
+ * @param {boolean=} opts.proofOfStake - whether the block is a proof-of-stake
+ *   block, whose proof-of-work is not checked; derived from the transactions
+ *   when a Block is given
+ * @return {Object} the added header (see {@link HeaderChain#getEntry}), with
+ *   `best` set if it is the best tip and `reorg` set if the best tip moved to
+ *   another branch: `{ fork, disconnected, connected }`, with the last common
+ *   block and the blocks leaving and joining the best chain, in height order
+ */
+HeaderChain.prototype.add = function(header, opts) {
+  var block = header instanceof Block ? header : null;
+  header = block ? block.header : header;
+  $.checkArgument(header instanceof BlockHeader, 'A block or block header is required');
+  this._checkNetwork(header);
+
+  var hash = header.id;
+  if (this._entries[hash]) {
+    return this._toResult(this._entries[hash], null);
+  }
+  var prev = this._entries[BufferUtil.reverse(header.prevHash).toString('hex')];
+  $.checkArgument(prev, 'Header ' + hash + ' does not extend a known header');
+
+  var proofOfStake = block ? block.isProofOfStake() : !!(opts && opts.proofOfStake);
+  var reason = this._getInvalidReason(header, prev, proofOfStake);
+  $.checkArgument(!reason, 'Invalid header ' + hash + ': ' + reason);
+
+  var entry = {
+    header: header,
+    hash: hash,
+    height: prev.height + 1,
+    chainwork: prev.chainwork.add(header.getWork()),
+    proofOfStake: proofOfStake,
+    prev: prev
+  };
+  this._entries[hash] = entry;
+  return this._toResult(entry, this._connect(entry));
+};
+
+/**
+ * Adds a sequence of headers, see {@link HeaderChain#add}.
+ *
+ * @param {Array.<BlockHeader|Block>} headers
+ * @return {Array.<Object>} the result of adding each header
+ */
+HeaderChain.prototype.addHeaders = function(headers) {
+  $.checkArgument(_.isArray(headers), 'An array of headers is required');
+  var self = this;
+  return headers.map(function(header) {
+    return self.add(header);
+  });
+};
+
+/**
+ * @return {Object} the best tip, see {@link HeaderChain#getEntry}
+ */
+HeaderChain.prototype.getTip = function() {
+  return HeaderChain._toObject(_.last(this._chain));
+};
+
+/**
+ * @return {number} the height of the best tip
+ */
+HeaderChain.prototype.getHeight = function() {
+  return _.last(this._chain).height;
+};
+
+/**
+ * @param {number} height
+ * @return {BlockHeader|undefined} the header of the best chain at `height`
+ */
+HeaderChain.prototype.getHeader = function(height) {
+  $.checkArgument(JSUtil.isNaturalNumber(height), 'Invalid height');
+  var entry = this._chain[height - this.startHeight];
+  return entry ? entry.header : undefined;
+};
+
+/**
+ * @param {string} hash - the hash of a header of any branch
+ * @return {Object|null} `{ height, hash, chainwork, header }`, the chainwork
+ *   being the cumulative work in hex as in `getblockheader`
+ */
+HeaderChain.prototype.getEntry = function(hash) {
+  var entry = this._entries[hash];
+  return entry ? HeaderChain._toObject(entry) : null;
+};
+
+/**
+ * @param {string} hash
+ * @return {boolean} if the header is part of the best chain
+ */
+HeaderChain.prototype.isMainChain = function(hash) {
+  var entry = this._entries[hash];
+  return !!entry && this._chain[entry.height - this.startHeight] === entry;
+};
+
+/**
+ * Returns the median time of a header and the 10 headers before it, which
+ * the time of the next header must exceed. Fewer headers are used when the
+ * chain does not go back that far.
+ *
+ * @param {string=} hash - the hash of a header of any branch, the best tip by default
+ * @return {number}
+ */
+HeaderChain.prototype.getMedianTimePast = function(hash) {
+  var entry = _.isUndefined(hash) ? _.last(this._chain) : this._entries[hash];
+  $.checkArgument(entry, 'Unknown header ' + hash);
+  return HeaderChain._getMedianTimePast(entry);
+};
+
+/**
+ * @private
+ */
+HeaderChain.prototype._checkNetwork = function(header) {
+  $.checkArgument(header.network === this.network,
+    'Header ' + header.id + ' is not a header of network ' + this.network.name);
+};
+
+/**
+ * @return {string|null} the reason the header cannot extend `prev`
+ * @private
+ */
+HeaderChain.prototype._getInvalidReason = function(header, prev, proofOfStake) {
+  var height = prev.height + 1;
+  if (!header.validCheckpoint(height)) {
+    return 'it contradicts the checkpoint at height ' + height;
+  }
+  var checkpoint = this._getLastCheckpoint();
+  if (height <= checkpoint) {
+    return 'it forks the chain before the checkpoint at height ' + checkpoint;
+  }
+  if (header.time <= HeaderChain._getMedianTimePast(prev)) {
+    return 'its time is not after the median time of the previous blocks';
+  }
+  if (!header.validTimestamp()) {
+    return 'its time is too far in the future';
+  }
+  return HeaderChain._getInvalidTargetReason(header, prev, proofOfStake);
+};
+
+/**
+ * @return {string|null} the reason the proof-of-work or the target of the
+ *   header is invalid after `prev`
+ * @private
+ */
+HeaderChain._getInvalidTargetReason = function(header, prev, proofOfStake) {
+  if (!proofOfStake && !header.validProofOfWork()) {
+    return 'its proof-of-work is invalid';
+  }
+  var bits = Retarget.getNextBitsOfIndex(prev, { time: header.time, proofOfStake: proofOfStake });
+  if (!_.isNull(bits) && header.bits !== bits) {
+    return 'its target 0x' + header.bits.toString(16) + ' should be 0x' + bits.toString(16);
+  }
+  return null;
+};
+
+/**
+ * @return {number} the height of the last checkpoint the best chain reached, -1 if none
+ * @private
+ */
+HeaderChain.prototype._getLastCheckpoint = function() {
+  var height = this.getHeight();
+  return _.reduce(_.keys(this.network.checkpoints), function(last, checkpoint) {
+    checkpoint = Number(checkpoint);
+    return checkpoint <= height && checkpoint > last ? checkpoint : last;
+  }, -1);
+};
+
+/**
+ * Makes `entry` the best tip if it has more work than the current one.
+ *
+ * @return {Object|null} the reorganization if the best tip moved to another
+ *   branch, see {@link HeaderChain#add}
+ * @private
+ */
+HeaderChain.prototype._connect = function(entry) {
+  var tip = _.last(this._chain);
+  if (entry.chainwork.cmp(tip.chainwork) <= 0) {
+    return null;
+  }
+  if (entry.prev === tip) {
+    this._chain.push(entry);
+    return null;
+  }
+  return this._reorganize(entry);
+};
+
+/**
+ * Makes `entry` the best tip.
+ *
+ * @return {Object} the reorganization, see {@link HeaderChain#add}
+ * @private
+ */
+HeaderChain.prototype._reorganize = function(entry) {
+  var disconnected = [];
+  var connected = [];
+  var oldTip = _.last(this._chain);
+  var newTip = entry;
+  while (oldTip !== newTip) {
+    if (oldTip.height >= newTip.height) {
+      disconnected.unshift(oldTip);
+      oldTip = oldTip.prev;
+    } else {
+      connected.unshift(newTip);
+      newTip = newTip.prev;
+    }
+    $.checkState(oldTip && newTip, 'The branches do not share a header');
+  }
+  this._chain = this._chain.slice(0, oldTip.height - this.startHeight + 1).concat(connected);
+  return {
+    fork: HeaderChain._toObject(oldTip),
+    disconnected: disconnected.map(HeaderChain._toObject),
+    connected: connected.map(HeaderChain._toObject)
+  };
+};
+
+/**
+ * @private
+ */
+HeaderChain.prototype._toResult = function(entry, reorg) {
+  var result = HeaderChain._toObject(entry);
+  result.best = _.last(this._chain) === entry;
+  result.reorg = reorg;
+  return result;
+};
+
+/**
+ * @private
+ */
+HeaderChain._toObject = function(entry) {
+  var chainwork = entry.chainwork.toString(16);
+  return {
+    height: entry.height,
+    hash: entry.hash,
+    chainwork: _.padStart(chainwork, 64, '0'),
+    header: entry.header
+  };
+};
+
+/**
+ * @private
+ */
+HeaderChain._getMedianTimePast = function(entry) {
+  var headers = [];
+  for (var i = 0; i < BlockHeader.Constants.MEDIAN_TIME_SPAN && entry; i++) {
+    headers.unshift(entry.header);
+    entry = entry.prev;
+  }
+  return BlockHeader.getMedianTimePast(headers);
+};
+
+module.exports = HeaderChain;
@@ -1,4 +1,9 @@
 module.exports = require('./block');
 
 module.exports.BlockHeader = require('./blockheader');
+module.exports.HeaderChain = require('./headerchain');
 module.exports.MerkleBlock = require('./merkleblock');
+module.exports.Retarget = require('./retarget');
+module.exports.StakeKernel = require('./stakekernel');
+module.exports.StakeModifier = require('./stakemodifier');
+module.exports.Subsidy = require('./subsidy');
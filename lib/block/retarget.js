@@ -0,0 +1,301 @@
+'use strict';
+
+var _ = require('lodash');
+var $ = require('../util/preconditions');
+var BN = require('../crypto/bn');
+var JSUtil = require('../util/js');
+var Networks = require('../networks');
+var Block = require('./block');
+var BlockHeader = require('./blockheader');
+
+/**
+ * Decodes a compact target.
+ *
+ * @name Retarget.getTarget
+ * @param {number} bits
+ * @return {BN}
+ */
+var getTarget = function getTarget(bits) {
+  $.checkArgument(JSUtil.isNaturalNumber(bits), 'Invalid bits');
+  var mantissa = new BN(bits & 0x7fffff);
+  var size = bits >>> 24;
+  if (size <= 3) {
+    return mantissa.ushrn(8 * (3 - size));
+  }
+  return mantissa.ushln(8 * (size - 3));
+};
+
+/**
+ * Encodes a target in compact form, keeping its 3 most significant bytes.
+ *
+ * @name Retarget.getCompact
+ * @param {BN} target
+ * @return {number}
+ */
+var getCompact = function getCompact(target) {
+  $.checkArgument(target instanceof BN && !target.isNeg(), 'Invalid target');
+  var size = target.byteLength();
+  var compact;
+  if (size <= 3) {
+    compact = target.toNumber() * Math.pow(2, 8 * (3 - size));
+  } else {
+    compact = target.ushrn(8 * (size - 3)).toNumber();
+  }
+  // the mantissa is signed, so it cannot have its top bit set
+  if (compact & 0x00800000) {
+    compact = compact >>> 8;
+    size++;
+  }
+  return (compact | (size << 24)) >>> 0;
+};
+
+var getAncestor = function(index, height) {
+  while (index && index.height > height) {
+    index = index.prev;
+  }
+  return index;
+};
+
+// Kimoto Gravity Well looks back over 6 hours to a week of blocks
+var GRAVITY_WELL_MIN_TIMESPAN = 6 * 60 * 60;
+var GRAVITY_WELL_MAX_TIMESPAN = 7 * 24 * 60 * 60;
+
+// the target scaled by the time the last period took, by at most a factor of 4
+var retarget = function(bits, timespan, consensus) {
+  timespan = Math.max(timespan, consensus.powTargetTimespan / 4);
+  timespan = Math.min(timespan, consensus.powTargetTimespan * 4);
+
+  var target = getTarget(bits).mul(new BN(timespan)).div(new BN(consensus.powTargetTimespan));
+  var limit = getTarget(consensus.powLimit);
+  return getCompact(target.cmp(limit) > 0 ? limit : target);
+};
+
+// the target of a block within a retarget period
+var getPeriodBits = function(prev, next, consensus, interval) {
+  if (!consensus.powAllowMinDifficultyBlocks) {
+    return prev.header.bits;
+  }
+  // a block found long after the previous one can use the easiest target
+  if (_.isNumber(next.time) && next.time > prev.header.time + consensus.targetSpacing * 2) {
+    return consensus.powLimit;
+  }
+  // otherwise it uses the target of the last block not using it
+  var index = prev;
+  while (index.prev && index.height % interval !== 0 && index.header.bits === consensus.powLimit) {
+    index = index.prev;
+  }
+  if (!index.prev && index.height % interval !== 0 && index.header.bits === consensus.powLimit) {
+    return null;
+  }
+  return index.header.bits;
+};
+
+/*
+ * Bitcoin adjusts the target every `powTargetTimespan` by the time the last
+ * period took, by at most a factor of 4.
+ */
+var getNextWorkRequired = function(prev, next, consensus) {
+  var interval = consensus.powTargetTimespan / consensus.targetSpacing;
+  var height = prev.height + 1;
+
+  if (height % interval !== 0) {
+    return getPeriodBits(prev, next, consensus, interval);
+  }
+  if (consensus.powNoRetargeting) {
+    return prev.header.bits;
+  }
+  // bitcoin misses the time between the periods, which Litecoin counts after the first one
+  var blocks = consensus.powRetargetFullInterval && height !== interval ? interval : interval - 1;
+  var first = getAncestor(prev, prev.height - blocks);
+  if (!first) {
+    return null;
+  }
+  return retarget(prev.header.bits, prev.header.time - first.header.time, consensus);
+};
+
+// whether the blocks in the gravity well were too fast or too slow: the ratio
+// of their times must stay within an event horizon narrowing as blocks are added
+var leavesEventHorizon = function(well, mass) {
+  var ratio = well.actual === 0 ? 1 : well.expected / well.actual;
+  var horizon = 1 + 0.7084 * Math.pow(mass / 144, -1.228);
+  return ratio <= 1 / horizon || ratio >= horizon;
+};
+
+// the average target of the blocks in the gravity well up to `prev`, with the
+// time they took and the time they should have taken
+var getGravityWell = function(prev, consensus, minBlocks) {
+  var maxBlocks = GRAVITY_WELL_MAX_TIMESPAN / consensus.targetSpacing;
+  var well = { average: null, actual: 0, expected: 0 };
+  var index = prev;
+  for (var mass = 1; mass <= maxBlocks && index.height > 0; mass++) {
+    var target = getTarget(index.header.bits);
+    well.average = mass === 1 ? target : target.sub(well.average).div(new BN(mass)).add(well.average);
+    well.actual = Math.max(prev.header.time - index.header.time, 0);
+    well.expected = consensus.targetSpacing * mass;
+    if (mass >= minBlocks && leavesEventHorizon(well, mass)) {
+      break;
+    }
+    if (!index.prev) {
+      return index.height > 1 && mass < maxBlocks ? null : well;
+    }
+    index = index.prev;
+  }
+  return well;
+};
+
+/*
+ * Kimoto Gravity Well sets the target after each block from the average
+ * target of the previous blocks, scaled by the time they took. It looks back
+ * until those blocks were too fast or too slow, but at least 6 hours of blocks.
+ */
+var getGravityWellBits = function(prev, consensus) {
+  var minBlocks = GRAVITY_WELL_MIN_TIMESPAN / consensus.targetSpacing;
+  if (prev.height < minBlocks) {
+    return consensus.powLimit;
+  }
+  var well = getGravityWell(prev, consensus, minBlocks);
+  if (!well) {
+    return null;
+  }
+  var target = well.average;
+  if (well.actual !== 0) {
+    target = target.mul(new BN(well.actual)).div(new BN(well.expected));
+  }
+  var limit = getTarget(consensus.powLimit);
+  return getCompact(target.cmp(limit) > 0 ? limit : target);
+};
+
+// the last block of the given kind up to `index`, or the first block known
+var getLastIndex = function(index, proofOfStake) {
+  while (index.prev && index.proofOfStake !== proofOfStake) {
+    index = index.prev;
+  }
+  return index;
+};
+
+// the target after `last`, moved toward the target spacing by the time since `lastPrev`
+var getStakeTarget = function(last, lastPrev, consensus) {
+  var spacing = last.header.time - lastPrev.header.time;
+  if (spacing < 0) {
+    spacing = consensus.targetSpacing;
+  }
+  var interval = consensus.posTargetTimespan / consensus.targetSpacing;
+  return getTarget(last.header.bits)
+    .mul(new BN((interval - 1) * consensus.targetSpacing + spacing * 2))
+    .div(new BN((interval + 1) * consensus.targetSpacing));
+};
+
+/*
+ * PoSV adjusts the proof-of-stake target after each proof-of-stake block, with
+ * an exponential moving average of the time between the last two of them
+ * over `posTargetTimespan`.
+ */
+var getNextTargetRequired = function(prev, consensus) {
+  var limit = getTarget(consensus.posLimit);
+  // the first two proof-of-stake blocks use the limit
+  var last = getLastIndex(prev, true);
+  if (!last.proofOfStake) {
+    return last.height === 0 ? consensus.posLimit : null;
+  }
+  var lastPrev = last.prev && getLastIndex(last.prev, true);
+  if (!lastPrev) {
+    return null;
+  }
+  if (!lastPrev.proofOfStake) {
+    return lastPrev.height === 0 ? consensus.posLimit : null;
+  }
+
+  var target = getStakeTarget(last, lastPrev, consensus);
+  if (target.isZero() || target.cmp(limit) > 0) {
+    target = limit;
+  }
+  return getCompact(target);
+};
+
+/**
+ * Returns the target the block after `prev` must have. The previous blocks
+ * are given as a block index: each index links to the index of the block
+ * before it with `prev`, as far back as the retarget needs.
+ *
+ * @name Retarget.getNextBitsOfIndex
+ * @param {Object} prev - the index of the previous block
+ * @param {BlockHeader} prev.header
+ * @param {number} prev.height
+ * @param {boolean} prev.proofOfStake
+ * @param {Object|null} prev.prev - the index of the block before
+ * @param {Object=} opts
+ * @param {number=} opts.time - the time of the next block, which can lower the
+ *   target on networks allowing minimum difficulty blocks
+ * @param {boolean=} opts.proofOfStake - whether the next block is a proof-of-stake block
+ * @param {Network|string=} opts.network - defaults to the network of `prev.header`
+ * @return {number|null} the compact target, null if the network does not
+ *   check it or the blocks given do not go back far enough
+ */
+var getNextBitsOfIndex = function getNextBitsOfIndex(prev, opts) {
+  $.checkArgument(prev && prev.header instanceof BlockHeader, 'The index of the previous block is required');
+  $.checkArgument(JSUtil.isNaturalNumber(prev.height), 'Invalid height');
+  opts = opts || {};
+  var network = Networks.get(opts.network) || prev.header.network;
+  var consensus = network.consensus;
+  if (opts.proofOfStake) {
+    return consensus.posTargetTimespan ? getNextTargetRequired(prev, consensus) : null;
+  }
+  if (_.isNumber(consensus.powGravityWellHeight) && prev.height + 1 >= consensus.powGravityWellHeight) {
+    return getGravityWellBits(prev, consensus);
+  }
+  return consensus.powTargetTimespan ? getNextWorkRequired(prev, opts, consensus) : null;
+};
+
+/**
+ * Returns the target the next block must have, see
+ * {@link Retarget.getNextBitsOfIndex}.
+ *
+ * @example
+ * ```javascript
+ * var bits = Retarget.getNextBits(headers, { height: 100, proofOfStake: true });
+ * var valid = bits === null || bits === header.bits;
+ * ```
+ *
+ * @name Retarget.getNextBits
+ * @param {Array.<BlockHeader|Block|Object>} headers - the previous blocks, in
+ *   chain order: headers, blocks, or `{ header, proofOfStake }` for
+ *   proof-of-stake headers
+ * @param {Object} opts
+ * @param {number} opts.height - the height of the next block
+ * @param {number=} opts.time - the time of the next block
+ * @param {boolean=} opts.proofOfStake - whether the next block is a proof-of-stake block
+ * @param {Network|string=} opts.network - defaults to the network of the headers
+ * @return {number|null} the compact target
+ */
+var getNextBits = function getNextBits(headers, opts) {
+  $.checkArgument(_.isArray(headers) && headers.length > 0, 'The previous headers are required');
+  $.checkArgument(_.isObject(opts) && JSUtil.isNaturalNumber(opts.height) && opts.height >= headers.length,
+    'Invalid height');
+  var prev = null;
+  var height = opts.height - headers.length;
+  _.each(headers, function(header) {
+    var index = { proofOfStake: false, height: height++, prev: prev };
+    if (header instanceof Block) {
+      index.header = header.header;
+      index.proofOfStake = header.isProofOfStake();
+    } else if (header instanceof BlockHeader) {
+      index.header = header;
+    } else {
+      $.checkArgument(_.isObject(header) && header.header instanceof BlockHeader, 'Invalid header');
+      index.header = header.header;
+      index.proofOfStake = !!header.proofOfStake;
+    }
+    prev = index;
+  });
+  return getNextBitsOfIndex(prev, opts);
+};
+
+/**
+ * @namespace Retarget
+ */
+module.exports = {
+  getTarget: getTarget,
+  getCompact: getCompact,
+  getNextBits: getNextBits,
+  getNextBitsOfIndex: getNextBitsOfIndex
+};
@@ -0,0 +1,152 @@
+'use strict';
+
+var _ = require('lodash');
+var $ = require('../util/preconditions');
+var BN = require('../crypto/bn');
+var Hash = require('../crypto/hash');
+var BufferWriter = require('../encoding/bufferwriter');
+var JSUtil = require('../util/js');
+var Networks = require('../networks');
+var UnspentOutput = require('../transaction/unspentoutput');
+var BlockHeader = require('./blockheader');
+
+var COIN = new BN(100000000);
+var CENT = new BN(1000000);
+var ONE_DAY = 24 * 60 * 60;
+
+var getNetwork = function(network) {
+  network = Networks.get(network) || Networks.defaultNetwork;
+  $.checkArgument(network.stakeMinAge, 'Network ' + network.name + ' has no proof-of-stake');
+  return network;
+};
+
+var toModifier = function(modifier) {
+  if (_.isString(modifier)) {
+    return new BN(modifier, 16);
+  }
+  if (_.isNumber(modifier)) {
+    return BN.fromNumber(modifier);
+  }
+  $.checkArgument(modifier instanceof BN, 'Invalid stake modifier');
+  return modifier;
+};
+
+/**
+ * Returns the PoSV coin age weight, in seconds, of coins held from
+ * `beginTime` to `endTime`. The weight starts from 0 at the network's minimum
+ * stake age, grows faster than linearly during the first week and
+ * logarithmically afterwards, and is capped at the maximum stake age.
+ *
+ * @name StakeKernel.getCoinAgeWeight
+ * @param {number} beginTime - the time the coins were received
+ * @param {number} endTime - the time the coins are staked
+ * @param {Network|string=} network - defaults to `Networks.defaultNetwork`
+ * @return {number}
+ */
+var getCoinAgeWeight = function getCoinAgeWeight(beginTime, endTime, network) {
+  network = getNetwork(network);
+  if (beginTime <= 0) {
+    return 0;
+  }
+  var seconds = Math.max(0, endTime - beginTime - network.stakeMinAge);
+  var days = seconds / ONE_DAY;
+  var weight;
+  if (days <= 7) {
+    weight = -0.00408163 * Math.pow(days, 3) + 0.05714286 * Math.pow(days, 2) + days;
+  } else {
+    weight = 8.4 * Math.log(days) - 7.94564525;
+  }
+  return Math.min(Math.trunc(weight * ONE_DAY), network.stakeMaxAge);
+};
+
+/**
+ * Returns the coin age, in coin-days, of an unspent output staked at `time`.
+ * The output must carry the time of the transaction that created it.
+ *
+ * @name StakeKernel.getCoinAge
+ * @param {UnspentOutput|Object} utxo
+ * @param {number} time - the time of the staking transaction
+ * @param {Network|string=} network - defaults to `Networks.defaultNetwork`
+ * @return {number}
+ */
+var getCoinAge = function getCoinAge(utxo, time, network) {
+  utxo = new UnspentOutput(utxo);
+  $.checkArgument(!_.isUndefined(utxo.time), 'The unspent output time is required');
+  if (time < utxo.time) {
+    return 0;
+  }
+  var weight = getCoinAgeWeight(utxo.time, time, network);
+  var centSeconds = new BN(utxo.satoshis).mul(new BN(weight)).div(CENT);
+  return centSeconds.mul(CENT).div(COIN).divn(ONE_DAY).toNumber();
+};
+
+/**
+ * Computes the stake kernel hash of a staked output:
+ * `sha256d(stakeModifier || blockFromTime || txPrevOffset || txPrevTime || prevoutIndex || time)`.
+ *
+ * @name StakeKernel.getKernelHash
+ * @param {Object} params
+ * @param {BN|number|string} params.stakeModifier - the 64 bit stake modifier, as a hex string like in `getblock`
+ * @param {number} params.blockFromTime - the time of the block containing the staked output
+ * @param {number} params.txPrevOffset - the offset of the staked output's transaction in its block
+ * @param {UnspentOutput|Object} params.utxo - the staked output, with its transaction time
+ * @param {number} params.time - the time of the coinstake transaction
+ * @return {Buffer} the hash, in internal byte order
+ */
+var getKernelHash = function getKernelHash(params) {
+  $.checkArgument(_.isObject(params), 'Kernel parameters are required');
+  var utxo = new UnspentOutput(params.utxo);
+  $.checkArgument(!_.isUndefined(utxo.time), 'The unspent output time is required');
+  $.checkArgument(JSUtil.isNaturalNumber(params.blockFromTime), 'Invalid blockFromTime');
+  $.checkArgument(JSUtil.isNaturalNumber(params.txPrevOffset), 'Invalid txPrevOffset');
+  $.checkArgument(JSUtil.isNaturalNumber(params.time), 'Invalid time');
+
+  var writer = new BufferWriter();
+  writer.writeUInt64LEBN(toModifier(params.stakeModifier));
+  writer.writeUInt32LE(params.blockFromTime);
+  writer.writeUInt32LE(params.txPrevOffset);
+  writer.writeUInt32LE(utxo.time);
+  writer.writeUInt32LE(utxo.outputIndex);
+  writer.writeUInt32LE(params.time);
+  return Hash.sha256sha256(writer.toBuffer());
+};
+
+/**
+ * Checks that a staked output meets the proof-of-stake target: its kernel
+ * hash must not exceed the target given by `bits` times its coin-day weight.
+ * Outputs younger than the minimum stake age never do.
+ *
+ * @name StakeKernel.checkKernel
+ * @param {Object} params - see {@link StakeKernel.getKernelHash}
+ * @param {number} params.bits - the compact proof-of-stake target of the block
+ * @param {Network|string=} params.network - defaults to `Networks.defaultNetwork`
+ * @return {boolean}
+ */
+var checkKernel = function checkKernel(params) {
+  $.checkArgument(_.isObject(params), 'Kernel parameters are required');
+  var network = getNetwork(params.network);
+  var utxo = new UnspentOutput(params.utxo);
+  $.checkArgument(!_.isUndefined(utxo.time), 'The unspent output time is required');
+  if (params.time < utxo.time) {
+    return false;
+  }
+  if (params.blockFromTime + network.stakeMinAge > params.time) {
+    return false;
+  }
+
+  var weight = getCoinAgeWeight(utxo.time, params.time, network);
+  var coinDayWeight = new BN(utxo.satoshis).mul(new BN(weight)).div(COIN).divn(ONE_DAY);
+  var target = BlockHeader.prototype.getTargetDifficulty(params.bits);
+  var hash = BN.fromBuffer(getKernelHash(params), { endian: 'little' });
+  return hash.lte(coinDayWeight.mul(target));
+};
+
+/**
+ * @namespace StakeKernel
+ */
+module.exports = {
+  getCoinAgeWeight: getCoinAgeWeight,
+  getCoinAge: getCoinAge,
+  getKernelHash: getKernelHash,
+  checkKernel: checkKernel
+};
@@ -0,0 +1,336 @@
+'use strict';
+
+var _ = require('lodash');
+var $ = require('../util/preconditions');
+var BN = require('../crypto/bn');
+var Hash = require('../crypto/hash');
+var BufferUtil = require('../util/buffer');
+var BufferWriter = require('../encoding/bufferwriter');
+var Networks = require('../networks');
+var Block = require('./block');
+var BlockHeader = require('./blockheader');
+
+var MODIFIER_INTERVAL_RATIO = 3;
+var SELECTION_ROUNDS = 64;
+
+/**
+ * Computes the PoSV stake modifier and its checksum for each block of a
+ * chain of headers, like reddcoind does when connecting blocks. Blocks are
+ * added in chain order, starting either from the genesis block or from
+ * blocks whose modifier is already known (for instance from `getblock`).
+ *
+ * @example
+ * ```javascript
+ * var calculator = new StakeModifier();
+ * var result = calculator.add({ header: genesis, height: 0 });
+ * // { height: 0, hash: '...', proofOfStake: false, entropyBit: 0,
+ * //   generatedModifier: true, modifier: '0000000000000000', modifierChecksum: '...' }
+ * ```
+ *
+ * @param {Object=} opts
+ * @param {Network|string=} opts.network - defaults to `Networks.defaultNetwork`
+ * @constructor
+ */
+function StakeModifier(opts) {
+  if (!(this instanceof StakeModifier)) {
+    return new StakeModifier(opts);
+  }
+  opts = opts || {};
+  this.network = Networks.get(opts.network) || Networks.defaultNetwork;
+  $.checkArgument(this.network.stakeModifierInterval, 'Network ' + this.network.name + ' has no proof-of-stake');
+  this.chain = [];
+}
+
+StakeModifier.BLOCK_PROOF_OF_STAKE = 1 << 0;
+StakeModifier.BLOCK_STAKE_ENTROPY = 1 << 1;
+StakeModifier.BLOCK_STAKE_MODIFIER = 1 << 2;
+
+/**
+ * @param {number} section
+ * @return {number} the length in seconds of a selection interval section
+ */
+StakeModifier.prototype.getSelectionIntervalSection = function(section) {
+  var interval = this.network.stakeModifierInterval;
+  return Math.floor(interval * 63 / (63 + ((63 - section) * (MODIFIER_INTERVAL_RATIO - 1))));
+};
+
+/**
+ * @return {number} the length in seconds of the whole selection interval
+ */
+StakeModifier.prototype.getSelectionInterval = function() {
+  var interval = 0;
+  for (var section = 0; section < SELECTION_ROUNDS; section++) {
+    interval += this.getSelectionIntervalSection(section);
+  }
+  return interval;
+};
+
+/**
+ * Adds the next block of the chain and computes its stake modifier.
+ *
+ * @param {Object} entry
+ * @param {Block|BlockHeader} entry.header - the block or its header
+ * @param {number=} entry.height - required for the first block
+ * @param {boolean=} entry.proofOfStake - whether the block is a proof-of-stake
+ *   block, derived from the transactions when a Block is given
+ * @param {string=} entry.proofHash - the kernel hash of a proof-of-stake block, as in `getblock`
+ * @param {string=} entry.modifier - a known stake modifier, as in `getblock`, to start from
+ * @param {string=} entry.modifierChecksum - the checksum of the known stake modifier
+ * @param {boolean=} entry.generatedModifier - whether the known stake modifier was generated at this block
+ * @return {Object} the stake modifier of the block, see {@link StakeModifier#toObject}
+ */
+StakeModifier.prototype.add = function(entry) {
+  $.checkArgument(_.isObject(entry), 'An entry is required');
+  var block = entry.header instanceof Block ? entry.header : null;
+  var header = block ? block.header : entry.header;
+  $.checkArgument(header instanceof BlockHeader, 'A block or block header is required');
+
+  var prev = _.last(this.chain);
+  var proofOfStake = block ? block.isProofOfStake() : !!entry.proofOfStake;
+  var hash = header._getHash();
+  var index = {
+    height: StakeModifier._getHeight(entry, header, prev),
+    hash: hash,
+    time: header.time,
+    proofOfStake: proofOfStake,
+    proofHash: StakeModifier._getProofHash(entry, header, proofOfStake),
+    entropyBit: hash[0] & 1
+  };
+  this._setModifier(index, entry, prev);
+
+  this.chain.push(index);
+  return StakeModifier.toObject(index);
+};
+
+/**
+ * @return {number} the height of a block added after `prev`
+ * @private
+ */
+StakeModifier._getHeight = function(entry, header, prev) {
+  var height = entry.height;
+  if (prev) {
+    height = _.isUndefined(height) ? prev.height + 1 : height;
+    $.checkArgument(height === prev.height + 1, 'Expected block at height ' + (prev.height + 1));
+    $.checkArgument(BufferUtil.equals(header.prevHash, prev.hash),
+      'Block ' + header.hash + ' does not extend ' + BufferUtil.reverse(prev.hash).toString('hex'));
+  } else {
+    $.checkArgument(_.isNumber(height), 'The height of the first block is required');
+  }
+  return height;
+};
+
+/**
+ * @return {Buffer} the kernel hash of a proof-of-stake block, zeros for a proof-of-work block
+ * @private
+ */
+StakeModifier._getProofHash = function(entry, header, proofOfStake) {
+  if (!proofOfStake) {
+    return Buffer.alloc(32);
+  }
+  $.checkArgument(_.isString(entry.proofHash),
+    'The proof hash of proof-of-stake block ' + header.hash + ' is required');
+  return BufferUtil.reverse(Buffer.from(entry.proofHash, 'hex'));
+};
+
+/**
+ * Sets the stake modifier of a block index, either the known one of the
+ * entry or the one computed over the chain.
+ *
+ * @private
+ */
+StakeModifier.prototype._setModifier = function(index, entry, prev) {
+  if (!_.isUndefined(entry.modifier)) {
+    $.checkArgument(_.isString(entry.modifierChecksum), 'The checksum of a known stake modifier is required');
+    index.modifier = new BN(entry.modifier, 16);
+    index.generatedModifier = !!entry.generatedModifier;
+    index.checksum = parseInt(entry.modifierChecksum, 16);
+  } else {
+    $.checkArgument(prev || index.height === 0, 'A known stake modifier is required to start after the genesis block');
+    var next = this._computeNextModifier();
+    index.modifier = next.modifier;
+    index.generatedModifier = next.generated;
+    index.checksum = StakeModifier._getChecksum(index, prev);
+  }
+};
+
+/**
+ * Adds a sequence of blocks, see {@link StakeModifier#add}.
+ *
+ * @param {Array.<Object>} entries
+ * @return {Array.<Object>} the stake modifier of each block
+ */
+StakeModifier.prototype.compute = function(entries) {
+  return entries.map(this.add.bind(this));
+};
+
+/**
+ * @param {Object} index
+ * @return {number} the block flags, as stored by reddcoind
+ * @private
+ */
+StakeModifier._getFlags = function(index) {
+  var flags = 0;
+  if (index.proofOfStake) {
+    flags |= StakeModifier.BLOCK_PROOF_OF_STAKE;
+  }
+  if (index.entropyBit) {
+    flags |= StakeModifier.BLOCK_STAKE_ENTROPY;
+  }
+  if (index.generatedModifier) {
+    flags |= StakeModifier.BLOCK_STAKE_MODIFIER;
+  }
+  return flags;
+};
+
+/**
+ * The checksum commits to the previous checksum, the block flags, the
+ * proof-of-stake hash and the stake modifier, keeping the top 32 bits.
+ *
+ * @private
+ */
+StakeModifier._getChecksum = function(index, prev) {
+  var writer = new BufferWriter();
+  if (prev) {
+    writer.writeUInt32LE(prev.checksum);
+  }
+  writer.writeUInt32LE(StakeModifier._getFlags(index));
+  writer.write(index.proofHash);
+  writer.writeUInt64LEBN(index.modifier);
+  return Hash.sha256sha256(writer.toBuffer()).readUInt32LE(28);
+};
+
+/**
+ * Returns the stake modifier for a block added on top of the current chain:
+ * the previous modifier until a modifier interval has elapsed, then a new one
+ * made of the entropy bits of 64 blocks selected from the last selection
+ * interval.
+ *
+ * @private
+ */
+StakeModifier.prototype._computeNextModifier = function() {
+  if (this.chain.length === 0) {
+    return { modifier: new BN(0), generated: true };
+  }
+  var interval = this.network.stakeModifierInterval;
+  var tip = this.chain.length - 1;
+  var last = this._getLastModifier(tip);
+  if (Math.floor(last.time / interval) >= Math.floor(this.chain[tip].time / interval)) {
+    return { modifier: last.modifier, generated: false };
+  }
+
+  var selectionIntervalStart = Math.floor(this.chain[tip].time / interval) * interval - this.getSelectionInterval();
+  var candidates = this._getCandidates(selectionIntervalStart);
+  return {
+    modifier: this._selectModifier(candidates, selectionIntervalStart, last.modifier),
+    generated: true
+  };
+};
+
+/**
+ * Makes a stake modifier of the entropy bits of the blocks selected in each
+ * round, the selection interval growing by a section every round.
+ *
+ * @private
+ */
+StakeModifier.prototype._selectModifier = function(candidates, selectionIntervalStart, previousModifier) {
+  var modifier = new BN(0);
+  var selectionIntervalStop = selectionIntervalStart;
+  var selected = [];
+  var rounds = Math.min(SELECTION_ROUNDS, candidates.length);
+  for (var round = 0; round < rounds; round++) {
+    selectionIntervalStop += this.getSelectionIntervalSection(round);
+    var index = StakeModifier._selectBlock(candidates, selected, selectionIntervalStop, previousModifier);
+    $.checkState(index, 'Unable to select a block at round ' + round);
+    modifier = modifier.or(new BN(index.entropyBit).shln(round));
+    selected.push(index);
+  }
+  return modifier;
+};
+
+/**
+ * @return {Array.<Object>} the blocks from `selectionIntervalStart`, sorted by
+ *   time then hash
+ * @private
+ */
+StakeModifier.prototype._getCandidates = function(selectionIntervalStart) {
+  var candidates = [];
+  for (var i = this.chain.length - 1; i >= 0 && this.chain[i].time >= selectionIntervalStart; i--) {
+    candidates.push(this.chain[i]);
+  }
+  candidates.reverse();
+  return candidates.sort(function(a, b) {
+    if (a.time !== b.time) {
+      return a.time - b.time;
+    }
+    return BN.fromBuffer(a.hash, { endian: 'little' }).cmp(BN.fromBuffer(b.hash, { endian: 'little' }));
+  });
+};
+
+/**
+ * @private
+ */
+StakeModifier.prototype._getLastModifier = function(position) {
+  while (position > 0 && !this.chain[position].generatedModifier) {
+    position--;
+  }
+  return {
+    modifier: this.chain[position].modifier,
+    time: this.chain[position].time
+  };
+};
+
+/**
+ * Selects the candidate with the lowest selection hash among those not yet
+ * selected and not later than `selectionIntervalStop`. Proof-of-stake blocks
+ * are favored by dividing their selection hash by 2^32.
+ *
+ * @private
+ */
+StakeModifier._selectBlock = function(candidates, selected, selectionIntervalStop, previousModifier) {
+  var best = null;
+  var bestHash = null;
+  for (var i = 0; i < candidates.length; i++) {
+    var index = candidates[i];
+    if (best && index.time > selectionIntervalStop) {
+      break;
+    }
+    if (selected.indexOf(index) !== -1) {
+      continue;
+    }
+    var selectionHash = StakeModifier._getSelectionHash(index, previousModifier);
+    if (!best || selectionHash.lt(bestHash)) {
+      best = index;
+      bestHash = selectionHash;
+    }
+  }
+  return best;
+};
+
+/**
+ * @private
+ */
+StakeModifier._getSelectionHash = function(index, previousModifier) {
+  var writer = new BufferWriter();
+  writer.write(index.proofOfStake ? index.proofHash : index.hash);
+  writer.writeUInt64LEBN(previousModifier);
+  var selectionHash = BN.fromBuffer(Hash.sha256sha256(writer.toBuffer()), { endian: 'little' });
+  return index.proofOfStake ? selectionHash.shrn(32) : selectionHash;
+};
+
+/**
+ * @param {Object} index
+ * @return {Object} the fields of a block index that `getblock` reports
+ */
+StakeModifier.toObject = function(index) {
+  return {
+    height: index.height,
+    hash: BufferUtil.reverse(index.hash).toString('hex'),
+    proofOfStake: index.proofOfStake,
+    entropyBit: index.entropyBit,
+    generatedModifier: index.generatedModifier,
+    modifier: _.padStart(index.modifier.toString(16), 16, '0'),
+    modifierChecksum: _.padStart(index.checksum.toString(16), 8, '0')
+  };
+};
+
+module.exports = StakeModifier;
@@ -0,0 +1,274 @@
+'use strict';
+
+var _ = require('lodash');
+var $ = require('../util/preconditions');
+var BN = require('../crypto/bn');
+var JSUtil = require('../util/js');
+var Networks = require('../networks');
+
+var COIN = 100000000;
+var CENT = 1000000;
+
+var BITCOIN_SCHEDULE = {
+  pow: {
+    subsidy: 50 * COIN,
+    halvingInterval: 210000
+  },
+  stake: null
+};
+
+// network name => the subsidy schedule of the network, see Subsidy.setSchedule
+var SCHEDULES = {};
+
+var getNetwork = function(network) {
+  network = Networks.get(network) || Networks.defaultNetwork;
+  return network;
+};
+
+var checkHeight = function(height) {
+  $.checkArgument(JSUtil.isNaturalNumber(height), 'Invalid height');
+};
+
+var checkSteps = function(steps) {
+  $.checkArgument(_.isArray(steps) && _.every(steps, function(step, index) {
+    return JSUtil.isNaturalNumber(step.height) && JSUtil.isNaturalNumber(step.subsidy) &&
+      (index === 0 || step.height > steps[index - 1].height);
+  }), 'Invalid subsidy steps');
+};
+
+// the subsidy of the step at `height`, before any halving
+var getStepSubsidy = function(pow, height) {
+  var step = _.findLast(pow.steps, function(step) {
+    return step.height <= height;
+  });
+  return step ? step.subsidy : pow.subsidy;
+};
+
+// the first height after `height` where the subsidy may change
+var getNextChange = function(pow, height) {
+  var next = pow.halvingInterval ? (Math.floor(height / pow.halvingInterval) + 1) * pow.halvingInterval : Infinity;
+  var step = _.find(pow.steps, function(step) {
+    return step.height > height;
+  });
+  return step ? Math.min(next, step.height) : next;
+};
+
+// the value mined by the blocks up to `lastHeight`
+var getProofOfWorkSupply = function(pow, lastHeight) {
+  var lastStep = _.last(pow.steps);
+  var supply = new BN(0);
+  for (var start = 0, end; start <= lastHeight; start = end) {
+    end = getNextChange(pow, start);
+    var halvings = pow.halvingInterval ? Math.floor(start / pow.halvingInterval) : 0;
+    var subsidy = halvings < 64 ? getStepSubsidy(pow, start) : 0;
+    if (subsidy === 0 && !(lastStep && lastStep.height > start)) {
+      break;
+    }
+    // the Reddcoin premine is above the 2^53 that BN takes from a number
+    subsidy = new BN(String(subsidy)).shrn(halvings);
+    supply = supply.add(subsidy.mul(new BN(Math.min(end, lastHeight + 1) - start)));
+  }
+  return supply;
+};
+
+var sumOutputs = function(transaction) {
+  return _.reduce(transaction.outputs, function(total, output) {
+    return total + output.satoshis;
+  }, 0);
+};
+
+/**
+ * Registers the subsidy schedule of a network.
+ *
+ * @name Subsidy.setSchedule
+ * @param {Network|string} network
+ * @param {Object} schedule
+ * @param {Object} schedule.pow - The proof-of-work subsidy
+ * @param {number} schedule.pow.subsidy - The subsidy in satoshis of the first blocks
+ * @param {Array=} schedule.pow.steps - Changes of the subsidy, sorted by height:
+ *   `{ height: number, subsidy: number }` sets the subsidy from `height` on
+ * @param {number=} schedule.pow.halvingInterval - The number of blocks between
+ *   halvings of the subsidy, none if not set
+ * @param {number=} schedule.pow.lastHeight - The height of the last
+ *   proof-of-work block, none if not set
+ * @param {Object=} schedule.stake - The proof-of-stake reward, none if not set
+ * @param {number} schedule.stake.yearlyReward - The reward in satoshis of one
+ *   coin staked for a year (`COIN_YEAR_REWARD`)
+ */
+var setSchedule = function setSchedule(network, schedule) {
+  var networkObj = Networks.get(network);
+  $.checkArgument(networkObj, 'Unknown network');
+  $.checkArgument(_.isObject(schedule) && _.isObject(schedule.pow), 'A proof-of-work schedule is required');
+  $.checkArgument(JSUtil.isNaturalNumber(schedule.pow.subsidy), 'Invalid subsidy');
+  if (schedule.pow.steps) {
+    checkSteps(schedule.pow.steps);
+  }
+  $.checkArgument(!schedule.stake || JSUtil.isNaturalNumber(schedule.stake.yearlyReward), 'Invalid yearly reward');
+  SCHEDULES[networkObj.name] = {
+    pow: _.cloneDeep(schedule.pow),
+    stake: schedule.stake ? _.clone(schedule.stake) : null
+  };
+};
+
+/**
+ * @name Subsidy.getSchedule
+ * @param {Network|string=} network - defaults to `Networks.defaultNetwork`
+ * @return {Object} the subsidy schedule of the network, bitcoin's if none was
+ *   registered, see {@link Subsidy.setSchedule}
+ */
+var getSchedule = function getSchedule(network) {
+  network = getNetwork(network);
+  return SCHEDULES[network.name] || BITCOIN_SCHEDULE;
+};
+
+/**
+ * Returns the subsidy, without fees, of the coinbase of a proof-of-work block.
+ *
+ * @name Subsidy.getProofOfWorkSubsidy
+ * @param {number} height
+ * @param {Network|string=} network - defaults to `Networks.defaultNetwork`
+ * @return {number} the subsidy in satoshis
+ */
+var getProofOfWorkSubsidy = function getProofOfWorkSubsidy(height, network) {
+  checkHeight(height);
+  var pow = getSchedule(network).pow;
+  if (!_.isUndefined(pow.lastHeight) && height > pow.lastHeight) {
+    return 0;
+  }
+  var subsidy = getStepSubsidy(pow, height);
+  if (!pow.halvingInterval) {
+    return subsidy;
+  }
+  var halvings = Math.floor(height / pow.halvingInterval);
+  if (halvings >= 64) {
+    return 0;
+  }
+  return new BN(subsidy).shrn(halvings).toNumber();
+};
+
+/**
+ * Returns the reward, without fees, of the coinstake of a proof-of-stake
+ * block staking `coinAge` coin-days (see {@link StakeKernel.getCoinAge}).
+ *
+ * @name Subsidy.getProofOfStakeReward
+ * @param {number} coinAge - the coin age of the staked outputs, in coin-days
+ * @param {Network|string=} network - defaults to `Networks.defaultNetwork`
+ * @return {number} the reward in satoshis
+ */
+var getProofOfStakeReward = function getProofOfStakeReward(coinAge, network) {
+  $.checkArgument(JSUtil.isNaturalNumber(coinAge), 'Invalid coin age');
+  network = getNetwork(network);
+  var stake = getSchedule(network).stake;
+  $.checkArgument(stake, 'Network ' + network.name + ' has no proof-of-stake');
+  // a year is 365 + 8/33 days
+  return new BN(coinAge).mul(new BN(stake.yearlyReward)).muln(33).divn(365 * 33 + 8).toNumber();
+};
+
+/**
+ * Checks that the value created by a block does not exceed its subsidy plus
+ * the fees of its transactions. The value created by a proof-of-work block is
+ * the value of its coinbase, while a proof-of-stake block creates the value of
+ * its coinbase and coinstake outputs minus the value of the staked outputs.
+ *
+ * @name Subsidy.checkBlockReward
+ * @param {Block} block
+ * @param {Object} params
+ * @param {number} params.height - the height of the block
+ * @param {number=} params.fees - the fees of the block's transactions, in satoshis
+ * @param {number=} params.stakeValue - the value in satoshis of the outputs
+ *   spent by the coinstake, for proof-of-stake blocks
+ * @param {number=} params.coinAge - the coin age of the outputs spent by the
+ *   coinstake, in coin-days, for proof-of-stake blocks
+ * @param {Network|string=} params.network - defaults to the block's network
+ * @return {boolean}
+ */
+var checkBlockReward = function checkBlockReward(block, params) {
+  $.checkArgument(block && _.isArray(block.transactions) && block.transactions.length > 0, 'A block is required');
+  $.checkArgument(_.isObject(params), 'Reward parameters are required');
+  var network = Networks.get(params.network) || block.network;
+  var fees = params.fees || 0;
+  $.checkArgument(JSUtil.isNaturalNumber(fees), 'Invalid fees');
+
+  var reward = sumOutputs(block.transactions[0]);
+  var allowed;
+  if (block.isProofOfStake()) {
+    $.checkArgument(JSUtil.isNaturalNumber(params.stakeValue), 'The staked value is required');
+    reward += sumOutputs(block.getCoinstake()) - params.stakeValue;
+    allowed = getProofOfStakeReward(params.coinAge, network);
+  } else {
+    allowed = getProofOfWorkSubsidy(params.height, network);
+  }
+  return reward <= allowed + fees;
+};
+
+/**
+ * Returns the supply issued up to and including the block at `height`. The
+ * proof-of-stake rewards depend on the coin age of each coinstake, so the
+ * value minted by stake up to that height must be given.
+ *
+ * @name Subsidy.getSupply
+ * @param {number} height
+ * @param {Object=} opts
+ * @param {Network|string=} opts.network - defaults to `Networks.defaultNetwork`
+ * @param {number|BN=} opts.stakeMinted - the value in satoshis minted by the
+ *   proof-of-stake blocks up to `height`
+ * @return {BN} the supply in satoshis
+ */
+var getSupply = function getSupply(height, opts) {
+  checkHeight(height);
+  opts = opts || {};
+  var pow = getSchedule(opts.network).pow;
+  var lastHeight = _.isUndefined(pow.lastHeight) ? height : Math.min(height, pow.lastHeight);
+  var supply = getProofOfWorkSupply(pow, lastHeight);
+  if (opts.stakeMinted) {
+    supply = supply.add(new BN(opts.stakeMinted));
+  }
+  return supply;
+};
+
+/*
+ * The Reddcoin genesis paid 10,000 RDD and blocks 1 to 10 the premine, then the
+ * subsidy went down in steps until proof-of-work ended at block 260,799. PoSV
+ * rewards 5% of the staked coins per year of coin age.
+ */
+var REDDCOIN_SCHEDULE = {
+  pow: {
+    subsidy: 10000 * COIN,
+    steps: [
+      { height: 1, subsidy: 545000000 * COIN },
+      { height: 11, subsidy: 300000 * COIN },
+      { height: 10000, subsidy: 200000 * COIN },
+      { height: 20000, subsidy: 150000 * COIN },
+      { height: 30000, subsidy: 100000 * COIN },
+      { height: 140000, subsidy: 50000 * COIN },
+      { height: 190000, subsidy: 25000 * COIN },
+      { height: 240000, subsidy: 12500 * COIN }
+    ],
+    lastHeight: 260799
+  },
+  stake: {
+    yearlyReward: 5 * CENT
+  }
+};
+
+setSchedule(Networks.reddcoin, REDDCOIN_SCHEDULE);
+setSchedule(Networks.reddcoinTestnet, REDDCOIN_SCHEDULE);
+setSchedule(Networks.reddcoinRegtest, REDDCOIN_SCHEDULE);
+setSchedule(Networks.regtest, {
+  pow: {
+    subsidy: 50 * COIN,
+    halvingInterval: 150
+  }
+});
+
+/**
+ * @namespace Subsidy
+ */
+module.exports = {
+  setSchedule: setSchedule,
+  getSchedule: getSchedule,
+  getProofOfWorkSubsidy: getProofOfWorkSubsidy,
+  getProofOfStakeReward: getProofOfStakeReward,
+  checkBlockReward: checkBlockReward,
+  getSupply: getSupply
+};
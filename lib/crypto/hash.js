@@ -1,6 +1,7 @@
 'use strict';
 
 var crypto = require('crypto');
+var scryptJs = require('scrypt-js');
 var BufferUtil = require('../util/buffer');
 var $ = require('../util/preconditions');
 
@@ -25,6 +26,31 @@ Hash.sha256sha256 = function(buf) {
   return Hash.sha256(Hash.sha256(buf));
 };
 
+/**
+ * Scrypt hash of a buffer, salted with itself, as used for proof-of-work by
+ * Litecoin-derived chains. The parameters default to N=1024, r=1, p=1 and a
+ * 32 byte output.
+ *
+ * Node's native scrypt is used when available, the pure javascript
+ * implementation of `scrypt-js` otherwise (browsers).
+ *
+ * @param {Buffer} buf
+ * @param {Object=} opts - `N`, `r`, `p` and `keylen`
+ * @return {Buffer}
+ */
+Hash.scrypt = function(buf, opts) {
+  $.checkArgument(BufferUtil.isBuffer(buf));
+  opts = opts || {};
+  var N = opts.N || 1024;
+  var r = opts.r || 1;
+  var p = opts.p || 1;
+  var keylen = opts.keylen || 32;
+  if (typeof crypto.scryptSync === 'function') {
+    return crypto.scryptSync(buf, buf, keylen, { N: N, r: r, p: p });
+  }
+  return Buffer.from(scryptJs.syncScrypt(buf, buf, N, r, p, keylen));
+};
+
 Hash.ripemd160 = function(buf) {
   $.checkArgument(BufferUtil.isBuffer(buf));
   return crypto.createHash('ripemd160').update(buf).digest();
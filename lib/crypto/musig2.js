@@ -0,0 +1,430 @@
+'use strict';
+
+/* jshint maxparams:6 */
+
+const crypto = require('crypto');
+const _ = require('lodash');
+const $ = require('../util/preconditions');
+const errors = require('../errors');
+const BN = require('./bn');
+const Point = require('./point');
+const TaggedHash = require('./taggedhash');
+const PrivateKey = require('../privatekey');
+const PublicKey = require('../publickey');
+
+/**
+ * MuSig2 multi-signatures, as specified by BIP327: several signers aggregate
+ * their keys into a single key, then produce together a BIP340 signature for
+ * it in two rounds. The aggregate key and the signature look like those of a
+ * single signer, so that a pay to taproot output can be spent by its key path.
+ *
+ * 1. Each signer generates a nonce with {@link MuSig2.generateNonce} and
+ *    shares its public nonce.
+ * 2. The public nonces are aggregated with {@link MuSig2.aggregateNonces}.
+ * 3. Each signer creates a partial signature with {@link MuSig2.sign}, which
+ *    can be checked with {@link MuSig2.verifyPartial}.
+ * 4. The partial signatures are aggregated with {@link MuSig2.aggregatePartials}.
+ *
+ * Errors caused by a signer, such as an invalid public key, public nonce or
+ * partial signature, are thrown as `MuSig2.InvalidContribution` errors naming
+ * the index of the signer.
+ *
+ * @example
+ * ```javascript
+ * var keyAgg = MuSig2.aggregateKeys(MuSig2.sortKeys(publicKeys), { taproot: true });
+ * var nonce = MuSig2.generateNonce({ privateKey: privateKey, keyAgg: keyAgg, message: message });
+ * var aggregateNonce = MuSig2.aggregateNonces(publicNonces);
+ * var partialSignature = MuSig2.sign(nonce.secretNonce, privateKey, keyAgg, aggregateNonce, message);
+ * var signature = MuSig2.aggregatePartials(partialSignatures, keyAgg, aggregateNonce, message);
+ * ```
+ *
+ * @link https://github.com/bitcoin/bips/blob/master/bip-0327.mediawiki
+ */
+const MuSig2 = {};
+
+/**
+ * Sorts public keys, so that their aggregation does not depend on their order
+ *
+ * @param {Array.<PublicKey|Buffer|string>} publicKeys
+ * @return {Array.<PublicKey>}
+ */
+MuSig2.sortKeys = function(publicKeys) {
+  $.checkArgument(_.isArray(publicKeys), 'An array of public keys is required');
+  return publicKeys.map(publicKey => new PublicKey(publicKey))
+    .sort((a, b) => Buffer.compare(MuSig2._toPlainKey(a.point), MuSig2._toPlainKey(b.point)));
+};
+
+/**
+ * Aggregates public keys, in the given order
+ *
+ * @param {Array.<PublicKey|Buffer|string>} publicKeys - the keys of the signers
+ * @param {Object=} opts
+ * @param {Array.<Object>=} opts.tweaks - tweaks to add to the aggregate key,
+ *   in order: `{ tweak: Buffer, xOnly: boolean }`
+ * @param {boolean=} opts.taproot - finally apply the BIP341 tweak, so that the
+ *   key is the output key of a pay to taproot output whose internal key is the
+ *   aggregate key
+ * @param {Buffer=} opts.merkleRoot - the merkle root of the script tree the
+ *   taproot output commits to, none by default
+ * @return {Object} the key aggregation context: `{ publicKeys, point, gacc,
+ *   tacc, publicKey, xOnlyKey }`, `publicKey` and `xOnlyKey` being the
+ *   aggregate key
+ */
+MuSig2.aggregateKeys = function(publicKeys, opts) {
+  $.checkArgument(_.isArray(publicKeys) && publicKeys.length > 0, 'At least one public key is required');
+  opts = opts || {};
+  const plainKeys = publicKeys.map((publicKey, index) => MuSig2._toPlainKey(MuSig2._toPoint(publicKey, index)));
+  const keysHash = new TaggedHash('KeyAgg list', Buffer.concat(plainKeys)).finalize();
+  const secondKey = _.find(plainKeys, plainKey => !plainKey.equals(plainKeys[0]));
+
+  let point = null;
+  plainKeys.forEach((plainKey, index) => {
+    const coefficient = MuSig2._getKeyCoefficient(keysHash, secondKey, plainKey);
+    const term = MuSig2._toPoint(plainKey, index).mul(coefficient);
+    point = point ? point.add(term) : term;
+  });
+  $.checkState(!point.isInfinity(), 'The aggregate key is infinite');
+
+  let keyAgg = MuSig2._newKeyAgg(plainKeys, point, new BN(1), new BN(0));
+  _.each(opts.tweaks, tweak => {
+    keyAgg = MuSig2.applyTweak(keyAgg, tweak.tweak, tweak.xOnly);
+  });
+  if (opts.taproot) {
+    const tweak = keyAgg.publicKey.computeTapTweakHash(opts.merkleRoot);
+    keyAgg = MuSig2.applyTweak(keyAgg, tweak, true);
+  }
+  return keyAgg;
+};
+
+/**
+ * Adds a tweak to an aggregate key
+ *
+ * @param {Object} keyAgg - see {@link MuSig2.aggregateKeys}
+ * @param {Buffer|string} tweak - 32 bytes
+ * @param {boolean} xOnly - if the tweak is added to the x-only aggregate key,
+ *   as a taproot tweak is, instead of to the plain key as a BIP32 tweak is
+ * @return {Object} the tweaked key aggregation context
+ */
+MuSig2.applyTweak = function(keyAgg, tweak, xOnly) {
+  tweak = MuSig2._toBuffer(tweak, 'tweak');
+  $.checkArgument(tweak.length === 32, 'A tweak must be 32 bytes');
+  const n = Point.getN();
+  const t = new BN(tweak);
+  $.checkArgument(t.lt(n), 'The tweak is not less than the curve order');
+  const g = xOnly && !keyAgg.point.getY().isEven() ? n.subn(1) : new BN(1);
+  const point = keyAgg.point.mul(g).add(Point.getG().mul(t));
+  $.checkState(!point.isInfinity(), 'The tweaked key is infinite');
+  return MuSig2._newKeyAgg(keyAgg.publicKeys, point, g.mul(keyAgg.gacc).umod(n), t.add(g.mul(keyAgg.tacc)).umod(n));
+};
+
+/**
+ * Generates the nonce of a signer. The secret nonce must be used for a single
+ * signature: {@link MuSig2.sign} erases it.
+ *
+ * @param {Object} params
+ * @param {PublicKey|Buffer|string=} params.publicKey - the key of the signer,
+ *   required unless its private key is given
+ * @param {PrivateKey|Buffer|string=} params.privateKey - the private key of
+ *   the signer, as additional entropy
+ * @param {Object|Buffer=} params.keyAgg - the key aggregation context, or the
+ *   x-only aggregate key, as additional entropy
+ * @param {Buffer=} params.message - the message, as additional entropy
+ * @param {Buffer=} params.extraInput - additional entropy
+ * @param {Buffer=} params.rand - 32 random bytes, only for tests
+ * @return {Object} `{ secretNonce, publicNonce }`, of 97 and 66 bytes
+ */
+MuSig2.generateNonce = function(params) {
+  /* jshint maxstatements: 25, maxcomplexity: 11 */
+  params = params || {};
+  const privateKey = params.privateKey ? MuSig2._toPrivateKey(params.privateKey) : null;
+  const publicKey = params.publicKey ? MuSig2._toPoint(params.publicKey) : privateKey && privateKey.publicKey.point;
+  $.checkArgument(publicKey, 'The public key of the signer is required');
+  const plainKey = MuSig2._toPlainKey(publicKey);
+
+  let rand = params.rand || crypto.randomBytes(32);
+  $.checkArgument(rand.length === 32, 'Random bytes must be 32 bytes');
+  if (privateKey) {
+    const auxHash = new TaggedHash('MuSig/aux', rand).finalize();
+    rand = Buffer.from(privateKey.bn.toBuffer({ size: 32 }).map((byte, i) => byte ^ auxHash[i]));
+  }
+  let aggregateKey = params.keyAgg || Buffer.alloc(0);
+  aggregateKey = aggregateKey.xOnlyKey || aggregateKey;
+  let message = Buffer.from([0]);
+  if (params.message) {
+    const length = Buffer.alloc(8);
+    length.writeUInt32BE(params.message.length, 4);
+    message = Buffer.concat([Buffer.from([1]), length, params.message]);
+  }
+  const extraInput = params.extraInput || Buffer.alloc(0);
+  const extraLength = Buffer.alloc(4);
+  extraLength.writeUInt32BE(extraInput.length);
+
+  const n = Point.getN();
+  const k = [0, 1].map(i => {
+    const data = Buffer.concat([
+      rand,
+      Buffer.from([plainKey.length]), plainKey,
+      Buffer.from([aggregateKey.length]), aggregateKey,
+      message,
+      extraLength, extraInput,
+      Buffer.from([i])
+    ]);
+    const k = new BN(new TaggedHash('MuSig/nonce', data).finalize()).umod(n);
+    $.checkState(!k.isZero(), 'Invalid nonce');
+    return k;
+  });
+  return {
+    secretNonce: Buffer.concat([k[0].toBuffer({ size: 32 }), k[1].toBuffer({ size: 32 }), plainKey]),
+    publicNonce: Buffer.concat(k.map(k => MuSig2._toPlainKey(Point.getG().mul(k))))
+  };
+};
+
+/**
+ * @param {Array.<Buffer|string>} publicNonces - the public nonces of the signers
+ * @return {Buffer} the aggregate nonce, of 66 bytes
+ */
+MuSig2.aggregateNonces = function(publicNonces) {
+  $.checkArgument(_.isArray(publicNonces) && publicNonces.length > 0, 'At least one public nonce is required');
+  const points = [null, null];
+  publicNonces.forEach((publicNonce, index) => {
+    MuSig2._toNoncePoints(publicNonce, index).forEach((point, j) => {
+      points[j] = points[j] ? points[j].add(point) : point;
+    });
+  });
+  return Buffer.concat(points.map(point => point.isInfinity() ? Buffer.alloc(33) : MuSig2._toPlainKey(point)));
+};
+
+/**
+ * Creates the partial signature of a signer. The secret nonce is erased so
+ * that it cannot be used again, as reusing it would leak the private key.
+ *
+ * @param {Buffer} secretNonce - see {@link MuSig2.generateNonce}
+ * @param {PrivateKey|Buffer|string} privateKey
+ * @param {Object} keyAgg - see {@link MuSig2.aggregateKeys}
+ * @param {Buffer|string} aggregateNonce - see {@link MuSig2.aggregateNonces}
+ * @param {Buffer|string} message
+ * @return {Buffer} the partial signature, of 32 bytes
+ */
+MuSig2.sign = function(secretNonce, privateKey, keyAgg, aggregateNonce, message) {
+  /* jshint maxstatements: 20 */
+  $.checkArgument(Buffer.isBuffer(secretNonce) && secretNonce.length === 97, 'A secret nonce must be 97 bytes');
+  const n = Point.getN();
+  const session = MuSig2._getSession(keyAgg, aggregateNonce, message);
+  const k1 = new BN(secretNonce.slice(0, 32));
+  const k2 = new BN(secretNonce.slice(32, 64));
+  $.checkArgument(!k1.isZero() && k1.lt(n) && !k2.isZero() && k2.lt(n),
+    'The secret nonce is invalid or was already used');
+  privateKey = MuSig2._toPrivateKey(privateKey);
+  const plainKey = MuSig2._toPlainKey(privateKey.publicKey.point);
+  $.checkArgument(plainKey.equals(secretNonce.slice(64)), 'The secret nonce is not one of the private key');
+  secretNonce.fill(0, 0, 64);
+
+  const even = session.R.getY().isEven();
+  const a = MuSig2._getSessionKeyCoefficient(keyAgg, plainKey);
+  const g = keyAgg.point.getY().isEven() ? new BN(1) : n.subn(1);
+  const d = g.mul(keyAgg.gacc).mul(privateKey.bn).umod(n);
+  const s = (even ? k1 : n.sub(k1))
+    .add(session.b.mul(even ? k2 : n.sub(k2)))
+    .add(session.e.mul(a).mul(d))
+    .umod(n);
+  return s.toBuffer({ size: 32 });
+};
+
+/**
+ * Verifies the partial signature of a signer
+ *
+ * @param {Buffer|string} partialSignature
+ * @param {Buffer|string} publicNonce - the public nonce of the signer
+ * @param {PublicKey|Buffer|string} publicKey - the key of the signer
+ * @param {Object} keyAgg - see {@link MuSig2.aggregateKeys}
+ * @param {Buffer|string} aggregateNonce
+ * @param {Buffer|string} message
+ * @return {boolean}
+ */
+MuSig2.verifyPartial = function(partialSignature, publicNonce, publicKey, keyAgg, aggregateNonce, message) {
+  const n = Point.getN();
+  const s = new BN(MuSig2._toBuffer(partialSignature, 'partial signature'));
+  if (s.gte(n)) {
+    return false;
+  }
+  const session = MuSig2._getSession(keyAgg, aggregateNonce, message);
+  const noncePoints = MuSig2._toNoncePoints(publicNonce);
+  let R = noncePoints[0].add(noncePoints[1].mul(session.b));
+  R = session.R.getY().isEven() ? R : R.neg();
+  const point = MuSig2._toPoint(publicKey);
+  const a = MuSig2._getSessionKeyCoefficient(keyAgg, MuSig2._toPlainKey(point));
+  const g = keyAgg.point.getY().isEven() ? new BN(1) : n.subn(1);
+  const expected = R.add(point.mul(session.e.mul(a).mul(g).mul(keyAgg.gacc).umod(n)));
+  return Point.getG().mul(s).eq(expected);
+};
+
+/**
+ * Aggregates the partial signatures into a BIP340 signature of the aggregate key
+ *
+ * @param {Array.<Buffer|string>} partialSignatures
+ * @param {Object} keyAgg - see {@link MuSig2.aggregateKeys}
+ * @param {Buffer|string} aggregateNonce
+ * @param {Buffer|string} message
+ * @return {Buffer} the signature, of 64 bytes
+ */
+MuSig2.aggregatePartials = function(partialSignatures, keyAgg, aggregateNonce, message) {
+  $.checkArgument(_.isArray(partialSignatures), 'An array of partial signatures is required');
+  const n = Point.getN();
+  const session = MuSig2._getSession(keyAgg, aggregateNonce, message);
+  const g = keyAgg.point.getY().isEven() ? new BN(1) : n.subn(1);
+  let s = session.e.mul(g).mul(keyAgg.tacc);
+  partialSignatures.forEach((partialSignature, index) => {
+    const si = new BN(MuSig2._toBuffer(partialSignature, 'partial signature'));
+    if (si.gte(n)) {
+      throw new errors.MuSig2.InvalidContribution(index, 'partial signature');
+    }
+    s = s.add(si);
+  });
+  return Buffer.concat([session.R.getX().toBuffer({ size: 32 }), s.umod(n).toBuffer({ size: 32 })]);
+};
+
+/**
+ * @private
+ */
+MuSig2._newKeyAgg = function(publicKeys, point, gacc, tacc) {
+  const xOnlyKey = point.getX().toBuffer({ size: 32 });
+  return {
+    publicKeys,
+    point,
+    gacc,
+    tacc,
+    publicKey: PublicKey.fromX(!point.getY().isEven(), xOnlyKey),
+    xOnlyKey
+  };
+};
+
+/**
+ * @private
+ */
+MuSig2._getKeyCoefficient = function(keysHash, secondKey, plainKey) {
+  if (secondKey && plainKey.equals(secondKey)) {
+    return new BN(1);
+  }
+  const hash = new TaggedHash('KeyAgg coefficient', Buffer.concat([keysHash, plainKey])).finalize();
+  return new BN(hash).umod(Point.getN());
+};
+
+/**
+ * @private
+ */
+MuSig2._getSessionKeyCoefficient = function(keyAgg, plainKey) {
+  $.checkArgument(_.some(keyAgg.publicKeys, publicKey => publicKey.equals(plainKey)),
+    'The key of the signer is not one of the aggregate key');
+  const keysHash = new TaggedHash('KeyAgg list', Buffer.concat(keyAgg.publicKeys)).finalize();
+  const secondKey = _.find(keyAgg.publicKeys, publicKey => !publicKey.equals(keyAgg.publicKeys[0]));
+  return MuSig2._getKeyCoefficient(keysHash, secondKey, plainKey);
+};
+
+/**
+ * The values of a signing session: the nonce coefficient `b`, the final
+ * nonce `R` and the challenge `e`
+ *
+ * @private
+ */
+MuSig2._getSession = function(keyAgg, aggregateNonce, message) {
+  aggregateNonce = MuSig2._toBuffer(aggregateNonce, 'aggregate nonce');
+  $.checkArgument(aggregateNonce.length === 66, 'An aggregate nonce must be 66 bytes');
+  message = MuSig2._toBuffer(message, 'message');
+  const n = Point.getN();
+  const hash = new TaggedHash('MuSig/noncecoef', Buffer.concat([aggregateNonce, keyAgg.xOnlyKey, message])).finalize();
+  const b = new BN(hash).umod(n);
+  const points = [0, 33].map(start => {
+    const buf = aggregateNonce.slice(start, start + 33);
+    try {
+      return buf.equals(Buffer.alloc(33)) ? null : MuSig2._toPoint(buf);
+    } catch (e) {
+      throw new errors.InvalidArgument('Invalid aggregate nonce ' + aggregateNonce.toString('hex'));
+    }
+  });
+  let R = points[0];
+  if (points[1]) {
+    const term = points[1].mul(b);
+    R = R ? R.add(term) : term;
+  }
+  R = !R || R.isInfinity() ? Point.getG() : R;
+  const challenge = new TaggedHash('BIP0340/challenge', Buffer.concat([
+    R.getX().toBuffer({ size: 32 }),
+    keyAgg.xOnlyKey,
+    message
+  ])).finalize();
+  return { b, R, e: new BN(challenge).umod(n) };
+};
+
+/**
+ * @private
+ */
+MuSig2._toNoncePoints = function(publicNonce, index) {
+  publicNonce = MuSig2._toBuffer(publicNonce, 'public nonce');
+  try {
+    $.checkArgument(publicNonce.length === 66);
+    return [MuSig2._toPoint(publicNonce.slice(0, 33)), MuSig2._toPoint(publicNonce.slice(33))];
+  } catch (e) {
+    if (_.isUndefined(index)) {
+      throw new errors.InvalidArgument('Invalid public nonce ' + publicNonce.toString('hex'));
+    }
+    throw new errors.MuSig2.InvalidContribution(index, 'public nonce');
+  }
+};
+
+/**
+ * @param {PublicKey|Buffer|string} publicKey - a public key, or a compressed
+ *   point
+ * @param {number=} index - the index of the signer, to blame it if the key is
+ *   invalid
+ * @private
+ */
+MuSig2._toPoint = function(publicKey, index) {
+  if (publicKey instanceof PublicKey) {
+    return publicKey.point;
+  }
+  if (publicKey instanceof Point) {
+    return publicKey;
+  }
+  const buf = MuSig2._toBuffer(publicKey, 'public key');
+  try {
+    $.checkArgument(buf.length === 33 && (buf[0] === 2 || buf[0] === 3));
+    const x = new BN(buf.slice(1));
+    $.checkArgument(x.lt(Point.getP()));
+    return Point.fromX(buf[0] === 3, x);
+  } catch (e) {
+    if (_.isUndefined(index)) {
+      throw new errors.InvalidArgument('Invalid public key ' + buf.toString('hex'));
+    }
+    throw new errors.MuSig2.InvalidContribution(index, 'public key');
+  }
+};
+
+/**
+ * @private
+ */
+MuSig2._toPlainKey = function(point) {
+  return Point.pointToCompressed(point);
+};
+
+/**
+ * @private
+ */
+MuSig2._toPrivateKey = function(privateKey) {
+  if (privateKey instanceof PrivateKey) {
+    return privateKey;
+  }
+  return new PrivateKey(new BN(MuSig2._toBuffer(privateKey, 'private key')));
+};
+
+/**
+ * @private
+ */
+MuSig2._toBuffer = function(data, name) {
+  if (_.isString(data)) {
+    data = Buffer.from(data, 'hex');
+  }
+  $.checkArgument(Buffer.isBuffer(data), 'Invalid ' + name);
+  return data;
+};
+
+module.exports = MuSig2;
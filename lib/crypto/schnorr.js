@@ -54,7 +54,7 @@ Schnorr.sign = function(privateKey, message, aux) {
   const Pbuf = Buffer.from(P.encodeCompressed().slice(1)); // slice(1) removes the encoding prefix byte
   const d = P.y.isEven() ? dPrime : n.sub(dPrime);
   const t = d.xor(new BN(new TaggedHash('BIP0340/aux', aux).finalize()));
-  const rand = new TaggedHash('BIP0340/nonce', Buffer.concat([t.toBuffer(), Pbuf, message])).finalize();
+  const rand = new TaggedHash('BIP0340/nonce', Buffer.concat([t.toBuffer({ size: 32 }), Pbuf, message])).finalize();
   const kPrime = new BN(rand).mod(n);
   if (kPrime.eqn(0)) {
     throw new Error('Error creating schnorr signature');
@@ -63,7 +63,7 @@ Schnorr.sign = function(privateKey, message, aux) {
   const Rbuf = Buffer.from(R.encodeCompressed().slice(1)); // slice(1) removes the encoding prefix byte
   const k = R.y.isEven() ? kPrime : n.sub(kPrime);
   const e = new BN(new TaggedHash('BIP0340/challenge', Buffer.concat([Rbuf, Pbuf, message])).finalize()).mod(n);
-  const sig = Buffer.concat([Rbuf, k.add(e.mul(d)).mod(n).toBuffer()]);
+  const sig = Buffer.concat([Rbuf, k.add(e.mul(d)).mod(n).toBuffer({ size: 32 })]);
 
   if (!Schnorr.verify(Pbuf, message, sig)) {
     throw new Error('Error creating schnorr signature. Verification failed');
@@ -51,6 +51,13 @@ module.exports = [{
     'name': 'InvalidMerkleTree',
     'message': 'This MerkleBlock contain an invalid Merkle Tree'
   }]
+}, {
+  name: 'MuSig2',
+  message: 'Internal Error on MuSig2 {0}',
+  errors: [{
+    name: 'InvalidContribution',
+    message: 'Invalid {1} of signer {0}'
+  }]
 }, {
   name: 'Transaction',
   message: 'Internal Error on Transaction {0}',
@@ -114,6 +121,12 @@ module.exports = [{
   }, {
     name: 'ChangeAddressMissing',
     message: 'Change address is missing'
+  }, {
+    name: 'AmountTooSmallForFee',
+    message: 'The send-max amount is too small to pay the fee of {0} satoshis'
+  }, {
+    name: 'AmountTooSmallAfterFee',
+    message: 'The amount of {0} satoshis is too small to send after the fee has been deducted'
   }, {
     name: 'BlockHeightTooHigh',
     message: 'Block Height can be at most 2^32 -1'
@@ -123,6 +136,51 @@ module.exports = [{
   }, {
     name: 'LockTimeTooEarly',
     message: 'Lock Time can\'t be earlier than UNIX date 500 000 000'
+  }, {
+    name: 'Psbt',
+    message: 'Internal Error on Psbt {0}',
+    errors: [{
+      name: 'InvalidFormat',
+      message: 'Invalid PSBT: {0}'
+    }, {
+      name: 'Mismatch',
+      message: 'The PSBTs are not of the same transaction'
+    }, {
+      name: 'SighashMismatch',
+      message: 'Input {0} must be signed with the sighash type {1}'
+    }, {
+      name: 'CannotFinalize',
+      message: 'Input {0} cannot be finalized: {1}'
+    }, {
+      name: 'NotFinalized',
+      message: 'Not all inputs are finalized'
+    }]
+  }, {
+    name: 'CoinSelection',
+    message: 'Internal Error on CoinSelection {0}',
+    errors: [{
+      name: 'InsufficientFunds',
+      message: 'The UTXOs can\'t pay {0} satoshis and the fee'
+    }, {
+      name: 'NoSolution',
+      message: 'No selection of the UTXOs pays {0} satoshis and the fee'
+    }]
+  }, {
+    name: 'FeeBump',
+    message: 'Internal Error on FeeBump {0}',
+    errors: [{
+      name: 'NotReplaceable',
+      message: 'The transaction does not signal that it can be replaced (BIP125)'
+    }, {
+      name: 'FeeRateTooLow',
+      message: 'The new fee rate must be higher than {0} satoshis per byte'
+    }, {
+      name: 'InsufficientFunds',
+      message: 'The inputs can\'t pay a fee of {0} satoshis'
+    }, {
+      name: 'AmbiguousChange',
+      message: 'Several outputs pay the change address {0}, the change output can\'t be told apart'
+    }]
   }]
 }, {
   name: 'Script',
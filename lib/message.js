@@ -4,6 +4,7 @@ var _ = require('lodash');
 var PrivateKey = require('./privatekey');
 var PublicKey = require('./publickey');
 var Address = require('./address');
+var Networks = require('./networks');
 var BufferWriter = require('./encoding/bufferwriter');
 var ECDSA = require('./crypto/ecdsa');
 var Signature = require('./crypto/signature');
@@ -21,20 +22,68 @@ function Message(message) {
   return this;
 }
 
-Message.MAGIC_BYTES = Buffer.from('Bitcoin Signed Message:\n');
+/**
+ * The magic prefix of the signed messages of `Networks.defaultNetwork`
+ * @deprecated the prefix used depends on the network, see {@link Message.getMagicBytes}
+ */
+Object.defineProperty(Message, 'MAGIC_BYTES', {
+  get: function() {
+    return Buffer.from(Networks.defaultNetwork.messagePrefix);
+  }
+});
+
+/**
+ * Returns the magic prefix to sign or verify with: the custom prefix if one
+ * is given, else the prefix of the given network, else the prefix of
+ * `network`.
+ *
+ * @param {Object=} opts
+ * @param {Network|string=} opts.network - The network whose prefix is used
+ * @param {Buffer|string=} opts.prefix - A custom prefix, taking precedence over the network
+ * @param {Network=} network - The network inferred from the key or address
+ * @returns {Buffer}
+ */
+Message.getMagicBytes = function getMagicBytes(opts, network) {
+  opts = opts || {};
+  if (!_.isUndefined(opts.prefix)) {
+    $.checkArgument(_.isString(opts.prefix) || Buffer.isBuffer(opts.prefix), 'Invalid message prefix');
+    return Buffer.from(opts.prefix);
+  }
+  if (!_.isUndefined(opts.network)) {
+    network = Networks.get(opts.network);
+    $.checkArgument(network, 'Unknown network');
+  }
+  network = network || Networks.defaultNetwork;
+  return Buffer.from(network.messagePrefix);
+};
 
-Message.prototype.magicHash = function magicHash() {
-  var prefix1 = BufferWriter.varintBufNum(Message.MAGIC_BYTES.length);
+/**
+ * @param {Object=} opts - The network or custom prefix, see {@link Message.getMagicBytes}
+ * @returns {Buffer} The hash signed by the message signature
+ */
+Message.prototype.magicHash = function magicHash(opts) {
+  var magicBytes = Message.getMagicBytes(opts);
+  var prefix1 = BufferWriter.varintBufNum(magicBytes.length);
   var messageBuffer = Buffer.from(this.message);
   var prefix2 = BufferWriter.varintBufNum(messageBuffer.length);
-  var buf = Buffer.concat([prefix1, Message.MAGIC_BYTES, prefix2, messageBuffer]);
+  var buf = Buffer.concat([prefix1, magicBytes, prefix2, messageBuffer]);
   var hash = sha256sha256(buf);
   return hash;
 };
 
-Message.prototype._sign = function _sign(privateKey) {
+/**
+ * @param {Network=} network
+ * @param {Object=} opts
+ * @returns {Object} The options of {@link Message#magicHash}, using `network` when no other is given
+ * @private
+ */
+Message._getHashOptions = function _getHashOptions(network, opts) {
+  return { prefix: Message.getMagicBytes(opts, network) };
+};
+
+Message.prototype._sign = function _sign(privateKey, opts) {
   $.checkArgument(privateKey instanceof PrivateKey, 'First argument should be an instance of PrivateKey');
-  var hash = this.magicHash();
+  var hash = this.magicHash(Message._getHashOptions(privateKey.network, opts));
   var ecdsa = new ECDSA();
   ecdsa.hashbuf = hash;
   ecdsa.privkey = privateKey;
@@ -45,20 +94,24 @@ Message.prototype._sign = function _sign(privateKey) {
 };
 
 /**
- * Will sign a message with a given bitcoin private key.
+ * Will sign a message with a given private key. The magic prefix is the one
+ * of the private key's network unless another network or prefix is given.
  *
  * @param {PrivateKey} privateKey - An instance of PrivateKey
+ * @param {Object=} opts
+ * @param {Network|string=} opts.network - Sign with the prefix of this network
+ * @param {Buffer|string=} opts.prefix - Sign with a custom prefix
  * @returns {String} A base64 encoded compact signature
  */
-Message.prototype.sign = function sign(privateKey) {
-  var signature = this._sign(privateKey);
+Message.prototype.sign = function sign(privateKey, opts) {
+  var signature = this._sign(privateKey, opts);
   return signature.toCompact().toString('base64');
 };
 
-Message.prototype._verify = function _verify(publicKey, signature) {
+Message.prototype._verify = function _verify(publicKey, signature, opts) {
   $.checkArgument(publicKey instanceof PublicKey, 'First argument should be an instance of PublicKey');
   $.checkArgument(signature instanceof Signature, 'Second argument should be an instance of Signature');
-  var hash = this.magicHash();
+  var hash = this.magicHash(Message._getHashOptions(publicKey.network, opts));
   var verified = ECDSA.verify(hash, signature, publicKey);
   if (!verified) {
     this.error = 'The signature was invalid';
@@ -67,14 +120,19 @@ Message.prototype._verify = function _verify(publicKey, signature) {
 };
 
 /**
- * Will return a boolean of the signature is valid for a given bitcoin address.
+ * Will return a boolean of the signature is valid for a given address.
  * If it isn't the specific reason is accessible via the "error" member.
+ * The magic prefix is the one of the address's network unless another
+ * network or prefix is given.
  *
- * @param {Address|String} bitcoinAddress - A bitcoin address
+ * @param {Address|String} bitcoinAddress - An address
  * @param {String} signatureString - A base64 encoded compact signature
+ * @param {Object=} opts
+ * @param {Network|string=} opts.network - Verify with the prefix of this network
+ * @param {Buffer|string=} opts.prefix - Verify with a custom prefix
  * @returns {Boolean}
  */
-Message.prototype.verify = function verify(bitcoinAddress, signatureString) {
+Message.prototype.verify = function verify(bitcoinAddress, signatureString, opts) {
   $.checkArgument(bitcoinAddress);
   $.checkArgument(signatureString && _.isString(signatureString));
 
@@ -82,10 +140,11 @@ Message.prototype.verify = function verify(bitcoinAddress, signatureString) {
     bitcoinAddress = Address.fromString(bitcoinAddress);
   }
   var signature = Signature.fromCompact(Buffer.from(signatureString, 'base64'));
+  var hashOpts = Message._getHashOptions(bitcoinAddress.network, opts);
 
   // recover the public key
   var ecdsa = new ECDSA();
-  ecdsa.hashbuf = this.magicHash();
+  ecdsa.hashbuf = this.magicHash(hashOpts);
   ecdsa.sig = signature;
   var publicKey = ecdsa.toPublicKey();
 
@@ -97,18 +156,23 @@ Message.prototype.verify = function verify(bitcoinAddress, signatureString) {
     return false;
   }
 
-  return this._verify(publicKey, signature);
+  return this._verify(publicKey, signature, hashOpts);
 };
 
 /**
  * Will return a public key string if the provided signature and the message digest is correct
  * If it isn't the specific reason is accessible via the "error" member.
+ * The magic prefix is the one of the address's network unless another
+ * network or prefix is given.
  *
- * @param {Address|String} bitcoinAddress - A bitcoin address
+ * @param {Address|String} bitcoinAddress - An address
  * @param {String} signatureString - A base64 encoded compact signature
+ * @param {Object=} opts
+ * @param {Network|string=} opts.network - Recover with the prefix of this network
+ * @param {Buffer|string=} opts.prefix - Recover with a custom prefix
  * @returns {String}
  */
-Message.prototype.recoverPublicKey = function recoverPublicKey(bitcoinAddress, signatureString) {
+Message.prototype.recoverPublicKey = function recoverPublicKey(bitcoinAddress, signatureString, opts) {
   $.checkArgument(bitcoinAddress);
   $.checkArgument(signatureString && _.isString(signatureString));
 
@@ -119,7 +183,7 @@ Message.prototype.recoverPublicKey = function recoverPublicKey(bitcoinAddress, s
 
   // recover the public key
   var ecdsa = new ECDSA();
-  ecdsa.hashbuf = this.magicHash();
+  ecdsa.hashbuf = this.magicHash(Message._getHashOptions(bitcoinAddress.network, opts));
   ecdsa.sig = signature;
   var publicKey = ecdsa.toPublicKey();
 
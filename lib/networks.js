@@ -1,13 +1,58 @@
 'use strict';
+var _ = require('lodash');
 var BufferUtil = require('./util/buffer');
 var JSUtil = require('./util/js');
 var networks = [];
 var networkMaps = {};
 
+// Bitcoin's proof-of-work hash, signed message prefix and URI scheme
+var DEFAULT_PARAMETERS = {
+  powAlgorithm: 'sha256d',
+  messagePrefix: 'Bitcoin Signed Message:\n',
+  uriScheme: 'bitcoin'
+};
+
+/*
+ * Bitcoin's consensus and relay policy parameters, used for any parameter a
+ * network does not set.
+ */
+var DEFAULT_CONSENSUS = {
+  maxMoney: 21000000 * 1e8,
+  coinbaseMaturity: 100,
+  maxBlockSize: 1000000,
+  maxBlockWeight: 4000000,
+  powLimit: 0x1d00ffff,
+  difficultyOneBits: 0x1d00ffff,
+  targetSpacing: 10 * 60,
+  powTargetTimespan: 14 * 24 * 60 * 60,
+  powAllowMinDifficultyBlocks: false,
+  powNoRetargeting: false,
+  powRetargetFullInterval: false,
+  powGravityWellHeight: null,
+  posLimit: null,
+  posTargetTimespan: null,
+  maxTimeOffset: 2 * 60 * 60
+};
+
+var DEFAULT_POLICY = {
+  dustRelayFee: 3000,
+  minRelayFee: 1000,
+  incrementalRelayFee: 1000,
+  dustAmount: 546,
+  feePerKb: 100000
+};
+
+// The identifiers a network is looked up by, along with its magic number (see `get`)
+var INDEXED_KEYS = [
+  'name', 'alias', 'pubkeyhash', 'privatekey', 'scripthash', 'bech32prefix', 'xpubkey', 'xprivkey', 'port'
+];
+
 /**
  * A network is merely a map containing values that correspond to version
- * numbers for each bitcoin network. Currently only supporting "livenet"
- * (a.k.a. "mainnet") and "testnet".
+ * numbers for each network. The Reddcoin networks ("reddcoin",
+ * "reddcoin-testnet" and "reddcoin-regtest") are registered alongside the
+ * bitcoin "livenet" (a.k.a. "mainnet"), "testnet" and "regtest" networks,
+ * and "reddcoin" is the default.
  * @constructor
  */
 function Network() {}
@@ -70,6 +115,50 @@ function is(str) {
  * @param {string} data.bech32prefix - The native segwit prefix
  * @param {Number} data.xpubkey - The extended public key magic
  * @param {Number} data.xprivkey - The extended private key magic
+ * @param {Number} data.txTimeVersion - The lowest transaction version that carries an nTime field (PoSV)
+ * @param {Number} data.blockSigVersion - The lowest block version that carries a block signature (PoSV)
+ * @param {string} data.powAlgorithm - The proof-of-work hash: 'sha256d' (default) or 'scrypt'
+ * @param {string} data.messagePrefix - The magic prefix of signed messages, bitcoin's by default
+ * @param {string} data.uriScheme - The scheme of payment URIs, 'bitcoin' by default
+ * @param {Number} data.stakeMinAge - The age in seconds from which an output can stake (PoSV)
+ * @param {Number} data.stakeMaxAge - The maximum coin age weight in seconds of a staked output (PoSV)
+ * @param {Number} data.stakeModifierInterval - The time in seconds between stake modifiers (PoSV)
+ * @param {Object} data.consensus - Consensus parameters, bitcoin's are used for those not given
+ * @param {Number} data.consensus.maxMoney - The largest amount in satoshis an output or a transaction can carry
+ * @param {Number} data.consensus.coinbaseMaturity - The number of blocks before a coinbase can be spent
+ * @param {Number} data.consensus.maxBlockSize - The maximum serialized size of a block, without witnesses
+ * @param {Number} data.consensus.maxBlockWeight - The maximum weight of a block
+ * @param {Number} data.consensus.powLimit - The easiest proof-of-work target, in compact form
+ * @param {Number} data.consensus.difficultyOneBits - The compact target of difficulty 1, which
+ *   `BlockHeader#getDifficulty` is relative to
+ * @param {Number} data.consensus.targetSpacing - The expected time in seconds between blocks
+ * @param {Number} data.consensus.powTargetTimespan - The time in seconds between difficulty retargets,
+ *   the proof-of-work target is not checked if not set
+ * @param {Boolean} data.consensus.powAllowMinDifficultyBlocks - If a block can use the proof-of-work limit
+ *   when found long after the previous block (testnet)
+ * @param {Boolean} data.consensus.powNoRetargeting - If the target never changes (regtest)
+ * @param {Boolean} data.consensus.powRetargetFullInterval - If the retarget measures the time of the whole
+ *   period, as Litecoin does, rather than the time since the first block of the period
+ * @param {Number} data.consensus.powGravityWellHeight - The height from which Kimoto Gravity Well sets the
+ *   proof-of-work target of each block instead of the periodic retarget, never if not set
+ * @param {Number} data.consensus.posLimit - The easiest proof-of-stake target, in compact form (PoSV)
+ * @param {Number} data.consensus.posTargetTimespan - The timespan of the moving average adjusting the
+ *   proof-of-stake target after each proof-of-stake block (PoSV)
+ * @param {Number} data.consensus.maxTimeOffset - How far in seconds a block time can be in the future
+ * @param {Object} data.genesis - The genesis block, if known
+ * @param {Number} data.genesis.version - The version of the genesis block
+ * @param {Number} data.genesis.time - The timestamp of the genesis block
+ * @param {Number} data.genesis.bits - The compact target of the genesis block
+ * @param {Number} data.genesis.nonce - The nonce of the genesis block
+ * @param {string} data.genesis.coinbase - The serialized coinbase transaction of the genesis block
+ * @param {Object} data.checkpoints - Known block hashes, by height
+ * @param {Object} data.policy - Relay policy parameters, bitcoin's are used for those not given
+ * @param {Number} data.policy.dustRelayFee - The fee rate in satoshis per kB defining dust outputs
+ * @param {Number} data.policy.minRelayFee - The minimum fee rate in satoshis per kB to relay a transaction
+ * @param {Number} data.policy.incrementalRelayFee - The fee rate in satoshis per kB a replacement
+ *   transaction pays for its own relay on top of the fee of the transactions it replaces (BIP125)
+ * @param {Number} data.policy.dustAmount - The value in satoshis under which an output is dust
+ * @param {Number} data.policy.feePerKb - The default fee rate in satoshis per kB of new transactions
  * @param {Array}  data.variants - An array of variants
  * @param {string} data.variants.name - The name of the variant
  * @param {Number} data.variants.networkMagic - The network magic number
@@ -92,6 +181,24 @@ function addNetwork(data) {
     xprivkey: data.xprivkey
   });
 
+  JSUtil.defineImmutable(network, _.defaults(_.pick(data, _.keys(DEFAULT_PARAMETERS)), DEFAULT_PARAMETERS));
+
+  JSUtil.defineImmutable(network, {
+    consensus: Object.freeze(Object.assign({}, DEFAULT_CONSENSUS, data.consensus)),
+    policy: Object.freeze(Object.assign({}, DEFAULT_POLICY, data.policy)),
+    checkpoints: Object.freeze(Object.assign({}, data.checkpoints))
+  });
+
+  // the genesis block and the PoSV parameters are only defined on the networks which have them
+  JSUtil.defineImmutable(network, _.omitBy({
+    genesis: data.genesis && Object.freeze(Object.assign({}, data.genesis)),
+    txTimeVersion: data.txTimeVersion,
+    blockSigVersion: data.blockSigVersion,
+    stakeMinAge: data.stakeMinAge,
+    stakeMaxAge: data.stakeMaxAge,
+    stakeModifierInterval: data.stakeModifierInterval
+  }, _.isUndefined));
+
   if (data.networkMagic) {
     JSUtil.defineImmutable(network, {
       networkMagic: BufferUtil.integerAsBuffer(data.networkMagic)
@@ -110,8 +217,8 @@ function addNetwork(data) {
     });
   }
 
-  for (const value of Object.values(network)) {
-    if (value != null && typeof value !== 'object') {
+  for (const value of INDEXED_KEYS.map(key => network[key]).concat(data.networkMagic)) {
+    if (value != null) {
       if (!networkMaps[value]) {
         networkMaps[value] = [];
       }
@@ -132,6 +239,16 @@ function addNetwork(data) {
   return network;
 }
 
+/**
+ * @function
+ * @member Networks#all
+ * Returns all the networks, in the order they were added
+ * @return {Array.<Network>}
+ */
+function all() {
+  return networks.slice();
+}
+
 /**
  * @function
  * @member Networks#remove
@@ -162,6 +279,93 @@ function removeNetwork(network) {
   }
 }
 
+// The coinbase of the bitcoin genesis block, shared by the bitcoin networks
+var BITCOIN_GENESIS_COINBASE = '01000000010000000000000000000000000000000000000000000000000000000000000000ffffffff' +
+  '4d04ffff001d0104455468652054696d65732030332f4a616e2f32303039204368616e63656c6c6f72206f6e206272696e6b206f66' +
+  '207365636f6e64206261696c6f757420666f722062616e6b73ffffffff0100f2052a01000000434104678afdb0fe5548271967f1a6' +
+  '7130b7105cd6a828e03909a67962e0ea1f61deb649f6bc3f4cef38c4f35504e51ec112de5c384df7ba0b8d578a4c702b6bf11d5fac' +
+  '00000000';
+
+// The coinbase of the Reddcoin genesis block, shared by mainnet and testnet
+var REDDCOIN_GENESIS_COINBASE = '01000000010000000000000000000000000000000000000000000000000000000000000000ffffffff' +
+  '3004ffff001d0104284a616e75617279203231737420323031342077617320737563682061206e696365206461792e2e2effffffff' +
+  '010010a5d4e80000004341040184710fa689ad5023690c80f3a49c8f13f8d45b8c857fbcbc8bc4a8e4d3eb4b10f4d4604fa08dce60' +
+  '1aaf0f470216fe1b51850b4acf21b179c45070ac7b03a9ac00000000';
+
+var REDDCOIN_CONSENSUS = {
+  maxMoney: 92233720368 * 1e8,
+  coinbaseMaturity: 30,
+  powLimit: 0x1e0fffff,
+  targetSpacing: 60,
+  // the Litecoin retarget, daily, until Kimoto Gravity Well took over
+  powTargetTimespan: 24 * 60 * 60,
+  powRetargetFullInterval: true,
+  powGravityWellHeight: 44877,
+  posLimit: 0x1e0fffff,
+  posTargetTimespan: 24 * 60 * 60
+};
+
+// Reddcoin Core relays transactions paying 0.001 RDD per kB, outputs worth
+// less than 3 times the fee of spending them are dust, and its wallet pays 0.01 RDD per kB
+var REDDCOIN_POLICY = {
+  dustRelayFee: 300000,
+  minRelayFee: 100000,
+  incrementalRelayFee: 100000,
+  dustAmount: 54600,
+  feePerKb: 1000000
+};
+
+/*
+ * Reddcoin mainnet shares the scripthash and extended key versions with
+ * bitcoin livenet. It is registered first so that those ambiguous prefixes
+ * resolve to the default network.
+ */
+addNetwork({
+  name: 'reddcoin',
+  alias: 'rdd',
+  is,
+  pubkeyhash: 0x3d,
+  privatekey: 0xbd,
+  scripthash: 0x05,
+  bech32prefix: 'rdd',
+  xpubkey: 0x0488b21e,
+  xprivkey: 0x0488ade4,
+  txTimeVersion: 2,
+  blockSigVersion: 3,
+  powAlgorithm: 'scrypt',
+  messagePrefix: 'Reddcoin Signed Message:\n',
+  uriScheme: 'reddcoin',
+  stakeMinAge: 8 * 60 * 60,
+  stakeMaxAge: 45 * 24 * 60 * 60,
+  stakeModifierInterval: 10 * 60,
+  consensus: REDDCOIN_CONSENSUS,
+  policy: REDDCOIN_POLICY,
+  genesis: {
+    version: 1,
+    time: 1390280400,
+    bits: 0x1e0ffff0,
+    nonce: 222583475,
+    coinbase: REDDCOIN_GENESIS_COINBASE
+  },
+  checkpoints: {
+    0: 'b868e0d95a3c3c0e0dadc67ee587aaf9dc8acbf99e3b4b3110fad4eb74c1decc'
+  },
+  networkMagic: 0xfbc0b6db,
+  port: 45444,
+  dnsSeeds: [
+    'seed.reddcoin.com',
+    'dnsseed01.redd.ink',
+    'dnsseed02.redd.ink',
+    'dnsseed03.redd.ink'
+  ]
+});
+
+/**
+ * @instance
+ * @member Networks#reddcoin
+ */
+var reddcoin = get('reddcoin');
+
 addNetwork({
   name: 'livenet',
   alias: 'mainnet',
@@ -172,6 +376,29 @@ addNetwork({
   bech32prefix: 'bc',
   xpubkey: 0x0488b21e,
   xprivkey: 0x0488ade4,
+  genesis: {
+    version: 1,
+    time: 1231006505,
+    bits: 0x1d00ffff,
+    nonce: 2083236893,
+    coinbase: BITCOIN_GENESIS_COINBASE
+  },
+  checkpoints: {
+    0: '000000000019d6689c085ae165831e934ff763ae46a2a6c172b3f1b60a8ce26f',
+    11111: '0000000069e244f73d78e8fd29ba2fd2ed618bd6fa2ee92559f542fdb26e7c1d',
+    33333: '000000002dd5588a74784eaa7ab0507a18ad16a236e7b1ce69f00d7ddfb5d0a6',
+    74000: '0000000000573993a3c9e41ce34471c079dcf5f52a0e824a81e7f953b8661a20',
+    105000: '00000000000291ce28027faea320c8d2b054b2e0fe44a773f3eefb151d6bdc97',
+    134444: '00000000000005b12ffd4cd315cd34ffd4a594f430ac814c91184a0d42d2b0fe',
+    168000: '000000000000099e61ea72015e79632f216fe6cb33d7899acb35b75c8303b763',
+    193000: '000000000000059f452a5f7340de6682a977387c17010ff6e6c3bd83ca8b1317',
+    210000: '000000000000048b95347e83192f69cf0366076336c639f9b7228e9ba171342e',
+    216116: '00000000000001b4f4b433e81ee46494af945cf96014816a4e2370f11b23df4e',
+    225430: '00000000000001c108384350f74090433e7fcf79a606b8e797f065b130575932',
+    250000: '000000000000003887df1f29024b06fc2200b55f8af8f35453d7be294df2d214',
+    279000: '0000000000000001ae8c72a0b0c301f67e3afca10e819efa9041e458e9bd7e40',
+    295000: '00000000000000004d9b4ef50f0f9d686fd69db2e03af35a100370c64632a983'
+  },
   networkMagic: 0xf9beb4d9,
   port: 8333,
   dnsSeeds: [
@@ -200,6 +427,20 @@ addNetwork({
   bech32prefix: 'tb',
   xpubkey: 0x043587cf,
   xprivkey: 0x04358394,
+  consensus: {
+    powAllowMinDifficultyBlocks: true
+  },
+  genesis: {
+    version: 1,
+    time: 1296688602,
+    bits: 0x1d00ffff,
+    nonce: 414098458,
+    coinbase: BITCOIN_GENESIS_COINBASE
+  },
+  checkpoints: {
+    0: '000000000933ea01ad0ee984209779baaec3ced90fa3f408719526f8d77f4943',
+    546: '000000002a936ca763904c3c35fce2f3556c559c0214345d31b1bcebf76acb70'
+  },
   variants: [{
     name: 'testnet3',
     networkMagic: 0x0b110907,
@@ -212,6 +453,19 @@ addNetwork({
     ]
   }, {
     name: 'signet',
+    consensus: {
+      powLimit: 0x1e0377ae
+    },
+    genesis: {
+      version: 1,
+      time: 1598918400,
+      bits: 0x1e0377ae,
+      nonce: 52613770,
+      coinbase: BITCOIN_GENESIS_COINBASE
+    },
+    checkpoints: {
+      0: '00000008819873e925422c1ff0f99f7cc9bbb232af63a077a480a3633bee1ef6'
+    },
     networkMagic: 0x0a03cf40,
     port: 38332,
     dnsSeeds: [
@@ -241,6 +495,21 @@ addNetwork({
   bech32prefix: 'bcrt',
   xpubkey: 0x043587cf,
   xprivkey: 0x04358394,
+  consensus: {
+    powLimit: 0x207fffff,
+    powAllowMinDifficultyBlocks: true,
+    powNoRetargeting: true
+  },
+  genesis: {
+    version: 1,
+    time: 1296688602,
+    bits: 0x207fffff,
+    nonce: 2,
+    coinbase: BITCOIN_GENESIS_COINBASE
+  },
+  checkpoints: {
+    0: '0f9188f13cb7b2c71f2a335e3a4fc328bf5beb436012afca590b1a11466e2206'
+  },
   networkMagic: 0xfabfb5da,
   port: 18444,
   dnsSeeds: []
@@ -252,6 +521,93 @@ addNetwork({
  */
 var regtest = get('regtest');
 
+/*
+ * Like bitcoin regtest, the Reddcoin test networks reuse the bitcoin testnet
+ * version bytes, so a bare testnet address or key still resolves to "testnet"
+ * unless a network is given explicitly.
+ */
+addNetwork({
+  name: 'reddcoin-testnet',
+  alias: 'rdd-testnet',
+  is,
+  pubkeyhash: 0x6f,
+  privatekey: 0xef,
+  scripthash: 0xc4,
+  bech32prefix: 'trdd',
+  xpubkey: 0x043587cf,
+  xprivkey: 0x04358394,
+  txTimeVersion: 2,
+  blockSigVersion: 3,
+  powAlgorithm: 'scrypt',
+  messagePrefix: 'Reddcoin Signed Message:\n',
+  uriScheme: 'reddcoin',
+  stakeMinAge: 8 * 60 * 60,
+  stakeMaxAge: 45 * 24 * 60 * 60,
+  stakeModifierInterval: 10 * 60,
+  consensus: Object.assign({}, REDDCOIN_CONSENSUS, {
+    powGravityWellHeight: 10
+  }),
+  policy: REDDCOIN_POLICY,
+  genesis: {
+    version: 1,
+    time: 1399544585,
+    bits: 0x1e0ffff0,
+    nonce: 1403777,
+    coinbase: REDDCOIN_GENESIS_COINBASE
+  },
+  checkpoints: {
+    0: '46db8d519c64586e3f0bf16153f61fdcf1d30b71ab159bf4a5b46dbcbc79d814'
+  },
+  networkMagic: 0xfec3bcde,
+  port: 55444,
+  dnsSeeds: [
+    'testnet-seed.reddcoin.com',
+    'testnet-dnsseed.redd.ink'
+  ]
+});
+
+/**
+ * @instance
+ * @member Networks#reddcoinTestnet
+ */
+var reddcoinTestnet = get('reddcoin-testnet');
+
+// the genesis block of Reddcoin regtest is not known, so a HeaderChain on it
+// needs a start header
+addNetwork({
+  name: 'reddcoin-regtest',
+  alias: 'rdd-regtest',
+  is,
+  pubkeyhash: 0x6f,
+  privatekey: 0xef,
+  scripthash: 0xc4,
+  bech32prefix: 'rrdd',
+  xpubkey: 0x043587cf,
+  xprivkey: 0x04358394,
+  txTimeVersion: 2,
+  blockSigVersion: 3,
+  powAlgorithm: 'scrypt',
+  messagePrefix: 'Reddcoin Signed Message:\n',
+  uriScheme: 'reddcoin',
+  stakeMinAge: 8 * 60 * 60,
+  stakeMaxAge: 45 * 24 * 60 * 60,
+  stakeModifierInterval: 10 * 60,
+  consensus: Object.assign({}, REDDCOIN_CONSENSUS, {
+    powLimit: 0x207fffff,
+    posLimit: 0x207fffff
+  }),
+  policy: REDDCOIN_POLICY,
+  networkMagic: 0xfabfb5da,
+  port: 56444,
+  dnsSeeds: []
+});
+
+/**
+ * @instance
+ * @member Networks#reddcoinRegtest
+ */
+var reddcoinRegtest = get('reddcoin-regtest');
+
 /**
  * @function
  * @deprecated
@@ -278,7 +634,10 @@ function disableRegtest() {
 module.exports = {
   add: addNetwork,
   remove: removeNetwork,
-  defaultNetwork: livenet,
+  defaultNetwork: reddcoin,
+  reddcoin: reddcoin,
+  reddcoinTestnet: reddcoinTestnet,
+  reddcoinRegtest: reddcoinRegtest,
   livenet: livenet,
   mainnet: livenet,
   testnet: testnet,
@@ -286,6 +645,7 @@ module.exports = {
   signet: signet,
   regtest: regtest,
   get: get,
+  all: all,
   enableRegtest: enableRegtest,
   disableRegtest: disableRegtest
 };
@@ -7,6 +7,7 @@ var Hash = require('../crypto/hash');
 var Opcode = require('../opcode');
 var PublicKey = require('../publickey');
 var Signature = require('../crypto/signature');
+var BN = require('../crypto/bn');
 var Networks = require('../networks');
 var $ = require('../util/preconditions');
 var _ = require('lodash');
@@ -516,6 +517,35 @@ Script.prototype.isMultisigOut = function() {
 };
 
 
+/**
+ * @returns {boolean} if this is a tapscript multisig leaf script, as built by
+ * {@link Script.buildTapscriptMultisigOut}
+ */
+Script.prototype.isTapscriptMultisigOut = function() {
+  /* jshint maxcomplexity: 13 */
+  var chunks = this.chunks;
+  if (chunks.length < 4 || chunks.length % 2 !== 0 || _.last(chunks).opcodenum !== Opcode.OP_NUMEQUAL) {
+    return false;
+  }
+  var keyCount = (chunks.length - 2) / 2;
+  for (var i = 0; i < keyCount; i++) {
+    var key = chunks[2 * i];
+    var checksig = i === 0 ? Opcode.OP_CHECKSIG : Opcode.OP_CHECKSIGADD;
+    if (!key.buf || key.buf.length !== 32 || chunks[2 * i + 1].opcodenum !== checksig) {
+      return false;
+    }
+  }
+  var threshold = chunks[chunks.length - 2];
+  if (Opcode.isSmallIntOp(threshold.opcodenum)) {
+    threshold = Opcode.decodeOpN(threshold.opcodenum);
+  } else if (threshold.buf && threshold.buf.length <= 4) {
+    threshold = BN.fromScriptNumBuffer(threshold.buf).toNumber();
+  } else {
+    return false;
+  }
+  return threshold > 0 && threshold <= keyCount;
+};
+
 /**
  * @returns {boolean} if this is a multisig input script
  */
@@ -825,6 +855,58 @@ Script.buildMultisigOut = function(publicKeys, threshold, opts) {
   return script;
 };
 
+/**
+ * @returns {Script} a new tapscript leaf script requiring m of the given public
+ * keys to sign: `<pk1> OP_CHECKSIG <pk2> OP_CHECKSIGADD ... <m> OP_NUMEQUAL`,
+ * with the keys in the given order
+ * @param {Array.<PublicKey|Buffer|string>} publicKeys - the keys, or their
+ *   x-only form
+ * @param {number} threshold - amount of required signatures to spend the output
+ */
+Script.buildTapscriptMultisigOut = function(publicKeys, threshold) {
+  $.checkArgument(_.isArray(publicKeys) && publicKeys.length > 0, 'At least one public key is required');
+  $.checkArgument(publicKeys.length <= Script.MAX_PUBKEYS_PER_MULTI_A,
+    'Number of public keys must be at most ' + Script.MAX_PUBKEYS_PER_MULTI_A);
+  $.checkArgument(JSUtil.isNaturalNumber(threshold) && threshold > 0 && threshold <= publicKeys.length,
+    'Number of required signatures must be less than or equal to the number of public keys');
+  var script = new Script();
+  publicKeys.forEach(function(publicKey, index) {
+    script.add(Script._toXOnlyKey(publicKey));
+    script.add(index === 0 ? Opcode.OP_CHECKSIG : Opcode.OP_CHECKSIGADD);
+  });
+  script.add(threshold <= 16 ? Opcode.smallInt(threshold) : new BN(threshold).toScriptNumBuffer());
+  script.add(Opcode.OP_NUMEQUAL);
+  return script;
+};
+
+/**
+ * @returns {Script} a new tapscript multisig leaf script, see
+ * {@link Script.buildTapscriptMultisigOut}, with the x-only keys sorted
+ * lexicographically as in the `sortedmulti_a` descriptor
+ * @param {Array.<PublicKey|Buffer|string>} publicKeys
+ * @param {number} threshold
+ */
+Script.buildSortedTapscriptMultisigOut = function(publicKeys, threshold) {
+  $.checkArgument(_.isArray(publicKeys), 'An array of public keys is required');
+  return Script.buildTapscriptMultisigOut(publicKeys.map(Script._toXOnlyKey).sort(Buffer.compare), threshold);
+};
+
+// the maximum number of keys of a tapscript multisig leaf, see BIP387
+Script.MAX_PUBKEYS_PER_MULTI_A = 999;
+
+/**
+ * @private
+ */
+Script._toXOnlyKey = function(publicKey) {
+  if (BufferUtil.isBuffer(publicKey) && publicKey.length === 32) {
+    return publicKey;
+  }
+  if (_.isString(publicKey) && publicKey.length === 64) {
+    return Buffer.from(publicKey, 'hex');
+  }
+  return new PublicKey(publicKey).point.x.toBuffer({ size: 32 });
+};
+
 Script.buildWitnessMultisigOutFromScript = function(script) {
   if (script instanceof Script) {
     var s = new Script();
@@ -990,6 +1072,9 @@ Script.buildWitnessV1Out = function(to, scriptTree) {
   const s = new Script();
   s.add(Opcode.OP_1);
   s.add(tweakedPubKey);
+  if (to instanceof Address) {
+    s._network = to.network;
+  }
   return s;
 };
 
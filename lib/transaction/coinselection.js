@@ -0,0 +1,420 @@
+'use strict';
+
+/* jshint maxparams:5 */
+
+const _ = require('lodash');
+const $ = require('../util/preconditions');
+const errors = require('../errors');
+const Random = require('../crypto/random');
+const BufferWriter = require('../encoding/bufferwriter');
+const Script = require('../script');
+const Output = require('./output');
+
+/**
+ * Coin selection: choosing which UTXOs of a pool a transaction spends to pay
+ * its outputs and its fee at a given fee rate (in satoshis per byte).
+ *
+ * Every strategy is a function `(utxos, outputs, feeRate, opts)` returning a
+ * {@link CoinSelection~Selection}, or `null` when it finds none. The size of
+ * each UTXO as an input is estimated by the `_estimateSize` of the input that
+ * `Transaction#from` would create for it, so that the fee of a selection
+ * accounts for the type of each input. Strategies are usually made with
+ * {@link CoinSelection.createStrategy} and registered in
+ * `CoinSelection.strategies`, where {@link CoinSelection.select} and
+ * `Transaction#from` look them up by name:
+ *
+ * - `branchAndBound`: the selection without change which wastes the least,
+ *   searched depth first
+ * - `knapsack`: bitcoind's stochastic approximation of the smallest selection
+ *   which leaves a change
+ * - `largestFirst`: the largest UTXOs first
+ * - `oldestFirst`: the UTXOs with the most confirmations, or else the earliest
+ *   `time`, first
+ * - `random`: UTXOs in a random order until a change is left, so that the
+ *   selection reveals nothing about the wallet
+ *
+ * @example
+ * ```javascript
+ * var selection = CoinSelection.select(utxos, [{ address: address, satoshis: 100000 }], 10, {
+ *   strategy: 'largestFirst',
+ *   changeAddress: changeAddress
+ * });
+ * ```
+ */
+const CoinSelection = {};
+
+// Size in bytes of the change output assumed when no change script is given (pay to public key hash)
+CoinSelection.CHANGE_OUTPUT_SIZE = 8 + 1 + 25;
+
+// Maximum amount of branches explored by the branch and bound strategy
+CoinSelection.MAX_TRIES = 100000;
+
+// Amount of random subsets tried by the knapsack strategy
+CoinSelection.KNAPSACK_ITERATIONS = 1000;
+
+/**
+ * @typedef {Object} CoinSelection~Selection
+ * @property {Array.<Input>} inputs - the inputs spending the selected UTXOs
+ * @property {Array.<Object>} utxos - the selected UTXOs, as given
+ * @property {number} fee - the fee paid, in satoshis
+ * @property {number} change - the amount of the change output, 0 if there is none
+ */
+
+/**
+ * @typedef {Object} CoinSelection~Candidate
+ * @property {Object} utxo - the UTXO, as given
+ * @property {Input} input - the input spending it
+ * @property {number} satoshis
+ * @property {number} effectiveValue - its amount minus the fee of its input
+ */
+
+/**
+ * The defaults are tried in order: a selection without change if there is
+ * one, else the knapsack.
+ */
+CoinSelection.DEFAULT_STRATEGIES = ['branchAndBound', 'knapsack'];
+
+/**
+ * Selects the UTXOs to pay some outputs with the first of the strategies
+ * finding a selection.
+ *
+ * @param {Array.<Object>} utxos - the UTXOs to choose from, see `Transaction#from`
+ * @param {Array.<Output|Transaction~toObject>} outputs - the outputs to pay
+ * @param {number} feeRate - in satoshis per byte
+ * @param {Object=} opts - see {@link CoinSelection.createStrategy}, and:
+ * @param {string|Function|Array=} opts.strategy - the name of a strategy, a
+ *   strategy, or several of them, `CoinSelection.DEFAULT_STRATEGIES` by default
+ * @return {CoinSelection~Selection}
+ * @throws {CoinSelection.InsufficientFunds} if the UTXOs can't pay for the outputs
+ * @throws {CoinSelection.NoSolution} if none of the strategies found a selection
+ */
+CoinSelection.select = function(utxos, outputs, feeRate, opts) {
+  opts = opts || {};
+  const strategies = _.castArray(opts.strategy || CoinSelection.DEFAULT_STRATEGIES).map(strategy => {
+    if (_.isFunction(strategy)) {
+      return strategy;
+    }
+    $.checkArgument(_.isFunction(CoinSelection.strategies[strategy]), 'Unknown coin selection strategy: ' + strategy);
+    return CoinSelection.strategies[strategy];
+  });
+  for (const strategy of strategies) {
+    const selection = strategy(utxos, outputs, feeRate, opts);
+    if (selection) {
+      return selection;
+    }
+  }
+  const context = CoinSelection._getContext(utxos, outputs, feeRate, opts);
+  const available = _.sumBy(context.candidates, candidate => Math.max(candidate.effectiveValue, 0));
+  if (available < context.target) {
+    throw new errors.Transaction.CoinSelection.InsufficientFunds(context.amount);
+  }
+  throw new errors.Transaction.CoinSelection.NoSolution(context.amount);
+};
+
+/**
+ * Makes a strategy out of a function choosing among the candidates: given
+ * them and the context of the selection, it returns the chosen candidates, or
+ * `null`. The effective value of the chosen candidates must be at least
+ * `context.target`, and a change output is only added when it exceeds it by
+ * more than `context.costOfChange`.
+ *
+ * The context has the following properties:
+ * - `target`: the effective value needed to pay the outputs and the fee
+ * - `costOfChange`: the largest excess of effective value over `target` left
+ *   to the fee instead of being sent to a change output
+ * - `feeRate`: in satoshis per byte
+ * - `random`: a function returning a random number in [0, 1)
+ *
+ * @param {Function} choose - `(candidates, context)`, the candidates being
+ *   {@link CoinSelection~Candidate} in the order of the UTXOs
+ * @return {Function} the strategy, whose options are:
+ *   - `transaction`: a transaction whose inputs are spent along with the
+ *     selected ones, and whose network, version and change address are used
+ *   - `network`: the network of the transaction, if none is given
+ *   - `changeScript` or `changeAddress`: the change address, otherwise that of
+ *     the transaction, used to estimate the size of the change output
+ *   - `pubkeys`, `threshold` and the options of `Transaction#from`, to create
+ *     the inputs
+ *   - `random`: a function returning a random number in [0, 1), secure
+ *     random bytes are used by default
+ */
+CoinSelection.createStrategy = function(choose) {
+  return function(utxos, outputs, feeRate, opts) {
+    const context = CoinSelection._getContext(utxos, outputs, feeRate, opts || {});
+    const chosen = choose(context.candidates, context);
+    return chosen ? CoinSelection._getSelection(chosen, context) : null;
+  };
+};
+
+/**
+ * Looks for the selection whose effective value exceeds the target by the
+ * least, among those which need no change output, by a depth first search of
+ * the candidates sorted by descending effective value.
+ */
+CoinSelection.branchAndBound = function(candidates, context) {
+  const pool = _.orderBy(_.filter(candidates, candidate => candidate.effectiveValue > 0), 'effectiveValue', 'desc');
+  const maxValue = context.target + context.costOfChange;
+  const selected = [];
+  let tries = 0;
+  let best = null;
+  let bestExcess;
+
+  const search = function(index, value, remaining) {
+    /* jshint maxstatements: 20, maxcomplexity: 11 */
+    if (tries++ >= CoinSelection.MAX_TRIES || bestExcess === 0 || value > maxValue) {
+      return;
+    }
+    if (value >= context.target) {
+      if (!best || value - context.target < bestExcess) {
+        best = selected.slice();
+        bestExcess = value - context.target;
+      }
+      return;
+    }
+    if (index === pool.length || value + remaining < context.target) {
+      return;
+    }
+    const candidate = pool[index];
+    selected.push(candidate);
+    search(index + 1, value + candidate.effectiveValue, remaining - candidate.effectiveValue);
+    selected.pop();
+    // omitting the candidates of the same value, as selecting them would
+    // lead to the selections already explored
+    let next = index + 1;
+    remaining -= candidate.effectiveValue;
+    while (next < pool.length && pool[next].effectiveValue === candidate.effectiveValue) {
+      remaining -= pool[next].effectiveValue;
+      next++;
+    }
+    search(next, value, remaining);
+  };
+
+  search(0, 0, _.sumBy(pool, 'effectiveValue'));
+  return best;
+};
+
+/**
+ * The knapsack solver of bitcoind: a candidate matching the target without
+ * change, the smaller candidates if they add up to it, or else the best of
+ * the smallest larger candidate and of random subsets of the smaller ones
+ * leaving a change.
+ */
+CoinSelection.knapsack = function(candidates, context) {
+  /* jshint maxstatements: 20 */
+  const pool = _.orderBy(_.filter(candidates, candidate => candidate.effectiveValue > 0), 'effectiveValue', 'desc');
+  const targetWithChange = context.target + context.costOfChange + 1;
+  const isChangeless = value => value >= context.target && value < targetWithChange;
+
+  const match = _.find(pool, candidate => isChangeless(candidate.effectiveValue));
+  if (match) {
+    return [match];
+  }
+  const smaller = _.filter(pool, candidate => candidate.effectiveValue < targetWithChange);
+  const lowestLarger = _.findLast(pool, candidate => candidate.effectiveValue >= targetWithChange);
+  const total = _.sumBy(smaller, 'effectiveValue');
+  if (isChangeless(total)) {
+    return smaller;
+  }
+  if (total < targetWithChange) {
+    if (lowestLarger) {
+      return [lowestLarger];
+    }
+    return total >= context.target ? smaller : null;
+  }
+  const best = CoinSelection._approximateBestSubset(smaller, targetWithChange, context.random);
+  if (lowestLarger && lowestLarger.effectiveValue <= _.sumBy(best, 'effectiveValue')) {
+    return [lowestLarger];
+  }
+  return best;
+};
+
+/**
+ * The smallest subset of the candidates reaching the target found among
+ * random ones: each iteration includes a random subset of the candidates,
+ * then the others in order until reaching the target.
+ *
+ * @private
+ */
+CoinSelection._approximateBestSubset = function(candidates, target, random) {
+  /* jshint maxstatements: 25 */
+  let best = candidates;
+  let bestValue = _.sumBy(candidates, 'effectiveValue');
+  for (let i = 0; i < CoinSelection.KNAPSACK_ITERATIONS && bestValue !== target; i++) {
+    const included = [];
+    let value = 0;
+    let reached = false;
+    for (let pass = 0; pass < 2 && !reached; pass++) {
+      for (let j = 0; j < candidates.length; j++) {
+        if (pass === 0 ? random() >= 0.5 : included[j]) {
+          continue;
+        }
+        value += candidates[j].effectiveValue;
+        included[j] = true;
+        if (value < target) {
+          continue;
+        }
+        reached = true;
+        if (value < bestValue) {
+          best = _.filter(candidates, (candidate, index) => included[index]);
+          bestValue = value;
+        }
+        // looking for a smaller subset without it
+        value -= candidates[j].effectiveValue;
+        included[j] = false;
+      }
+    }
+  }
+  return best;
+};
+
+/**
+ * Accumulates the candidates in the given order until reaching the target.
+ *
+ * @private
+ */
+CoinSelection._accumulate = function(pool, target) {
+  const selected = [];
+  let value = 0;
+  for (const candidate of pool) {
+    if (value >= target) {
+      break;
+    }
+    if (candidate.effectiveValue > 0) {
+      selected.push(candidate);
+      value += candidate.effectiveValue;
+    }
+  }
+  return { selected, value };
+};
+
+CoinSelection.largestFirst = function(candidates, context) {
+  const pool = _.orderBy(candidates, 'effectiveValue', 'desc');
+  const result = CoinSelection._accumulate(pool, context.target);
+  return result.value >= context.target ? result.selected : null;
+};
+
+CoinSelection.oldestFirst = function(candidates, context) {
+  const pool = _.sortBy(candidates, [
+    candidate => -(candidate.utxo.confirmations || 0),
+    candidate => _.isUndefined(candidate.utxo.time) ? Infinity : candidate.utxo.time
+  ]);
+  const result = CoinSelection._accumulate(pool, context.target);
+  return result.value >= context.target ? result.selected : null;
+};
+
+/**
+ * Shuffles the candidates and accumulates them until a change output is
+ * left, so that neither the selection nor the amounts of the outputs tell
+ * which one is the payment.
+ */
+CoinSelection.random = function(candidates, context) {
+  const pool = candidates.slice();
+  for (let i = pool.length - 1; i > 0; i--) {
+    const j = Math.floor(context.random() * (i + 1));
+    [pool[i], pool[j]] = [pool[j], pool[i]];
+  }
+  const result = CoinSelection._accumulate(pool, context.target + context.costOfChange + 1);
+  return result.value >= context.target ? result.selected : null;
+};
+
+CoinSelection.strategies = {
+  branchAndBound: CoinSelection.createStrategy(CoinSelection.branchAndBound),
+  knapsack: CoinSelection.createStrategy(CoinSelection.knapsack),
+  largestFirst: CoinSelection.createStrategy(CoinSelection.largestFirst),
+  oldestFirst: CoinSelection.createStrategy(CoinSelection.oldestFirst),
+  random: CoinSelection.createStrategy(CoinSelection.random)
+};
+
+/**
+ * @return {number} a secure random number in [0, 1)
+ * @private
+ */
+CoinSelection._getRandom = function() {
+  return Random.getRandomBuffer(4).readUInt32BE(0) / 0x100000000;
+};
+
+/**
+ * Gathers what the strategies need: the candidates and the amounts to select.
+ *
+ * @private
+ */
+CoinSelection._getContext = function(utxos, outputs, feeRate, opts) {
+  /* jshint maxstatements: 20 */
+  $.checkArgument(_.isArray(utxos), 'utxos must be an array');
+  $.checkArgument(_.isArray(outputs), 'outputs must be an array');
+  $.checkArgument(_.isNumber(feeRate) && feeRate >= 0, 'feeRate must be a positive number');
+  // required here, as transaction.js requires this file
+  const Transaction = require('./transaction');
+  const transaction = opts.transaction || new Transaction(null, { network: opts.network });
+  const draft = new Transaction(null, { network: transaction.network });
+  draft.version = transaction.version;
+  draft.inputs = transaction.inputs.slice();
+  draft.outputs = outputs.map(output => output instanceof Output ? output : new Output({
+    script: output.script || Script.fromAddress(output.address),
+    satoshis: output.satoshis
+  }));
+  const changeScript = (opts.changeScript || opts.changeAddress) ?
+    Script(opts.changeScript || Script.fromAddress(opts.changeAddress)) : transaction._changeScript;
+  let changeSize = CoinSelection.CHANGE_OUTPUT_SIZE;
+  if (changeScript) {
+    const scriptLen = changeScript.toBuffer().length;
+    changeSize = 8 + BufferWriter.varintBufNum(scriptLen).length + scriptLen;
+  }
+  const spent = draft.inputs.map(input => input.prevTxId.toString('hex') + ':' + input.outputIndex);
+  const candidates = _.reject(utxos, utxo => {
+    const txId = utxo.txId || utxo.txid;
+    return _.includes(spent, txId + ':' + (_.isUndefined(utxo.vout) ? utxo.outputIndex : utxo.vout));
+  }).map(utxo => {
+    const input = transaction._getInputFrom(utxo, opts.pubkeys, opts.threshold, opts);
+    return {
+      utxo: utxo,
+      input: input,
+      satoshis: input.output.satoshis,
+      effectiveValue: input.output.satoshis - input._estimateSize() * feeRate
+    };
+  });
+  const amount = _.sumBy(draft.outputs, 'satoshis') - _.sumBy(draft.inputs, input => input.output.satoshis);
+  // a margin of a byte and a satoshi for the fee being rounded up
+  const margin = feeRate + 1;
+  return {
+    draft,
+    spentInputs: transaction.inputs.slice(),
+    candidates,
+    amount,
+    changeSize,
+    feeRate,
+    dustAmount: draft.network.policy.dustAmount,
+    target: amount + draft._estimateSize() * feeRate + margin,
+    costOfChange: changeSize * feeRate + draft.network.policy.dustAmount - 1 - margin,
+    random: opts.random || CoinSelection._getRandom,
+    opts
+  };
+};
+
+/**
+ * The fee and change of the chosen candidates, as `Transaction#getFee` and
+ * the change output of the transaction would be.
+ *
+ * @private
+ */
+CoinSelection._getSelection = function(chosen, context) {
+  const draft = context.draft;
+  draft.inputs = context.spentInputs.concat(_.map(chosen, 'input'));
+  const estimatedSize = draft._estimateSize();
+  const available = _.sumBy(chosen, 'satoshis') - context.amount;
+  const fee = Math.ceil(estimatedSize * context.feeRate);
+  const feeWithChange = Math.ceil((estimatedSize + context.changeSize) * context.feeRate);
+  if (available < fee) {
+    return null;
+  }
+  const change = available > feeWithChange && available - feeWithChange > context.dustAmount ?
+    available - feeWithChange : 0;
+  return {
+    inputs: _.map(chosen, 'input'),
+    utxos: _.map(chosen, 'utxo'),
+    fee: available - change,
+    change: change
+  };
+};
+
+module.exports = CoinSelection;
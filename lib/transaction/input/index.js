@@ -5,3 +5,4 @@ module.exports.PublicKeyHash = require('./publickeyhash');
 module.exports.MultiSig = require('./multisig');
 module.exports.MultiSigScriptHash = require('./multisigscripthash');
 module.exports.Taproot = require('./taproot');
+module.exports.TapscriptMultiSig = require('./tapscriptmultisig');
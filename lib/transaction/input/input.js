@@ -35,7 +35,10 @@ Input.MAXINT = MAXINT;
 Input.DEFAULT_SEQNUMBER = DEFAULT_SEQNUMBER;
 Input.DEFAULT_LOCKTIME_SEQNUMBER = DEFAULT_LOCKTIME_SEQNUMBER;
 Input.DEFAULT_RBF_SEQNUMBER = DEFAULT_RBF_SEQNUMBER;
+Input.SEQUENCE_LOCKTIME_DISABLE_FLAG = SEQUENCE_LOCKTIME_DISABLE_FLAG;
 Input.SEQUENCE_LOCKTIME_TYPE_FLAG = SEQUENCE_LOCKTIME_TYPE_FLAG;
+Input.SEQUENCE_LOCKTIME_MASK = SEQUENCE_LOCKTIME_MASK;
+Input.SEQUENCE_LOCKTIME_GRANULARITY = SEQUENCE_LOCKTIME_GRANULARITY;
 
 Object.defineProperty(Input.prototype, 'script', {
   configurable: false,
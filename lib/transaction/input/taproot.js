@@ -1,56 +1,139 @@
+const _ = require('lodash');
 const inherits = require('inherits');
 const $ = require('../../util/preconditions');
+const BufferUtil = require('../../util/buffer');
+const BN = require('../../crypto/bn');
 const PubKeyHashInput = require('./publickeyhash');
 const SighashSchnorr = require('../sighashschnorr');
 const Signature = require('../../crypto/signature');
 const TransactionSignature = require('../signature');
 const Output = require('../output');
 const PrivateKey = require('../../privatekey');
+const PublicKey = require('../../publickey');
+const Script = require('../../script');
+const Interpreter = require('../../script/interpreter');
+const Opcode = require('../../opcode');
+const BufferWriter = require('../../encoding/bufferwriter');
 
-function TaprootInput() {
+/**
+ * Represents an input spending a pay to taproot output, by its key path or by
+ * one of the scripts of its script tree. A leaf script is spent once all the
+ * keys it checks signatures of have signed, with the witness
+ * `[signatures..., script, controlBlock]`.
+ *
+ * @param {Object} params - see {@link Input}, along with:
+ * @param {Buffer|string=} params.merkleRoot - the merkle root of the script
+ *   tree the output key commits to, for key path signatures
+ * @param {Array.<Object>=} params.leafScripts - the leaf scripts to sign for:
+ *   `{ controlBlock, script, leafVersion }`, as returned by `Output#finalize`
+ * @constructor
+ */
+function TaprootInput(params) {
   PubKeyHashInput.apply(this, arguments);
+  params = params || {};
+  if (params.merkleRoot) {
+    const merkleRoot = params.merkleRoot;
+    this.merkleRoot = BufferUtil.isBuffer(merkleRoot) ? merkleRoot : Buffer.from(merkleRoot, 'hex');
+  }
+  this.leafScripts = _.map(params.leafScripts, function(leaf) {
+    const script = new Script(leaf.script);
+    return {
+      controlBlock: BufferUtil.isBuffer(leaf.controlBlock) ? leaf.controlBlock : Buffer.from(leaf.controlBlock, 'hex'),
+      script,
+      leafVersion: leaf.leafVersion,
+      leafHash: Interpreter.computeTapleafHash(leaf.leafVersion, script.toBuffer())
+    };
+  });
+  // the signatures of the leaf scripts, along with their leaf hash
+  this.scriptSignatures = [];
 }
 inherits(TaprootInput, PubKeyHashInput);
 
 /**
- * Get signatures for this input
+ * Get signatures for this input: a key path signature if the key tweaked with
+ * the merkle root is the output key, and a script path signature for each
+ * leaf script with the key
+ *
  * @param {Transaction} transaction - the transaction to be signed
  * @param {PrivateKey} privateKey - the private key with which to sign the transaction
  * @param {number} index - the index of the input in the transaction input vector
- * @param {number} sigtype - the type of signature, defaults to Signature.SIGHASH_ALL
+ * @param {number} sigtype - the type of signature, defaults to Signature.SIGHASH_DEFAULT
  * @param {Buffer} hashData - unused for this input type
  * @param {String} signingMethod - always schnorr for taproot
- * @param {Buffer} merkleRoot - the merkle root of the taproot tree
+ * @param {Buffer} merkleRoot - the merkle root of the taproot tree, defaults to that of the input
  * @return {Array<TransactionSignature>}
  */
 TaprootInput.prototype.getSignatures = function(transaction, privateKey, index, sigtype, hashData, signingMethod, merkleRoot) {
   $.checkState(this.output instanceof Output);
   sigtype = sigtype || Signature.SIGHASH_DEFAULT;
-  
+  merkleRoot = merkleRoot || this.merkleRoot;
+
   const inputIndex = transaction.inputs.indexOf(this);
-  const tweakedPk = privateKey.createTapTweak(merkleRoot).tweakedPrivKey;
-  const signature = SighashSchnorr.sign(
-    transaction,
-    tweakedPk,
-    sigtype,
-    inputIndex,
-    Signature.Version.TAPROOT,
-    null
-  );
-  if (!signature) {
-    return [];
+  const signatures = [];
+  const sign = (publicKey, key, sigversion, leafHash) => {
+    const execdata = leafHash ? this._getExecData(leafHash, publicKey) : null;
+    const signature = SighashSchnorr.sign(transaction, key, sigtype, inputIndex, sigversion, execdata);
+    if (signature) {
+      signatures.push(new TransactionSignature({
+        publicKey,
+        prevTxId: this.prevTxId,
+        outputIndex: this.outputIndex,
+        inputIndex,
+        signature: Signature.fromSchnorr(signature),
+        sigtype,
+        leafHash
+      }));
+    }
+  };
+
+  const outputKey = this.output.script.chunks[1].buf;
+  const tweakedPubKey = privateKey.publicKey.createTapTweak(merkleRoot).tweakedPubKey;
+  if (BufferUtil.equals(BN.fromBuffer(tweakedPubKey).toBuffer({ size: 32 }), outputKey)) {
+    sign(privateKey.publicKey, privateKey.createTapTweak(merkleRoot).tweakedPrivKey, Signature.Version.TAPROOT, null);
+  }
+
+  const xOnlyKey = privateKey.publicKey.point.x.toBuffer({ size: 32 });
+  for (const leaf of this.leafScripts) {
+    const hasKey = _.some(TaprootInput._getLeafKeys(leaf.script), leafKey => BufferUtil.equals(leafKey.key, xOnlyKey));
+    if (hasKey && leaf.leafVersion === Interpreter.TAPROOT_LEAF_TAPSCRIPT) {
+      sign(PublicKey.fromTaproot(xOnlyKey), privateKey, Signature.Version.TAPSCRIPT, leaf.leafHash);
+    }
   }
-  return [new TransactionSignature({
-    publicKey: privateKey.publicKey,
-    prevTxId: this.prevTxId,
-    outputIndex: this.outputIndex,
-    inputIndex,
-    signature: Signature.fromSchnorr(signature),
-    sigtype: sigtype
-  })];
+  return signatures;
 };
 
+/**
+ * Returns the hash a key path signature of the input signs, for output keys
+ * that no single signer holds, such as MuSig2 aggregate keys (see
+ * {@link MuSig2}). The resulting signature is then added as any other key
+ * path signature.
+ *
+ * @param {Transaction} transaction
+ * @param {PrivateKey=} privateKey - unused, the key path hash does not depend
+ *   on the signer; kept for the parameters of the other inputs
+ * @param {number=} index - the index of the input, defaults to its position
+ *   in the transaction
+ * @param {number=} sigtype - defaults to Signature.SIGHASH_DEFAULT
+ * @return {Buffer}
+ */
+TaprootInput.prototype.getSighash = function(transaction, privateKey, index, sigtype) {
+  const inputIndex = _.isNumber(index) ? index : transaction.inputs.indexOf(this);
+  $.checkState(transaction.inputs[inputIndex] === this, 'Input is not part of the transaction');
+  const hashbuf = SighashSchnorr.sighash(transaction, sigtype || Signature.SIGHASH_DEFAULT, inputIndex,
+    Signature.Version.TAPROOT);
+  $.checkArgument(hashbuf, 'Invalid sighash type for the input');
+  return hashbuf;
+};
 
+/**
+ * @param {Transaction} transaction
+ * @param {Object} signature
+ * @param {Signature} signature.signature
+ * @param {PublicKey=} signature.publicKey - for script path signatures
+ * @param {Buffer=} signature.leafHash - the hash of the leaf script of a
+ *   script path signature
+ * @return {boolean}
+ */
 TaprootInput.prototype.isValidSignature = function(transaction, signature) {
   $.checkState(transaction.inputs.indexOf(this) >= 0, 'Signature has no matching input');
   $.checkState(this.output instanceof Output, 'output is not instance of Output');
@@ -59,6 +142,17 @@ TaprootInput.prototype.isValidSignature = function(transaction, signature) {
     return false;
   }
 
+  if (signature.leafHash) {
+    return SighashSchnorr.verify(
+      transaction,
+      signature.signature,
+      signature.publicKey.point.x.toBuffer({ size: 32 }),
+      Signature.Version.TAPSCRIPT,
+      transaction.inputs.indexOf(this),
+      this._getExecData(signature.leafHash, signature.publicKey)
+    );
+  }
+
   return SighashSchnorr.verify(
     transaction,
     signature.signature,
@@ -74,33 +168,155 @@ TaprootInput.prototype.isValidSignature = function(transaction, signature) {
  * @return {boolean}
  */
 TaprootInput.prototype.isFullySigned = function() {
-  return this.output.script.isTaproot() || this.hasWitnesses();
+  return this.hasWitnesses();
 };
 
 /**
- * Add the provided signature
+ * Add the provided signature: a key path signature is the witness of the
+ * input, script path signatures are kept in `scriptSignatures` until those of
+ * a leaf script are enough to spend it
  *
  * @param {Transaction} transaction
  * @param {Object} signature
  * @param {PublicKey} signature.publicKey
  * @param {Signature} signature.signature
  * @param {number} signature.sigtype
+ * @param {Buffer=} signature.leafHash - for script path signatures
  * @return {TaprootInput} this, for chaining
  */
 TaprootInput.prototype.addSignature = function(transaction, signature) {
-  if (this.isValidSignature(transaction, signature)) {
+  // When tx.sign(keys) is called, the given keys are used to try to sign all
+  // inputs. Invalid sigs may be created, in which case we should not add them here.
+  if (!this.isValidSignature(transaction, signature)) {
+    return this;
+  }
+  if (signature.leafHash) {
+    const xOnlyKey = signature.publicKey.point.x.toBuffer({ size: 32 });
+    _.remove(this.scriptSignatures, other => BufferUtil.equals(other.leafHash, signature.leafHash) &&
+      BufferUtil.equals(other.publicKey.point.x.toBuffer({ size: 32 }), xOnlyKey));
+    this.scriptSignatures.push(signature);
+    this._setScriptPathWitnesses();
+  } else {
     this.setWitnesses([
       signature.signature.toBuffer(),
     ]);
   }
-  // else... do nothing?
-  // When tx.sign(keys) is called, the given keys are used to try to sign all
-  // inputs. Invalid sigs may be created, in which case we should not add them here.
-  // The flow is kind of weird since this fn name is saying to add the signature.
-  // Maybe the validation check should be upstream to keep the code lexically obedient?
-
   return this;
 };
 
+TaprootInput.prototype.clearSignatures = function() {
+  this.scriptSignatures = [];
+  return PubKeyHashInput.prototype.clearSignatures.apply(this, arguments);
+};
+
+/**
+ * Spends the first leaf script whose signatures are complete, unless the key
+ * path is signed
+ *
+ * @private
+ */
+TaprootInput.prototype._setScriptPathWitnesses = function() {
+  if (this.witnesses.length === 1) {
+    return;
+  }
+  for (const leaf of this.leafScripts) {
+    const stack = this._getLeafStack(leaf);
+    if (stack) {
+      this.setWitnesses(stack.concat([leaf.script.toBuffer(), leaf.controlBlock]));
+      return;
+    }
+  }
+};
+
+/**
+ * @param {Object} leaf - one of `leafScripts`
+ * @return {Array.<Buffer>|null} the stack spending the leaf script, as the
+ *   signatures of each of its keys, the first key being checked against the
+ *   top of the stack; null if some are missing
+ * @private
+ */
+TaprootInput.prototype._getLeafStack = function(leaf) {
+  const keys = TaprootInput._getLeafKeys(leaf.script);
+  const signatures = keys.map(leafKey => this._getScriptSignature(leaf, leafKey.key));
+  if (!keys.length || !_.every(signatures)) {
+    return null;
+  }
+  return signatures.reverse().map(signature => signature.signature.toBuffer());
+};
+
+/**
+ * @private
+ */
+TaprootInput.prototype._getScriptSignature = function(leaf, xOnlyKey) {
+  return _.find(this.scriptSignatures, signature => BufferUtil.equals(signature.leafHash, leaf.leafHash) &&
+    BufferUtil.equals(signature.publicKey.point.x.toBuffer({ size: 32 }), xOnlyKey));
+};
+
+/**
+ * The execution data a script path signature commits to: the leaf hash and
+ * the position of the last OP_CODESEPARATOR before the key
+ *
+ * @private
+ */
+TaprootInput.prototype._getExecData = function(leafHash, publicKey) {
+  const leaf = _.find(this.leafScripts, leaf => BufferUtil.equals(leaf.leafHash, leafHash));
+  const xOnlyKey = publicKey.point.x.toBuffer({ size: 32 });
+  const leafKey = leaf && _.find(TaprootInput._getLeafKeys(leaf.script),
+    leafKey => BufferUtil.equals(leafKey.key, xOnlyKey));
+  let codeseparatorPos = 0xFFFFFFFF;
+  if (leafKey) {
+    const position = _.findLastIndex(leaf.script.chunks.slice(0, leafKey.index),
+      chunk => chunk.opcodenum === Opcode.OP_CODESEPARATOR);
+    codeseparatorPos = position === -1 ? codeseparatorPos : position;
+  }
+  return SighashSchnorr.getExecData(Signature.Version.TAPSCRIPT, leafHash, codeseparatorPos);
+};
+
+/**
+ * @param {Script} script - a leaf script
+ * @return {Array.<Object>} the x-only keys the script checks signatures of, in
+ *   the order of the script: `{ key, index }`, index being that of its chunk
+ * @private
+ */
+TaprootInput._getLeafKeys = function(script) {
+  const checksig = [Opcode.OP_CHECKSIG, Opcode.OP_CHECKSIGVERIFY, Opcode.OP_CHECKSIGADD];
+  const keys = [];
+  script.chunks.forEach((chunk, index) => {
+    const next = script.chunks[index + 1];
+    if (chunk.buf && chunk.buf.length === 32 && next && _.includes(checksig, next.opcodenum)) {
+      keys.push({ key: chunk.buf, index });
+    }
+  });
+  return keys;
+};
+
+// the size of a schnorr signature with its sighash type, along with its length
+TaprootInput.MAX_SIGNATURE_SIZE = 1 + 64 + 1;
+
+/**
+ * Estimates the size of the largest spend of the output: by the key path, or
+ * by one of the leaf scripts
+ */
+TaprootInput.prototype._estimateSize = function() {
+  const WITNESS_DISCOUNT = 4;
+  const sizeOf = buffer => BufferWriter.varintBufNum(buffer.length).length + buffer.length;
+  let witnessSize = 1 + TaprootInput.MAX_SIGNATURE_SIZE; // items count (1) + signature
+  for (const leaf of this.leafScripts) {
+    const keys = TaprootInput._getLeafKeys(leaf.script);
+    const stackSize = this._estimateLeafStackSize(leaf) + sizeOf(leaf.script.toBuffer()) + sizeOf(leaf.controlBlock);
+    witnessSize = Math.max(witnessSize, BufferWriter.varintBufNum(keys.length + 2).length + stackSize);
+  }
+  return this._getBaseSize() + 1 + witnessSize / WITNESS_DISCOUNT; // script size (1) + witness
+};
+
+/**
+ * @return {number} the size of the stack spending a leaf script, see
+ *   {@link TaprootInput#_getLeafStack}
+ * @private
+ */
+TaprootInput.prototype._estimateLeafStackSize = function(leaf) {
+  return TaprootInput._getLeafKeys(leaf.script).length * TaprootInput.MAX_SIGNATURE_SIZE;
+};
+
 
 module.exports = TaprootInput;
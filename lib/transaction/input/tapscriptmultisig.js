@@ -0,0 +1,99 @@
+'use strict';
+/* jshint maxparams:5 */
+
+const _ = require('lodash');
+const inherits = require('inherits');
+const $ = require('../../util/preconditions');
+const TaprootInput = require('./taproot');
+const PublicKey = require('../../publickey');
+const Script = require('../../script');
+const TransactionSignature = require('../signature');
+
+/**
+ * Represents an input spending a pay to taproot output by a tapscript multisig
+ * leaf script (see {@link Script.buildTapscriptMultisigOut}), which must be
+ * one of its leaf scripts. The witness is set once `threshold` keys have
+ * signed, with an empty push for each of the other keys.
+ *
+ * @param {Object} input - see {@link TaprootInput}
+ * @param {Array.<PublicKey|Buffer|string>} pubkeys - the keys of the leaf script
+ * @param {number} threshold - the amount of required signatures
+ * @param {Array.<Object>=} signatures - script path signatures of the leaf script
+ * @param {Object=} opts
+ * @param {boolean=} opts.noSorting - the keys are in the order of the leaf
+ *   script, instead of sorted as in `Script.buildSortedTapscriptMultisigOut`
+ * @constructor
+ */
+function TapscriptMultiSigInput(input, pubkeys, threshold, signatures, opts) {
+  opts = opts || {};
+  TaprootInput.apply(this, arguments);
+  pubkeys = pubkeys || input.publicKeys;
+  threshold = threshold || input.threshold;
+  const script = opts.noSorting ?
+    Script.buildTapscriptMultisigOut(pubkeys, threshold) :
+    Script.buildSortedTapscriptMultisigOut(pubkeys, threshold);
+  this.leaf = _.find(this.leafScripts, leaf => leaf.script.equals(script));
+  $.checkState(this.leaf, 'Provided public keys don\'t match any of the leaf scripts');
+  this.publicKeys = TaprootInput._getLeafKeys(script).map(leafKey => PublicKey.fromTaproot(leafKey.key));
+  this.threshold = threshold;
+  this.scriptSignatures = _.map(signatures || [], signature => new TransactionSignature(signature));
+  this._setScriptPathWitnesses();
+}
+inherits(TapscriptMultiSigInput, TaprootInput);
+
+TapscriptMultiSigInput.prototype.countSignatures = function() {
+  return _.filter(this._getSignatures()).length;
+};
+
+TapscriptMultiSigInput.prototype.countMissingSignatures = function() {
+  return Math.max(this.threshold - this.countSignatures(), 0);
+};
+
+TapscriptMultiSigInput.prototype.publicKeysWithoutSignature = function() {
+  const signatures = this._getSignatures();
+  return _.filter(this.publicKeys, (publicKey, index) => !signatures[index]);
+};
+
+/**
+ * @return {Array.<TransactionSignature|undefined>} the signature of each key
+ *   for the leaf script
+ * @private
+ */
+TapscriptMultiSigInput.prototype._getSignatures = function() {
+  return this.publicKeys.map(publicKey =>
+    this._getScriptSignature(this.leaf, publicKey.point.x.toBuffer({ size: 32 })));
+};
+
+/**
+ * The stack spending the multisig leaf script: the signatures of the first
+ * `threshold` keys that signed, and an empty push for the other keys
+ *
+ * @private
+ */
+TapscriptMultiSigInput.prototype._getLeafStack = function(leaf) {
+  if (leaf !== this.leaf) {
+    return TaprootInput.prototype._getLeafStack.apply(this, arguments);
+  }
+  if (this.countSignatures() < this.threshold) {
+    return null;
+  }
+  let count = 0;
+  const stack = this._getSignatures().map(signature => {
+    if (!signature || count === this.threshold) {
+      return Buffer.alloc(0);
+    }
+    count++;
+    return signature.signature.toBuffer();
+  });
+  return stack.reverse();
+};
+
+TapscriptMultiSigInput.prototype._estimateLeafStackSize = function(leaf) {
+  if (leaf !== this.leaf) {
+    return TaprootInput.prototype._estimateLeafStackSize.apply(this, arguments);
+  }
+  // the signatures and an empty push (1) for each of the other keys
+  return this.threshold * TaprootInput.MAX_SIGNATURE_SIZE + (this.publicKeys.length - this.threshold);
+};
+
+module.exports = TapscriptMultiSigInput;
@@ -8,12 +8,31 @@ var BufferWriter = require('../encoding/bufferwriter');
 var Script = require('../script');
 var $ = require('../util/preconditions');
 var errors = require('../errors');
+var Opcode = require('../opcode');
+var PublicKey = require('../publickey');
 const Interpreter = require('../script/interpreter');
 const TaggedHash = require('../crypto/taggedhash');
 
 var MAX_SAFE_INTEGER = 0x1fffffffffffff;
 
+/**
+ * @param {Object} args
+ * @param {number|string|BN} args.satoshis
+ * @param {Script|Buffer|string} args.script
+ * @param {string=} args.type - 'taproot' to build the script tree of a pay to
+ *   taproot output with {@link Output#add}, the script then being optional
+ *   until {@link Output#finalize} sets it
+ * @param {boolean=} args.sendMax - the output of a transaction receives all
+ *   of its inputs left after its other outputs and fee, see `Transaction#sendMax`
+ * @param {boolean=} args.subtractFeeFromAmount - the output of a transaction
+ *   pays its fee, see `Transaction#to`
+ * @param {number=} args.requestedSatoshis - the amount of an output paying
+ *   the fee before it is subtracted, `satoshis` by default
+ * @constructor
+ */
 function Output(args) {
+  /* jshint maxstatements: 25 */
+  /* jshint maxcomplexity: 12 */
   if (!(this instanceof Output)) {
     return new Output(args);
   }
@@ -21,6 +40,8 @@ function Output(args) {
     this.satoshis = args.satoshis;
     if (bufferUtil.isBuffer(args.script)) {
       this.setScriptFromBuffer(args.script);
+    } else if (args.type === 'taproot' && _.isUndefined(args.script)) {
+      this.setScript(Script.empty());
     } else {
       var script;
       if (_.isString(args.script) && JSUtil.isHexa(args.script)) {
@@ -31,13 +52,23 @@ function Output(args) {
       this.setScript(script);
     }
 
+    if (args.sendMax) {
+      this.sendMax = true;
+    }
+    if (args.subtractFeeFromAmount) {
+      this.subtractFeeFromAmount = true;
+      this.requestedSatoshis = _.isUndefined(args.requestedSatoshis) ? this.satoshis : args.requestedSatoshis;
+    }
+
     if (args.type === 'taproot') {
-      this.branch = [];
+      // the nodes of the tree being built, per depth, whose sibling is yet to come
+      this._branch = [];
+      this._isValid = true;
       Object.defineProperty(this, 'isValid', {
         configurable: false,
         enumerable: false,
         get: function() {
-          this._isValid || this._branch.length === 0;
+          return this._isValid;
         },
         set: function(isValid) {
           this._isValid = isValid;
@@ -98,7 +129,12 @@ Object.defineProperty(Output.prototype, 'satoshis', {
   }
 });
 
-Output.prototype.invalidSatoshis = function() {
+/**
+ * @param {Network=} network - if set, also checks the amount against the
+ *   network's money range (`network.consensus.maxMoney`)
+ * @return {string|boolean} the reason the amount is invalid, or false
+ */
+Output.prototype.invalidSatoshis = function(network) {
   if (this._satoshis > MAX_SAFE_INTEGER) {
     return 'transaction txout satoshis greater than max safe integer';
   }
@@ -108,14 +144,33 @@ Output.prototype.invalidSatoshis = function() {
   if (this._satoshis < 0) {
     return 'transaction txout negative';
   }
+  if (network && this._satoshis > network.consensus.maxMoney) {
+    return 'transaction txout satoshis greater than max money';
+  }
   return false;
 };
 
+/**
+ * An empty output has no value and an empty script. PoSV coinstake
+ * transactions use one as their first output.
+ * @return {boolean}
+ */
+Output.prototype.isEmpty = function() {
+  return this._satoshis === 0 && this._scriptBuffer.length === 0;
+};
+
 Output.prototype.toObject = Output.prototype.toJSON = function toObject() {
   var obj = {
     satoshis: this.satoshis
   };
   obj.script = this._scriptBuffer.toString('hex');
+  if (this.sendMax) {
+    obj.sendMax = true;
+  }
+  if (this.subtractFeeFromAmount) {
+    obj.subtractFeeFromAmount = true;
+    obj.requestedSatoshis = this.requestedSatoshis;
+  }
   return obj;
 };
 
@@ -197,27 +252,32 @@ Output.prototype.calculateSize = function() {
 /**
  * Taproot only
  * Add a new script at a certain depth in the tree. Add() operations must be called
- *  in depth-first traversal order of binary tree. If track is true, it will be included in
- *  the GetSpendData() output.
+ *  in depth-first traversal order of binary tree, otherwise the tree is no longer
+ *  valid. If track is true, it will be included in the finalize() output.
  * @param {Number} depth Tree depth at which to insert the node (depth is 0-based)
- * @param {Script} script 
- * @param {Number} leafVersion 
- * @param {Boolean} track If true, the leaf will be included in GetSpendData() output
+ * @param {Script|Buffer|String} script
+ * @param {Number} leafVersion defaults to Interpreter.TAPROOT_LEAF_TAPSCRIPT
+ * @param {Boolean} track If true, the leaf will be included in finalize() output
+ * @return {Output} this, for chaining
  */
-Output.prototype.add = function(depth, script, leafVersion, track = true) {
+Output.prototype.add = function(depth, script, leafVersion = Interpreter.TAPROOT_LEAF_TAPSCRIPT, track = true) {
+  $.checkState(_.isArray(this._branch), 'Only taproot outputs have a script tree');
   $.checkArgument((leafVersion & ~Interpreter.TAPROOT_LEAF_MASK) === 0, 'invalid leafVersion');
   if (!this.isValid) {
-    return;
+    return this;
   }
 
+  script = new Script(script);
+  const leafHash = Interpreter.computeTapleafHash(leafVersion, script.toBuffer());
   const node = {
-    hash: TaggedHash.TAPLEAF.writeUInt8(leafVersion).write(script.toBuffer()).finalize(),
+    hash: leafHash,
     leaves: []
   };
   if (track) {
     const leafInfo = {
       script,
       leafVersion,
+      leafHash,
       merkleBranch: []
     };
     node.leaves.push(leafInfo);
@@ -239,20 +299,21 @@ Output.prototype._insertNode = function(node, depth) {
   /* As long as an entry in the branch exists at the specified depth, combine it and propagate up.
    * The 'node' variable is overwritten here with the newly combined node. */
   while (this.isValid && this._branch.length > depth && this._branch[depth]) {
-    node = this._combineNodes(node, this._branch[depth]);
-    this._branch = this._branch.slice(0, this._branch.length - 2);
-    if (depth == 0) {
+    /* The node on the branch comes first, keeping the leaves in depth-first order. */
+    node = this._combineNodes(this._branch[depth], node);
+    this._branch.pop();
+    if (depth === 0) {
       this.isValid = false; /* Can't propagate further up than the root */
     }
     depth--;
   }
   if (this.isValid) {
     /* Make sure the branch is big enough to place the new node. */
-    if (this._branch.length <= depth) {
-      this._branch = this._branch.slice(0, depth + 1);
+    while (this._branch.length <= depth) {
+      this._branch.push(null);
     }
-    $.checkState(!this._nodes[depth]);
-    m_branch[depth] = node;
+    $.checkState(!this._branch[depth]);
+    this._branch[depth] = node;
   }
 };
 
@@ -282,14 +343,41 @@ Output.prototype._combineNodes = function(a, b) {
 
 
 /**
- * Finalize the construction. Can only be called when IsComplete() is true.
- *  internal_key.IsFullyValid() must be true.
- * @param {PublicKey} pubKey 
+ * Finalize the construction. Can only be called when isComplete is true.
+ *  Sets the script of the output to pay to the internal key tweaked with the
+ *  merkle root of the tree.
+ * @param {PublicKey|Buffer|String} pubKey the internal key, or its 32 byte x-only form
+ * @return {Object} the data to spend the output: `{ internalKey, merkleRoot,
+ *  outputKey, parity, leaves }`, merkleRoot being null for a tree without
+ *  scripts and leaves being the tracked leaves in the order they were added:
+ *  `{ script, leafVersion, leafHash, controlBlock }`
  */
 Output.prototype.finalize = function(pubKey) {
   $.checkState(this.isComplete === true, 'finalize can only be called when isComplete is true');
-  const ret = pubKey.createTapTweak(this._branch.length === 0 ? null : this._branch[0].hash);
+  pubKey = PublicKey.isValidTaproot(pubKey) ? PublicKey.fromTaproot(pubKey) : new PublicKey(pubKey);
+  const internalKey = pubKey.point.x.toBuffer({ size: 32 });
+  const root = this._branch.length === 0 ? null : this._branch[0];
+  const merkleRoot = root ? root.hash : null;
+  const tweak = pubKey.createTapTweak(merkleRoot);
+  const outputKey = BN.fromBuffer(tweak.tweakedPubKey).toBuffer({ size: 32 });
+  this.setScript(new Script().add(Opcode.OP_1).add(outputKey));
 
+  const leaves = (root ? root.leaves : []).map(leaf => ({
+    script: leaf.script,
+    leafVersion: leaf.leafVersion,
+    leafHash: leaf.leafHash,
+    controlBlock: Buffer.concat([
+      Buffer.from([leaf.leafVersion | tweak.parity]),
+      internalKey
+    ].concat(leaf.merkleBranch))
+  }));
+  return {
+    internalKey: PublicKey.fromTaproot(internalKey),
+    merkleRoot,
+    outputKey,
+    parity: tweak.parity,
+    leaves
+  };
 };
 
 module.exports = Output;
@@ -0,0 +1,1378 @@
+'use strict';
+
+var _ = require('lodash');
+var $ = require('../util/preconditions');
+
+var errors = require('../errors');
+var BufferUtil = require('../util/buffer');
+var JSUtil = require('../util/js');
+var BufferReader = require('../encoding/bufferreader');
+var BufferWriter = require('../encoding/bufferwriter');
+var Base58Check = require('../encoding/base58check');
+var Address = require('../address');
+var Hash = require('../crypto/hash');
+var Signature = require('../crypto/signature');
+var Networks = require('../networks');
+var Opcode = require('../opcode');
+var PublicKey = require('../publickey');
+var PrivateKey = require('../privatekey');
+var HDPrivateKey = require('../hdprivatekey');
+var HDPublicKey = require('../hdpublickey');
+var Script = require('../script');
+var Transaction = require('./transaction');
+var Input = require('./input');
+var Output = require('./output');
+var TransactionSignature = require('./signature');
+var Interpreter = require('../script/interpreter');
+
+var PublicKeyHashInput = Input.PublicKeyHash;
+var MultiSigScriptHashInput = Input.MultiSigScriptHash;
+var TaprootInput = Input.Taproot;
+
+/**
+ * A Partially Signed Bitcoin Transaction, as specified by BIP174: an unsigned
+ * transaction along with what each participant needs to sign and complete
+ * it, in a format other wallets understand.
+ *
+ * A PSBT goes through the following roles, which may be played by different
+ * parties:
+ * - creator: `new Psbt(transaction)`
+ * - updater: `updateInput` and `updateOutput`
+ * - signer: `sign` and `signHD`
+ * - combiner: `combine`
+ * - finalizer: `finalize`
+ * - extractor: `extractTransaction`
+ *
+ * Each input is described by an object with the fields of BIP174:
+ * `nonWitnessUtxo` (Transaction), `witnessUtxo` (Output), `partialSigs`
+ * (TransactionSignature[]), `sighashType`, `redeemScript` and `witnessScript`
+ * (Script), `bip32Derivation` (`{ publicKey, masterFingerprint, path }[]`),
+ * `finalScriptSig` (Script), `finalScriptWitness` (Buffer[]) and `unknown`
+ * (`{ key, value }[]`, the pairs of unknown or proprietary types). Outputs
+ * may have `redeemScript`, `witnessScript`, `bip32Derivation` and `unknown`.
+ *
+ * Taproot inputs have the fields of BIP371: `tapKeySig` (Signature), the
+ * key path signature, `tapScriptSigs` (TransactionSignature[] with their
+ * `leafHash`), `tapLeafScripts` (`{ controlBlock, script, leafVersion }[]`),
+ * `tapBip32Derivation` (`{ publicKey, leafHashes, masterFingerprint, path }[]`),
+ * `tapInternalKey` (PublicKey) and `tapMerkleRoot` (Buffer). Taproot outputs
+ * may have `tapInternalKey`, `tapTree` (`{ depth, leafVersion, script }[]`,
+ * the leaves in depth-first order) and `tapBip32Derivation`. Their public keys
+ * are x-only, and taken with an even y coordinate.
+ *
+ * @example
+ * ```javascript
+ * var psbt = new Psbt(transaction);
+ * var serialized = psbt.toString(); // base64
+ * // each signer
+ * var signed = new Psbt(serialized).sign(privateKey).toString();
+ * // then
+ * var tx = new Psbt(serialized).combine(signed, otherSigned).finalize().extractTransaction();
+ * ```
+ *
+ * @param {Transaction|Buffer|string} arg - a transaction, or a serialized
+ *   PSBT in binary, base64 or hex
+ * @param {Object=} opts
+ * @param {Network|string=} opts.network - the network of the transaction,
+ *   defaults to that of the transaction given or `Networks.defaultNetwork`.
+ *   Without it, a serialized transaction that does not parse on the default
+ *   network is read as a `livenet` one: bitcoin PSBTs of version 1
+ *   transactions, which Reddcoin serializes the same, need `livenet` given
+ * @param {Array.<Transaction|Buffer|string>=} opts.prevTxs - when creating a
+ *   PSBT, the transactions of the outputs spent by legacy inputs
+ * @constructor
+ */
+function Psbt(arg, opts) {
+  if (!(this instanceof Psbt)) {
+    return new Psbt(arg, opts);
+  }
+  opts = opts || {};
+  this.network = Networks.get(opts.network) || (arg instanceof Transaction ? arg.network : Networks.defaultNetwork);
+  this.version = 0;
+  this.xpubs = [];
+  this.unknown = [];
+  this.inputs = [];
+  this.outputs = [];
+  if (arg instanceof Transaction) {
+    this._fromTransaction(arg, opts);
+  } else if (BufferUtil.isBuffer(arg)) {
+    this._fromBuffer(arg, opts);
+  } else if (_.isString(arg)) {
+    this._fromBuffer(Buffer.from(arg, JSUtil.isHexa(arg) ? 'hex' : 'base64'), opts);
+  } else {
+    throw new errors.InvalidArgument('A transaction or a serialized PSBT is required');
+  }
+}
+
+Psbt.MAGIC = Buffer.from('70736274ff', 'hex');
+
+Psbt.GlobalTypes = {
+  UNSIGNED_TX: 0x00,
+  XPUB: 0x01,
+  VERSION: 0xfb
+};
+
+Psbt.InputTypes = {
+  NON_WITNESS_UTXO: 0x00,
+  WITNESS_UTXO: 0x01,
+  PARTIAL_SIG: 0x02,
+  SIGHASH_TYPE: 0x03,
+  REDEEM_SCRIPT: 0x04,
+  WITNESS_SCRIPT: 0x05,
+  BIP32_DERIVATION: 0x06,
+  FINAL_SCRIPTSIG: 0x07,
+  FINAL_SCRIPTWITNESS: 0x08,
+  TAP_KEY_SIG: 0x13,
+  TAP_SCRIPT_SIG: 0x14,
+  TAP_LEAF_SCRIPT: 0x15,
+  TAP_BIP32_DERIVATION: 0x16,
+  TAP_INTERNAL_KEY: 0x17,
+  TAP_MERKLE_ROOT: 0x18
+};
+
+Psbt.OutputTypes = {
+  REDEEM_SCRIPT: 0x00,
+  WITNESS_SCRIPT: 0x01,
+  BIP32_DERIVATION: 0x02,
+  TAP_INTERNAL_KEY: 0x05,
+  TAP_TREE: 0x06,
+  TAP_BIP32_DERIVATION: 0x07
+};
+
+/**
+ * @param {Transaction} transaction
+ * @param {Object=} opts - see {@link Psbt}
+ * @return {Psbt}
+ */
+Psbt.fromTransaction = function(transaction, opts) {
+  $.checkArgumentType(transaction, Transaction, 'transaction');
+  return new Psbt(transaction, opts);
+};
+
+/**
+ * @param {Buffer} buffer
+ * @param {Object=} opts - see {@link Psbt}
+ * @return {Psbt}
+ */
+Psbt.fromBuffer = function(buffer, opts) {
+  $.checkArgument(BufferUtil.isBuffer(buffer), 'A buffer is required');
+  return new Psbt(buffer, opts);
+};
+
+/**
+ * @param {string} str - the PSBT in base64 or hex
+ * @param {Object=} opts - see {@link Psbt}
+ * @return {Psbt}
+ */
+Psbt.fromString = function(str, opts) {
+  $.checkArgument(_.isString(str), 'A string is required');
+  return new Psbt(str, opts);
+};
+
+/* Creator */
+
+/**
+ * Copies the transaction without its signatures and describes the outputs
+ * its inputs spend: segwit outputs with `witnessUtxo`, legacy outputs with
+ * `nonWitnessUtxo` when their transaction is given, or `witnessUtxo`
+ * otherwise. The scripts and signatures of multisig inputs are kept, as are
+ * the merkle root and leaf scripts of taproot inputs.
+ *
+ * @private
+ */
+Psbt.prototype._fromTransaction = function(transaction, opts) {
+  var self = this;
+  var prevTxs = _.keyBy(_.map(opts.prevTxs, function(prevTx) {
+    return new Transaction(prevTx, { network: self.network });
+  }), 'id');
+
+  this.tx = Transaction.shallowCopy(transaction);
+  _.each(this.tx.inputs, function(input) {
+    input.setScript(Script.empty());
+    input.setWitnesses([]);
+  });
+
+  this.inputs = _.map(transaction.inputs, function(input, index) {
+    /* jshint maxstatements: 20, maxcomplexity: 11 */
+    var data = Psbt._newInput();
+    var prevTx = prevTxs[input.prevTxId.toString('hex')];
+    if (prevTx) {
+      data.nonWitnessUtxo = prevTx;
+    }
+    if (input.output && (!prevTx || Psbt._isWitnessInput(input))) {
+      data.witnessUtxo = new Output({ script: input.output.script, satoshis: input.output.satoshis });
+    }
+    if (input instanceof MultiSigScriptHashInput) {
+      if (input.type === Address.PayToWitnessScriptHash) {
+        data.witnessScript = input.redeemScript;
+      } else if (input.nestedWitness) {
+        data.redeemScript = Script.buildWitnessMultisigOutFromScript(input.redeemScript);
+        data.witnessScript = input.redeemScript;
+      } else {
+        data.redeemScript = input.redeemScript;
+      }
+      _.each(_.compact(input.signatures), function(signature) {
+        data.partialSigs.push(new TransactionSignature(_.assign(signature.toObject(), { inputIndex: index })));
+      });
+    } else if (input instanceof TaprootInput) {
+      data.tapMerkleRoot = input.merkleRoot;
+      data.tapLeafScripts = input.leafScripts.slice();
+    } else if (input instanceof PublicKeyHashInput && input.redeemScript) {
+      data.redeemScript = input.redeemScript;
+    }
+    return data;
+  });
+  this.outputs = _.map(transaction.outputs, Psbt._newOutput);
+};
+
+/* Serialization */
+
+var invalid = function(reason) {
+  return new errors.Transaction.Psbt.InvalidFormat(reason);
+};
+
+var readBuffer = function(reader) {
+  if (reader.eof()) {
+    throw invalid('unexpected end of data');
+  }
+  var length = reader.readVarintNum();
+  if (reader.pos + length > reader.buf.length) {
+    throw invalid('unexpected end of data');
+  }
+  return reader.read(length);
+};
+
+// calls `read` with each pair, the errors of a value that does not decode
+// being thrown as invalid PSBTs naming the key
+var eachPair = function(pairs, read) {
+  _.each(pairs, function(pair) {
+    try {
+      read(pair);
+    } catch (e) {
+      if (e instanceof errors.Transaction.Psbt.InvalidFormat) {
+        throw e;
+      }
+      throw invalid('invalid value of key ' + pair.key.toString('hex'));
+    }
+  });
+};
+
+// the key-value pairs of a map, each key being a type followed by key data
+var readMap = function(reader) {
+  var pairs = [];
+  var keys = {};
+  for (;;) {
+    var key = readBuffer(reader);
+    if (key.length === 0) {
+      return pairs;
+    }
+    var value = readBuffer(reader);
+    var id = key.toString('hex');
+    if (keys[id]) {
+      throw invalid('duplicate key ' + id);
+    }
+    keys[id] = true;
+    var keyReader = new BufferReader(key);
+    pairs.push({ key: key, type: keyReader.readVarintNum(), keydata: keyReader.readAll(), value: value });
+  }
+};
+
+var writePair = function(writer, type, keydata, value) {
+  var key = BufferUtil.concat([new BufferWriter().writeVarintNum(type).toBuffer(), keydata || Buffer.alloc(0)]);
+  writer.writeVarintNum(key.length);
+  writer.write(key);
+  writer.writeVarintNum(value.length);
+  writer.write(value);
+};
+
+var writeUnknown = function(writer, unknown) {
+  _.each(unknown, function(pair) {
+    writer.writeVarintNum(pair.key.length);
+    writer.write(pair.key);
+    writer.writeVarintNum(pair.value.length);
+    writer.write(pair.value);
+  });
+  writer.writeUInt8(0);
+};
+
+var checkKeydata = function(pair, length) {
+  if (pair.keydata.length !== length) {
+    throw invalid('invalid key ' + pair.key.toString('hex'));
+  }
+};
+
+var readWitness = function(pair) {
+  var reader = new BufferReader(pair.value);
+  if (reader.eof()) {
+    throw invalid('invalid witness in key ' + pair.key.toString('hex'));
+  }
+  var witness = _.times(reader.readVarintNum(), function() {
+    return readBuffer(reader);
+  });
+  if (!reader.eof()) {
+    throw invalid('invalid witness in key ' + pair.key.toString('hex'));
+  }
+  return witness;
+};
+
+var readUInt32 = function(pair) {
+  if (pair.value.length !== 4) {
+    throw invalid('invalid value of key ' + pair.key.toString('hex'));
+  }
+  return pair.value.readUInt32LE(0);
+};
+
+var readOutput = function(pair) {
+  var reader = new BufferReader(pair.value);
+  var output;
+  try {
+    output = Output.fromBufferReader(reader);
+  } catch (e) {
+    throw invalid('invalid output in key ' + pair.key.toString('hex'));
+  }
+  if (!reader.finished()) {
+    throw invalid('invalid output in key ' + pair.key.toString('hex'));
+  }
+  return output;
+};
+
+// a transaction taking the whole buffer, parsed as on `network`
+var readTransaction = function(buffer, network, name) {
+  var reader = new BufferReader(buffer);
+  var transaction = new Transaction(null, { network: network });
+  try {
+    transaction.fromBufferReader(reader);
+  } catch (e) {
+    throw invalid('invalid ' + name);
+  }
+  if (!reader.finished()) {
+    throw invalid('invalid ' + name);
+  }
+  return transaction;
+};
+
+// a point of the curve, whose coordinates are encoded below the field size
+var readPublicKey = function(pair) {
+  var publicKey = null;
+  if (pair.keydata.length === 33 || pair.keydata.length === 65) {
+    try {
+      publicKey = new PublicKey(pair.keydata);
+    } catch (e) {}
+  }
+  if (!publicKey || !BufferUtil.equals(publicKey.toBuffer(), pair.keydata)) {
+    throw invalid('invalid public key in key ' + pair.key.toString('hex'));
+  }
+  return publicKey;
+};
+
+var readPath = function(buffer) {
+  var reader = new BufferReader(buffer);
+  var path = 'm';
+  while (!reader.eof()) {
+    var index = reader.readUInt32LE();
+    path += '/' + (index >= HDPrivateKey.Hardened ? (index - HDPrivateKey.Hardened) + '\'' : index);
+  }
+  return path;
+};
+
+var writePath = function(fingerprint, path) {
+  var writer = new BufferWriter();
+  writer.write(fingerprint);
+  _.each(_.tail(path.split('/')), function(step) {
+    var hardened = /['hH]$/.test(step);
+    var index = parseInt(hardened ? step.slice(0, -1) : step, 10);
+    writer.writeUInt32LE(hardened ? index + HDPrivateKey.Hardened : index);
+  });
+  return writer.toBuffer();
+};
+
+// the fingerprint of the master key and the derivation path of a key
+var readKeyOrigin = function(pair) {
+  if (pair.value.length < 4 || pair.value.length % 4 !== 0) {
+    throw invalid('invalid derivation path in key ' + pair.key.toString('hex'));
+  }
+  return {
+    masterFingerprint: pair.value.slice(0, 4),
+    path: readPath(pair.value.slice(4))
+  };
+};
+
+var readDerivation = function(pair) {
+  return _.assign({ publicKey: readPublicKey(pair) }, readKeyOrigin(pair));
+};
+
+var writeDerivations = function(writer, type, derivations) {
+  _.each(derivations, function(derivation) {
+    writePair(writer, type, derivation.publicKey.toBuffer(),
+      writePath(derivation.masterFingerprint, derivation.path));
+  });
+};
+
+var xOnly = function(publicKey) {
+  return publicKey.point.x.toBuffer({ size: 32 });
+};
+
+var readXOnlyKey = function(pair, buffer) {
+  var publicKey = buffer.length === 32 && PublicKey.isValidTaproot(buffer) ? PublicKey.fromTaproot(buffer) : null;
+  if (!publicKey || !BufferUtil.equals(xOnly(publicKey), buffer)) {
+    throw invalid('invalid x-only public key in key ' + pair.key.toString('hex'));
+  }
+  return publicKey;
+};
+
+var readSchnorrSignature = function(pair) {
+  var length = pair.value.length;
+  if ((length !== 64 && length !== 65) || (length === 65 && pair.value[64] === Signature.SIGHASH_DEFAULT)) {
+    throw invalid('invalid schnorr signature in key ' + pair.key.toString('hex'));
+  }
+  return Signature.fromSchnorr(pair.value);
+};
+
+var readHash = function(pair) {
+  if (pair.value.length !== 32) {
+    throw invalid('invalid hash in key ' + pair.key.toString('hex'));
+  }
+  return pair.value;
+};
+
+// the hashes of the leaf scripts with the key, then its origin
+var readTapDerivation = function(pair) {
+  checkKeydata(pair, 32);
+  var reader = new BufferReader(pair.value);
+  var count = reader.readVarintNum();
+  if (reader.pos + count * 32 > pair.value.length) {
+    throw invalid('invalid leaf hashes in key ' + pair.key.toString('hex'));
+  }
+  var leafHashes = _.times(count, function() {
+    return reader.read(32);
+  });
+  return _.assign({
+    publicKey: readXOnlyKey(pair, pair.keydata),
+    leafHashes: leafHashes
+  }, readKeyOrigin({ key: pair.key, value: reader.readAll() }));
+};
+
+var writeTapDerivations = function(writer, type, derivations) {
+  _.each(derivations, function(derivation) {
+    var value = new BufferWriter().writeVarintNum(derivation.leafHashes.length);
+    _.each(derivation.leafHashes, function(leafHash) {
+      value.write(leafHash);
+    });
+    value.write(writePath(derivation.masterFingerprint, derivation.path));
+    writePair(writer, type, xOnly(derivation.publicKey), value.toBuffer());
+  });
+};
+
+var readTapTree = function(pair) {
+  var reader = new BufferReader(pair.value);
+  var leaves = [];
+  while (!reader.eof()) {
+    if (pair.value.length - reader.pos < 2) {
+      throw invalid('invalid taproot tree');
+    }
+    var depth = reader.readUInt8();
+    var leafVersion = reader.readUInt8();
+    leaves.push({ depth: depth, leafVersion: leafVersion, script: new Script(readBuffer(reader)) });
+  }
+  if (!leaves.length) {
+    throw invalid('invalid taproot tree');
+  }
+  return leaves;
+};
+
+var writeTapTree = function(leaves) {
+  var writer = new BufferWriter();
+  _.each(leaves, function(leaf) {
+    var script = leaf.script.toBuffer();
+    writer.writeUInt8(leaf.depth);
+    writer.writeUInt8(leaf.leafVersion);
+    writer.writeVarintNum(script.length);
+    writer.write(script);
+  });
+  return writer.toBuffer();
+};
+
+var isControlBlock = function(controlBlock) {
+  var length = controlBlock.length - Interpreter.TAPROOT_CONTROL_BASE_SIZE;
+  return length >= 0 && length % Interpreter.TAPROOT_CONTROL_NODE_SIZE === 0 &&
+    length / Interpreter.TAPROOT_CONTROL_NODE_SIZE <= Interpreter.TAPROOT_CONTROL_MAX_NODE_COUNT;
+};
+
+/**
+ * @private
+ */
+Psbt.prototype._fromBuffer = function(buffer, opts) {
+  var self = this;
+  var reader = new BufferReader(buffer);
+  if (buffer.length < Psbt.MAGIC.length || !BufferUtil.equals(reader.read(Psbt.MAGIC.length), Psbt.MAGIC)) {
+    throw invalid('wrong magic bytes');
+  }
+
+  eachPair(readMap(reader), function(pair) {
+    switch (pair.type) {
+      case Psbt.GlobalTypes.UNSIGNED_TX:
+        checkKeydata(pair, 0);
+        self.tx = self._readUnsignedTx(pair.value, opts);
+        var signed = _.some(self.tx.inputs, function(input) {
+          return input._scriptBuffer.length > 0 || input.hasWitnesses();
+        });
+        if (signed) {
+          throw invalid('the unsigned transaction has signatures');
+        }
+        break;
+      case Psbt.GlobalTypes.XPUB:
+        checkKeydata(pair, 78);
+        self.xpubs.push(_.assign({
+          hdPublicKey: new HDPublicKey(Base58Check.encode(pair.keydata))
+        }, readKeyOrigin(pair)));
+        break;
+      case Psbt.GlobalTypes.VERSION:
+        checkKeydata(pair, 0);
+        self.version = readUInt32(pair);
+        if (self.version > 0) {
+          throw invalid('unsupported version ' + self.version);
+        }
+        break;
+      default:
+        self.unknown.push({ key: pair.key, value: pair.value });
+    }
+  });
+  if (!this.tx) {
+    throw invalid('the unsigned transaction is missing');
+  }
+
+  this.inputs = _.map(this.tx.inputs, function(input, index) {
+    return self._readInput(readMap(reader), index);
+  });
+  this.outputs = _.map(this.tx.outputs, function() {
+    return self._readOutput(readMap(reader));
+  });
+};
+
+/**
+ * Reads the unsigned transaction on the PSBT's network. Transactions of the
+ * Reddcoin networks carry an nTime, which those of bitcoin do not: unless a
+ * network was given, a transaction that does not parse on the default network
+ * is read as a bitcoin one.
+ *
+ * @private
+ */
+Psbt.prototype._readUnsignedTx = function(buffer, opts) {
+  try {
+    return readTransaction(buffer, this.network, 'unsigned transaction');
+  } catch (e) {
+    if (Networks.get(opts && opts.network) || this.network === Networks.livenet) {
+      throw e;
+    }
+    this.network = Networks.livenet;
+    return readTransaction(buffer, this.network, 'unsigned transaction');
+  }
+};
+
+/**
+ * @private
+ */
+Psbt.prototype._readInput = function(pairs, index) {
+  var self = this;
+  var input = this.tx.inputs[index];
+  var data = Psbt._newInput();
+  eachPair(pairs, function(pair) {
+    /* jshint maxcomplexity: 19, maxstatements: 50 */
+    switch (pair.type) {
+      case Psbt.InputTypes.NON_WITNESS_UTXO:
+        checkKeydata(pair, 0);
+        data.nonWitnessUtxo = readTransaction(pair.value, self.network, 'previous transaction of input ' + index);
+        if (data.nonWitnessUtxo.id !== input.prevTxId.toString('hex')) {
+          throw invalid('the previous transaction of input ' + index + ' does not match');
+        }
+        break;
+      case Psbt.InputTypes.WITNESS_UTXO:
+        checkKeydata(pair, 0);
+        data.witnessUtxo = readOutput(pair);
+        break;
+      case Psbt.InputTypes.PARTIAL_SIG:
+        data.partialSigs.push(new TransactionSignature({
+          publicKey: readPublicKey(pair),
+          prevTxId: input.prevTxId,
+          outputIndex: input.outputIndex,
+          inputIndex: index,
+          signature: Signature.fromTxFormat(pair.value),
+          sigtype: pair.value[pair.value.length - 1]
+        }));
+        break;
+      case Psbt.InputTypes.SIGHASH_TYPE:
+        checkKeydata(pair, 0);
+        data.sighashType = readUInt32(pair);
+        break;
+      case Psbt.InputTypes.REDEEM_SCRIPT:
+        checkKeydata(pair, 0);
+        data.redeemScript = new Script(pair.value);
+        break;
+      case Psbt.InputTypes.WITNESS_SCRIPT:
+        checkKeydata(pair, 0);
+        data.witnessScript = new Script(pair.value);
+        break;
+      case Psbt.InputTypes.BIP32_DERIVATION:
+        data.bip32Derivation.push(readDerivation(pair));
+        break;
+      case Psbt.InputTypes.FINAL_SCRIPTSIG:
+        checkKeydata(pair, 0);
+        data.finalScriptSig = new Script(pair.value);
+        break;
+      case Psbt.InputTypes.FINAL_SCRIPTWITNESS:
+        checkKeydata(pair, 0);
+        data.finalScriptWitness = readWitness(pair);
+        break;
+      case Psbt.InputTypes.TAP_KEY_SIG:
+        checkKeydata(pair, 0);
+        data.tapKeySig = readSchnorrSignature(pair);
+        break;
+      case Psbt.InputTypes.TAP_SCRIPT_SIG:
+        checkKeydata(pair, 64);
+        var signature = readSchnorrSignature(pair);
+        data.tapScriptSigs.push(new TransactionSignature({
+          publicKey: readXOnlyKey(pair, pair.keydata.slice(0, 32)),
+          prevTxId: input.prevTxId,
+          outputIndex: input.outputIndex,
+          inputIndex: index,
+          signature: signature,
+          sigtype: signature.nhashtype,
+          leafHash: pair.keydata.slice(32)
+        }));
+        break;
+      case Psbt.InputTypes.TAP_LEAF_SCRIPT:
+        if (!isControlBlock(pair.keydata) || pair.value.length === 0) {
+          throw invalid('invalid leaf script in key ' + pair.key.toString('hex'));
+        }
+        data.tapLeafScripts.push({
+          controlBlock: pair.keydata,
+          script: new Script(pair.value.slice(0, -1)),
+          leafVersion: pair.value[pair.value.length - 1]
+        });
+        break;
+      case Psbt.InputTypes.TAP_BIP32_DERIVATION:
+        data.tapBip32Derivation.push(readTapDerivation(pair));
+        break;
+      case Psbt.InputTypes.TAP_INTERNAL_KEY:
+        checkKeydata(pair, 0);
+        data.tapInternalKey = readXOnlyKey(pair, pair.value);
+        break;
+      case Psbt.InputTypes.TAP_MERKLE_ROOT:
+        checkKeydata(pair, 0);
+        data.tapMerkleRoot = readHash(pair);
+        break;
+      default:
+        data.unknown.push({ key: pair.key, value: pair.value });
+    }
+  });
+  return data;
+};
+
+/**
+ * @private
+ */
+Psbt.prototype._readOutput = function(pairs) {
+  var data = Psbt._newOutput();
+  eachPair(pairs, function(pair) {
+    /* jshint maxcomplexity: 8 */
+    switch (pair.type) {
+      case Psbt.OutputTypes.REDEEM_SCRIPT:
+        checkKeydata(pair, 0);
+        data.redeemScript = new Script(pair.value);
+        break;
+      case Psbt.OutputTypes.WITNESS_SCRIPT:
+        checkKeydata(pair, 0);
+        data.witnessScript = new Script(pair.value);
+        break;
+      case Psbt.OutputTypes.BIP32_DERIVATION:
+        data.bip32Derivation.push(readDerivation(pair));
+        break;
+      case Psbt.OutputTypes.TAP_INTERNAL_KEY:
+        checkKeydata(pair, 0);
+        data.tapInternalKey = readXOnlyKey(pair, pair.value);
+        break;
+      case Psbt.OutputTypes.TAP_TREE:
+        checkKeydata(pair, 0);
+        data.tapTree = readTapTree(pair);
+        break;
+      case Psbt.OutputTypes.TAP_BIP32_DERIVATION:
+        data.tapBip32Derivation.push(readTapDerivation(pair));
+        break;
+      default:
+        data.unknown.push({ key: pair.key, value: pair.value });
+    }
+  });
+  return data;
+};
+
+/**
+ * @return {Buffer} the PSBT in binary format
+ */
+Psbt.prototype.toBuffer = function() {
+  var writer = new BufferWriter();
+  writer.write(Psbt.MAGIC);
+
+  writePair(writer, Psbt.GlobalTypes.UNSIGNED_TX, null, this.tx.toBuffer(true));
+  _.each(this.xpubs, function(xpub) {
+    writePair(writer, Psbt.GlobalTypes.XPUB, Base58Check.decode(xpub.hdPublicKey.xpubkey),
+      writePath(xpub.masterFingerprint, xpub.path));
+  });
+  if (this.version > 0) {
+    writePair(writer, Psbt.GlobalTypes.VERSION, null, new BufferWriter().writeUInt32LE(this.version).toBuffer());
+  }
+  writeUnknown(writer, this.unknown);
+
+  _.each(this.inputs, function(data) {
+    /* jshint maxstatements: 30, maxcomplexity: 12 */
+    var types = Psbt.InputTypes;
+    if (data.nonWitnessUtxo) {
+      writePair(writer, types.NON_WITNESS_UTXO, null, data.nonWitnessUtxo.toBuffer());
+    }
+    if (data.witnessUtxo) {
+      writePair(writer, types.WITNESS_UTXO, null, data.witnessUtxo.toBufferWriter(new BufferWriter()).toBuffer());
+    }
+    _.each(data.partialSigs, function(signature) {
+      writePair(writer, types.PARTIAL_SIG, signature.publicKey.toBuffer(), BufferUtil.concat([
+        signature.signature.toDER(),
+        BufferUtil.integerAsSingleByteBuffer(signature.sigtype)
+      ]));
+    });
+    if (!_.isUndefined(data.sighashType)) {
+      writePair(writer, types.SIGHASH_TYPE, null, new BufferWriter().writeUInt32LE(data.sighashType).toBuffer());
+    }
+    if (data.redeemScript) {
+      writePair(writer, types.REDEEM_SCRIPT, null, data.redeemScript.toBuffer());
+    }
+    if (data.witnessScript) {
+      writePair(writer, types.WITNESS_SCRIPT, null, data.witnessScript.toBuffer());
+    }
+    writeDerivations(writer, types.BIP32_DERIVATION, data.bip32Derivation);
+    if (data.finalScriptSig) {
+      writePair(writer, types.FINAL_SCRIPTSIG, null, data.finalScriptSig.toBuffer());
+    }
+    if (data.finalScriptWitness) {
+      var witness = new BufferWriter().writeVarintNum(data.finalScriptWitness.length);
+      _.each(data.finalScriptWitness, function(item) {
+        witness.writeVarintNum(item.length);
+        witness.write(item);
+      });
+      writePair(writer, types.FINAL_SCRIPTWITNESS, null, witness.toBuffer());
+    }
+    if (data.tapKeySig) {
+      writePair(writer, types.TAP_KEY_SIG, null, data.tapKeySig.toBuffer());
+    }
+    _.each(data.tapScriptSigs, function(signature) {
+      writePair(writer, types.TAP_SCRIPT_SIG, BufferUtil.concat([xOnly(signature.publicKey), signature.leafHash]),
+        signature.signature.toBuffer());
+    });
+    _.each(data.tapLeafScripts, function(leaf) {
+      writePair(writer, types.TAP_LEAF_SCRIPT, leaf.controlBlock,
+        BufferUtil.concat([leaf.script.toBuffer(), Buffer.from([leaf.leafVersion])]));
+    });
+    writeTapDerivations(writer, types.TAP_BIP32_DERIVATION, data.tapBip32Derivation);
+    if (data.tapInternalKey) {
+      writePair(writer, types.TAP_INTERNAL_KEY, null, xOnly(data.tapInternalKey));
+    }
+    if (data.tapMerkleRoot) {
+      writePair(writer, types.TAP_MERKLE_ROOT, null, data.tapMerkleRoot);
+    }
+    writeUnknown(writer, data.unknown);
+  });
+
+  _.each(this.outputs, function(data) {
+    var types = Psbt.OutputTypes;
+    if (data.redeemScript) {
+      writePair(writer, types.REDEEM_SCRIPT, null, data.redeemScript.toBuffer());
+    }
+    if (data.witnessScript) {
+      writePair(writer, types.WITNESS_SCRIPT, null, data.witnessScript.toBuffer());
+    }
+    writeDerivations(writer, types.BIP32_DERIVATION, data.bip32Derivation);
+    if (data.tapInternalKey) {
+      writePair(writer, types.TAP_INTERNAL_KEY, null, xOnly(data.tapInternalKey));
+    }
+    if (data.tapTree) {
+      writePair(writer, types.TAP_TREE, null, writeTapTree(data.tapTree));
+    }
+    writeTapDerivations(writer, types.TAP_BIP32_DERIVATION, data.tapBip32Derivation);
+    writeUnknown(writer, data.unknown);
+  });
+  return writer.toBuffer();
+};
+
+/**
+ * @return {string} the PSBT in base64
+ */
+Psbt.prototype.toBase64 = Psbt.prototype.toString = function() {
+  return this.toBuffer().toString('base64');
+};
+
+Psbt.prototype.inspect = function() {
+  return '<Psbt: ' + this.toString() + '>';
+};
+
+/* Updater */
+
+var toDerivation = function(derivation) {
+  $.checkArgument(_.isObject(derivation), 'Invalid derivation');
+  var fingerprint = derivation.masterFingerprint;
+  fingerprint = _.isNumber(fingerprint) ? BufferUtil.integerAsBuffer(fingerprint) :
+    BufferUtil.isBuffer(fingerprint) ? fingerprint : Buffer.from(fingerprint, 'hex');
+  $.checkArgument(fingerprint.length === 4, 'Invalid master key fingerprint');
+  $.checkArgument(HDPrivateKey.isValidPath(derivation.path), 'Invalid derivation path');
+  return {
+    publicKey: new PublicKey(derivation.publicKey),
+    masterFingerprint: fingerprint,
+    path: derivation.path
+  };
+};
+
+// a public key, or a 32 byte x-only key in binary or hex
+var toXOnlyKey = function(publicKey) {
+  var isXOnly = BufferUtil.isBuffer(publicKey) ? publicKey.length === 32 :
+    _.isString(publicKey) && publicKey.length === 64;
+  return PublicKey.fromTaproot(isXOnly ? publicKey : xOnly(new PublicKey(publicKey)));
+};
+
+var toHash = function(hash) {
+  hash = BufferUtil.isBuffer(hash) ? hash : Buffer.from(hash, 'hex');
+  $.checkArgument(hash.length === 32, 'Invalid hash');
+  return hash;
+};
+
+var toTapDerivation = function(derivation) {
+  return _.assign(toDerivation(_.assign({}, derivation, { publicKey: toXOnlyKey(derivation.publicKey) })), {
+    leafHashes: _.map(derivation.leafHashes, toHash)
+  });
+};
+
+var toLeafScript = function(leaf) {
+  $.checkArgument(_.isObject(leaf), 'Invalid leaf script');
+  var controlBlock = BufferUtil.isBuffer(leaf.controlBlock) ? leaf.controlBlock : Buffer.from(leaf.controlBlock, 'hex');
+  $.checkArgument(isControlBlock(controlBlock), 'Invalid control block');
+  $.checkArgument(JSUtil.isNaturalNumber(leaf.leafVersion) && leaf.leafVersion < 256, 'Invalid leaf version');
+  return { controlBlock: controlBlock, script: new Script(leaf.script), leafVersion: leaf.leafVersion };
+};
+
+var toTapTree = function(leaves) {
+  $.checkArgument(_.isArray(leaves) && leaves.length > 0, 'Invalid taproot tree');
+  return _.map(leaves, function(leaf) {
+    $.checkArgument(JSUtil.isNaturalNumber(leaf.depth) && leaf.depth <= Interpreter.TAPROOT_CONTROL_MAX_NODE_COUNT,
+      'Invalid leaf depth');
+    $.checkArgument(JSUtil.isNaturalNumber(leaf.leafVersion) && leaf.leafVersion < 256, 'Invalid leaf version');
+    return { depth: leaf.depth, leafVersion: leaf.leafVersion, script: new Script(leaf.script) };
+  });
+};
+
+var getItemId = function(item) {
+  if (item.hdPublicKey) {
+    return item.hdPublicKey.xpubkey;
+  }
+  if (item.controlBlock) {
+    return item.controlBlock.toString('hex');
+  }
+  if (item.publicKey) {
+    // script path signatures are per key and leaf script
+    return item.publicKey.toString() + (item.leafHash ? item.leafHash.toString('hex') : '');
+  }
+  return item.key.toString('hex');
+};
+
+// replaces the items of `items` having the same key as those of `updates`
+var updateItems = function(items, updates) {
+  return _.unionBy(updates, items, getItemId);
+};
+
+/**
+ * Adds information about an input, given with the names of the fields of an
+ * input (see {@link Psbt}). Derivations are added to those already known.
+ *
+ * @param {number} index
+ * @param {Object} data
+ * @param {Transaction|Buffer|string=} data.nonWitnessUtxo
+ * @param {Output|Object=} data.witnessUtxo
+ * @param {number=} data.sighashType
+ * @param {Script|Buffer|string=} data.redeemScript
+ * @param {Script|Buffer|string=} data.witnessScript
+ * @param {Array.<Object>=} data.bip32Derivation - `{ publicKey, masterFingerprint, path }`
+ *   with the fingerprint of the master key as a buffer, hex or number and a
+ *   path such as `m/84'/0'/0'/0/1`
+ * @param {PublicKey|Buffer|string=} data.tapInternalKey
+ * @param {Buffer|string=} data.tapMerkleRoot
+ * @param {Array.<Object>=} data.tapLeafScripts - `{ controlBlock, script, leafVersion }`
+ * @param {Array.<Object>=} data.tapBip32Derivation - as `bip32Derivation`,
+ *   with the hashes of the leaf scripts of the key in `leafHashes`
+ * @return {Psbt} this, for chaining
+ */
+Psbt.prototype.updateInput = function(index, data) {
+  this._checkIndex(index, this.inputs);
+  var self = this;
+  var input = this.inputs[index];
+  var prevTxId = this.tx.inputs[index].prevTxId.toString('hex');
+  _.each(data, function(value, field) {
+    /* jshint maxcomplexity: 12 */
+    switch (field) {
+      case 'nonWitnessUtxo':
+        value = new Transaction(value, { network: self.network });
+        $.checkArgument(value.id === prevTxId, 'The previous transaction does not match input ' + index);
+        break;
+      case 'witnessUtxo':
+        value = value instanceof Output ? value : new Output(value);
+        break;
+      case 'sighashType':
+        $.checkArgument(JSUtil.isNaturalNumber(value), 'Invalid sighash type');
+        break;
+      case 'redeemScript':
+      case 'witnessScript':
+        value = new Script(value);
+        break;
+      case 'bip32Derivation':
+        value = updateItems(input.bip32Derivation, _.map(value, toDerivation));
+        break;
+      case 'tapInternalKey':
+        value = toXOnlyKey(value);
+        break;
+      case 'tapMerkleRoot':
+        value = toHash(value);
+        break;
+      case 'tapLeafScripts':
+        value = updateItems(input.tapLeafScripts, _.map(value, toLeafScript));
+        break;
+      case 'tapBip32Derivation':
+        value = updateItems(input.tapBip32Derivation, _.map(value, toTapDerivation));
+        break;
+      default:
+        throw new errors.InvalidArgument('Unknown input field ' + field);
+    }
+    input[field] = value;
+  });
+  return this;
+};
+
+/**
+ * Adds information about an output, such as its scripts and key derivations
+ * for the receiving wallet to recognize its change.
+ *
+ * @param {number} index
+ * @param {Object} data
+ * @param {Script|Buffer|string=} data.redeemScript
+ * @param {Script|Buffer|string=} data.witnessScript
+ * @param {Array.<Object>=} data.bip32Derivation - see {@link Psbt#updateInput}
+ * @param {PublicKey|Buffer|string=} data.tapInternalKey
+ * @param {Array.<Object>=} data.tapTree - the leaves of the script tree in
+ *   depth-first order: `{ depth, leafVersion, script }`
+ * @param {Array.<Object>=} data.tapBip32Derivation - see {@link Psbt#updateInput}
+ * @return {Psbt} this, for chaining
+ */
+Psbt.prototype.updateOutput = function(index, data) {
+  this._checkIndex(index, this.outputs);
+  var output = this.outputs[index];
+  _.each(data, function(value, field) {
+    /* jshint maxcomplexity: 8 */
+    switch (field) {
+      case 'redeemScript':
+      case 'witnessScript':
+        value = new Script(value);
+        break;
+      case 'bip32Derivation':
+        value = updateItems(output.bip32Derivation, _.map(value, toDerivation));
+        break;
+      case 'tapInternalKey':
+        value = toXOnlyKey(value);
+        break;
+      case 'tapTree':
+        value = toTapTree(value);
+        break;
+      case 'tapBip32Derivation':
+        value = updateItems(output.tapBip32Derivation, _.map(value, toTapDerivation));
+        break;
+      default:
+        throw new errors.InvalidArgument('Unknown output field ' + field);
+    }
+    output[field] = value;
+  });
+  return this;
+};
+
+/* Signer */
+
+/**
+ * Signs the inputs the private keys can sign: pay to public key hash inputs,
+ * native or nested in P2SH, multisig inputs with their redeem or witness
+ * script and taproot inputs. A taproot input is signed for its key path if
+ * the key tweaked with `tapMerkleRoot` is its output key, and for each of its
+ * `tapLeafScripts` with the key. Inputs that are already finalized are left
+ * as they are.
+ *
+ * @param {Array|string|PrivateKey} privateKey
+ * @param {number=} sigtype - the sighash type, defaults to that of each
+ *   input, or `Signature.SIGHASH_ALL` (`Signature.SIGHASH_DEFAULT` for
+ *   taproot inputs)
+ * @return {Psbt} this, for chaining
+ */
+Psbt.prototype.sign = function(privateKey, sigtype) {
+  var self = this;
+  if (_.isArray(privateKey)) {
+    _.each(privateKey, function(key) {
+      self.sign(key, sigtype);
+    });
+    return this;
+  }
+  privateKey = new PrivateKey(privateKey);
+  var transaction = this._getTransaction();
+  var hashData = Hash.sha256ripemd160(privateKey.publicKey.toBuffer());
+  _.each(transaction.inputs, function(input, index) {
+    /* jshint maxcomplexity: 15, maxstatements: 20 */
+    var data = self.inputs[index];
+    if (Psbt._isFinalized(data) ||
+      !(input instanceof PublicKeyHashInput || input instanceof MultiSigScriptHashInput)) {
+      return;
+    }
+    if (sigtype && !_.isUndefined(data.sighashType) && sigtype !== data.sighashType) {
+      throw new errors.Transaction.Psbt.SighashMismatch(index, data.sighashType);
+    }
+    var type = sigtype || data.sighashType ||
+      (input instanceof TaprootInput ? Signature.SIGHASH_DEFAULT : Signature.SIGHASH_ALL);
+    var signatures = input.getSignatures(transaction, privateKey, index, type, hashData);
+    if (input instanceof TaprootInput) {
+      var keySig = _.find(signatures, function(signature) {
+        return !signature.leafHash;
+      });
+      if (keySig) {
+        data.tapKeySig = keySig.signature;
+      }
+      data.tapScriptSigs = updateItems(data.tapScriptSigs, _.filter(signatures, 'leafHash'));
+      return;
+    }
+    data.partialSigs = updateItems(data.partialSigs, signatures);
+    // the redeem script of a nested P2WPKH input is found from the public key
+    if (signatures.length && input instanceof PublicKeyHashInput && input.redeemScript) {
+      data.redeemScript = input.redeemScript;
+    }
+  });
+  return this;
+};
+
+/**
+ * Signs with the keys derived from an extended private key, for the inputs
+ * whose BIP32 derivations, or taproot BIP32 derivations, have its
+ * fingerprint as master key fingerprint.
+ *
+ * @param {HDPrivateKey|string} hdPrivateKey - the master key
+ * @param {number=} sigtype - see {@link Psbt#sign}
+ * @return {Psbt} this, for chaining
+ */
+Psbt.prototype.signHD = function(hdPrivateKey, sigtype) {
+  hdPrivateKey = new HDPrivateKey(hdPrivateKey);
+  var keys = {};
+  _.each(this.inputs, function(data) {
+    _.each(data.bip32Derivation.concat(data.tapBip32Derivation), function(derivation) {
+      if (!BufferUtil.equals(derivation.masterFingerprint, hdPrivateKey.fingerPrint)) {
+        return;
+      }
+      var privateKey = hdPrivateKey.deriveChild(derivation.path).privateKey;
+      var publicKey = derivation.leafHashes ? toXOnlyKey(privateKey.publicKey) : privateKey.publicKey;
+      if (publicKey.toString() === derivation.publicKey.toString()) {
+        keys[privateKey.toString()] = privateKey;
+      }
+    });
+  });
+  return this.sign(_.values(keys), sigtype);
+};
+
+/* Combiner */
+
+/**
+ * Merges the information of other PSBTs of the same transaction into this one.
+ *
+ * @param {...(Psbt|Buffer|string)} psbts
+ * @return {Psbt} this, for chaining
+ */
+Psbt.prototype.combine = function() {
+  var self = this;
+  var merge = function(target, source) {
+    _.each(source, function(value, field) {
+      if (_.includes(Psbt._LIST_FIELDS, field)) {
+        target[field] = _.unionBy(target[field], value, getItemId);
+      } else if (_.isUndefined(target[field])) {
+        target[field] = value;
+      }
+    });
+  };
+  _.each(arguments, function(other) {
+    other = other instanceof Psbt ? other : new Psbt(other, { network: self.network });
+    if (!BufferUtil.equals(other.tx.toBuffer(true), self.tx.toBuffer(true))) {
+      throw new errors.Transaction.Psbt.Mismatch();
+    }
+    self.xpubs = _.unionBy(self.xpubs, other.xpubs, getItemId);
+    self.unknown = _.unionBy(self.unknown, other.unknown, getItemId);
+    _.each(self.inputs, function(data, index) {
+      merge(data, other.inputs[index]);
+    });
+    _.each(self.outputs, function(data, index) {
+      merge(data, other.outputs[index]);
+    });
+  });
+  return this;
+};
+
+/* Finalizer */
+
+/**
+ * Builds the final script and witness of an input from its partial
+ * signatures, or from the key path signature of a taproot input, and clears
+ * the fields that are no longer needed.
+ *
+ * @param {number} index
+ * @return {Psbt} this, for chaining
+ */
+Psbt.prototype.finalizeInput = function(index) {
+  /* jshint maxstatements: 20 */
+  this._checkIndex(index, this.inputs);
+  var data = this.inputs[index];
+  if (Psbt._isFinalized(data)) {
+    return this;
+  }
+  var transaction = this._getTransaction();
+  var input = transaction.inputs[index];
+  if (!input.output) {
+    throw new errors.Transaction.Psbt.CannotFinalize(index, 'its previous output is unknown');
+  }
+  if (!(input instanceof PublicKeyHashInput || input instanceof MultiSigScriptHashInput)) {
+    throw new errors.Transaction.Psbt.CannotFinalize(index, 'its script is not supported');
+  }
+
+  if (input instanceof TaprootInput) {
+    if (data.tapKeySig) {
+      input.addSignature(transaction, { signature: data.tapKeySig });
+    } else {
+      _.each(data.tapScriptSigs, function(signature) {
+        input.addSignature(transaction, signature);
+      });
+    }
+  } else {
+    _.each(data.partialSigs, function(signature) {
+      if (input.isFullySigned()) {
+        return false;
+      }
+      if (Psbt._canAddSignature(transaction, input, signature)) {
+        input.addSignature(transaction, signature);
+      }
+    });
+  }
+  if (!input.isFullySigned()) {
+    throw new errors.Transaction.Psbt.CannotFinalize(index, 'it is missing signatures');
+  }
+
+  this.inputs[index] = _.assign(Psbt._newInput(), {
+    nonWitnessUtxo: data.nonWitnessUtxo,
+    witnessUtxo: data.witnessUtxo,
+    finalScriptSig: input._scriptBuffer.length ? input.script : undefined,
+    finalScriptWitness: input.hasWitnesses() ? input.getWitnesses() : undefined,
+    unknown: data.unknown
+  });
+  return this;
+};
+
+/**
+ * Finalizes all the inputs, see {@link Psbt#finalizeInput}.
+ *
+ * @return {Psbt} this, for chaining
+ */
+Psbt.prototype.finalize = function() {
+  for (var i = 0; i < this.inputs.length; i++) {
+    this.finalizeInput(i);
+  }
+  return this;
+};
+
+/**
+ * @return {boolean} if all the inputs are finalized
+ */
+Psbt.prototype.isFinalized = function() {
+  return _.every(this.inputs, Psbt._isFinalized);
+};
+
+/* Extractor */
+
+/**
+ * @return {Transaction} the signed transaction, with the outputs its inputs
+ *   spend when they are known
+ */
+Psbt.prototype.extractTransaction = function() {
+  if (!this.isFinalized()) {
+    throw new errors.Transaction.Psbt.NotFinalized();
+  }
+  var self = this;
+  var transaction = Transaction.shallowCopy(this.tx);
+  _.each(transaction.inputs, function(input, index) {
+    var data = self.inputs[index];
+    input.setScript(data.finalScriptSig || Script.empty());
+    input.setWitnesses(data.finalScriptWitness || []);
+    var utxo = self._getUtxo(index);
+    if (utxo) {
+      input.output = new Output({ script: utxo.script, satoshis: utxo.satoshis });
+    }
+  });
+  return transaction;
+};
+
+/* Helpers */
+
+/**
+ * @private
+ */
+Psbt.prototype._checkIndex = function(index, items) {
+  if (!JSUtil.isNaturalNumber(index) || index >= items.length) {
+    throw new errors.Transaction.InvalidIndex(index, items.length);
+  }
+};
+
+/**
+ * @return {Output|null} the output spent by an input
+ * @private
+ */
+Psbt.prototype._getUtxo = function(index) {
+  var data = this.inputs[index];
+  if (data.witnessUtxo) {
+    return data.witnessUtxo;
+  }
+  if (data.nonWitnessUtxo) {
+    return data.nonWitnessUtxo.outputs[this.tx.inputs[index].outputIndex] || null;
+  }
+  return null;
+};
+
+/**
+ * @return {Transaction} the unsigned transaction, with an input class able to
+ *   sign each input whose previous output and scripts are known
+ * @private
+ */
+Psbt.prototype._getTransaction = function() {
+  var transaction = Transaction.shallowCopy(this.tx);
+  for (var i = 0; i < transaction.inputs.length; i++) {
+    var input = this._getInput(i);
+    if (input) {
+      transaction.inputs[i] = input;
+    }
+  }
+  return transaction;
+};
+
+/**
+ * @private
+ */
+Psbt.prototype._getInput = function(index) {
+  /* jshint maxstatements: 25 */
+  var data = this.inputs[index];
+  var utxo = this._getUtxo(index);
+  if (!utxo) {
+    return null;
+  }
+  var txInput = this.tx.inputs[index];
+  var params = {
+    output: new Output({ script: utxo.script, satoshis: utxo.satoshis }),
+    prevTxId: txInput.prevTxId,
+    outputIndex: txInput.outputIndex,
+    sequenceNumber: txInput.sequenceNumber,
+    script: Script.empty()
+  };
+  var script = utxo.script;
+
+  var multisig = _.find([data.witnessScript, data.redeemScript], function(redeemScript) {
+    return redeemScript && redeemScript.isMultisigOut();
+  });
+  if (multisig) {
+    var publicKeys = _.map(multisig.chunks.slice(1, -2), function(chunk) {
+      return new PublicKey(chunk.buf);
+    });
+    var threshold = Opcode.decodeOpN(multisig.chunks[0].opcodenum);
+    return new MultiSigScriptHashInput(params, publicKeys, threshold, null, { noSorting: true });
+  }
+  if (script.isTaproot()) {
+    return new TaprootInput(_.assign(params, {
+      merkleRoot: data.tapMerkleRoot,
+      leafScripts: data.tapLeafScripts
+    }));
+  }
+  if (script.isPublicKeyHashOut() || script.isWitnessPublicKeyHashOut()) {
+    return new PublicKeyHashInput(params);
+  }
+  if (script.isScriptHashOut() && (!data.redeemScript || data.redeemScript.isWitnessPublicKeyHashOut())) {
+    var input = new PublicKeyHashInput(params);
+    if (data.redeemScript) {
+      input.redeemScript = data.redeemScript;
+      input.setScript(new Script().add(data.redeemScript.toBuffer()));
+    }
+    return input;
+  }
+  return new Input(params);
+};
+
+/**
+ * @private
+ */
+Psbt._canAddSignature = function(transaction, input, signature) {
+  if (input instanceof MultiSigScriptHashInput) {
+    var index = input.publicKeyIndex[signature.publicKey.toString()];
+    if (_.isUndefined(index) || input.signatures[index]) {
+      return false;
+    }
+  } else {
+    var script = input.output.script.isScriptHashOut() ?
+      input.getRedeemScript(signature.publicKey) : input.output.script;
+    var hash = Hash.sha256ripemd160(signature.publicKey.toBuffer());
+    if (!script || !BufferUtil.equals(hash, script.getPublicKeyHash())) {
+      return false;
+    }
+  }
+  return input.isValidSignature(transaction, signature);
+};
+
+/**
+ * @private
+ */
+Psbt._isWitnessInput = function(input) {
+  var script = input.output.script;
+  if (script.isWitnessProgram()) {
+    return true;
+  }
+  // nested segwit, P2SH inputs of a single key are taken as P2SH-P2WPKH
+  return script.isScriptHashOut() && (input instanceof PublicKeyHashInput ||
+    (input instanceof MultiSigScriptHashInput && input.nestedWitness));
+};
+
+// the fields of inputs and outputs holding several key-value pairs
+Psbt._LIST_FIELDS = [
+  'partialSigs', 'bip32Derivation', 'unknown', 'tapScriptSigs', 'tapLeafScripts', 'tapBip32Derivation'
+];
+
+/**
+ * @private
+ */
+Psbt._isFinalized = function(data) {
+  return !!(data.finalScriptSig || data.finalScriptWitness);
+};
+
+/**
+ * @private
+ */
+Psbt._newInput = function() {
+  return {
+    partialSigs: [],
+    bip32Derivation: [],
+    tapScriptSigs: [],
+    tapLeafScripts: [],
+    tapBip32Derivation: [],
+    unknown: []
+  };
+};
+
+/**
+ * @private
+ */
+Psbt._newOutput = function() {
+  return { bip32Derivation: [], tapBip32Derivation: [], unknown: [] };
+};
+
+module.exports = Psbt;
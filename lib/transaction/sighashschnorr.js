@@ -59,6 +59,9 @@ function _signatureHash(transaction, sighashType, inputNumber, sigversion, execd
   // Transaction level data
   ss.writeInt32LE(transaction.version);
   ss.writeUInt32LE(transaction.nLockTime);
+  if (transaction.hasTime()) {
+    ss.writeUInt32LE(transaction.nTime);
+  }
   if (inputType !== Signature.SIGHASH_ANYONECANPAY) {
     const prevoutsBW = new BufferWriter();
     const spentAmountsBW = new BufferWriter();
@@ -151,11 +154,21 @@ function _signatureHash(transaction, sighashType, inputNumber, sigversion, execd
 };
 
 
-function _getExecData(sigversion, leafHash) {
+/**
+ * Returns the data about the execution of a script that a signature commits to
+ *
+ * @name Signing.getExecData
+ * @param {Number} sigversion Taproot or Tapscript version number
+ * @param {Buffer} leafHash the hash of the leaf script, for Tapscript
+ * @param {Number} codeseparatorPos the opcode position of the last OP_CODESEPARATOR
+ *   executed before the signature is checked, for Tapscript (defaults to none: 0xFFFFFFFF)
+ * @return {Object|false} false if a Tapscript leaf hash is missing
+ */
+function _getExecData(sigversion, leafHash, codeseparatorPos = 0xFFFFFFFF) {
   const execdata = { annexInit: true, annexPresent: false };
   if (sigversion === Signature.Version.TAPSCRIPT) {
     execdata.codeseparatorPosInit = true;
-    execdata.codeseparatorPos = 0xFFFFFFFF; // Only support non-OP_CODESEPARATOR BIP342 signing for now.
+    execdata.codeseparatorPos = codeseparatorPos;
     if (!leafHash) return false; // BIP342 signing needs leaf hash.
     execdata.tapleafHashInit = true;
     execdata.tapleafHash = leafHash;
@@ -164,6 +177,25 @@ function _getExecData(sigversion, leafHash) {
 }
 
 
+/**
+ * Returns the hash that a Schnorr signature of an input signs
+ *
+ * @name Signing.sighash
+ * @param {Transaction} transaction
+ * @param {number} sighashType
+ * @param {number} inputIndex
+ * @param {number} sigversion
+ * @param {object|Buffer|null} execdata If given, can be full execdata object or just the leafHash buffer
+ * @return {Buffer|false} false if the sighash type is invalid for the input
+ */
+function sighash(transaction, sighashType, inputIndex, sigversion, execdata) {
+  if (!execdata || Buffer.isBuffer(execdata)) {
+    execdata = _getExecData(sigversion, execdata);
+  }
+  return _signatureHash(transaction, sighashType, inputIndex, sigversion, execdata);
+};
+
+
 /**
  * Create a Schnorr signature
  *
@@ -173,14 +205,13 @@ function _getExecData(sigversion, leafHash) {
  * @param {number} sighash
  * @param {number} inputIndex
  * @param {number} sigversion
- * @param {Buffer} leafHash
+ * @param {object|Buffer|null} execdata If given, can be full execdata object or just the leafHash buffer
  * @return {Signature}
  */
-function sign(transaction, privateKey, sighashType, inputIndex, sigversion, leafHash) {
+function sign(transaction, privateKey, sighashType, inputIndex, sigversion, execdata) {
   $.checkArgument(sigversion === Signature.Version.TAPROOT || sigversion === Signature.Version.TAPSCRIPT, 'Invalid sigversion');
   
-  const execdata = _getExecData(sigversion, leafHash);
-  const hashbuf = _signatureHash(transaction, sighashType, inputIndex, sigversion, execdata);
+  const hashbuf = sighash(transaction, sighashType, inputIndex, sigversion, execdata);
   if (!hashbuf) {
     return false;
   }
@@ -225,6 +256,8 @@ function verify(transaction, signature, publicKey, sigversion, inputIndex, execd
  * @namespace Signing
  */
 module.exports = {
+  sighash: sighash,
   sign: sign,
-  verify: verify
+  verify: verify,
+  getExecData: _getExecData
 };
@@ -93,6 +93,11 @@ var sighash = function sighash(transaction, sighashType, inputNumber, scriptCode
   // Locktime
   writer.writeUInt32LE(transaction.nLockTime);
 
+  // Transaction time (PoSV)
+  if (transaction.hasTime()) {
+    writer.writeUInt32LE(transaction.nTime);
+  }
+
   // Sighash type
   writer.writeInt32LE(sighashType);
 
@@ -40,6 +40,9 @@ TransactionSignature.prototype._fromObject = function(arg) {
                      BufferUtil.isBuffer(arg.signature) ? Signature.fromBuffer(arg.signature) :
                      Signature.fromString(arg.signature);
   this.sigtype = arg.sigtype;
+  if (arg.leafHash) {
+    this.leafHash = BufferUtil.isBuffer(arg.leafHash) ? arg.leafHash : Buffer.from(arg.leafHash, 'hex');
+  }
   return this;
 };
 
@@ -58,6 +61,8 @@ TransactionSignature.prototype._checkObjectArgs = function(arg) {
                JSUtil.isHexa(arg.prevTxId), 'prevTxId must be a buffer or hexa value');
   $.checkArgument(arg.sigtype != null, 'missing sigtype');
   $.checkState(!isNaN(arg.sigtype), 'sigtype must be a number');
+  $.checkState(!arg.leafHash || BufferUtil.isBuffer(arg.leafHash) ||
+               JSUtil.isHexa(arg.leafHash), 'leafHash must be a buffer or hexa value');
 };
 
 /**
@@ -65,7 +70,7 @@ TransactionSignature.prototype._checkObjectArgs = function(arg) {
  * @return {Object}
  */
 TransactionSignature.prototype.toObject = TransactionSignature.prototype.toJSON = function toObject() {
-  return {
+  var obj = {
     publicKey: this.publicKey.toString(),
     prevTxId: this.prevTxId.toString('hex'),
     outputIndex: this.outputIndex,
@@ -73,6 +78,10 @@ TransactionSignature.prototype.toObject = TransactionSignature.prototype.toJSON
     signature: this.signature.toString(),
     sigtype: this.sigtype
   };
+  if (this.leafHash) {
+    obj.leafHash = this.leafHash.toString('hex');
+  }
+  return obj;
 };
 
 /**
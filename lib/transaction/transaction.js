@@ -17,6 +17,7 @@ var SighashWitness = require('./sighashwitness');
 const SighashSchnorr = require('./sighashschnorr');
 
 var Address = require('../address');
+var Networks = require('../networks');
 var UnspentOutput = require('./unspentoutput');
 var Input = require('./input');
 var PublicKeyHashInput = Input.PublicKeyHash;
@@ -24,25 +25,31 @@ var PublicKeyInput = Input.PublicKey;
 var MultiSigScriptHashInput = Input.MultiSigScriptHash;
 var MultiSigInput = Input.MultiSig;
 const TaprootInput = Input.Taproot;
+const TapscriptMultiSigInput = Input.TapscriptMultiSig;
 var Output = require('./output');
 var Script = require('../script');
 var PrivateKey = require('../privatekey');
+var CoinSelection = require('./coinselection');
 var BN = require('../crypto/bn');
 
 /**
  * Represents a transaction, a set of inputs and outputs to change ownership of tokens
  *
  * @param {*} serialized
+ * @param {Object=} opts
+ * @param {Network|string=} opts.network - the network whose serialization
+ *   format is used, defaults to `Networks.defaultNetwork`
  * @constructor
  */
 function Transaction(serialized, opts) {
   if (!(this instanceof Transaction)) {
-    return new Transaction(serialized);
+    return new Transaction(serialized, opts);
   }
   this.inputs = [];
   this.outputs = [];
   this._inputAmount = undefined;
   this._outputAmount = undefined;
+  this.network = Networks.get(opts && opts.network) || Networks.defaultNetwork;
 
   if (serialized) {
     if (serialized instanceof Transaction) {
@@ -62,30 +69,40 @@ function Transaction(serialized, opts) {
 }
 var CURRENT_VERSION = 2;
 var DEFAULT_NLOCKTIME = 0;
-var MAX_BLOCK_SIZE = 1000000;
-
-// Minimum amount for an output for it not to be considered a dust output
-Transaction.DUST_AMOUNT = 546;
 
 // Margin of error to allow fees in the vecinity of the expected value but doesn't allow a big difference
 Transaction.FEE_SECURITY_MARGIN = 150;
 
-// max amount of satoshis in circulation
-Transaction.MAX_MONEY = 21000000 * 1e8;
-
 // nlocktime limit to be considered block height rather than a timestamp
 Transaction.NLOCKTIME_BLOCKHEIGHT_LIMIT = 5e8;
 
 // Max value for an unsigned 32 bit value
 Transaction.NLOCKTIME_MAX_VALUE = 4294967295;
 
-// Value used for fee estimation (satoshis per kilobyte)
-Transaction.FEE_PER_KB = 100000;
+// The values of the default network, deprecated as transactions use the
+// parameters of their own network (`Network#consensus` and `Network#policy`)
+Object.defineProperties(Transaction, {
+  // Minimum amount for an output for it not to be considered a dust output
+  DUST_AMOUNT: {
+    get: () => Networks.defaultNetwork.policy.dustAmount
+  },
+  // max amount of satoshis in circulation
+  MAX_MONEY: {
+    get: () => Networks.defaultNetwork.consensus.maxMoney
+  },
+  // Value used for fee estimation (satoshis per kilobyte)
+  FEE_PER_KB: {
+    get: () => Networks.defaultNetwork.policy.feePerKb
+  }
+});
 
 // Safe upper bound for change address script size in bytes
 Transaction.CHANGE_OUTPUT_MAX_SIZE = 20 + 4 + 34 + 4;
 Transaction.MAXIMUM_EXTRA_SIZE = 4 + 9 + 9 + 4;
 
+// Coinstake outputs are split at a multiple of this amount (0.01 coin)
+Transaction.CENT = 1000000;
+
 /* Constructors and Serialization */
 
 /**
@@ -96,7 +113,7 @@ Transaction.MAXIMUM_EXTRA_SIZE = 4 + 9 + 9 + 4;
  * @return {Transaction}
  */
 Transaction.shallowCopy = function(transaction) {
-  var copy = new Transaction(transaction.toBuffer());
+  var copy = new Transaction(transaction.toBuffer(), { network: transaction.network });
   return copy;
 };
 
@@ -220,7 +237,7 @@ Transaction.prototype.checkedSerialize = function(opts) {
 Transaction.prototype.invalidSatoshis = function() {
   var invalid = false;
   for (var i = 0; i < this.outputs.length; i++) {
-    if (this.outputs[i].invalidSatoshis()) {
+    if (this.outputs[i].invalidSatoshis(this.network)) {
       invalid = true;
     }
   }
@@ -297,9 +314,14 @@ Transaction.prototype._hasDustOutputs = function(opts) {
     return;
   }
   var index, output;
+  var isCoinstake = this.isCoinstake();
   for (index in this.outputs) {
     output = this.outputs[index];
-    if (output.satoshis < Transaction.DUST_AMOUNT && !output.script.isDataOut()) {
+    if (isCoinstake && index === '0') {
+      // the empty output marking a coinstake is not dust
+      continue;
+    }
+    if (output.satoshis < this.network.policy.dustAmount && !output.script.isDataOut()) {
       return new errors.Transaction.DustOutputs();
     }
   }
@@ -363,6 +385,9 @@ Transaction.prototype.toBufferWriter = function(writer, noWitness) {
   }
 
   writer.writeUInt32LE(this.nLockTime);
+  if (this.hasTime()) {
+    writer.writeUInt32LE(this.nTime);
+  }
   return writer;
 };
 
@@ -409,6 +434,9 @@ Transaction.prototype.fromBufferReader = function(reader) {
   }
 
   this.nLockTime = reader.readUInt32LE();
+  if (this.hasTime()) {
+    this.nTime = reader.readUInt32LE();
+  }
   return this;
 };
 
@@ -424,11 +452,15 @@ Transaction.prototype.toObject = Transaction.prototype.toJSON = function toObjec
   });
   var obj = {
     hash: this.hash,
+    network: this.network.name,
     version: this.version,
     inputs: inputs,
     outputs: outputs,
     nLockTime: this.nLockTime
   };
+  if (this.hasTime()) {
+    obj.nTime = this.nTime;
+  }
   if (this._changeScript) {
     obj.changeScript = this._changeScript.toString();
   }
@@ -447,9 +479,14 @@ Transaction.prototype.fromObject = function fromObject(arg, opts) {
   var transaction;
   if (arg instanceof Transaction) {
     transaction = arg.toObject();
+    this.network = arg.network;
   } else {
     transaction = arg;
   }
+  if (transaction.network) {
+    this.network = Networks.get(transaction.network);
+    $.checkArgument(this.network, 'Unknown network: ' + transaction.network);
+  }
   for (const input of transaction.inputs || []) {
     if (!input.output || !input.output.script) {
       this.uncheckedAddInput(new Input(input));
@@ -471,7 +508,8 @@ Transaction.prototype.fromObject = function fromObject(arg, opts) {
     this.addInput(txin);
   }
   for (const output of transaction.outputs || []) {
-    this.addOutput(new Output(output));
+    // the amounts of the outputs paying the fee are kept as they are
+    this._addOutput(new Output(output));
   }
   if (transaction.changeIndex) {
     this._changeIndex = transaction.changeIndex;
@@ -484,6 +522,11 @@ Transaction.prototype.fromObject = function fromObject(arg, opts) {
   }
   this.nLockTime = transaction.nLockTime;
   this.version = transaction.version;
+  if (this.hasTime()) {
+    $.checkArgument(JSUtil.isNaturalNumber(transaction.nTime),
+      'The nTime of a version ' + this.version + ' ' + this.network.name + ' transaction is required');
+    this.nTime = transaction.nTime;
+  }
   this._checkConsistency(arg);
   return this;
 };
@@ -570,6 +613,89 @@ Transaction.prototype.getLockTime = function() {
   return new Date(1000 * this.nLockTime);
 };
 
+/**
+ * Checks the lock time of the transaction: whether it can be included in a
+ * block at `height`. Time locks are compared to the median time past of the
+ * blocks before it (BIP113), see {@link BlockHeader.getMedianTimePast}. A
+ * transaction whose inputs all have the final sequence number ignores its
+ * lock time.
+ *
+ * @param {number} height - the height of the block
+ * @param {number=} mtp - the median time past of the previous block, required
+ *   if the transaction is locked until a time
+ * @return {boolean}
+ */
+Transaction.prototype.isFinal = function(height, mtp) {
+  $.checkArgument(JSUtil.isNaturalNumber(height), 'Invalid height');
+  if (!this.nLockTime) {
+    return true;
+  }
+  var limit = height;
+  if (this.nLockTime >= Transaction.NLOCKTIME_BLOCKHEIGHT_LIMIT) {
+    $.checkArgument(JSUtil.isNaturalNumber(mtp), 'The median time past is required');
+    limit = mtp;
+  }
+  if (this.nLockTime < limit) {
+    return true;
+  }
+  return _.every(this.inputs, function(input) {
+    return input.sequenceNumber === Input.MAXINT;
+  });
+};
+
+/**
+ * Computes the relative lock times of the inputs (BIP68). They apply to
+ * transactions of version 2 or more and are counted from the block that
+ * confirmed each spent output.
+ *
+ * @param {Array.<Object>} prevs - for each input, where its spent output was
+ *   confirmed: `{ height, time }`, `time` being the median time past of the
+ *   block before the one confirming it
+ * @return {Object} `{ height, time }`: the transaction can only be included in
+ *   a block of at least that height whose previous median time past is at
+ *   least that time
+ */
+Transaction.prototype.getSequenceLocks = function(prevs) {
+  $.checkArgument(_.isArray(prevs) && prevs.length === this.inputs.length,
+    'The confirmation of each spent output is required');
+  var locks = { height: 0, time: 0 };
+  if (this.version < 2) {
+    return locks;
+  }
+  _.each(this.inputs, function(input, i) {
+    var sequence = input.sequenceNumber;
+    if (sequence & Input.SEQUENCE_LOCKTIME_DISABLE_FLAG) {
+      return;
+    }
+    var prev = prevs[i];
+    $.checkArgument(_.isObject(prev) && JSUtil.isNaturalNumber(prev.height), 'Invalid confirmation height');
+    var value = sequence & Input.SEQUENCE_LOCKTIME_MASK;
+    if (sequence & Input.SEQUENCE_LOCKTIME_TYPE_FLAG) {
+      $.checkArgument(JSUtil.isNaturalNumber(prev.time), 'Invalid confirmation time');
+      locks.time = Math.max(locks.time, prev.time + value * Input.SEQUENCE_LOCKTIME_GRANULARITY);
+    } else {
+      locks.height = Math.max(locks.height, prev.height + value);
+    }
+  });
+  return locks;
+};
+
+/**
+ * Checks the relative lock times of the inputs (BIP68), see
+ * {@link Transaction#getSequenceLocks}.
+ *
+ * @param {Array.<Object>} prevs - for each input, where its spent output was confirmed
+ * @param {number} height - the height of the block
+ * @param {number} mtp - the median time past of the previous block
+ * @return {boolean} whether the block can include the transaction
+ */
+Transaction.prototype.checkSequenceLocks = function(prevs, height, mtp) {
+  $.checkArgument(JSUtil.isNaturalNumber(height), 'Invalid height');
+  $.checkArgument(JSUtil.isNaturalNumber(mtp), 'The median time past is required');
+  var locks = this.getSequenceLocks(prevs);
+  return height >= locks.height && mtp >= locks.time;
+};
+
 Transaction.prototype.fromString = function(string) {
   this.fromBuffer(buffer.Buffer.from(string, 'hex'));
 };
@@ -577,6 +703,25 @@ Transaction.prototype.fromString = function(string) {
 Transaction.prototype._newTransaction = function() {
   this.version = CURRENT_VERSION;
   this.nLockTime = DEFAULT_NLOCKTIME;
+  if (this.hasTime()) {
+    this.nTime = Transaction._currentTime();
+  }
+};
+
+Transaction._currentTime = function() {
+  return Math.floor(Date.now() / 1000);
+};
+
+/**
+ * Whether this transaction carries the PoSV `nTime` field. That depends on
+ * the network (see `Network#txTimeVersion`) and on the transaction version:
+ * Reddcoin version 1 transactions are serialized exactly like bitcoin's.
+ *
+ * @return {boolean}
+ */
+Transaction.prototype.hasTime = function() {
+  var minVersion = this.network && this.network.txTimeVersion;
+  return !!minVersion && this.version >= minVersion;
 };
 
 /* Transaction creation interface */
@@ -632,8 +777,23 @@ Transaction.prototype._newTransaction = function() {
  * @param {Object=} opts - Several options:
  *        - noSorting: defaults to false, if true and is multisig, don't
  *                      sort the given public keys before creating the script
+ *        - merkleRoot: for a taproot output, the merkle root of its script
+ *                      tree, to sign its key path
+ *        - leafScripts: for a taproot output, the leaf scripts to spend it by
+ *                      (`{ controlBlock, script, leafVersion }`, see `Output#finalize`),
+ *                      one of which is the tapscript multisig of the public keys
+ *                      when they are given
+ *        - coinSelection: with an array of UTXOs, only add those selected to
+ *                      pay the outputs already added and the fee, by the name
+ *                      of a strategy of `CoinSelection.strategies`, a strategy
+ *                      or an array of them (see `CoinSelection.select`)
+ *        - feeRate: the fee rate in satoshis per byte of the coin selection,
+ *                      defaults to that of the transaction
  */
 Transaction.prototype.from = function(utxo, pubkeys, threshold, opts) {
+  if (Array.isArray(utxo) && opts && opts.coinSelection) {
+    return this._fromSelection(utxo, pubkeys, threshold, opts);
+  }
   if (Array.isArray(utxo)) {
     for(const u of utxo) {
       this.from(u, pubkeys, threshold, opts);
@@ -688,6 +848,8 @@ Transaction.prototype._selectInputType = function(utxo, pubkeys, threshold) {
       clazz = MultiSigInput;
     } else if (utxo.script.isScriptHashOut() || utxo.script.isWitnessScriptHashOut()) {
       clazz = MultiSigScriptHashInput;
+    } else if (utxo.script.isTaproot()) {
+      clazz = TapscriptMultiSigInput;
     }
   } else if (utxo.script.isPublicKeyHashOut() || utxo.script.isWitnessPublicKeyHashOut() || utxo.script.isScriptHashOut()) {
     clazz = PublicKeyHashInput;
@@ -715,10 +877,36 @@ Transaction.prototype._getInputFrom = function(utxo, pubkeys, threshold, opts =
     sequenceNumber: opts.sequenceNumber,
     script: Script.empty()
   };
+  if (InputClass === TaprootInput || InputClass === TapscriptMultiSigInput) {
+    input.merkleRoot = opts.merkleRoot;
+    input.leafScripts = opts.leafScripts;
+  }
   let args = pubkeys && threshold ? [pubkeys, threshold, false, opts] : []
   return new InputClass(input, ...args);
 }
 
+/**
+ * Adds the inputs of the UTXOs selected by `opts.coinSelection`
+ *
+ * @private
+ */
+Transaction.prototype._fromSelection = function(utxos, pubkeys, threshold, opts) {
+  const outputs = this.outputs.filter((output, index) => index !== this._changeIndex);
+  const selection = CoinSelection.select(utxos, outputs, opts.feeRate || this._getFeeRate(), Object.assign({}, opts, {
+    strategy: opts.coinSelection,
+    transaction: this,
+    pubkeys: pubkeys,
+    threshold: threshold
+  }));
+  if (selection.change && !this._changeScript) {
+    throw new errors.Transaction.ChangeAddressMissing();
+  }
+  for (const input of selection.inputs) {
+    this.addInput(input);
+  }
+  return this;
+};
+
 Transaction.prototype._fromNonP2SH = function(utxo, opts) {
   const input = this._getInputFrom(utxo, null, null, opts);
   this.addInput(input);
@@ -862,6 +1050,7 @@ Transaction.prototype.getChangeOutput = function() {
  * @typedef {Object} Transaction~toObject
  * @property {(string|Address)} address
  * @property {number} satoshis
+ * @property {boolean=} subtractFeeFromAmount
  */
 
 /**
@@ -872,12 +1061,17 @@ Transaction.prototype.getChangeOutput = function() {
  *
  * @param {(string|Address|Array.<Transaction~toObject>)} address
  * @param {number} amount in satoshis
+ * @param {Object=} opts
+ * @param {boolean=} opts.subtractFeeFromAmount - the fee is subtracted from
+ *   the amount instead of being paid by the change, evenly between the outputs
+ *   with this option. A change output then gets the whole amount left, and
+ *   the amount is updated with the fee.
  * @return {Transaction} this, for chaining
  */
-Transaction.prototype.to = function(address, amount) {
+Transaction.prototype.to = function(address, amount, opts) {
   if (Array.isArray(address)) {
     for (const to of address) {
-      this.to(to.address, to.satoshis);
+      this.to(to.address, to.satoshis, { subtractFeeFromAmount: to.subtractFeeFromAmount });
     }
     return this;
   }
@@ -888,7 +1082,29 @@ Transaction.prototype.to = function(address, amount) {
   );
   this.addOutput(new Output({
     script: Script(new Address(address)),
-    satoshis: amount
+    satoshis: amount,
+    subtractFeeFromAmount: opts && opts.subtractFeeFromAmount
+  }));
+  return this;
+};
+
+/**
+ * Add an output receiving everything the inputs are worth after the other
+ * outputs and the fee, to sweep them. No change output is added, and the
+ * amount is updated when inputs, outputs or the fee change.
+ *
+ * Beware that this resets all the signatures for inputs (in further versions,
+ * SIGHASH_SINGLE or SIGHASH_NONE signatures will not be reset).
+ *
+ * @param {string|Address} address
+ * @return {Transaction} this, for chaining
+ */
+Transaction.prototype.sendMax = function(address) {
+  $.checkState(!_.some(this.outputs, 'sendMax'), 'The transaction already has a send-max output');
+  this.addOutput(new Output({
+    script: Script(new Address(address)),
+    satoshis: 0,
+    sendMax: true
   }));
   return this;
 };
@@ -982,7 +1198,9 @@ Transaction.prototype._getInputAmount = function() {
 };
 
 Transaction.prototype._updateChangeOutput = function(noClearSigs) {
-  if (!this._changeScript) {
+  /* jshint maxstatements: 20 */
+  var hasFeeOutputs = _.some(this.outputs, output => output.sendMax || output.subtractFeeFromAmount);
+  if (!this._changeScript && !hasFeeOutputs) {
     return;
   }
   if (!noClearSigs) {
@@ -990,11 +1208,16 @@ Transaction.prototype._updateChangeOutput = function(noClearSigs) {
   }
   if (this._changeIndex != null) {
     this._removeOutput(this._changeIndex);
+    this._changeIndex = undefined;
+  }
+  if (hasFeeOutputs) {
+    this._updateFeeOutputs();
+    return;
   }
   var available = this._getUnspentValue();
   var fee = this.getFee();
   var changeAmount = available - fee;
-  if (changeAmount > Transaction.DUST_AMOUNT) {
+  if (changeAmount > this.network.policy.dustAmount) {
     this._changeIndex = this.outputs.length;
     this._addOutput(new Output({
       script: this._changeScript,
@@ -1004,6 +1227,73 @@ Transaction.prototype._updateChangeOutput = function(noClearSigs) {
     this._changeIndex = undefined;
   }
 };
+/**
+ * Updates the amounts of the outputs paying the fee: that of the send-max
+ * output, or else those subtracting the fee from their amount, then paying
+ * the fee not covered by what the inputs have left, while a change output
+ * gets what is left if it is not dust.
+ *
+ * Once the inputs pay the other outputs, an output left with dust throws,
+ * as in bitcoind, after its amount is updated.
+ *
+ * @private
+ * @throws {Transaction.AmountTooSmallForFee} if the send-max amount is dust
+ * @throws {Transaction.AmountTooSmallAfterFee} if an output subtracting the
+ *   fee is dust
+ */
+Transaction.prototype._updateFeeOutputs = function() {
+  /* jshint maxstatements: 35 */
+  /* jshint maxcomplexity: 15 */
+  const sendMaxOutput = _.find(this.outputs, 'sendMax');
+  const payers = _.filter(this.outputs, 'subtractFeeFromAmount');
+  for (const output of payers) {
+    output.satoshis = output.requestedSatoshis;
+  }
+  if (sendMaxOutput) {
+    sendMaxOutput.satoshis = 0;
+  }
+  this._outputAmount = undefined;
+
+  const available = this._getUnspentValue();
+  const feeRate = this._getFeeRate();
+  const estimatedSize = this._estimateSize();
+  const hasFixedFee = !_.isNil(this._fee);
+  const isFunded = this.inputs.length > 0 && available >= 0;
+  let fee = hasFixedFee ? this._fee : Math.ceil(estimatedSize * feeRate);
+  if (sendMaxOutput) {
+    sendMaxOutput.satoshis = Math.max(available - fee, 0);
+    this._outputAmount = undefined;
+    if (isFunded && sendMaxOutput.satoshis < this.network.policy.dustAmount) {
+      throw new errors.Transaction.AmountTooSmallForFee(fee);
+    }
+    return;
+  }
+  if (this._changeScript && available > this.network.policy.dustAmount) {
+    if (!hasFixedFee) {
+      fee = Math.ceil((estimatedSize + this._estimateSizeOfChangeOutput()) * feeRate);
+    }
+    this._changeIndex = this.outputs.length;
+    this._addOutput(new Output({
+      script: this._changeScript,
+      satoshis: available
+    }));
+  } else {
+    // what the inputs have left goes to the fee
+    fee -= available;
+  }
+  // as in bitcoind, the first output pays what can't be split evenly
+  const share = Math.floor(Math.max(fee, 0) / payers.length);
+  payers.forEach((output, index) => {
+    const amount = index === 0 ? Math.max(fee, 0) - share * (payers.length - 1) : share;
+    output.satoshis = Math.max(output.requestedSatoshis - amount, 0);
+  });
+  this._outputAmount = undefined;
+  const dustOutput = _.find(payers, output => output.satoshis < this.network.policy.dustAmount);
+  if (isFunded && dustOutput) {
+    throw new errors.Transaction.AmountTooSmallAfterFee(dustOutput.requestedSatoshis);
+  }
+};
+
 /**
  * Calculates the fee of the transaction.
  *
@@ -1042,7 +1332,7 @@ Transaction.prototype.getFee = function() {
 Transaction.prototype._estimateFee = function () {
   const estimatedSize = this._estimateSize();
   const available = this._getUnspentValue();
-  const feeRate = this._feePerByte || (this._feePerKb || Transaction.FEE_PER_KB) / 1000;
+  const feeRate = this._getFeeRate();
   function getFee(size) {
     return size * feeRate;
   }
@@ -1054,6 +1344,14 @@ Transaction.prototype._estimateFee = function () {
   return feeWithChange;
 };
 
+/**
+ * @return {number} the fee rate of the transaction in satoshis per byte
+ * @private
+ */
+Transaction.prototype._getFeeRate = function() {
+  return this._feePerByte || (this._feePerKb || this.network.policy.feePerKb) / 1000;
+};
+
 Transaction.prototype._estimateSizeOfChangeOutput = function () {
   if (!this._changeScript) {
     return 0;
@@ -1094,6 +1392,9 @@ Transaction.prototype._estimateSize = function() {
   }
 
   result += 4; // nLockTime
+  if (this.hasTime()) {
+    result += 4; // nTime
+  }
   return Math.ceil(result);
 };
 
@@ -1423,6 +1724,7 @@ Transaction.prototype.verify = function() {
   }
 
   // Check for negative or overflow output values
+  var maxMoney = BN.fromString(this.network.consensus.maxMoney.toString(10));
   var valueoutbn = new BN(0);
   for (var i = 0; i < this.outputs.length; i++) {
     var txout = this.outputs[i];
@@ -1430,17 +1732,17 @@ Transaction.prototype.verify = function() {
     if (txout.invalidSatoshis()) {
       return 'transaction txout ' + i + ' satoshis is invalid';
     }
-    if (txout._satoshisBN.gt(new BN(Transaction.MAX_MONEY, 10))) {
+    if (txout._satoshisBN.gt(maxMoney)) {
       return 'transaction txout ' + i + ' greater than MAX_MONEY';
     }
     valueoutbn = valueoutbn.add(txout._satoshisBN);
-    if (valueoutbn.gt(new BN(Transaction.MAX_MONEY))) {
+    if (valueoutbn.gt(maxMoney)) {
       return 'transaction txout ' + i + ' total output greater than MAX_MONEY';
     }
   }
 
   // Size limits
-  if (this.toBuffer().length > MAX_BLOCK_SIZE) {
+  if (this.toBuffer().length > this.network.consensus.maxBlockSize) {
     return 'transaction over the maximum block size';
   }
 
@@ -1479,6 +1781,19 @@ Transaction.prototype.isCoinbase = function() {
   return (this.inputs.length === 1 && this.inputs[0].isNull());
 };
 
+/**
+ * Determines if this transaction is a PoSV coinstake: it spends at least one
+ * regular input and its first output is empty (zero value and empty script).
+ *
+ * @return {boolean}
+ */
+Transaction.prototype.isCoinstake = function() {
+  return this.inputs.length > 0 &&
+    !this.inputs[0].isNull() &&
+    this.outputs.length >= 2 &&
+    this.outputs[0].isEmpty();
+};
+
 /**
  * Determines if this transaction can be replaced in the mempool with another
  * transaction that provides a sufficiently higher fee (RBF).
@@ -1509,14 +1824,293 @@ Transaction.prototype.enableRBF = function() {
   return this;
 };
 
+var isAmountTooSmall = function(error) {
+  return error instanceof errors.Transaction.AmountTooSmallForFee ||
+    error instanceof errors.Transaction.AmountTooSmallAfterFee;
+};
+
+/**
+ * Builds a transaction replacing this one in the mempool at a higher fee rate,
+ * following the rules of BIP125: it pays a higher fee than this one at a
+ * higher fee rate, plus the relay of its own size at the incremental relay
+ * fee of the network (`network.policy.incrementalRelayFee`).
+ *
+ * The replacement spends the same inputs, which must have their previous
+ * output (see `associateInputs`), and pays the same outputs. The higher fee
+ * is taken from the change output, which is dropped if it becomes dust, or
+ * from the outputs paying the fee (see `sendMax` and `to`). If that is not
+ * enough, inputs are added from `opts.utxos` by coin selection, a change
+ * output getting what they leave. The replacement is returned unsigned.
+ *
+ * @param {number} newFeeRate - in satoshis per byte
+ * @param {Object=} opts
+ * @param {(string|Address)=} opts.changeAddress - the address of the change
+ *   output, that of this transaction by default. Only one output is taken as
+ *   the change: the change output of this transaction if it pays this address,
+ *   or the only output paying it
+ * @param {Array.<Object>=} opts.utxos - confirmed UTXOs to add inputs from,
+ *   see `from`
+ * @param {string|Function|Array=} opts.coinSelection - the strategies
+ *   selecting them, see `CoinSelection.select`
+ * @return {Transaction} the replacement
+ * @throws {FeeBump.NotReplaceable} if this transaction doesn't signal it can be replaced
+ * @throws {FeeBump.FeeRateTooLow} if the fee rate is not higher than that of this transaction
+ * @throws {FeeBump.InsufficientFunds} if the replacement can't pay the fee
+ * @throws {FeeBump.AmbiguousChange} if several outputs pay `opts.changeAddress`
+ *   and none of them is known to be the change
+ */
+Transaction.prototype.bumpFee = function(newFeeRate, opts) {
+  /* jshint maxstatements: 30 */
+  /* jshint maxcomplexity: 15 */
+  opts = opts || {};
+  $.checkArgument(_.isNumber(newFeeRate) && newFeeRate > 0, 'newFeeRate must be a positive number');
+  if (!this.isRBF()) {
+    throw new errors.Transaction.FeeBump.NotReplaceable();
+  }
+  const fee = this._getUnspentValue();
+  const feeRate = fee / this.vsize;
+  if (newFeeRate <= feeRate) {
+    throw new errors.Transaction.FeeBump.FeeRateTooLow(feeRate.toFixed(2));
+  }
+
+  const replacement = this._getReplacement(opts.changeAddress);
+  let requiredFee = replacement._getReplacementFee(fee, newFeeRate);
+  if (replacement._getFeeBudget() < requiredFee) {
+    if (!opts.utxos) {
+      throw new errors.Transaction.FeeBump.InsufficientFunds(requiredFee);
+    }
+    // the fee rate paying the required fee, whatever the inputs added
+    const selectionFeeRate = requiredFee / replacement._getReplacementSize();
+    try {
+      replacement.from(opts.utxos.filter(utxo => utxo.confirmations !== 0), null, null, {
+        coinSelection: opts.coinSelection || CoinSelection.DEFAULT_STRATEGIES,
+        feeRate: selectionFeeRate,
+        sequenceNumber: Input.DEFAULT_RBF_SEQNUMBER
+      });
+    } catch (e) {
+      if (e instanceof errors.Transaction.CoinSelection || isAmountTooSmall(e)) {
+        throw new errors.Transaction.FeeBump.InsufficientFunds(requiredFee);
+      }
+      throw e;
+    }
+    requiredFee = replacement._getReplacementFee(fee, newFeeRate);
+  }
+  try {
+    replacement._payReplacementFee(requiredFee);
+  } catch (e) {
+    if (isAmountTooSmall(e)) {
+      throw new errors.Transaction.FeeBump.InsufficientFunds(requiredFee);
+    }
+    throw e;
+  }
+  return replacement;
+};
+
+/**
+ * Sets the fee of a replacement, the whole unspent value when a change output
+ * would be dust
+ *
+ * @private
+ */
+Transaction.prototype._payReplacementFee = function(requiredFee) {
+  this.fee(requiredFee);
+  if (!this.getChangeOutput() && this._getUnspentValue() > requiredFee) {
+    // a change output would be dust, what is left goes to the fee
+    this.fee(this._getUnspentValue());
+  }
+  if (this._getFeeBudget() < requiredFee || this._hasDustOutputs({})) {
+    throw new errors.Transaction.FeeBump.InsufficientFunds(requiredFee);
+  }
+};
+
+/**
+ * The index of the output paying `changeScript`: the change output if it
+ * does, or the only output paying it. A payment to the change address can't
+ * be told apart from the change otherwise.
+ *
+ * @private
+ */
+Transaction.prototype._findChangeIndex = function(changeScript, changeAddress) {
+  const change = this.outputs[this._changeIndex];
+  if (change && change.script.equals(changeScript)) {
+    return this._changeIndex;
+  }
+  const indexes = _.filter(_.range(this.outputs.length), index => this.outputs[index].script.equals(changeScript));
+  if (indexes.length > 1) {
+    throw new errors.Transaction.FeeBump.AmbiguousChange(changeAddress.toString());
+  }
+  return indexes[0];
+};
+
+/**
+ * A copy of this transaction without signatures nor change output
+ *
+ * @private
+ */
+Transaction.prototype._getReplacement = function(changeAddress) {
+  const changeScript = changeAddress ? Script.fromAddress(changeAddress) : this._changeScript;
+  const replacement = new Transaction(null, { network: this.network });
+  replacement.version = this.version;
+  replacement.nLockTime = this.nLockTime;
+  replacement.nTime = this.nTime;
+  for (const input of this.inputs) {
+    const copy = _.clone(input);
+    copy.clearSignatures();
+    replacement.addInput(copy);
+  }
+  const changeIndex = changeAddress ? this._findChangeIndex(changeScript, changeAddress) : this._changeIndex;
+  this.outputs.forEach((output, index) => {
+    if (index !== changeIndex) {
+      replacement._addOutput(new Output(output.toObject()));
+    }
+  });
+  if (changeScript) {
+    replacement._changeScript = changeScript;
+  }
+  return replacement;
+};
+
+/**
+ * @return {number} the size of the replacement, with a change output
+ * @private
+ */
+Transaction.prototype._getReplacementSize = function() {
+  const changeSize = this.getChangeOutput() ? 0 : this._estimateSizeOfChangeOutput();
+  return this._estimateSize() + changeSize;
+};
+
+/**
+ * @return {number} the fee a replacement must pay under BIP125
+ * @private
+ */
+Transaction.prototype._getReplacementFee = function(replacedFee, feeRate) {
+  const size = this._getReplacementSize();
+  const incrementalFeeRate = this.network.policy.incrementalRelayFee / 1000;
+  return Math.max(Math.ceil(size * feeRate), replacedFee + Math.ceil(size * incrementalFeeRate));
+};
+
+/**
+ * @return {number} the most the fee can be: the amount of the inputs minus
+ *   that of the outputs not paying the fee
+ * @private
+ */
+Transaction.prototype._getFeeBudget = function() {
+  const outputAmount = _.sumBy(this.outputs, output => {
+    if (output.sendMax || output.subtractFeeFromAmount || output === this.getChangeOutput()) {
+      return 0;
+    }
+    return output.satoshis;
+  });
+  return this._getInputAmount() - outputAmount;
+};
+
 Transaction.prototype.setVersion = function(version) {
   $.checkArgument(
     JSUtil.isNaturalNumber(version) && version <= CURRENT_VERSION,
     'Wrong version number');
   this.version = version;
+  if (this.hasTime() && this.nTime == null) {
+    this.nTime = Transaction._currentTime();
+  }
+  return this;
+};
+
+/**
+ * Sets the PoSV transaction time. Only transactions for which `hasTime()`
+ * returns true serialize this value.
+ *
+ * @param {Date | Number} time - a Date or a timestamp in seconds since UNIX epoch
+ * @return {Transaction} this
+ */
+Transaction.prototype.setTime = function(time) {
+  if (_.isDate(time)) {
+    time = Math.floor(time.getTime() / 1000);
+  }
+  $.checkArgument(JSUtil.isNaturalNumber(time) && time <= Transaction.NLOCKTIME_MAX_VALUE, 'Wrong transaction time');
+  this.nTime = time;
   return this;
 };
 
+/**
+ * Builds and signs a PoSV coinstake transaction: an empty first output
+ * followed by the staked coins plus the stake reward, paid back to the
+ * staker's public key (P2PK) so that the block can be signed with it.
+ *
+ * Because a coinstake creates more value than it spends, it has to be
+ * serialized with `{ disableMoreOutputThanInput: true }` or through
+ * `uncheckedSerialize()`.
+ *
+ * @example
+ * ```javascript
+ * var coinstake = Transaction.createCoinstake(utxos, reward, privateKey, {
+ *   time: blockTime,
+ *   split: true
+ * });
+ * ```
+ *
+ * @param {(Array.<Transaction~fromObject>|Transaction~fromObject)} utxos - the staked outputs,
+ *   paying to the staker's public key or public key hash
+ * @param {number} reward - the stake reward in satoshis
+ * @param {PrivateKey|string} privateKey - the staker key
+ * @param {Object=} opts
+ * @param {Date|number=} opts.time - the block time, used as `nTime` (defaults to now)
+ * @param {boolean=} opts.split - split the stake into two outputs
+ * @param {Network|string=} opts.network - defaults to `Networks.defaultNetwork`
+ * @return {Transaction}
+ */
+Transaction.createCoinstake = function(utxos, reward, privateKey, opts) {
+  opts = opts || {};
+  utxos = _.isArray(utxos) ? utxos : [utxos];
+  $.checkArgument(utxos.length > 0, 'At least one staking utxo is required');
+  $.checkArgument(JSUtil.isNaturalNumber(reward), 'Stake reward must be a natural number of satoshis');
+  privateKey = new PrivateKey(privateKey);
+  var publicKey = privateKey.toPublicKey();
+
+  var transaction = new Transaction(null, { network: opts.network });
+  $.checkArgument(transaction.hasTime(), 'Coinstake transactions need a PoSV network');
+  transaction.setTime(opts.time == null ? Transaction._currentTime() : opts.time);
+  transaction.from(Transaction._getStakingUtxos(utxos, publicKey));
+  transaction._addStakeOutputs(transaction._getInputAmount() + reward, publicKey, opts.split);
+  return transaction.sign(privateKey);
+};
+
+/**
+ * @return {Array.<UnspentOutput>} the staking UTXOs, checked to be paid to
+ *   the public key or its hash
+ * @private
+ */
+Transaction._getStakingUtxos = function(utxos, publicKey) {
+  var publicKeyHash = Hash.sha256ripemd160(publicKey.toBuffer());
+  return utxos.map(function(utxo) {
+    utxo = new UnspentOutput(utxo);
+    var script = utxo.script;
+    $.checkArgument(
+      (script.isPublicKeyOut() && script.getPublicKey().equals(publicKey.toBuffer())) ||
+      (script.isPublicKeyHashOut() && script.getPublicKeyHash().equals(publicKeyHash)),
+      'Staking utxo ' + utxo.txId + ':' + utxo.outputIndex + ' does not belong to the staker key'
+    );
+    return utxo;
+  });
+};
+
+/**
+ * Adds the empty output marking a coinstake, then the credit paid to the
+ * public key, in two outputs if it is split
+ *
+ * @private
+ */
+Transaction.prototype._addStakeOutputs = function(credit, publicKey, split) {
+  var stakeScript = Script.buildPublicKeyOut(publicKey);
+  this.addOutput(new Output({ script: Script.empty(), satoshis: 0 }));
+  if (split) {
+    var first = Math.floor(credit / 2 / Transaction.CENT) * Transaction.CENT;
+    this.addOutput(new Output({ script: stakeScript, satoshis: first }));
+    this.addOutput(new Output({ script: stakeScript, satoshis: credit - first }));
+  } else {
+    this.addOutput(new Output({ script: stakeScript, satoshis: credit }));
+  }
+};
+
 
 
 module.exports = Transaction;
@@ -23,6 +23,7 @@ var Unit = require('../unit');
  * @param {number} data.amount amount of bitcoins associated
  * @param {number=} data.satoshis alias for `amount`, but expressed in satoshis (1 BTC = 1e8 satoshis)
  * @param {string|Address=} data.address the associated address to the script, if provided
+ * @param {number=} data.time the PoSV time (`nTime`) of the transaction that created this output
  */
 function UnspentOutput(data) {
   /* jshint maxcomplexity: 20 */
@@ -55,6 +56,12 @@ function UnspentOutput(data) {
     script: script,
     satoshis: amount
   });
+  if (!_.isUndefined(data.time)) {
+    $.checkArgument(JSUtil.isNaturalNumber(data.time), 'Time must be a natural number');
+    JSUtil.defineImmutable(this, {
+      time: data.time
+    });
+  }
 }
 
 /**
@@ -88,13 +95,17 @@ UnspentOutput.fromObject = function(data) {
  * @return {object}
  */
 UnspentOutput.prototype.toObject = UnspentOutput.prototype.toJSON = function toObject() {
-  return {
+  var obj = {
     address: this.address ? this.address.toString() : undefined,
     txid: this.txId,
     vout: this.outputIndex,
     scriptPubKey: this.script.toBuffer().toString('hex'),
     amount: Unit.fromSatoshis(this.satoshis).toBTC()
   };
+  if (!_.isUndefined(this.time)) {
+    obj.time = this.time;
+  }
+  return obj;
 };
 
 module.exports = UnspentOutput;
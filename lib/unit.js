@@ -3,6 +3,7 @@
 var _ = require('lodash');
 
 var errors = require('./errors');
+var Networks = require('./networks');
 var $ = require('./util/preconditions');
 
 var UNITS = {
@@ -13,9 +14,20 @@ var UNITS = {
   'satoshis' : [1, 0]
 };
 
+var BITCOIN_UNITS = {
+  code: 'BTC',
+  baseCode: 'satoshis',
+  units: UNITS
+};
+
+// network name => the unit table of the network, see Unit.setNetworkUnits
+var NETWORK_UNITS = {};
+
 /**
  * Utility for handling and converting bitcoins units. The supported units are
- * BTC, mBTC, bits (also named uBTC) and satoshis. A unit instance can be created with an
+ * BTC, mBTC, bits (also named uBTC) and satoshis, and RDD, mRDD and redds for
+ * Reddcoin. Other units can be registered for a network with {setNetworkUnits}.
+ * A unit instance can be created with an
  * amount and a unit code, or alternatively using static methods like {fromBTC}.
  * It also allows to be created from a fiat amount and the exchange rate, or
  * alternatively using the {fromFiat} static method.
@@ -30,25 +42,36 @@ var UNITS = {
  * var mili = Unit.fromBits(1.3).to(Unit.mBTC);
  * var bits = Unit.fromFiat(1.3, 350).bits;
  * var btc = new Unit(1.3, Unit.bits).BTC;
+ * var rdd = new Unit(25000, Unit.redds).toObject(); // { amount: 0.00025, code: 'RDD' }
  * ```
  *
  * @param {Number} amount - The amount to be represented
  * @param {String|Number} code - The unit of the amount or the exchange rate
+ * @param {Network|String=} network - The network of the amount, which sets the
+ *   unit of {toObject} and {toString}. Defaults to the network the unit code
+ *   belongs to, or `Networks.defaultNetwork`
  * @returns {Unit} A new instance of an Unit
  * @constructor
  */
-function Unit(amount, code) {
+function Unit(amount, code, network) {
   if (!(this instanceof Unit)) {
-    return new Unit(amount, code);
+    return new Unit(amount, code, network);
+  }
+
+  if (network) {
+    this.network = Networks.get(network);
+    $.checkArgument(this.network, 'Unknown network');
+  } else {
+    this.network = Unit._getNetworkOfCode(code);
   }
 
-  // convert fiat to BTC
+  // convert fiat to the main unit of the network
   if (_.isNumber(code)) {
     if (code <= 0) {
       throw new errors.Unit.InvalidRate(code);
     }
     amount = amount / code;
-    code = Unit.BTC;
+    code = Unit.getNetworkUnits(this.network).code;
   }
 
   this._value = this._from(amount, code);
@@ -68,15 +91,68 @@ Object.keys(UNITS).forEach(function(key) {
   Unit[key] = key;
 });
 
+/**
+ * Registers the units of a network. Their codes are exposed as members of
+ * the Unit class, like `Unit.RDD`, and can be used with any instance.
+ *
+ * @param {Network|String} network - The network
+ * @param {Object} table
+ * @param {String} table.code - The main unit of the network, used by {toObject} and for fiat rates
+ * @param {String} table.baseCode - The indivisible unit of the network, used by {toString}
+ * @param {Object} table.units - The units of the network, as `code: [satoshis, decimals]`
+ */
+Unit.setNetworkUnits = function setNetworkUnits(network, table) {
+  network = Networks.get(network);
+  $.checkArgument(network, 'Unknown network');
+  $.checkArgument(_.isObject(table) && _.isObject(table.units), 'A unit table is required');
+  $.checkArgument(table.units[table.code], 'The main unit must be in the unit table');
+  $.checkArgument(table.units[table.baseCode], 'The base unit must be in the unit table');
+  _.each(table.units, function(unit, key) {
+    $.checkArgument(!UNITS[key] || _.isEqual(UNITS[key], unit), 'Unit ' + key + ' is already defined');
+    UNITS[key] = unit;
+    Unit[key] = key;
+  });
+  NETWORK_UNITS[network.name] = {
+    code: table.code,
+    baseCode: table.baseCode,
+    units: table.units
+  };
+};
+
+/**
+ * @param {Network|String=} network - Defaults to `Networks.defaultNetwork`
+ * @returns {Object} The unit table of the network, bitcoin's if none was registered
+ */
+Unit.getNetworkUnits = function getNetworkUnits(network) {
+  network = Networks.get(network) || Networks.defaultNetwork;
+  return NETWORK_UNITS[network.name] || BITCOIN_UNITS;
+};
+
+/**
+ * The default network when it has a unit of this code, else the first network
+ * registered with it, else bitcoin's.
+ * @private
+ */
+Unit._getNetworkOfCode = function _getNetworkOfCode(code) {
+  var network = Networks.defaultNetwork;
+  if (!_.isString(code) || Unit.getNetworkUnits(network).units[code]) {
+    return network;
+  }
+  var name = _.findKey(NETWORK_UNITS, function(table) {
+    return !!table.units[code];
+  });
+  return name ? Networks.get(name) : Networks.livenet;
+};
+
 /**
  * Returns a Unit instance created from JSON string or object
  *
- * @param {String|Object} json - JSON with keys: amount and code
+ * @param {String|Object} json - JSON with keys: amount, code and optionally network
  * @returns {Unit} A Unit instance
  */
 Unit.fromObject = function fromObject(data){
   $.checkArgument(_.isObject(data), 'Argument is expected to be an object');
-  return new Unit(data.amount, data.code);
+  return new Unit(data.amount, data.code, data.network);
 };
 
 /**
@@ -89,6 +165,16 @@ Unit.fromBTC = function(amount) {
   return new Unit(amount, Unit.BTC);
 };
 
+/**
+ * Returns a Unit instance created from an amount in RDD
+ *
+ * @param {Number} amount - The amount in RDD
+ * @returns {Unit} A Unit instance
+ */
+Unit.fromRDD = function(amount) {
+  return new Unit(amount, Unit.RDD);
+};
+
 /**
  * Returns a Unit instance created from an amount in mBTC
  *
@@ -113,21 +199,23 @@ Unit.fromMicros = Unit.fromBits = function(amount) {
  * Returns a Unit instance created from an amount in satoshis
  *
  * @param {Number} amount - The amount in satoshis
+ * @param {Network|String=} network - The network of the amount
  * @returns {Unit} A Unit instance
  */
-Unit.fromSatoshis = function(amount) {
-  return new Unit(amount, Unit.satoshis);
+Unit.fromSatoshis = function(amount, network) {
+  return new Unit(amount, Unit.satoshis, network);
 };
 
 /**
  * Returns a Unit instance created from a fiat amount and exchange rate.
  *
  * @param {Number} amount - The amount in fiat
- * @param {Number} rate - The exchange rate BTC/fiat
+ * @param {Number} rate - The exchange rate between the main unit of the network and fiat
+ * @param {Network|String=} network - The network of the amount
  * @returns {Unit} A Unit instance
  */
-Unit.fromFiat = function(amount, rate) {
-  return new Unit(amount, rate);
+Unit.fromFiat = function(amount, rate, network) {
+  return new Unit(amount, rate, network);
 };
 
 Unit.prototype._from = function(amount, code) {
@@ -148,7 +236,7 @@ Unit.prototype.to = function(code) {
     if (code <= 0) {
       throw new errors.Unit.InvalidRate(code);
     }
-    return parseFloat((this.BTC * code).toFixed(2));
+    return parseFloat((this.to(Unit.getNetworkUnits(this.network).code) * code).toFixed(2));
   }
 
   if (!UNITS[code]) {
@@ -168,6 +256,15 @@ Unit.prototype.toBTC = function() {
   return this.to(Unit.BTC);
 };
 
+/**
+ * Returns the value represented in RDD
+ *
+ * @returns {Number} The value converted to RDD
+ */
+Unit.prototype.toRDD = function() {
+  return this.to(Unit.RDD);
+};
+
 /**
  * Returns the value represented in mBTC
  *
@@ -198,7 +295,7 @@ Unit.prototype.toSatoshis = function() {
 /**
  * Returns the value represented in fiat
  *
- * @param {string} rate - The exchange rate between BTC/currency
+ * @param {string} rate - The exchange rate between the main unit of the network and the currency
  * @returns {Number} The value converted to satoshis
  */
 Unit.prototype.atRate = function(rate) {
@@ -206,33 +303,52 @@ Unit.prototype.atRate = function(rate) {
 };
 
 /**
- * Returns a the string representation of the value in satoshis
+ * Returns a the string representation of the value in the base unit of the
+ * network, like satoshis for bitcoin or redds for Reddcoin
  *
- * @returns {string} the value in satoshis
+ * @returns {string} the value in the base unit
  */
 Unit.prototype.toString = function() {
-  return this.satoshis + ' satoshis';
+  var baseCode = Unit.getNetworkUnits(this.network).baseCode;
+  return this.to(baseCode) + ' ' + baseCode;
 };
 
 /**
- * Returns a plain object representation of the Unit
+ * Returns a plain object representation of the Unit, in the main unit of the
+ * network
  *
  * @returns {Object} An object with the keys: amount and code
  */
 Unit.prototype.toObject = Unit.prototype.toJSON = function toObject() {
+  var code = Unit.getNetworkUnits(this.network).code;
   return {
-    amount: this.BTC,
-    code: Unit.BTC
+    amount: this.to(code),
+    code: code
   };
 };
 
 /**
  * Returns a string formatted for the console
  *
- * @returns {string} the value in satoshis
+ * @returns {string} the value in the base unit
  */
 Unit.prototype.inspect = function() {
   return '<Unit: ' + this.toString() + '>';
 };
 
+var REDDCOIN_UNITS = {
+  code: 'RDD',
+  baseCode: 'redds',
+  units: {
+    'RDD'      : [1e8, 8],
+    'mRDD'     : [1e5, 5],
+    'redds'    : [1, 0],
+    'satoshis' : [1, 0]
+  }
+};
+
+Unit.setNetworkUnits(Networks.reddcoin, REDDCOIN_UNITS);
+Unit.setNetworkUnits(Networks.reddcoinTestnet, REDDCOIN_UNITS);
+Unit.setNetworkUnits(Networks.reddcoinRegtest, REDDCOIN_UNITS);
+
 module.exports = Unit;
@@ -4,6 +4,7 @@ var _ = require('lodash');
 var URL = require('url');
 
 var Address = require('./address');
+var Networks = require('./networks');
 var Unit = require('./unit');
 
 /**
@@ -13,6 +14,10 @@ var Unit = require('./unit');
  * can be created with a bitcoin uri string or an object. All instances of
  * URI are valid, the static method isValid allows checking before instantiation.
  *
+ * The scheme of the URI is the one of the address network (`network.uriScheme`):
+ * `reddcoin:` for Reddcoin networks and `bitcoin:` for bitcoin ones. When
+ * parsing, the address must belong to a network of the URI's scheme.
+ *
  * All standard parameters can be found as members of the class, the address
  * is represented using an {Address} instance and the amount is represented in
  * satoshis. Any other non-standard parameters can be found under the extra member.
@@ -22,6 +27,7 @@ var Unit = require('./unit');
  *
  * var uri = new URI('bitcoin:12A1MyfXbW6RhdRAZEqofac5jCQQjwEPBu?amount=1.2');
  * console.log(uri.address, uri.amount);
+ * var uri = new URI('reddcoin:RdZCDj6J6ft8RoMqLj8TMXRHMCzZp5t8Cf?amount=1000');
  * ```
  *
  * @param {string|Object} data - A bitcoin URI string or an Object
@@ -46,7 +52,7 @@ var URI = function(data, knownParams) {
     if (params.amount) {
       params.amount = this._parseAmount(params.amount);
     }
-    this._fromObject(params);
+    this._fromObject(params, URI._getScheme(data));
   } else if (typeof(data) === 'object') {
     this._fromObject(data);
   } else {
@@ -101,7 +107,8 @@ URI.isValid = function(arg, knownParams) {
 };
 
 /**
- * Convert a bitcoin URI string into a simple object.
+ * Convert a bitcoin URI string into a simple object. The scheme can be the
+ * one of any network, like `bitcoin:` or `reddcoin:`.
  *
  * @param {string} uri - A bitcoin URI string
  * @throws {TypeError} Invalid bitcoin URI
@@ -110,7 +117,8 @@ URI.isValid = function(arg, knownParams) {
 URI.parse = function(uri) {
   var info = URL.parse(uri, true);
 
-  if (info.protocol !== 'bitcoin:') {
+  var scheme = URI._getScheme(uri);
+  if (!_.some(Networks.all(), { uriScheme: scheme })) {
     throw new TypeError('Invalid bitcoin URI');
   }
 
@@ -123,22 +131,65 @@ URI.parse = function(uri) {
 
 URI.Members = ['address', 'amount', 'message', 'label', 'r'];
 
+/**
+ * @param {string} uri - A URI string
+ * @returns {string|null} The lower case scheme of the URI, without the colon
+ * @private
+ */
+URI._getScheme = function(uri) {
+  var protocol = URL.parse(uri).protocol;
+  return protocol ? protocol.slice(0, -1).toLowerCase() : null;
+};
+
+/**
+ * Returns the address as an address of a network of the scheme: the network
+ * it resolves to if that network has the scheme, else the first network of
+ * the scheme that encodes it the same way (networks may share versions).
+ *
+ * @param {string|Address} address - A valid address
+ * @param {string} scheme - A URI scheme, like 'reddcoin'
+ * @returns {Address|undefined}
+ * @private
+ */
+URI._getAddressOfScheme = function(address, scheme) {
+  var resolved = new Address(address);
+  if (resolved.network.uriScheme === scheme) {
+    return resolved;
+  }
+  var str = resolved.toString();
+  var network = _.find(Networks.all(), function(network) {
+    if (network.uriScheme !== scheme) {
+      return false;
+    }
+    try {
+      return new Address(str, network).toString() === str;
+    } catch (e) {
+      return false;
+    }
+  });
+  return network ? new Address(str, network) : undefined;
+};
+
 /**
  * Internal function to load the URI instance with an object.
  *
  * @param {Object} obj - Object with the information
+ * @param {string=} scheme - The scheme of the parsed URI string
  * @throws {TypeError} Invalid bitcoin address
  * @throws {TypeError} Invalid amount
  * @throws {Error} Unknown required argument
  */
-URI.prototype._fromObject = function(obj) {
+URI.prototype._fromObject = function(obj, scheme) {
   /* jshint maxcomplexity: 10 */
 
   if (!Address.isValid(obj.address)) {
     throw new TypeError('Invalid bitcoin address');
   }
 
-  this.address = new Address(obj.address);
+  this.address = scheme ? URI._getAddressOfScheme(obj.address, scheme) : new Address(obj.address);
+  if (!this.address) {
+    throw new TypeError('Invalid ' + scheme + ' address');
+  }
   this.network = this.address.network;
   this.amount = obj.amount;
 
@@ -184,7 +235,8 @@ URI.prototype.toObject = URI.prototype.toJSON = function toObject() {
 };
 
 /**
- * Will return a the string representation of the URI
+ * Will return a the string representation of the URI, with the scheme of the
+ * address network
  *
  * @returns {string} Bitcoin URI string
  */
@@ -205,7 +257,7 @@ URI.prototype.toString = function() {
   _.extend(query, this.extras);
 
   return URL.format({
-    protocol: 'bitcoin:',
+    protocol: this.network.uriScheme + ':',
     host: this.address,
     query: query
   });
@@ -197,6 +197,7 @@ describe('Block', function() {
         },
         transactions: [{
           hash: '0e3e2357e806b6cdb1f70b54c3a3a17b6714ee1f0e68bebb44a74b1efd512098',
+          network: 'reddcoin',
           version: 1,
           inputs: [{
             prevTxId: '0000000000000000000000000000000000000000000000000000000000000000',
@@ -278,4 +279,208 @@ describe('Block', function() {
 
   });
 
+  describe('#genesis', function() {
+
+    it('should build the genesis block of bitcoin networks', function() {
+      var genesis = Block.genesis('livenet');
+      genesis.toBuffer().toString('hex').should.equal(genesishex);
+      genesis.network.should.equal(bitcore.Networks.livenet);
+      Block.genesis('testnet').id.should.equal('000000000933ea01ad0ee984209779baaec3ced90fa3f408719526f8d77f4943');
+      Block.genesis('testnet3').id.should.equal('000000000933ea01ad0ee984209779baaec3ced90fa3f408719526f8d77f4943');
+      Block.genesis('regtest').id.should.equal('0f9188f13cb7b2c71f2a335e3a4fc328bf5beb436012afca590b1a11466e2206');
+      Block.genesis('signet').id.should.equal('00000008819873e925422c1ff0f99f7cc9bbb232af63a077a480a3633bee1ef6');
+      Block.genesis('signet').header.validProofOfWork().should.equal(true);
+    });
+
+    it('should build the Reddcoin genesis block', function() {
+      var genesis = Block.genesis();
+      genesis.network.should.equal(bitcore.Networks.reddcoin);
+      genesis.id.should.equal('b868e0d95a3c3c0e0dadc67ee587aaf9dc8acbf99e3b4b3110fad4eb74c1decc');
+      genesis.validMerkleRoot().should.equal(true);
+      genesis.transactions[0].outputs[0].satoshis.should.equal(10000 * 1e8);
+      should.not.exist(genesis.blockSig);
+    });
+
+    it('should exempt the Reddcoin genesis block from proof-of-work', function() {
+      var header = Block.genesis().header;
+      header.validProofOfWork().should.equal(true);
+      // its scrypt hash is above the target
+      BlockHeader.fromObject(header.toObject(), { network: 'reddcoin-testnet' }).validProofOfWork().should.equal(false);
+    });
+
+    it('should build the Reddcoin testnet genesis block', function() {
+      var genesis = Block.genesis('reddcoin-testnet');
+      genesis.id.should.equal('46db8d519c64586e3f0bf16153f61fdcf1d30b71ab159bf4a5b46dbcbc79d814');
+      genesis.validMerkleRoot().should.equal(true);
+      genesis.header.merkleRoot.should.deep.equal(Block.genesis().header.merkleRoot);
+      genesis.header.validProofOfWork().should.equal(true);
+      BlockHeader.fromObject(genesis.header.toObject(), { network: 'reddcoin' }).validProofOfWork().should.equal(true);
+    });
+
+    it('should fail for networks without a known genesis block', function() {
+      (function() {
+        return Block.genesis('reddcoin-regtest');
+      }).should.throw('No genesis block is known for network reddcoin-regtest');
+      (function() {
+        return Block.genesis('unknownnet');
+      }).should.throw('Unknown network');
+    });
+
+    it('should check the genesis block against the checkpoint', function() {
+      var network = bitcore.Networks.add({
+        name: 'badgenesisnet',
+        pubkeyhash: 0x15,
+        privatekey: 0x95,
+        scripthash: 0x16,
+        genesis: bitcore.Networks.livenet.genesis,
+        checkpoints: { 0: bitcore.Networks.testnet.checkpoints[0] }
+      });
+      (function() {
+        return Block.genesis(network);
+      }).should.throw('Invalid genesis block for network badgenesisnet');
+      bitcore.Networks.remove(network);
+    });
+
+  });
+
+  describe('#validSize', function() {
+
+    it('should weigh four times the size of a block without witnesses', function() {
+      var block = Block.fromBuffer(genesisbuf);
+      block.getWeight().should.equal(genesisbuf.length * 4);
+      block.validSize().should.equal(true);
+    });
+
+    it('should check the size against the limits of the network', function() {
+      var network = bitcore.Networks.add({
+        name: 'smallblocknet',
+        pubkeyhash: 0x15,
+        privatekey: 0x95,
+        scripthash: 0x16,
+        consensus: { maxBlockSize: 200, maxBlockWeight: 4000 }
+      });
+      var block = Block.fromBuffer(genesisbuf, { network: network });
+      bitcore.Networks.remove(network);
+      block.validSize().should.equal(false);
+      block.network = bitcore.Networks.livenet;
+      block.validSize().should.equal(true);
+    });
+
+  });
+
+  describe('PoSV blocks', function() {
+    var privateKey = new bitcore.PrivateKey('V5QUmdeGB8vHdwEfsC4PJ5zuNGm6YUBWhj7gwWz5bL3wXhLWDQfi');
+    var stakeScript = bitcore.Script.buildPublicKeyOut(privateKey.publicKey);
+    var time = 1600000000;
+
+    var buildBlock = function(coinstake) {
+      var coinbase = new Transaction().fromObject({
+        version: 2,
+        nTime: time,
+        inputs: [{
+          prevTxId: Block.Values.NULL_HASH.toString('hex'),
+          outputIndex: 0xffffffff,
+          script: '0101'
+        }],
+        outputs: [{ satoshis: 0, script: '' }],
+        nLockTime: 0
+      });
+      var transactions = [coinbase];
+      if (coinstake) {
+        transactions.push(new Transaction().fromObject({
+          version: 2,
+          nTime: time,
+          inputs: [{
+            prevTxId: 'a1'.repeat(32),
+            outputIndex: 1,
+            script: ''
+          }],
+          outputs: [
+            { satoshis: 0, script: '' },
+            { satoshis: 1000000000, script: stakeScript.toHex() }
+          ],
+          nLockTime: 0
+        }));
+      }
+      var block = new Block({
+        header: {
+          version: 3,
+          prevHash: '00'.repeat(32),
+          merkleRoot: '00'.repeat(32),
+          time: time,
+          bits: 0x1d00ffff,
+          nonce: 0
+        },
+        transactions: transactions
+      });
+      block.header.merkleRoot = block.getMerkleRoot();
+      return block;
+    };
+
+    var sign = function(block, key) {
+      var sig = bitcore.crypto.ECDSA.sign(block._getHash(), key || privateKey);
+      block.blockSig = sig.toDER();
+      return block;
+    };
+
+    it('should round trip the block signature', function() {
+      var block = sign(buildBlock(true));
+      var buf = block.toBuffer();
+      var parsed = Block.fromBuffer(buf);
+      parsed.blockSig.toString('hex').should.equal(block.blockSig.toString('hex'));
+      parsed.toBuffer().toString('hex').should.equal(buf.toString('hex'));
+      var fromObject = Block.fromObject(JSON.parse(JSON.stringify(block)));
+      fromObject.toBuffer().toString('hex').should.equal(buf.toString('hex'));
+    });
+
+    it('should serialize an empty signature for unsigned blocks', function() {
+      var block = buildBlock(false);
+      block.blockSig.length.should.equal(0);
+      var parsed = Block.fromBuffer(block.toBuffer());
+      parsed.blockSig.length.should.equal(0);
+      parsed.toObject().blockSig.should.equal('');
+    });
+
+    it('should not read a signature for bitcoin blocks', function() {
+      var block = Block.fromBuffer(buildBlock(false).toBuffer().slice(0, -1), { network: 'livenet' });
+      should.not.exist(block.blockSig);
+      should.not.exist(block.toObject().blockSig);
+    });
+
+    it('should detect proof-of-stake blocks', function() {
+      var pos = buildBlock(true);
+      pos.isProofOfStake().should.equal(true);
+      pos.getCoinstake().should.equal(pos.transactions[1]);
+      var pow = buildBlock(false);
+      pow.isProofOfStake().should.equal(false);
+      should.equal(pow.getCoinstake(), null);
+    });
+
+    it('should verify the signature of a proof-of-stake block', function() {
+      sign(buildBlock(true)).verifyBlockSignature().should.equal(true);
+    });
+
+    it('should reject a proof-of-stake block signed by another key', function() {
+      var block = sign(buildBlock(true), new bitcore.PrivateKey());
+      block.verifyBlockSignature().should.equal(false);
+    });
+
+    it('should reject an unsigned proof-of-stake block', function() {
+      buildBlock(true).verifyBlockSignature().should.equal(false);
+    });
+
+    it('should reject a proof-of-stake block with a tampered header', function() {
+      var block = sign(buildBlock(true));
+      block.header.nonce = 1;
+      block.verifyBlockSignature().should.equal(false);
+    });
+
+    it('should require an empty signature on proof-of-work blocks', function() {
+      var block = buildBlock(false);
+      block.verifyBlockSignature().should.equal(true);
+      sign(block).verifyBlockSignature().should.equal(false);
+    });
+
+  });
+
 });
@@ -14,6 +14,8 @@ var dataRawBlockBuffer = fs.readFileSync('test/data/blk86756-testnet.dat');
 var dataRawBlockBinary = fs.readFileSync('test/data/blk86756-testnet.dat', 'binary');
 var dataRawId = '000000000b99b16390660d79fcc138d2ad0c89a0d044c4201a02bdf1f61ffa11';
 var data = require('../data/blk86756-testnet');
+var scryptHeaderHex = '01000000f615f7ce3b4fc6b8f61e8f89aedb1d0852507650533a9e3b10b9bbcc30639f279fcaa86746e1ef52d3edb3c4ad8259920d509bd073605c9bf1d59983752a6b06b817bb4ea78e011d012d59d4';
+var scryptPowHash = 'd9eb8663ffec241c2fb118adb7de97a82c803b6ff46d57667935c81001000000';
 
 describe('BlockHeader', function() {
   var version;
@@ -247,19 +249,35 @@ describe('BlockHeader', function() {
       valid.should.equal(false);
     });
 
+    it('should use the maximum time offset of the network', function() {
+      var network = bitcore.Networks.add({
+        name: 'offsetnet',
+        pubkeyhash: 0x15,
+        privatekey: 0x95,
+        scripthash: 0x16,
+        consensus: { maxTimeOffset: 15 * 60 }
+      });
+      var header = BlockHeader.fromRawBlock(dataRawBlockBuffer, { network: network });
+      bitcore.Networks.remove(network);
+      header.time = Math.round(new Date().getTime() / 1000) + 20 * 60;
+      header.validTimestamp().should.equal(false);
+      header.network = bitcore.Networks.livenet;
+      header.validTimestamp().should.equal(true);
+    });
+
   });
 
   describe('#validProofOfWork', function() {
 
     it('should validate proof-of-work as true', function() {
-      var x = BlockHeader.fromRawBlock(dataRawBlockBuffer);
+      var x = BlockHeader.fromRawBlock(dataRawBlockBuffer, { network: 'testnet' });
       var valid = x.validProofOfWork(x);
       valid.should.equal(true);
 
     });
 
     it('should validate proof of work as false because incorrect proof of work', function() {
-      var x = BlockHeader.fromRawBlock(dataRawBlockBuffer);
+      var x = BlockHeader.fromRawBlock(dataRawBlockBuffer, { network: 'testnet' });
       var nonce = x.nonce;
       x.nonce = 0;
       var valid = x.validProofOfWork(x);
@@ -267,6 +285,116 @@ describe('BlockHeader', function() {
       x.nonce = nonce;
     });
 
+    it('should validate scrypt proof-of-work', function() {
+      // litecoin block 29255
+      var x = BlockHeader.fromString(scryptHeaderHex, { network: 'reddcoin' });
+      x.getPowHash().toString('hex').should.equal(scryptPowHash);
+      x.validProofOfWork().should.equal(true);
+      x.nonce = 0;
+      x.validProofOfWork().should.equal(false);
+    });
+
+    it('should not validate a target easier than the network\'s proof-of-work limit', function() {
+      var x = BlockHeader.fromString(scryptHeaderHex, { network: 'reddcoin-regtest' });
+      x.bits = 0x207fffff;
+      x.nonce = 2;
+      x.validProofOfWork().should.equal(true);
+      x.network = bitcore.Networks.reddcoin;
+      x.validProofOfWork().should.equal(false);
+      x.bits = 0;
+      x.validProofOfWork().should.equal(false);
+    });
+
+    it('should not validate a scrypt header with double SHA256', function() {
+      var x = BlockHeader.fromString(scryptHeaderHex, { network: 'livenet' });
+      x.getPowHash().toString('hex').should.equal(x._getHash().toString('hex'));
+      x.validProofOfWork().should.equal(false);
+    });
+
+  });
+
+  describe('checkpoints', function() {
+    var genesis = bitcore.Block.genesis('livenet').header;
+    // bitcoin block 1
+    var blockOne = BlockHeader.fromString('010000006fe28c0ab6f1b372c1a6a246ae63f74f931e8365e15a089c68d6190000000000982051fd1e4ba744bbbe680e1fee14677ba1a3c3540bf7b1cdb606e857233e0e61bc6649ffff001d01e36299', { network: 'livenet' });
+
+    it('should validate headers against the checkpoints of their network', function() {
+      genesis.validCheckpoint(0).should.equal(true);
+      blockOne.validCheckpoint(1).should.equal(true);
+      blockOne.validCheckpoint(0).should.equal(false);
+      blockOne.validCheckpoint(11111).should.equal(false);
+    });
+
+    it('should fail with an invalid height', function() {
+      (function() {
+        blockOne.validCheckpoint(-1);
+      }).should.throw('Invalid height');
+    });
+
+    it('should validate a chain of headers', function() {
+      BlockHeader.validChain([genesis, blockOne], 0).should.equal(true);
+      BlockHeader.validChain([blockOne], 1).should.equal(true);
+      BlockHeader.validChain([], 0).should.equal(true);
+    });
+
+    it('should refuse a chain that contradicts a checkpoint', function() {
+      BlockHeader.validChain([genesis, blockOne], 11110).should.equal(false);
+      var network = bitcore.Networks.add({
+        name: 'checkpointnet',
+        pubkeyhash: 0x15,
+        privatekey: 0x95,
+        scripthash: 0x16,
+        checkpoints: { 1: '00'.repeat(32) }
+      });
+      var first = BlockHeader.fromBuffer(genesis.toBuffer(), { network: network });
+      var second = BlockHeader.fromBuffer(blockOne.toBuffer(), { network: network });
+      bitcore.Networks.remove(network);
+      BlockHeader.validChain([first, second], 0).should.equal(false);
+      BlockHeader.validChain([first], 0).should.equal(true);
+    });
+
+    it('should refuse headers that do not extend each other', function() {
+      BlockHeader.validChain([blockOne, genesis], 0).should.equal(false);
+    });
+
+  });
+
+  describe('#getPowHash', function() {
+
+    it('should not change the block id', function() {
+      var x = BlockHeader.fromString(scryptHeaderHex);
+      x.network.should.equal(bitcore.Networks.reddcoin);
+      x.id.should.equal(BufferReader(x._getHash()).readReverse().toString('hex'));
+      x.getPowHash().toString('hex').should.not.equal(x._getHash().toString('hex'));
+    });
+
+    it('should use the network of the block', function() {
+      var block = new bitcore.Block(Buffer.concat([Buffer.from(scryptHeaderHex, 'hex'), Buffer.from([0])]), { network: 'livenet' });
+      block.header.network.should.equal(bitcore.Networks.livenet);
+    });
+
+  });
+
+  describe('#getMedianTimePast', function() {
+    var headers = [9, 3, 7, 1, 8, 2, 6, 4, 5, 10, 11, 0].map(function(time) {
+      return new BlockHeader({ time: 1600000000 + time, bits: 0x1d00ffff });
+    });
+
+    it('should return the median time of the last 11 headers', function() {
+      BlockHeader.getMedianTimePast(headers).should.equal(1600000005);
+      BlockHeader.getMedianTimePast(headers.slice(0, 11)).should.equal(1600000006);
+    });
+
+    it('should use fewer headers at the start of the chain', function() {
+      BlockHeader.getMedianTimePast(headers.slice(0, 1)).should.equal(1600000009);
+      BlockHeader.getMedianTimePast(headers.slice(0, 4)).should.equal(1600000007);
+    });
+
+    it('should fail without headers', function() {
+      (function() {
+        BlockHeader.getMedianTimePast([]);
+      }).should.throw('An array of headers is required');
+    });
   });
 
   describe('#getDifficulty', function() {
@@ -297,6 +425,28 @@ describe('BlockHeader', function() {
       x.getDifficulty().should.equal(43971662056.08958);
     });
 
+    it('should get the difficulty of the reddcoin genesis block', function() {
+      var x = new BlockHeader({
+        bits: 0x1e0ffff0
+      });
+      x.getDifficulty().should.equal(0.00024414);
+    });
+
+    it('uses the difficulty 1 target of the network', function() {
+      var network = bitcore.Networks.add({
+        name: 'easynet',
+        pubkeyhash: 0x15,
+        privatekey: 0x95,
+        scripthash: 0x16,
+        consensus: { difficultyOneBits: 0x1e00ffff }
+      });
+      var x = new BlockHeader({
+        bits: 0x1d00ffff
+      }, { network: network });
+      bitcore.Networks.remove(network);
+      x.getDifficulty().should.equal(256);
+    });
+
     it('should use exponent notation if difficulty is larger than Javascript number', function() {
       var x = new BlockHeader({
         bits: 0x0900c2a8
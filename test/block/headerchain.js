@@ -0,0 +1,306 @@
+'use strict';
+
+var chai = require('chai');
+var should = chai.should();
+var expect = chai.expect;
+
+var bitcore = require('../..');
+var BlockHeader = bitcore.BlockHeader;
+var HeaderChain = bitcore.HeaderChain;
+var Networks = bitcore.Networks;
+
+describe('HeaderChain', function() {
+
+  var block1 = '010000006fe28c0ab6f1b372c1a6a246ae63f74f931e8365e15a089c68d6190000000000982051fd1e4ba744bbbe680e1fe' +
+    'e14677ba1a3c3540bf7b1cdb606e857233e0e61bc6649ffff001d01e36299';
+  var startTime = 1600000000;
+  var network;
+
+  // retargets every 10 blocks of 10 minutes
+  var addNetwork = function(name, consensus, checkpoints) {
+    return Networks.add({
+      name: name,
+      pubkeyhash: 0x15,
+      privatekey: 0x95,
+      scripthash: 0x16,
+      consensus: Object.assign({
+        powLimit: 0x207fffff,
+        powTargetTimespan: 10 * 600
+      }, consensus),
+      checkpoints: checkpoints
+    });
+  };
+
+  var mine = function(prev, time, bits, net) {
+    var header = new BlockHeader({
+      version: 1,
+      prevHash: prev ? prev._getHash() : Buffer.alloc(32),
+      merkleRoot: Buffer.alloc(32, time & 0xff),
+      time: time,
+      bits: bits || 0x207fffff,
+      nonce: 0
+    }, { network: net || network });
+    while (!header.validProofOfWork()) {
+      header.nonce++;
+      delete header._id;
+    }
+    return header;
+  };
+
+  var mineChain = function(start, count, spacing, net) {
+    var headers = [];
+    var prev = start;
+    for (var i = 0; i < count; i++) {
+      prev = mine(prev, prev.time + spacing, prev.bits, net);
+      headers.push(prev);
+    }
+    return headers;
+  };
+
+  var genesis;
+
+  before(function() {
+    network = addNetwork('headernet');
+    genesis = mine(null, startTime);
+  });
+
+  after(function() {
+    Networks.remove(network);
+  });
+
+  var newChain = function() {
+    return new HeaderChain({ network: network, start: { header: genesis, height: 0 } });
+  };
+
+  it('should start from the genesis block of the network', function() {
+    var chain = new HeaderChain({ network: 'livenet' });
+    chain.getHeight().should.equal(0);
+    chain.getTip().hash.should.equal(Networks.livenet.checkpoints[0]);
+    chain.getTip().chainwork.should.equal('0000000000000000000000000000000000000000000000000000000100010001');
+  });
+
+  it('should start from the genesis block of the Reddcoin networks', function() {
+    new HeaderChain().getTip().hash.should.equal(Networks.reddcoin.checkpoints[0]);
+    var chain = new HeaderChain({ network: 'reddcoin-testnet' });
+    chain.getTip().hash.should.equal(Networks.reddcoinTestnet.checkpoints[0]);
+    expect(function() {
+      return new HeaderChain({ network: 'reddcoin-regtest' });
+    }).to.throw('No genesis block is known for network reddcoin-regtest');
+  });
+
+  it('should reject a header contradicting a Reddcoin checkpoint', function() {
+    var testnetGenesis = bitcore.Block.genesis('reddcoin-testnet').header;
+    var header = BlockHeader.fromObject(testnetGenesis.toObject(), { network: 'reddcoin' });
+    expect(function() {
+      return new HeaderChain({ network: 'reddcoin', start: { header: header, height: 0 } });
+    }).to.throw('Header ' + header.id + ' contradicts the checkpoint at height 0');
+  });
+
+  it('should add a header and track the chainwork', function() {
+    var chain = new HeaderChain({ network: 'livenet' });
+    var result = chain.add(BlockHeader.fromString(block1, { network: 'livenet' }));
+    result.height.should.equal(1);
+    result.hash.should.equal('00000000839a8e6886ab5951d76f411475428afc90947ee320161bbf18eb6048');
+    result.chainwork.should.equal('0000000000000000000000000000000000000000000000000000000200020002');
+    result.best.should.equal(true);
+    should.equal(result.reorg, null);
+    chain.getHeader(1).id.should.equal(result.hash);
+    chain.isMainChain(result.hash).should.equal(true);
+  });
+
+  it('should start from a trusted header', function() {
+    var header = BlockHeader.fromString(block1, { network: 'livenet' });
+    var chain = new HeaderChain({
+      network: 'livenet',
+      start: { header: header, height: 1, chainwork: '200020002' }
+    });
+    chain.getTip().chainwork.should.equal('0000000000000000000000000000000000000000000000000000000200020002');
+    should.equal(chain.getHeader(0), undefined);
+    expect(function() {
+      return new HeaderChain({ network: 'livenet', start: { header: header, height: 0 } });
+    }).to.throw('contradicts the checkpoint at height 0');
+  });
+
+  it('should reject headers of another network', function() {
+    var chain = new HeaderChain({ network: 'livenet' });
+    expect(function() {
+      chain.add(BlockHeader.fromString(block1, { network: 'testnet' }));
+    }).to.throw('is not a header of network livenet');
+  });
+
+  it('should reject a header that does not extend a known header', function() {
+    var chain = newChain();
+    var headers = mineChain(genesis, 2, 600);
+    expect(function() {
+      chain.add(headers[1]);
+    }).to.throw('does not extend a known header');
+  });
+
+  it('should ignore a known header', function() {
+    var chain = newChain();
+    var header = mineChain(genesis, 1, 600)[0];
+    chain.add(header);
+    var result = chain.add(header);
+    result.height.should.equal(1);
+    result.best.should.equal(true);
+    chain.getHeight().should.equal(1);
+  });
+
+  it('should reject an invalid proof-of-work', function() {
+    var chain = newChain();
+    var header = mine(genesis, startTime + 600);
+    header.nonce++;
+    while (header.validProofOfWork()) {
+      header.nonce++;
+      delete header._id;
+    }
+    expect(function() {
+      chain.add(header);
+    }).to.throw('its proof-of-work is invalid');
+    chain.add(header, { proofOfStake: true }).height.should.equal(1);
+  });
+
+  it('should reject a time not after the median time past', function() {
+    var chain = newChain();
+    chain.addHeaders(mineChain(genesis, 9, 60));
+    chain.getMedianTimePast().should.equal(startTime + 5 * 60);
+    var tip = chain.getHeader(9);
+    chain.getMedianTimePast(tip.id).should.equal(startTime + 5 * 60);
+    expect(function() {
+      chain.add(mine(tip, startTime + 5 * 60, 0x201fffff));
+    }).to.throw('its time is not after the median time of the previous blocks');
+    chain.add(mine(tip, startTime + 5 * 60 + 1, 0x201fffff)).height.should.equal(10);
+  });
+
+  it('should retarget the difficulty', function() {
+    var chain = newChain();
+    // blocks four times faster than expected
+    chain.addHeaders(mineChain(genesis, 9, 150));
+    var tip = chain.getHeader(9);
+    expect(function() {
+      chain.add(mine(tip, tip.time + 150));
+    }).to.throw('its target 0x207fffff should be 0x201fffff');
+    chain.add(mine(tip, tip.time + 150, 0x201fffff)).height.should.equal(10);
+    expect(function() {
+      chain.add(mine(chain.getHeader(10), tip.time + 300));
+    }).to.throw('its target 0x207fffff should be 0x201fffff');
+  });
+
+  it('should not retarget above the proof-of-work limit', function() {
+    var chain = newChain();
+    chain.addHeaders(mineChain(genesis, 9, 6000));
+    var tip = chain.getHeader(9);
+    chain.add(mine(tip, tip.time + 6000, 0x207fffff)).height.should.equal(10);
+  });
+
+  it('should allow minimum difficulty blocks', function() {
+    var testnet = addNetwork('mindiffnet', { powAllowMinDifficultyBlocks: true });
+    var start = mine(null, startTime, 0x201fffff, testnet);
+    var chain = new HeaderChain({ network: testnet, start: { header: start, height: 0 } });
+    var late = mine(start, startTime + 1201, 0x207fffff, testnet);
+    chain.add(late).height.should.equal(1);
+    expect(function() {
+      chain.add(mine(late, late.time + 600, 0x207fffff, testnet));
+    }).to.throw('its target 0x207fffff should be 0x201fffff');
+    chain.add(mine(late, late.time + 600, 0x201fffff, testnet)).height.should.equal(2);
+    Networks.remove(testnet);
+  });
+
+  it('should check the target of proof-of-stake headers', function() {
+    var posnet = addNetwork('posnet', { posLimit: 0x207fffff, posTargetTimespan: 10 * 600 });
+    var start = mine(null, startTime, 0x207fffff, posnet);
+    var chain = new HeaderChain({ network: posnet, start: { header: start, height: 0 } });
+    var stake = function(prev, time, bits) {
+      return new BlockHeader({
+        version: 1,
+        prevHash: prev._getHash(),
+        merkleRoot: Buffer.alloc(32),
+        time: time,
+        bits: bits,
+        nonce: 0
+      }, { network: posnet });
+    };
+    var first = stake(start, startTime + 600, 0x207fffff);
+    chain.add(first, { proofOfStake: true });
+    var second = stake(first, startTime + 1200, 0x207fffff);
+    chain.add(second, { proofOfStake: true });
+    // blocks on time keep the target
+    expect(function() {
+      chain.add(stake(second, startTime + 1800, 0x201fffff), { proofOfStake: true });
+    }).to.throw('its target 0x201fffff should be 0x207fffff');
+    chain.add(stake(second, startTime + 1800, 0x207fffff), { proofOfStake: true }).height.should.equal(3);
+    Networks.remove(posnet);
+  });
+
+  it('should switch to the branch with the most work', function() {
+    var chain = newChain();
+    var main = mineChain(genesis, 3, 600);
+    chain.addHeaders(main);
+    var fork = mineChain(main[0], 3, 601);
+
+    var result = chain.add(fork[0]);
+    result.best.should.equal(false);
+    result = chain.add(fork[1]);
+    result.best.should.equal(false);
+    should.equal(result.reorg, null);
+    chain.getTip().hash.should.equal(main[2].id);
+    chain.isMainChain(fork[1].id).should.equal(false);
+    chain.getEntry(fork[1].id).height.should.equal(3);
+
+    result = chain.add(fork[2]);
+    result.best.should.equal(true);
+    result.height.should.equal(4);
+    result.reorg.fork.hash.should.equal(main[0].id);
+    result.reorg.disconnected.map(function(entry) {
+      return entry.hash;
+    }).should.deep.equal([main[1].id, main[2].id]);
+    result.reorg.connected.map(function(entry) {
+      return entry.height;
+    }).should.deep.equal([2, 3, 4]);
+    chain.getHeader(2).id.should.equal(fork[0].id);
+    chain.isMainChain(main[2].id).should.equal(false);
+    chain.isMainChain(fork[2].id).should.equal(true);
+  });
+
+  describe('checkpoints', function() {
+    var headers;
+    var checkpointnet;
+
+    before(function() {
+      headers = mineChain(genesis, 3, 600);
+      checkpointnet = addNetwork('checkpointnet', {}, { 2: headers[1].id });
+    });
+
+    after(function() {
+      Networks.remove(checkpointnet);
+    });
+
+    var rebuild = function(header) {
+      return BlockHeader.fromBuffer(header.toBuffer(), { network: checkpointnet });
+    };
+
+    var newCheckpointChain = function() {
+      return new HeaderChain({ network: checkpointnet, start: { header: rebuild(genesis), height: 0 } });
+    };
+
+    it('should reject a header contradicting a checkpoint', function() {
+      var chain = newCheckpointChain();
+      chain.add(rebuild(headers[0]));
+      expect(function() {
+        chain.add(mine(chain.getHeader(1), startTime + 1000, 0x207fffff, checkpointnet));
+      }).to.throw('contradicts the checkpoint at height 2');
+      chain.add(rebuild(headers[1])).height.should.equal(2);
+    });
+
+    it('should reject a fork before a checkpoint', function() {
+      var chain = newCheckpointChain();
+      chain.addHeaders(headers.map(rebuild));
+      expect(function() {
+        chain.add(mine(chain.getHeader(0), startTime + 1000, 0x207fffff, checkpointnet));
+      }).to.throw('it forks the chain before the checkpoint at height 2');
+      chain.add(mine(chain.getHeader(2), startTime + 1000, 0x207fffff, checkpointnet)).best.should.equal(false);
+    });
+
+  });
+
+});
@@ -0,0 +1,237 @@
+'use strict';
+
+var chai = require('chai');
+var should = chai.should();
+var expect = chai.expect;
+
+var _ = require('lodash');
+var bitcore = require('../..');
+var BN = bitcore.crypto.BN;
+var BlockHeader = bitcore.BlockHeader;
+var Networks = bitcore.Networks;
+var Retarget = bitcore.Retarget;
+
+describe('Retarget', function() {
+
+  var header = function(time, bits, network) {
+    return new BlockHeader({
+      version: 1,
+      prevHash: Buffer.alloc(32),
+      merkleRoot: Buffer.alloc(32),
+      time: time,
+      bits: bits,
+      nonce: 0
+    }, { network: network || 'livenet' });
+  };
+
+  describe('#getTarget and #getCompact', function() {
+
+    it('should convert between compact and full targets', function() {
+      Retarget.getTarget(0x1d00ffff).toString(16).should.equal('ffff' + _.repeat('0', 52));
+      Retarget.getTarget(0x01123456).toNumber().should.equal(0x12);
+      Retarget.getTarget(0x05009234).toNumber().should.equal(0x92340000);
+      Retarget.getCompact(Retarget.getTarget(0x1d00ffff)).should.equal(0x1d00ffff);
+      Retarget.getCompact(new BN(0x12)).should.equal(0x01120000);
+      Retarget.getCompact(new BN(0x80)).should.equal(0x02008000);
+      Retarget.getCompact(new BN(0x92340000)).should.equal(0x05009234);
+      Retarget.getCompact(Retarget.getTarget(0x20123456)).should.equal(0x20123456);
+      Retarget.getCompact(new BN(0)).should.equal(0);
+    });
+
+    it('should agree with the block header', function() {
+      var target = header(0, 0x1b0404cb).getTargetDifficulty();
+      Retarget.getTarget(0x1b0404cb).toString(16).should.equal(target.toString(16));
+      Retarget.getCompact(target).should.equal(0x1b0404cb);
+    });
+
+  });
+
+  describe('#getNextBits', function() {
+
+    // the first and last headers of a retarget period of bitcoin
+    var period = function(firstTime, lastTime, bits) {
+      var filler = header(firstTime, bits);
+      return [header(firstTime, bits)].concat(_.times(2014, _.constant(filler)), [header(lastTime, bits)]);
+    };
+
+    it('should keep the target within a retarget period', function() {
+      Retarget.getNextBits([header(1262152739, 0x1b0404cb)], { height: 32257 }).should.equal(0x1b0404cb);
+    });
+
+    it('should retarget bitcoin', function() {
+      var headers = period(1261130161, 1262152739, 0x1d00ffff);
+      Retarget.getNextBits(headers, { height: 32256 }).should.equal(0x1d00d86a);
+    });
+
+    it('should not retarget above the proof-of-work limit', function() {
+      var headers = period(1231006505, 1233061996, 0x1d00ffff);
+      Retarget.getNextBits(headers, { height: 2016 }).should.equal(0x1d00ffff);
+    });
+
+    it('should adjust the target by at most a factor of 4', function() {
+      var headers = period(1279008237, 1279297671, 0x1c05a3f4);
+      Retarget.getNextBits(headers, { height: 68544 }).should.equal(0x1c0168fd);
+      headers = period(1263163443, 1269211443, 0x1c387f6f);
+      Retarget.getNextBits(headers, { height: 46368 }).should.equal(0x1d00e1fd);
+    });
+
+    it('should need the first header of the period', function() {
+      var headers = period(1261130161, 1262152739, 0x1d00ffff).slice(1);
+      should.equal(Retarget.getNextBits(headers, { height: 32256 }), null);
+    });
+
+    it('should allow minimum difficulty blocks on testnet', function() {
+      var prev = header(1600000000, 0x1c0ffff0, 'testnet');
+      Retarget.getNextBits([prev], { height: 3, time: 1600001201 }).should.equal(0x1d00ffff);
+      Retarget.getNextBits([prev], { height: 3, time: 1600001200 }).should.equal(0x1c0ffff0);
+      var headers = [prev, header(1600001201, 0x1d00ffff, 'testnet')];
+      Retarget.getNextBits(headers, { height: 4, time: 1600001800 }).should.equal(0x1c0ffff0);
+      should.equal(Retarget.getNextBits(headers.slice(1), { height: 4, time: 1600001800 }), null);
+    });
+
+    it('should not retarget regtest', function() {
+      var headers = [header(1600000000, 0x207fffff, 'regtest'), header(1600000001, 0x207fffff, 'regtest')];
+      Retarget.getNextBits(headers, { height: 2016 }).should.equal(0x207fffff);
+    });
+
+    describe('Reddcoin proof-of-work', function() {
+
+      var chain = function(count, spacing, network) {
+        return _.times(count, function(i) {
+          return header(1392000000 + i * spacing, 0x1c100000, network || 'reddcoin');
+        });
+      };
+
+      it('should keep the target within a retarget period', function() {
+        Retarget.getNextBits([header(1392000000, 0x1c100000, 'reddcoin')], { height: 100 }).should.equal(0x1c100000);
+      });
+
+      it('should retarget daily over the whole period', function() {
+        var first = header(1392000000, 0x1c100000, 'reddcoin');
+        var headers = [first].concat(_.times(1439, _.constant(first)), [header(1392043200, 0x1c100000, 'reddcoin')]);
+        Retarget.getNextBits(headers, { height: 2880 }).should.equal(0x1c080000);
+        should.equal(Retarget.getNextBits(headers.slice(1), { height: 2880 }), null);
+        // except the first retarget, from the genesis block
+        Retarget.getNextBits(headers.slice(1), { height: 1440 }).should.equal(0x1c080000);
+      });
+
+      it('should use Kimoto Gravity Well from block 44877', function() {
+        var headers = chain(10081, 60);
+        Retarget.getNextBits(headers, { height: 50000 }).should.equal(0x1c0fff97);
+        Retarget.getNextBits(headers.slice(10080 - 1441), { height: 44876 }).should.equal(0x1c100000);
+      });
+
+      it('should look back until the blocks leave the event horizon', function() {
+        var headers = chain(360, 10);
+        // 359 intervals of 10 seconds instead of 360 minutes: 3590 / 21600 of the target
+        Retarget.getNextBits(headers, { height: 50000 }).should.equal(0x1c02a8c5);
+        should.equal(Retarget.getNextBits(headers.slice(1), { height: 50000 }), null);
+        should.equal(Retarget.getNextBits(chain(400, 60), { height: 50000 }), null);
+      });
+
+      it('should use the limit for the first 6 hours of Kimoto Gravity Well', function() {
+        Retarget.getNextBits(chain(1, 60, 'reddcoin-testnet'), { height: 100 }).should.equal(0x1e0fffff);
+      });
+
+      it('should average the targets of the gravity well', function() {
+        var network = Networks.add({
+          name: 'gravitynet',
+          pubkeyhash: 0x15,
+          privatekey: 0x95,
+          scripthash: 0x16,
+          consensus: {
+            powLimit: 0x207fffff,
+            targetSpacing: 3600,
+            powGravityWellHeight: 0
+          }
+        });
+        var headers = _.times(8, function(i) {
+          return header(1392000000 + i * 3600, i % 2 ? 0x1f100000 : 0x1f200000, network);
+        });
+        // blocks 1 to 7 average to 10/7 of 0x1f100000, over 6 of 7 hours
+        Retarget.getNextBits(headers, { height: 8 }).should.equal(0x1f139782);
+        Networks.remove(network);
+      });
+
+    });
+
+    it('should not check proof-of-stake targets without proof-of-stake', function() {
+      should.equal(Retarget.getNextBits([header(1600000000, 0x1d00ffff)], { height: 100, proofOfStake: true }), null);
+    });
+
+    describe('proof-of-stake', function() {
+
+      var pos = function(time, bits) {
+        return { header: header(time, bits, 'reddcoin'), proofOfStake: true };
+      };
+      var pow = function(time) {
+        return header(time, 0x1c0fffff, 'reddcoin');
+      };
+
+      it('should start from the proof-of-stake limit', function() {
+        var genesis = header(1390280400, 0x1e0ffff0, 'reddcoin');
+        Retarget.getNextBits([genesis, pow(1390280460)], { height: 2, proofOfStake: true }).should.equal(0x1e0fffff);
+        var headers = [genesis, pow(1390280460), pos(1390280520, 0x1e0fffff)];
+        Retarget.getNextBits(headers, { height: 3, proofOfStake: true }).should.equal(0x1e0fffff);
+      });
+
+      it('should keep the target when blocks are on time', function() {
+        var headers = [pos(1500000000, 0x1c0fffff), pow(1500000030), pos(1500000060, 0x1c0fffff)];
+        Retarget.getNextBits(headers, { height: 300003, proofOfStake: true }).should.equal(0x1c0fffff);
+      });
+
+      it('should move the target toward the target spacing', function() {
+        var headers = [pos(1500000000, 0x1c0fffff), pos(1500000600, 0x1c0fffff)];
+        // 0x0fffff * (1439 * 60 + 1200) / (1441 * 60)
+        Retarget.getNextBits(headers, { height: 300002, proofOfStake: true }).should.equal(0x1c103329);
+        headers = [pos(1500000000, 0x1c0fffff), pos(1500000000, 0x1c0fffff)];
+        Retarget.getNextBits(headers, { height: 300002, proofOfStake: true }).should.equal(0x1c0ffa4f);
+        // a negative spacing counts as the target spacing
+        headers = [pos(1500000000, 0x1c0fffff), pos(1499999000, 0x1c0fffff)];
+        Retarget.getNextBits(headers, { height: 300002, proofOfStake: true }).should.equal(0x1c0fffff);
+      });
+
+      it('should not exceed the proof-of-stake limit', function() {
+        var headers = [pos(1500000000, 0x1e0fffff), pos(1500086400, 0x1e0fffff)];
+        Retarget.getNextBits(headers, { height: 300002, proofOfStake: true }).should.equal(0x1e0fffff);
+      });
+
+      it('should need two previous proof-of-stake blocks', function() {
+        var headers = [pow(1500000000), pos(1500000060, 0x1c0fffff)];
+        should.equal(Retarget.getNextBits(headers, { height: 300002, proofOfStake: true }), null);
+      });
+
+    });
+
+    it('should use the parameters of the network', function() {
+      var network = Networks.add({
+        name: 'retargetnet',
+        pubkeyhash: 0x15,
+        privatekey: 0x95,
+        scripthash: 0x16,
+        consensus: {
+          powLimit: 0x207fffff,
+          targetSpacing: 60,
+          powTargetTimespan: 600
+        }
+      });
+      var headers = _.times(10, function(i) {
+        return header(1600000000 + i * 30, 0x1f7fffff, network);
+      });
+      Retarget.getNextBits(headers, { height: 10 }).should.equal(0x1f399999);
+      Retarget.getNextBits(headers, { height: 10, network: 'livenet' }).should.equal(0x1f7fffff);
+      Networks.remove(network);
+    });
+
+    it('should fail without previous headers', function() {
+      expect(function() {
+        Retarget.getNextBits([], { height: 1 });
+      }).to.throw('The previous headers are required');
+      expect(function() {
+        Retarget.getNextBits([header(1600000000, 0x1d00ffff)], { height: 0 });
+      }).to.throw('Invalid height');
+    });
+
+  });
+
+});
@@ -0,0 +1,126 @@
+'use strict';
+
+var chai = require('chai');
+var should = chai.should();
+var expect = chai.expect;
+var crypto = require('crypto');
+
+var bitcore = require('../..');
+var StakeKernel = bitcore.StakeKernel;
+var UnspentOutput = bitcore.Transaction.UnspentOutput;
+
+describe('StakeKernel', function() {
+
+  var ONE_DAY = 24 * 60 * 60;
+  var MIN_AGE = 8 * 60 * 60;
+  var txPrevTime = 1600000000;
+  var utxo = {
+    txId: 'a477af6b2667c29670467e4e0728b685ee07b240235771862318e29ddbe58458',
+    outputIndex: 1,
+    script: 'OP_DUP OP_HASH160 20 0x88d9931ea73d60eaf7e5671efc0552b912911f2a OP_EQUALVERIFY OP_CHECKSIG',
+    satoshis: 1000 * 1e8,
+    time: txPrevTime
+  };
+  var kernel = {
+    stakeModifier: '0123456789abcdef',
+    blockFromTime: txPrevTime + 60,
+    txPrevOffset: 81,
+    utxo: utxo,
+    time: txPrevTime + MIN_AGE + ONE_DAY
+  };
+
+  describe('#getCoinAgeWeight', function() {
+
+    it('should be zero up to the minimum stake age', function() {
+      StakeKernel.getCoinAgeWeight(txPrevTime, txPrevTime).should.equal(0);
+      StakeKernel.getCoinAgeWeight(txPrevTime, txPrevTime + MIN_AGE).should.equal(0);
+      StakeKernel.getCoinAgeWeight(0, txPrevTime).should.equal(0);
+    });
+
+    it('should follow the PoSV aging function', function() {
+      StakeKernel.getCoinAgeWeight(txPrevTime, txPrevTime + MIN_AGE + ONE_DAY).should.equal(90984);
+      StakeKernel.getCoinAgeWeight(txPrevTime, txPrevTime + MIN_AGE + 7 * ONE_DAY).should.equal(725760);
+      var month = StakeKernel.getCoinAgeWeight(txPrevTime, txPrevTime + MIN_AGE + 30 * ONE_DAY);
+      month.should.be.within(1781940, 1781960);
+    });
+
+    it('should be capped at the maximum stake age', function() {
+      StakeKernel.getCoinAgeWeight(txPrevTime, txPrevTime + 1000 * ONE_DAY).should.equal(45 * ONE_DAY);
+    });
+
+    it('should fail for networks without proof-of-stake', function() {
+      expect(function() {
+        StakeKernel.getCoinAgeWeight(txPrevTime, txPrevTime + ONE_DAY, 'livenet');
+      }).to.throw('has no proof-of-stake');
+    });
+
+  });
+
+  describe('#getCoinAge', function() {
+
+    it('should compute the coin age in coin-days', function() {
+      StakeKernel.getCoinAge(utxo, txPrevTime + MIN_AGE + ONE_DAY).should.equal(1053);
+      StakeKernel.getCoinAge(new UnspentOutput(utxo), txPrevTime + MIN_AGE).should.equal(0);
+    });
+
+    it('should be zero before the output was created', function() {
+      StakeKernel.getCoinAge(utxo, txPrevTime - 1).should.equal(0);
+    });
+
+    it('should require the output time', function() {
+      var noTime = Object.assign({}, utxo, { time: undefined });
+      expect(function() {
+        StakeKernel.getCoinAge(noTime, txPrevTime);
+      }).to.throw('The unspent output time is required');
+    });
+
+  });
+
+  describe('#getKernelHash', function() {
+
+    it('should hash the kernel fields', function() {
+      var data = Buffer.alloc(28);
+      Buffer.from('0123456789abcdef', 'hex').reverse().copy(data, 0);
+      data.writeUInt32LE(kernel.blockFromTime, 8);
+      data.writeUInt32LE(kernel.txPrevOffset, 12);
+      data.writeUInt32LE(txPrevTime, 16);
+      data.writeUInt32LE(1, 20);
+      data.writeUInt32LE(kernel.time, 24);
+      var once = crypto.createHash('sha256').update(data).digest();
+      var expected = crypto.createHash('sha256').update(once).digest();
+      StakeKernel.getKernelHash(kernel).toString('hex').should.equal(expected.toString('hex'));
+    });
+
+    it('should accept the stake modifier as a BN or a number', function() {
+      var hash = StakeKernel.getKernelHash(kernel).toString('hex');
+      var bn = new bitcore.crypto.BN('0123456789abcdef', 16);
+      StakeKernel.getKernelHash(Object.assign({}, kernel, { stakeModifier: bn })).toString('hex').should.equal(hash);
+      var zero = StakeKernel.getKernelHash(Object.assign({}, kernel, { stakeModifier: '0' })).toString('hex');
+      StakeKernel.getKernelHash(Object.assign({}, kernel, { stakeModifier: 0 })).toString('hex').should.equal(zero);
+    });
+
+  });
+
+  describe('#checkKernel', function() {
+
+    it('should accept a kernel under an easy target', function() {
+      StakeKernel.checkKernel(Object.assign({ bits: 0x207fffff }, kernel)).should.equal(true);
+    });
+
+    it('should reject a kernel under a hard target', function() {
+      StakeKernel.checkKernel(Object.assign({ bits: 0x1d00ffff }, kernel)).should.equal(false);
+    });
+
+    it('should reject outputs younger than the minimum stake age', function() {
+      var young = Object.assign({ bits: 0x207fffff }, kernel, { time: kernel.blockFromTime + MIN_AGE - 1 });
+      StakeKernel.checkKernel(young).should.equal(false);
+    });
+
+    it('should reject a coinstake older than the staked output', function() {
+      var early = Object.assign({ bits: 0x207fffff }, kernel, { time: txPrevTime - 1 });
+      StakeKernel.checkKernel(early).should.equal(false);
+    });
+
+  });
+
+});
@@ -0,0 +1,192 @@
+'use strict';
+
+var chai = require('chai');
+var should = chai.should();
+var expect = chai.expect;
+var crypto = require('crypto');
+
+var bitcore = require('../..');
+var BlockHeader = bitcore.BlockHeader;
+var StakeModifier = bitcore.StakeModifier;
+
+var sha256d = function(data) {
+  var once = crypto.createHash('sha256').update(data).digest();
+  return crypto.createHash('sha256').update(once).digest();
+};
+
+describe('StakeModifier', function() {
+
+  var startTime = 1600000200;
+  var headers;
+
+  var spacedTimes = function(length, spacing) {
+    var times = [];
+    for (var i = 0; i < length; i++) {
+      times.push(startTime + i * spacing);
+    }
+    return times;
+  };
+
+  var buildChain = function(times) {
+    var chain = [];
+    for (var i = 0; i < times.length; i++) {
+      chain.push(new BlockHeader({
+        version: 3,
+        prevHash: i ? chain[i - 1].hash : '00'.repeat(32),
+        merkleRoot: '00'.repeat(32),
+        time: times[i],
+        bits: 0x1e0fffff,
+        nonce: i
+      }));
+    }
+    return chain;
+  };
+
+  before(function() {
+    headers = buildChain(spacedTimes(60, 60));
+  });
+
+  it('should compute the genesis stake modifier', function() {
+    var result = new StakeModifier().add({ header: headers[0], height: 0 });
+    result.height.should.equal(0);
+    result.hash.should.equal(headers[0].hash);
+    result.proofOfStake.should.equal(false);
+    result.generatedModifier.should.equal(true);
+    result.modifier.should.equal('0000000000000000');
+
+    var entropyBit = headers[0]._getHash()[0] & 1;
+    result.entropyBit.should.equal(entropyBit);
+    var data = Buffer.alloc(44);
+    data.writeUInt32LE(StakeModifier.BLOCK_STAKE_MODIFIER | (entropyBit ? StakeModifier.BLOCK_STAKE_ENTROPY : 0), 0);
+    var checksum = sha256d(data).readUInt32LE(28);
+    result.modifierChecksum.should.equal(('0000000' + checksum.toString(16)).slice(-8));
+  });
+
+  it('should keep the stake modifier within a modifier interval', function() {
+    var calculator = new StakeModifier();
+    var genesis = calculator.add({ header: headers[0], height: 0 });
+    var result = calculator.add({ header: headers[1] });
+    result.height.should.equal(1);
+    result.generatedModifier.should.equal(false);
+    result.modifier.should.equal('0000000000000000');
+
+    var data = Buffer.alloc(48);
+    data.writeUInt32LE(parseInt(genesis.modifierChecksum, 16), 0);
+    data.writeUInt32LE(result.entropyBit ? StakeModifier.BLOCK_STAKE_ENTROPY : 0, 4);
+    var checksum = sha256d(data).readUInt32LE(28);
+    parseInt(result.modifierChecksum, 16).should.equal(checksum);
+  });
+
+  it('should generate a new stake modifier once per modifier interval', function() {
+    var results = new StakeModifier().compute(headers.map(function(header, height) {
+      return { header: header, height: height };
+    }));
+    results.length.should.equal(60);
+    var generated = results.filter(function(result) {
+      return result.generatedModifier;
+    }).map(function(result) {
+      return result.height;
+    });
+    // block times cross a 600 second boundary every 10 blocks, the modifier
+    // is regenerated on the block following the first block past it
+    generated.should.deep.equal([0, 11, 21, 31, 41, 51]);
+    results[11].modifier.should.not.equal(results[10].modifier);
+    results[12].modifier.should.equal(results[11].modifier);
+  });
+
+  // The selection interval of the fourth block starts at the first block,
+  // and its first round only covers the first two blocks
+  var selectionStart = 1600020000 - 21135;
+  var selectionTimes = [selectionStart, selectionStart + 1, 1600020000, 1600020060];
+
+  var selectionHash = function(header, proofHash) {
+    var proof = proofHash ? Buffer.from(proofHash, 'hex').reverse() : header._getHash();
+    var hash = sha256d(Buffer.concat([proof, Buffer.alloc(8)]));
+    return new bitcore.crypto.BN(Buffer.from(hash).reverse().toString('hex'), 16);
+  };
+
+  it('should select the entropy bits of the candidate blocks', function() {
+    var chain = buildChain(selectionTimes);
+    var results = new StakeModifier().compute(chain.map(function(header, height) {
+      return { header: header, height: height };
+    }));
+    results[3].generatedModifier.should.equal(true);
+    // the block with the lowest selection hash is selected first
+    var firstIsLower = selectionHash(chain[0]).lt(selectionHash(chain[1]));
+    var first = firstIsLower ? results[0] : results[1];
+    var second = firstIsLower ? results[1] : results[0];
+    var expected = first.entropyBit | (second.entropyBit << 1) | (results[2].entropyBit << 2);
+    parseInt(results[3].modifier, 16).should.equal(expected);
+  });
+
+  it('should continue from a known stake modifier', function() {
+    var chain = buildChain(spacedTimes(50, 600));
+    var results = new StakeModifier().compute(chain.map(function(header, height) {
+      return { header: header, height: height };
+    }));
+    // the known blocks have to cover the selection interval
+    var calculator = new StakeModifier();
+    for (var height = 5; height < 45; height++) {
+      calculator.add({
+        header: chain[height],
+        height: height,
+        modifier: results[height].modifier,
+        modifierChecksum: results[height].modifierChecksum,
+        generatedModifier: results[height].generatedModifier
+      });
+    }
+    for (height = 45; height < 50; height++) {
+      calculator.add({ header: chain[height] }).should.deep.equal(results[height]);
+    }
+  });
+
+  it('should favor proof-of-stake blocks', function() {
+    var chain = buildChain(selectionTimes);
+    var proofHash = 'ff'.repeat(32);
+    var calculator = new StakeModifier();
+    calculator.add({ header: chain[0], height: 0 });
+    var pos = calculator.add({ header: chain[1], proofOfStake: true, proofHash: proofHash });
+    pos.proofOfStake.should.equal(true);
+    calculator.add({ header: chain[2] });
+    var result = calculator.add({ header: chain[3] });
+    result.generatedModifier.should.equal(true);
+    // the selection hash of the proof-of-stake block is divided by 2^32
+    selectionHash(chain[0]).gt(selectionHash(chain[1], proofHash).shrn(32)).should.equal(true);
+    (parseInt(result.modifier, 16) & 1).should.equal(pos.entropyBit);
+  });
+
+  it('should require the proof hash of proof-of-stake blocks', function() {
+    var calculator = new StakeModifier();
+    calculator.add({ header: headers[0], height: 0 });
+    expect(function() {
+      calculator.add({ header: headers[1], proofOfStake: true });
+    }).to.throw('proof hash');
+  });
+
+  it('should require blocks to extend the chain', function() {
+    var calculator = new StakeModifier();
+    calculator.add({ header: headers[0], height: 0 });
+    expect(function() {
+      calculator.add({ header: headers[2] });
+    }).to.throw('does not extend');
+    expect(function() {
+      calculator.add({ header: headers[1], height: 5 });
+    }).to.throw('Expected block at height 1');
+  });
+
+  it('should require a known stake modifier to start after genesis', function() {
+    expect(function() {
+      new StakeModifier().add({ header: headers[1], height: 1 });
+    }).to.throw('A known stake modifier is required');
+    expect(function() {
+      new StakeModifier().add({ header: headers[1] });
+    }).to.throw('The height of the first block is required');
+  });
+
+  it('should fail for networks without proof-of-stake', function() {
+    expect(function() {
+      return new StakeModifier({ network: 'livenet' });
+    }).to.throw('has no proof-of-stake');
+  });
+
+});
@@ -0,0 +1,250 @@
+'use strict';
+
+var chai = require('chai');
+var should = chai.should();
+var expect = chai.expect;
+
+var bitcore = require('../..');
+var Block = bitcore.Block;
+var Networks = bitcore.Networks;
+var Subsidy = bitcore.Subsidy;
+var Transaction = bitcore.Transaction;
+
+describe('Subsidy', function() {
+
+  var COIN = 1e8;
+
+  describe('#getProofOfWorkSubsidy', function() {
+
+    it('should halve the bitcoin subsidy every 210000 blocks', function() {
+      Subsidy.getProofOfWorkSubsidy(0, 'livenet').should.equal(50 * COIN);
+      Subsidy.getProofOfWorkSubsidy(209999, 'livenet').should.equal(50 * COIN);
+      Subsidy.getProofOfWorkSubsidy(210000, 'livenet').should.equal(25 * COIN);
+      Subsidy.getProofOfWorkSubsidy(840000, 'livenet').should.equal(3.125 * COIN);
+      Subsidy.getProofOfWorkSubsidy(32 * 210000, 'livenet').should.equal(1);
+      Subsidy.getProofOfWorkSubsidy(64 * 210000, 'livenet').should.equal(0);
+    });
+
+    it('should halve the regtest subsidy every 150 blocks', function() {
+      Subsidy.getProofOfWorkSubsidy(149, 'regtest').should.equal(50 * COIN);
+      Subsidy.getProofOfWorkSubsidy(150, 'regtest').should.equal(25 * COIN);
+    });
+
+    it('should follow the Reddcoin subsidy steps until the end of proof-of-work', function() {
+      Subsidy.getProofOfWorkSubsidy(0).should.equal(10000 * COIN);
+      Subsidy.getProofOfWorkSubsidy(1).should.equal(545000000 * COIN);
+      Subsidy.getProofOfWorkSubsidy(10).should.equal(545000000 * COIN);
+      Subsidy.getProofOfWorkSubsidy(11).should.equal(300000 * COIN);
+      Subsidy.getProofOfWorkSubsidy(9999).should.equal(300000 * COIN);
+      Subsidy.getProofOfWorkSubsidy(10000).should.equal(200000 * COIN);
+      Subsidy.getProofOfWorkSubsidy(20000).should.equal(150000 * COIN);
+      Subsidy.getProofOfWorkSubsidy(139999).should.equal(100000 * COIN);
+      Subsidy.getProofOfWorkSubsidy(140000).should.equal(50000 * COIN);
+      Subsidy.getProofOfWorkSubsidy(190000).should.equal(25000 * COIN);
+      Subsidy.getProofOfWorkSubsidy(260799, 'reddcoin').should.equal(12500 * COIN);
+      Subsidy.getProofOfWorkSubsidy(260800, 'reddcoin').should.equal(0);
+    });
+
+    it('should match the coinbase of the Reddcoin genesis block', function() {
+      var coinbase = Block.genesis('reddcoin').transactions[0];
+      coinbase.outputs[0].satoshis.should.equal(Subsidy.getProofOfWorkSubsidy(0, 'reddcoin'));
+    });
+
+    it('should fail with an invalid height', function() {
+      expect(function() {
+        Subsidy.getProofOfWorkSubsidy(-1);
+      }).to.throw('Invalid height');
+    });
+
+  });
+
+  describe('#getProofOfStakeReward', function() {
+
+    it('should reward 5% of the staked coins per year', function() {
+      Subsidy.getProofOfStakeReward(0).should.equal(0);
+      Subsidy.getProofOfStakeReward(1000).should.equal(13689537);
+      // 33 years of 365 + 8/33 days for one coin
+      Subsidy.getProofOfStakeReward(365 * 33 + 8, 'reddcoin-testnet').should.equal(33 * 0.05 * COIN);
+    });
+
+    it('should fail for networks without proof-of-stake', function() {
+      expect(function() {
+        Subsidy.getProofOfStakeReward(1000, 'livenet');
+      }).to.throw('has no proof-of-stake');
+    });
+
+  });
+
+  describe('#getSupply', function() {
+
+    it('should sum the bitcoin subsidies', function() {
+      Subsidy.getSupply(0, { network: 'livenet' }).toNumber().should.equal(50 * COIN);
+      Subsidy.getSupply(210000, { network: 'livenet' }).toNumber().should.equal(210000 * 50 * COIN + 25 * COIN);
+      Subsidy.getSupply(7000000, { network: 'livenet' }).toNumber().should.equal(2099999997690000);
+      Subsidy.getSupply(300, { network: 'regtest' }).toNumber().should.equal(11262.5 * COIN);
+    });
+
+    it('should add the value minted by stake', function() {
+      Subsidy.getSupply(0).toNumber().should.equal(10000 * COIN);
+      Subsidy.getSupply(11).toString().should.equal('545031000000000000');
+      Subsidy.getSupply(260799).toString().should.equal('2695671000000000000');
+      Subsidy.getSupply(1000000, { network: 'reddcoin' }).toString().should.equal('2695671000000000000');
+      Subsidy.getSupply(1000000, { stakeMinted: 5 * COIN }).toString().should.equal('2695671000500000000');
+    });
+
+  });
+
+  describe('#setSchedule', function() {
+
+    it('should register the schedule of a network', function() {
+      var network = Networks.add({
+        name: 'subsidynet',
+        pubkeyhash: 0x15,
+        privatekey: 0x95,
+        scripthash: 0x16
+      });
+      Subsidy.getSchedule(network).pow.subsidy.should.equal(50 * COIN);
+      Subsidy.setSchedule(network, {
+        pow: { subsidy: 10 * COIN, halvingInterval: 10, lastHeight: 24 },
+        stake: { yearlyReward: 1000000 }
+      });
+      Subsidy.getProofOfWorkSubsidy(10, network).should.equal(5 * COIN);
+      Subsidy.getProofOfWorkSubsidy(25, network).should.equal(0);
+      Subsidy.getSupply(100, { network: network }).toNumber().should.equal(162.5 * COIN);
+      Subsidy.getProofOfStakeReward(12053, network).should.equal(33 * 1000000);
+      Networks.remove(network);
+    });
+
+    it('should change the subsidy at each step', function() {
+      var network = Networks.add({
+        name: 'stepnet',
+        pubkeyhash: 0x15,
+        privatekey: 0x95,
+        scripthash: 0x16
+      });
+      Subsidy.setSchedule(network, {
+        pow: { subsidy: 1 * COIN, steps: [{ height: 1, subsidy: 8 * COIN }, { height: 5, subsidy: 0 }],
+          halvingInterval: 4, lastHeight: 10 }
+      });
+      Subsidy.getProofOfWorkSubsidy(0, network).should.equal(1 * COIN);
+      Subsidy.getProofOfWorkSubsidy(3, network).should.equal(8 * COIN);
+      Subsidy.getProofOfWorkSubsidy(4, network).should.equal(4 * COIN);
+      Subsidy.getProofOfWorkSubsidy(5, network).should.equal(0);
+      Subsidy.getSupply(100, { network: network }).toNumber().should.equal(29 * COIN);
+      Networks.remove(network);
+    });
+
+    it('should fail with unsorted steps', function() {
+      expect(function() {
+        Subsidy.setSchedule('regtest', {
+          pow: { subsidy: COIN, steps: [{ height: 5, subsidy: COIN }, { height: 5, subsidy: 0 }] }
+        });
+      }).to.throw('Invalid subsidy steps');
+    });
+
+    it('should fail with an invalid schedule', function() {
+      expect(function() {
+        Subsidy.setSchedule('unknownnet', { pow: { subsidy: 1 } });
+      }).to.throw('Unknown network');
+      expect(function() {
+        Subsidy.setSchedule('livenet', {});
+      }).to.throw('A proof-of-work schedule is required');
+      expect(function() {
+        Subsidy.setSchedule('livenet', { pow: { subsidy: -1 } });
+      }).to.throw('Invalid subsidy');
+    });
+
+  });
+
+  describe('#checkBlockReward', function() {
+    var time = 1600000000;
+    var stakeScript = bitcore.Script.buildPublicKeyOut(new bitcore.PrivateKey().publicKey).toHex();
+
+    var buildBlock = function(coinbaseValue, coinstakeValues, network) {
+      var transactions = [new Transaction().fromObject({
+        version: 2,
+        nTime: time,
+        inputs: [{
+          prevTxId: Block.Values.NULL_HASH.toString('hex'),
+          outputIndex: 0xffffffff,
+          script: '0101'
+        }],
+        outputs: [{ satoshis: coinbaseValue, script: coinbaseValue ? stakeScript : '' }],
+        nLockTime: 0
+      })];
+      if (coinstakeValues) {
+        transactions.push(new Transaction().fromObject({
+          version: 2,
+          nTime: time,
+          inputs: [{
+            prevTxId: 'a1'.repeat(32),
+            outputIndex: 1,
+            script: ''
+          }],
+          outputs: [{ satoshis: 0, script: '' }].concat(coinstakeValues.map(function(satoshis) {
+            return { satoshis: satoshis, script: stakeScript };
+          })),
+          nLockTime: 0
+        }));
+      }
+      return new Block({
+        header: {
+          version: 3,
+          prevHash: '00'.repeat(32),
+          merkleRoot: '00'.repeat(32),
+          time: time,
+          bits: 0x1e0fffff,
+          nonce: 0
+        },
+        transactions: transactions
+      }, { network: network });
+    };
+
+    it('should check a proof-of-work coinbase against subsidy plus fees', function() {
+      var block = buildBlock(300000 * COIN + 500);
+      Subsidy.checkBlockReward(block, { height: 100 }).should.equal(false);
+      Subsidy.checkBlockReward(block, { height: 100, fees: 500 }).should.equal(true);
+      Subsidy.checkBlockReward(block, { height: 300000, fees: 500 }).should.equal(false);
+    });
+
+    it('should accept the coinbase of the Reddcoin genesis block', function() {
+      Subsidy.checkBlockReward(Block.genesis('reddcoin'), { height: 0 }).should.equal(true);
+    });
+
+    it('should use the network of the block', function() {
+      var block = buildBlock(25 * COIN, null, 'livenet');
+      Subsidy.checkBlockReward(block, { height: 210000 }).should.equal(true);
+      block = buildBlock(50 * COIN, null, 'livenet');
+      Subsidy.checkBlockReward(block, { height: 210000 }).should.equal(false);
+      Subsidy.checkBlockReward(block, { height: 210000, network: 'reddcoin' }).should.equal(true);
+    });
+
+    it('should check a coinstake against the stake reward plus fees', function() {
+      var reward = Subsidy.getProofOfStakeReward(1000);
+      var block = buildBlock(0, [500 * COIN, 500 * COIN + reward + 100]);
+      block.isProofOfStake().should.equal(true);
+      var params = { height: 300000, stakeValue: 1000 * COIN, coinAge: 1000 };
+      Subsidy.checkBlockReward(block, params).should.equal(false);
+      params.fees = 100;
+      Subsidy.checkBlockReward(block, params).should.equal(true);
+      params.coinAge = 999;
+      Subsidy.checkBlockReward(block, params).should.equal(false);
+    });
+
+    it('should count the coinbase of a proof-of-stake block', function() {
+      var reward = Subsidy.getProofOfStakeReward(1000);
+      var block = buildBlock(1, [1000 * COIN + reward]);
+      var params = { height: 300000, stakeValue: 1000 * COIN, coinAge: 1000 };
+      Subsidy.checkBlockReward(block, params).should.equal(false);
+    });
+
+    it('should require the staked value of a proof-of-stake block', function() {
+      var block = buildBlock(0, [1000 * COIN]);
+      expect(function() {
+        Subsidy.checkBlockReward(block, { height: 300000, coinAge: 1000 });
+      }).to.throw('The staked value is required');
+    });
+
+  });
+
+});
@@ -1,6 +1,8 @@
 'use strict';
 
 require('chai').should();
+var crypto = require('crypto');
+var sinon = require('sinon');
 var bitcore = require('../..');
 var Hash = bitcore.crypto.Hash;
 
@@ -77,6 +79,37 @@ describe('Hash', function() {
 
   });
 
+  describe('#scrypt', function() {
+
+    it('calculates the scrypt proof-of-work hash of a block header', function() {
+      // litecoin block 29255
+      var header = Buffer.from('01000000f615f7ce3b4fc6b8f61e8f89aedb1d0852507650533a9e3b10b9bbcc30639f279fcaa86746e1ef52d3edb3c4ad8259920d509bd073605c9bf1d59983752a6b06b817bb4ea78e011d012d59d4', 'hex');
+      var hash = Hash.scrypt(header);
+      hash.toString('hex').should.equal('d9eb8663ffec241c2fb118adb7de97a82c803b6ff46d57667935c81001000000');
+    });
+
+    it('falls back to javascript scrypt without a native implementation', function() {
+      var header = Buffer.from('01000000f615f7ce3b4fc6b8f61e8f89aedb1d0852507650533a9e3b10b9bbcc30639f279fcaa86746e1ef52d3edb3c4ad8259920d509bd073605c9bf1d59983752a6b06b817bb4ea78e011d012d59d4', 'hex');
+      var stub = sinon.stub(crypto, 'scryptSync').value(undefined);
+      try {
+        Hash.scrypt(header).toString('hex').should.equal('d9eb8663ffec241c2fb118adb7de97a82c803b6ff46d57667935c81001000000');
+        Hash.scrypt(buf, { N: 16, keylen: 64 }).length.should.equal(64);
+      } finally {
+        stub.restore();
+      }
+    });
+
+    it('accepts custom parameters', function() {
+      Hash.scrypt(buf, { N: 16, keylen: 64 }).length.should.equal(64);
+      Hash.scrypt(buf, { N: 16 }).toString('hex').should.not.equal(Hash.scrypt(buf).toString('hex'));
+    });
+
+    it('fails when the input is not a buffer', function() {
+      Hash.scrypt.bind(Hash, str).should.throw('Invalid Argument');
+    });
+
+  });
+
   describe('#sha256ripemd160', function() {
 
     it('calculates the hash of this buffer correctly', function() {
@@ -0,0 +1,248 @@
+'use strict';
+
+const should = require('chai').should();
+const expect = require('chai').expect;
+
+const bitcore = require('../..');
+const BN = bitcore.crypto.BN;
+const MuSig2 = bitcore.crypto.MuSig2;
+const Schnorr = bitcore.crypto.Schnorr;
+const PrivateKey = bitcore.PrivateKey;
+const errors = bitcore.errors;
+const vectors = require('../data/bip327');
+
+describe('MuSig2', () => {
+
+  // from the key aggregation vectors of BIP327
+  const vectorKeys = [
+    '02F9308A019258C31049344F85F89D5229B531C845836F99B08601F113BCE036F9',
+    '03DFF1D77F2A671C5F36183726DB2341BE58FEAE1DA2DECED843240F7B502BA659',
+    '023590A94E768F8E1815C2F24B4D80A8E3149316C3518CE7B7AD338368D038CA66',
+    '020000000000000000000000000000000000000000000000000000000000000005',
+    '02FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFEFFFFFC30'
+  ];
+  const privateKeys = [11, 12, 13].map(n => new PrivateKey(new BN(n)));
+  const publicKeys = privateKeys.map(privateKey => privateKey.publicKey);
+  const message = Buffer.alloc(32, 0xab);
+
+  const signAll = function(keyAgg, msg) {
+    const nonces = privateKeys.map(privateKey => MuSig2.generateNonce({ privateKey, keyAgg, message: msg }));
+    const aggregateNonce = MuSig2.aggregateNonces(nonces.map(nonce => nonce.publicNonce));
+    const partialSignatures = privateKeys.map((privateKey, i) =>
+      MuSig2.sign(nonces[i].secretNonce, privateKey, keyAgg, aggregateNonce, msg));
+    return { nonces, aggregateNonce, partialSignatures };
+  };
+
+  describe('key aggregation', () => {
+    [
+      [[0, 1, 2], '90539EEDE565F5D054F32CC0C220126889ED1E5D193BAF15AEF344FE59D4610C'],
+      [[2, 1, 0], '6204DE8B083426DC6EAF9502D27024D53FC826BF7D2012148A0575435DF54B2B'],
+      [[0, 0, 0], 'B436E3BAD62B8CD409969A224731C193D051162D8C5AE8B109306127DA3AA935'],
+      [[0, 0, 1, 1], '69BC22BFA5D106306E48A20679DE1D7389386124D07571D0D872686028C26A3E']
+    ].forEach(([indices, expected], i) => {
+      it(`should aggregate keys - vector ${i}`, () => {
+        const keyAgg = MuSig2.aggregateKeys(indices.map(index => vectorKeys[index]));
+        keyAgg.xOnlyKey.toString('hex').toUpperCase().should.equal(expected);
+        keyAgg.publicKey.point.x.toBuffer({ size: 32 }).should.deep.equal(keyAgg.xOnlyKey);
+      });
+    });
+
+    it('should blame the signer of an invalid key', () => {
+      expect(() => MuSig2.aggregateKeys([vectorKeys[0], vectorKeys[3]]))
+        .to.throw(errors.MuSig2.InvalidContribution, 'Invalid public key of signer 1');
+      expect(() => MuSig2.aggregateKeys([vectorKeys[0], vectorKeys[4]]))
+        .to.throw(errors.MuSig2.InvalidContribution, 'Invalid public key of signer 1');
+    });
+
+    it('should sort keys', () => {
+      const sorted = MuSig2.sortKeys([vectorKeys[1], vectorKeys[0], vectorKeys[2]]);
+      sorted.map(publicKey => publicKey.toString().toUpperCase())
+        .should.deep.equal([vectorKeys[2], vectorKeys[0], vectorKeys[1]]);
+    });
+
+    it('should apply the taproot tweak', () => {
+      const keyAgg = MuSig2.aggregateKeys(publicKeys);
+      const merkleRoot = Buffer.alloc(32, 1);
+      const tweaked = MuSig2.aggregateKeys(publicKeys, { taproot: true, merkleRoot });
+      const tweakedPubKey = keyAgg.publicKey.createTapTweak(merkleRoot).tweakedPubKey;
+      tweaked.xOnlyKey.should.deep.equal(new BN(tweakedPubKey).toBuffer({ size: 32 }));
+    });
+
+    it('should fail with a tweak not less than the curve order', () => {
+      const keyAgg = MuSig2.aggregateKeys(publicKeys);
+      const tweak = 'FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFEBAAEDCE6AF48A03BBFD25E8CD0364141';
+      expect(() => MuSig2.applyTweak(keyAgg, tweak, true)).to.throw('The tweak is not less than the curve order');
+    });
+  });
+
+  describe('signing', () => {
+    [
+      ['no tweak', {}],
+      ['a taproot tweak', { taproot: true }],
+      ['a taproot tweak with a merkle root', { taproot: true, merkleRoot: Buffer.alloc(32, 9) }],
+      ['plain and x-only tweaks', { tweaks: [
+        { tweak: Buffer.alloc(32, 3), xOnly: false },
+        { tweak: Buffer.alloc(32, 4), xOnly: true }
+      ] }]
+    ].forEach(([name, opts]) => {
+      it(`should create a valid signature with ${name}`, () => {
+        const keyAgg = MuSig2.aggregateKeys(MuSig2.sortKeys(publicKeys), opts);
+        const session = signAll(keyAgg, message);
+        session.partialSignatures.forEach((partialSignature, i) => {
+          MuSig2.verifyPartial(partialSignature, session.nonces[i].publicNonce, publicKeys[i], keyAgg,
+            session.aggregateNonce, message).should.equal(true);
+        });
+        const signature = MuSig2.aggregatePartials(session.partialSignatures, keyAgg, session.aggregateNonce, message);
+        signature.length.should.equal(64);
+        Schnorr.verify(keyAgg.xOnlyKey, message, signature).should.equal(true);
+      });
+    });
+
+    it('should reject a partial signature of another signer', () => {
+      const keyAgg = MuSig2.aggregateKeys(publicKeys);
+      const session = signAll(keyAgg, message);
+      MuSig2.verifyPartial(session.partialSignatures[0], session.nonces[1].publicNonce, publicKeys[1], keyAgg,
+        session.aggregateNonce, message).should.equal(false);
+      MuSig2.verifyPartial(session.partialSignatures[0], session.nonces[0].publicNonce, publicKeys[0], keyAgg,
+        session.aggregateNonce, Buffer.alloc(32)).should.equal(false);
+    });
+
+    it('should erase the secret nonce', () => {
+      const keyAgg = MuSig2.aggregateKeys(publicKeys);
+      const nonce = MuSig2.generateNonce({ publicKey: publicKeys[0] });
+      const aggregateNonce = MuSig2.aggregateNonces([nonce.publicNonce]);
+      MuSig2.sign(nonce.secretNonce, privateKeys[0], keyAgg, aggregateNonce, message);
+      expect(() => MuSig2.sign(nonce.secretNonce, privateKeys[0], keyAgg, aggregateNonce, message))
+        .to.throw('The secret nonce is invalid or was already used');
+    });
+
+    it('should check the secret nonce is one of the signer', () => {
+      const keyAgg = MuSig2.aggregateKeys(publicKeys);
+      const nonce = MuSig2.generateNonce({ privateKey: privateKeys[0] });
+      const aggregateNonce = MuSig2.aggregateNonces([nonce.publicNonce]);
+      expect(() => MuSig2.sign(nonce.secretNonce, privateKeys[1], keyAgg, aggregateNonce, message))
+        .to.throw('The secret nonce is not one of the private key');
+    });
+
+    it('should generate nonces depending on the random bytes', () => {
+      const params = { privateKey: privateKeys[0], message, rand: Buffer.alloc(32) };
+      const nonce = MuSig2.generateNonce(params);
+      nonce.secretNonce.length.should.equal(97);
+      nonce.publicNonce.length.should.equal(66);
+      MuSig2.generateNonce(params).secretNonce.should.deep.equal(nonce.secretNonce);
+      MuSig2.generateNonce({ privateKey: privateKeys[0], message }).secretNonce
+        .should.not.deep.equal(nonce.secretNonce);
+    });
+
+    it('should blame the signer of an invalid nonce or partial signature', () => {
+      const nonce = MuSig2.generateNonce({ publicKey: publicKeys[0] });
+      expect(() => MuSig2.aggregateNonces([nonce.publicNonce, nonce.publicNonce.slice(0, 65)]))
+        .to.throw(errors.MuSig2.InvalidContribution, 'Invalid public nonce of signer 1');
+      const keyAgg = MuSig2.aggregateKeys(publicKeys);
+      const session = signAll(keyAgg, message);
+      const invalid = Buffer.alloc(32, 0xff);
+      expect(() => MuSig2.aggregatePartials([invalid].concat(session.partialSignatures), keyAgg,
+        session.aggregateNonce, message))
+        .to.throw(errors.MuSig2.InvalidContribution, 'Invalid partial signature of signer 0');
+    });
+
+    it('should sign messages of any length', () => {
+      const keyAgg = MuSig2.aggregateKeys(publicKeys);
+      const msg = Buffer.from('a message');
+      const session = signAll(keyAgg, msg);
+      const signature = MuSig2.aggregatePartials(session.partialSignatures, keyAgg, session.aggregateNonce, msg);
+      should.exist(signature);
+      MuSig2.verifyPartial(session.partialSignatures[2], session.nonces[2].publicNonce, publicKeys[2], keyAgg,
+        session.aggregateNonce, msg).should.equal(true);
+    });
+  });
+
+  describe('BIP327 vectors', () => {
+    const hex = data => Buffer.from(data, 'hex');
+    const pick = (values, indices) => indices.map(index => values[index]);
+    const toHex = buf => buf.toString('hex').toUpperCase();
+
+    vectors.nonceGen.forEach((vector, i) => {
+      it(`should generate nonces - vector ${i}`, () => {
+        const nonce = MuSig2.generateNonce({
+          publicKey: vector.pk,
+          privateKey: vector.sk && hex(vector.sk),
+          keyAgg: vector.aggpk && hex(vector.aggpk),
+          message: vector.msg === null ? undefined : hex(vector.msg),
+          extraInput: vector.extraIn && hex(vector.extraIn),
+          rand: hex(vector.rand)
+        });
+        toHex(nonce.secretNonce).should.equal(vector.expectedSecnonce);
+        toHex(nonce.publicNonce).should.equal(vector.expectedPubnonce);
+      });
+    });
+
+    describe('signing and verifying', () => {
+      const v = vectors.signVerify;
+
+      v.validTestCases.forEach((vector, i) => {
+        it(`should sign and verify - vector ${i}`, () => {
+          const keyAgg = MuSig2.aggregateKeys(pick(v.pubkeys, vector.keyIndices));
+          const aggregateNonce = hex(v.aggnonces[vector.aggnonceIndex]);
+          const message = hex(v.msgs[vector.msgIndex]);
+          MuSig2.aggregateNonces(pick(v.pnonces, vector.nonceIndices)).should.deep.equal(aggregateNonce);
+          toHex(MuSig2.sign(hex(v.secnonces[0]), v.sk, keyAgg, aggregateNonce, message)).should.equal(vector.expected);
+          MuSig2.verifyPartial(vector.expected, v.pnonces[vector.nonceIndices[vector.signerIndex]],
+            v.pubkeys[vector.keyIndices[vector.signerIndex]], keyAgg, aggregateNonce, message).should.equal(true);
+        });
+      });
+
+      v.signErrorTestCases.forEach((vector, i) => {
+        it(`should fail to sign - vector ${i}`, () => {
+          expect(() => {
+            const keyAgg = MuSig2.aggregateKeys(pick(v.pubkeys, vector.keyIndices));
+            MuSig2.sign(hex(v.secnonces[vector.secnonceIndex]), v.sk, keyAgg, v.aggnonces[vector.aggnonceIndex],
+              v.msgs[vector.msgIndex]);
+          }).to.throw(vector.error);
+        });
+      });
+
+      const verify = vector => {
+        const keyAgg = MuSig2.aggregateKeys(pick(v.pubkeys, vector.keyIndices));
+        const aggregateNonce = MuSig2.aggregateNonces(pick(v.pnonces, vector.nonceIndices));
+        return MuSig2.verifyPartial(vector.sig, v.pnonces[vector.nonceIndices[vector.signerIndex]],
+          v.pubkeys[vector.keyIndices[vector.signerIndex]], keyAgg, aggregateNonce, v.msgs[vector.msgIndex]);
+      };
+
+      v.verifyFailTestCases.forEach((vector, i) => {
+        it(`should not verify - vector ${i}`, () => {
+          verify(vector).should.equal(false);
+        });
+      });
+
+      v.verifyErrorTestCases.forEach((vector, i) => {
+        it(`should fail to verify - vector ${i}`, () => {
+          expect(() => verify(vector)).to.throw(errors.MuSig2.InvalidContribution, vector.error);
+        });
+      });
+    });
+
+    describe('tweaks', () => {
+      const v = vectors.tweak;
+      const aggregateKeys = vector => MuSig2.aggregateKeys(pick(v.pubkeys, vector.keyIndices), {
+        tweaks: vector.tweakIndices.map((index, i) => ({ tweak: v.tweaks[index], xOnly: vector.isXonly[i] }))
+      });
+
+      v.validTestCases.forEach((vector, i) => {
+        it(`should sign with tweaks - vector ${i}`, () => {
+          const keyAgg = aggregateKeys(vector);
+          MuSig2.aggregateNonces(pick(v.pnonces, vector.nonceIndices)).should.deep.equal(hex(v.aggnonce));
+          toHex(MuSig2.sign(hex(v.secnonce), v.sk, keyAgg, v.aggnonce, v.msg)).should.equal(vector.expected);
+          MuSig2.verifyPartial(vector.expected, v.pnonces[vector.nonceIndices[vector.signerIndex]],
+            v.pubkeys[vector.keyIndices[vector.signerIndex]], keyAgg, v.aggnonce, v.msg).should.equal(true);
+        });
+      });
+
+      v.errorTestCases.forEach((vector, i) => {
+        it(`should fail to tweak - vector ${i}`, () => {
+          expect(() => aggregateKeys(vector)).to.throw(vector.error);
+        });
+      });
+    });
+  });
+});
@@ -22,5 +22,13 @@ describe('Schnorr', () => {
         });
       }
     }
+
+    it('should sign with an s value starting with a zero byte', () => {
+      const aux = Buffer.alloc(32);
+      aux.writeUInt32BE(49, 28);
+      const sig = Schnorr.sign(Buffer.alloc(32, 1), Buffer.alloc(32, 2), aux);
+      sig.length.should.equal(64);
+      sig[32].should.equal(0);
+    });
   });
 });
\ No newline at end of file
@@ -0,0 +1,259 @@
+// From the test vectors of BIP327, https://github.com/bitcoin/bips/tree/master/bip-0327/vectors
+
+module.exports = {
+  nonceGen: [
+    {
+      rand: '0000000000000000000000000000000000000000000000000000000000000000',
+      sk: '0202020202020202020202020202020202020202020202020202020202020202',
+      pk: '024D4B6CD1361032CA9BD2AEB9D900AA4D45D9EAD80AC9423374C451A7254D0766',
+      aggpk: '0707070707070707070707070707070707070707070707070707070707070707',
+      msg: '0101010101010101010101010101010101010101010101010101010101010101',
+      extraIn: '0808080808080808080808080808080808080808080808080808080808080808',
+      expectedSecnonce: '227243DCB40EF2A13A981DB188FA433717B506BDFA14B1AE47D5DC027C9C3B9E' +
+        'F2370B2AD206E724243215137C86365699361126991E6FEC816845F837BDDAC3' +
+        '024D4B6CD1361032CA9BD2AEB9D900AA4D45D9EAD80AC9423374C451A7254D0766',
+      expectedPubnonce: '020A25526B002885996358B3EE5092F2F2F197393E59C06CDFC7A92A91931E20C3' +
+        '024C9FECC6795D5D761F96968D871A1F3BAC605F6ECC4E52E1EBF49E1FF9208AD0'
+    },
+    {
+      rand: '0000000000000000000000000000000000000000000000000000000000000000',
+      sk: '0202020202020202020202020202020202020202020202020202020202020202',
+      pk: '024D4B6CD1361032CA9BD2AEB9D900AA4D45D9EAD80AC9423374C451A7254D0766',
+      aggpk: '0707070707070707070707070707070707070707070707070707070707070707',
+      msg: '',
+      extraIn: '0808080808080808080808080808080808080808080808080808080808080808',
+      expectedSecnonce: 'CD0F47FE471D6788FF3243F47345EA0A179AEF69476BE8348322EF39C2723318' +
+        '870C2065AFB52DEDF02BF4FDBF6D2F442E608692F50C2374C08FFFE57042A61C' +
+        '024D4B6CD1361032CA9BD2AEB9D900AA4D45D9EAD80AC9423374C451A7254D0766',
+      expectedPubnonce: '0283D01F92F2B6A8540867AD8C7E725E420BBE27D8A949B67F1602219A3218EDE3' +
+        '034EDB05E0FCC6A1AF733DA418D47F863C874ED150B0F92821BF38B9C1835958E5'
+    },
+    {
+      rand: '0000000000000000000000000000000000000000000000000000000000000000',
+      sk: '0202020202020202020202020202020202020202020202020202020202020202',
+      pk: '024D4B6CD1361032CA9BD2AEB9D900AA4D45D9EAD80AC9423374C451A7254D0766',
+      aggpk: '0707070707070707070707070707070707070707070707070707070707070707',
+      msg: '2626262626262626262626262626262626262626262626262626262626262626262626262626',
+      extraIn: '0808080808080808080808080808080808080808080808080808080808080808',
+      expectedSecnonce: '011F8BC60EF061DEEF4D72A0A87200D9994B3F0CD9867910085C38D5366E3E6B' +
+        '9FF03BC0124E56B24069E91EC3F162378983F194E8BD0ED89BE3059649EAE262' +
+        '024D4B6CD1361032CA9BD2AEB9D900AA4D45D9EAD80AC9423374C451A7254D0766',
+      expectedPubnonce: '036C9E0851CCC4C93589C870EF67ECAD52CF883FBAFAA27C1D980199B33407D7D3' +
+        '023AFDDECC096613B4A8B3288FC7A2918F5014674E9F8A80A24572D68CA5506AA8'
+    },
+    {
+      rand: '0000000000000000000000000000000000000000000000000000000000000000',
+      sk: null,
+      pk: '02F9308A019258C31049344F85F89D5229B531C845836F99B08601F113BCE036F9',
+      aggpk: null,
+      msg: null,
+      extraIn: null,
+      expectedSecnonce: '890E83616A3BC4640AB9B6374F21C81FF89CDDDBAFAA7475AE2A102A92E3EDB2' +
+        '9FD7E874E23342813A60D9646948242646B7951CA046B4B36D7D6078506D3C94' +
+        '02F9308A019258C31049344F85F89D5229B531C845836F99B08601F113BCE036F9',
+      expectedPubnonce: '02237A448A2848DD07B3C01C618EB926DFA2F5C294ADC68CBAADA183F016E1EB0E' +
+        '03CA63E5E8EB6DA599C5605FC9340BE1AFAAAFED278500844132B562DB2B1E1ED3'
+    }
+  ],
+
+  signVerify: {
+    sk: '7FB9E0E687ADA1EEBF7ECFE2F21E73EBDB51A7D450948DFE8D76D7F2D1007671',
+    pubkeys: [
+      '03935F972DA013F80AE011890FA89B67A27B7BE6CCB24D3274D18B2D4067F261A9',
+      '02F9308A019258C31049344F85F89D5229B531C845836F99B08601F113BCE036F9',
+      '02DFF1D77F2A671C5F36183726DB2341BE58FEAE1DA2DECED843240F7B502BA661',
+      '020000000000000000000000000000000000000000000000000000000000000007'
+    ],
+    secnonces: [
+      '508B81A611F100A6B2B6B29656590898AF488BCF2E1F55CF22E5CFB84421FE61' +
+        'FA27FD49B1D50085B481285E1CA205D55C82CC1B31FF5CD54A489829355901F7' +
+        '03935F972DA013F80AE011890FA89B67A27B7BE6CCB24D3274D18B2D4067F261A9',
+      '0000000000000000000000000000000000000000000000000000000000000000' +
+        '0000000000000000000000000000000000000000000000000000000000000000' +
+        '03935F972DA013F80AE011890FA89B67A27B7BE6CCB24D3274D18B2D4067F261A9'
+    ],
+    pnonces: [
+      '0337C87821AFD50A8644D820A8F3E02E499C931865C2360FB43D0A0D20DAFE07EA' +
+        '0287BF891D2A6DEAEBADC909352AA9405D1428C15F4B75F04DAE642A95C2548480',
+      '0279BE667EF9DCBBAC55A06295CE870B07029BFCDB2DCE28D959F2815B16F81798' +
+        '0279BE667EF9DCBBAC55A06295CE870B07029BFCDB2DCE28D959F2815B16F81798',
+      '032DE2662628C90B03F5E720284EB52FF7D71F4284F627B68A853D78C78E1FFE93' +
+        '03E4C5524E83FFE1493B9077CF1CA6BEB2090C93D930321071AD40B2F44E599046',
+      '0237C87821AFD50A8644D820A8F3E02E499C931865C2360FB43D0A0D20DAFE07EA' +
+        '0387BF891D2A6DEAEBADC909352AA9405D1428C15F4B75F04DAE642A95C2548480',
+      '020000000000000000000000000000000000000000000000000000000000000009' +
+        '0287BF891D2A6DEAEBADC909352AA9405D1428C15F4B75F04DAE642A95C2548480'
+    ],
+    aggnonces: [
+      '028465FCF0BBDBCF443AABCCE533D42B4B5A10966AC09A49655E8C42DAAB8FCD61' +
+        '037496A3CC86926D452CAFCFD55D25972CA1675D549310DE296BFF42F72EEEA8C9',
+      '000000000000000000000000000000000000000000000000000000000000000000' +
+        '000000000000000000000000000000000000000000000000000000000000000000',
+      '048465FCF0BBDBCF443AABCCE533D42B4B5A10966AC09A49655E8C42DAAB8FCD61' +
+        '037496A3CC86926D452CAFCFD55D25972CA1675D549310DE296BFF42F72EEEA8C9',
+      '028465FCF0BBDBCF443AABCCE533D42B4B5A10966AC09A49655E8C42DAAB8FCD61' +
+        '020000000000000000000000000000000000000000000000000000000000000009',
+      '028465FCF0BBDBCF443AABCCE533D42B4B5A10966AC09A49655E8C42DAAB8FCD61' +
+        '02FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFEFFFFFC30'
+    ],
+    msgs: [
+      'F95466D086770E689964664219266FE5ED215C92AE20BAB5C9D79ADDDDF3C0CF',
+      '',
+      '2626262626262626262626262626262626262626262626262626262626262626262626262626'
+    ],
+    validTestCases: [
+      {
+        keyIndices: [0, 1, 2], nonceIndices: [0, 1, 2], aggnonceIndex: 0, msgIndex: 0, signerIndex: 0,
+        expected: '012ABBCB52B3016AC03AD82395A1A415C48B93DEF78718E62A7A90052FE224FB'
+      },
+      {
+        keyIndices: [1, 0, 2], nonceIndices: [1, 0, 2], aggnonceIndex: 0, msgIndex: 0, signerIndex: 1,
+        expected: '9FF2F7AAA856150CC8819254218D3ADEEB0535269051897724F9DB3789513A52'
+      },
+      {
+        keyIndices: [1, 2, 0], nonceIndices: [1, 2, 0], aggnonceIndex: 0, msgIndex: 0, signerIndex: 2,
+        expected: 'FA23C359F6FAC4E7796BB93BC9F0532A95468C539BA20FF86D7C76ED92227900'
+      },
+      {
+        keyIndices: [0, 1], nonceIndices: [0, 3], aggnonceIndex: 1, msgIndex: 0, signerIndex: 0,
+        expected: 'AE386064B26105404798F75DE2EB9AF5EDA5387B064B83D049CB7C5E08879531',
+        comment: 'Both halves of aggregate nonce correspond to point at infinity'
+      },
+      {
+        keyIndices: [0, 1, 2], nonceIndices: [0, 1, 2], aggnonceIndex: 0, msgIndex: 1, signerIndex: 0,
+        expected: 'D7D63FFD644CCDA4E62BC2BC0B1D02DD32A1DC3030E155195810231D1037D82D',
+        comment: 'Empty message'
+      },
+      {
+        keyIndices: [0, 1, 2], nonceIndices: [0, 1, 2], aggnonceIndex: 0, msgIndex: 2, signerIndex: 0,
+        expected: 'E184351828DA5094A97C79CABDAAA0BFB87608C32E8829A4DF5340A6F243B78C',
+        comment: '38-byte message'
+      }
+    ],
+    signErrorTestCases: [
+      {
+        keyIndices: [1, 0, 3], aggnonceIndex: 0, msgIndex: 0, secnonceIndex: 0,
+        error: 'Invalid public key of signer 2',
+        comment: 'Signer 2 provided an invalid public key'
+      },
+      {
+        keyIndices: [1, 2, 0], aggnonceIndex: 2, msgIndex: 0, secnonceIndex: 0,
+        error: 'Invalid aggregate nonce',
+        comment: 'Aggregate nonce is invalid due wrong tag, 0x04, in the first half'
+      },
+      {
+        keyIndices: [1, 2, 0], aggnonceIndex: 3, msgIndex: 0, secnonceIndex: 0,
+        error: 'Invalid aggregate nonce',
+        comment: 'Aggregate nonce is invalid because the second half does not correspond to an X coordinate'
+      },
+      {
+        keyIndices: [1, 2, 0], aggnonceIndex: 4, msgIndex: 0, secnonceIndex: 0,
+        error: 'Invalid aggregate nonce',
+        comment: 'Aggregate nonce is invalid because second half exceeds field size'
+      },
+      {
+        keyIndices: [0, 1, 2], aggnonceIndex: 0, msgIndex: 0, secnonceIndex: 1,
+        error: 'The secret nonce is invalid or was already used',
+        comment: 'Secnonce is invalid which may indicate nonce reuse'
+      }
+    ],
+    verifyFailTestCases: [
+      {
+        sig: 'FED54434AD4CFE953FC527DC6A5E5BE8F6234907B7C187559557CE87A0541C46',
+        keyIndices: [0, 1, 2], nonceIndices: [0, 1, 2], msgIndex: 0, signerIndex: 0,
+        comment: 'Wrong signature (which is equal to the negation of valid signature)'
+      },
+      {
+        sig: '012ABBCB52B3016AC03AD82395A1A415C48B93DEF78718E62A7A90052FE224FB',
+        keyIndices: [0, 1, 2], nonceIndices: [0, 1, 2], msgIndex: 0, signerIndex: 1,
+        comment: 'Wrong signer'
+      },
+      {
+        sig: 'FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFEBAAEDCE6AF48A03BBFD25E8CD0364141',
+        keyIndices: [0, 1, 2], nonceIndices: [0, 1, 2], msgIndex: 0, signerIndex: 0,
+        comment: 'Signature exceeds group size'
+      }
+    ],
+    verifyErrorTestCases: [
+      {
+        sig: '012ABBCB52B3016AC03AD82395A1A415C48B93DEF78718E62A7A90052FE224FB',
+        keyIndices: [0, 1, 2], nonceIndices: [4, 1, 2], msgIndex: 0, signerIndex: 0,
+        error: 'Invalid public nonce of signer 0',
+        comment: 'Invalid pubnonce'
+      },
+      {
+        sig: '012ABBCB52B3016AC03AD82395A1A415C48B93DEF78718E62A7A90052FE224FB',
+        keyIndices: [3, 1, 2], nonceIndices: [0, 1, 2], msgIndex: 0, signerIndex: 0,
+        error: 'Invalid public key of signer 0',
+        comment: 'Invalid pubkey'
+      }
+    ]
+  },
+
+  tweak: {
+    sk: '7FB9E0E687ADA1EEBF7ECFE2F21E73EBDB51A7D450948DFE8D76D7F2D1007671',
+    pubkeys: [
+      '03935F972DA013F80AE011890FA89B67A27B7BE6CCB24D3274D18B2D4067F261A9',
+      '02F9308A019258C31049344F85F89D5229B531C845836F99B08601F113BCE036F9',
+      '02DFF1D77F2A671C5F36183726DB2341BE58FEAE1DA2DECED843240F7B502BA659'
+    ],
+    secnonce: '508B81A611F100A6B2B6B29656590898AF488BCF2E1F55CF22E5CFB84421FE61' +
+      'FA27FD49B1D50085B481285E1CA205D55C82CC1B31FF5CD54A489829355901F7' +
+      '03935F972DA013F80AE011890FA89B67A27B7BE6CCB24D3274D18B2D4067F261A9',
+    pnonces: [
+      '0337C87821AFD50A8644D820A8F3E02E499C931865C2360FB43D0A0D20DAFE07EA' +
+        '0287BF891D2A6DEAEBADC909352AA9405D1428C15F4B75F04DAE642A95C2548480',
+      '0279BE667EF9DCBBAC55A06295CE870B07029BFCDB2DCE28D959F2815B16F81798' +
+        '0279BE667EF9DCBBAC55A06295CE870B07029BFCDB2DCE28D959F2815B16F81798',
+      '032DE2662628C90B03F5E720284EB52FF7D71F4284F627B68A853D78C78E1FFE93' +
+        '03E4C5524E83FFE1493B9077CF1CA6BEB2090C93D930321071AD40B2F44E599046'
+    ],
+    aggnonce: '028465FCF0BBDBCF443AABCCE533D42B4B5A10966AC09A49655E8C42DAAB8FCD61' +
+      '037496A3CC86926D452CAFCFD55D25972CA1675D549310DE296BFF42F72EEEA8C9',
+    tweaks: [
+      'E8F791FF9225A2AF0102AFFF4A9A723D9612A682A25EBE79802B263CDFCD83BB',
+      'AE2EA797CC0FE72AC5B97B97F3C6957D7E4199A167A58EB08BCAFFDA70AC0455',
+      'F52ECBC565B3D8BEA2DFD5B75A4F457E54369809322E4120831626F290FA87E0',
+      '1969AD73CC177FA0B4FCED6DF1F7BF9907E665FDE9BA196A74FED0A3CF5AEF9D',
+      'FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFEBAAEDCE6AF48A03BBFD25E8CD0364141'
+    ],
+    msg: 'F95466D086770E689964664219266FE5ED215C92AE20BAB5C9D79ADDDDF3C0CF',
+    validTestCases: [
+      {
+        keyIndices: [1, 2, 0], nonceIndices: [1, 2, 0], tweakIndices: [0], isXonly: [true], signerIndex: 2,
+        expected: 'E28A5C66E61E178C2BA19DB77B6CF9F7E2F0F56C17918CD13135E60CC848FE91',
+        comment: 'A single x-only tweak'
+      },
+      {
+        keyIndices: [1, 2, 0], nonceIndices: [1, 2, 0], tweakIndices: [0], isXonly: [false], signerIndex: 2,
+        expected: '38B0767798252F21BF5702C48028B095428320F73A4B14DB1E25DE58543D2D2D',
+        comment: 'A single plain tweak'
+      },
+      {
+        keyIndices: [1, 2, 0], nonceIndices: [1, 2, 0], tweakIndices: [0, 1], isXonly: [false, true], signerIndex: 2,
+        expected: '408A0A21C4A0F5DACAF9646AD6EB6FECD7F7A11F03ED1F48DFFF2185BC2C2408',
+        comment: 'A plain tweak followed by an x-only tweak'
+      },
+      {
+        keyIndices: [1, 2, 0], nonceIndices: [1, 2, 0], tweakIndices: [0, 1, 2, 3],
+        isXonly: [false, false, true, true], signerIndex: 2,
+        expected: '45ABD206E61E3DF2EC9E264A6FEC8292141A633C28586388235541F9ADE75435',
+        comment: 'Four tweaks: plain, plain, x-only, x-only.'
+      },
+      {
+        keyIndices: [1, 2, 0], nonceIndices: [1, 2, 0], tweakIndices: [0, 1, 2, 3],
+        isXonly: [true, false, true, false], signerIndex: 2,
+        expected: 'B255FDCAC27B40C7CE7848E2D3B7BF5EA0ED756DA81565AC804CCCA3E1D5D239',
+        comment: 'Four tweaks: x-only, plain, x-only, plain. If an implementation prohibits applying plain tweaks ' +
+          'after x-only tweaks, it can skip this test vector or return an error.'
+      }
+    ],
+    errorTestCases: [
+      {
+        keyIndices: [1, 2, 0], nonceIndices: [1, 2, 0], tweakIndices: [4], isXonly: [false], signerIndex: 2,
+        error: 'The tweak is not less than the curve order',
+        comment: 'Tweak is invalid because it exceeds group size'
+      }
+    ]
+  }
+};
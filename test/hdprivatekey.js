@@ -110,7 +110,7 @@ describe('HDPrivate key interface', function() {
 
     it('matches the network', function() {
       testnetKey.publicKey.network.should.equal(Networks.testnet);
-      livenetKey.publicKey.network.should.equal(Networks.livenet);
+      livenetKey.publicKey.network.should.equal(Networks.reddcoin);
     });
 
     it('cache for xpubkey works', function() {
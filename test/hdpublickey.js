@@ -144,7 +144,7 @@ describe('HDPublicKey interface', function() {
     var livenet = new HDPublicKey(xpubkey);
     var testnet = new HDPublicKey(xpubkeyTestnet);
 
-    livenet.publicKey.network.should.equal(Networks.livenet);
+    livenet.publicKey.network.should.equal(Networks.reddcoin);
     testnet.publicKey.network.should.equal(Networks.testnet);
   });
 
@@ -160,4 +160,75 @@ describe('Message', function() {
     var verified = Message(text).verify(new Address(address), signatureString);
     verified.should.equal(true);
   });
+
+  describe('network magic', function() {
+    var reddcoinKey = new bitcore.PrivateKey('V5QUmdeGB8vHdwEfsC4PJ5zuNGm6YUBWhj7gwWz5bL3wXhLWDQfi');
+    var reddcoinAddress = 'RdZCDj6J6ft8RoMqLj8TMXRHMCzZp5t8Cf';
+    var reddcoinSignature = 'H14tAR3WeEznFKahSwZZseahetsZKFzehs4XK15hKimsI8KQjFIpaeIKCj0+VYg12VbU7r2AuSXyu4J6Jlyrl54=';
+    var bitcoinSignature = 'IHIX762zuvSAaQVjrDFK/Dfk5J7AOrqXWdug4+BB4A4iVwFXBjuIyNZmnQA4OEAXDd4nniWKXbEpnlZ3PdgRx9w=';
+    var customSignature = 'H2rLij+lWIedGSHfoM8iBXak8HvftErOH83W4gmhHoSlclPtLe0RuALGWuCPgeZx/Oe4vGXmJxREniY4vXEY/BI=';
+    var customPrefix = { prefix: 'Custom Signed Message:\n' };
+
+    it('uses the prefix of the network', function() {
+      Message.getMagicBytes().toString().should.equal('Reddcoin Signed Message:\n');
+      Message.getMagicBytes({ network: 'livenet' }).toString().should.equal('Bitcoin Signed Message:\n');
+      Message.getMagicBytes({}, bitcore.Networks.testnet).toString().should.equal('Bitcoin Signed Message:\n');
+      Message.getMagicBytes({ network: 'reddcoin-testnet' }, bitcore.Networks.testnet).toString()
+        .should.equal('Reddcoin Signed Message:\n');
+      Message.getMagicBytes({ prefix: 'Custom:\n', network: 'livenet' }).toString().should.equal('Custom:\n');
+    });
+
+    it('has the deprecated prefix of the default network', function() {
+      Message.MAGIC_BYTES.toString().should.equal('Reddcoin Signed Message:\n');
+      var defaultNetwork = bitcore.Networks.defaultNetwork;
+      bitcore.Networks.defaultNetwork = bitcore.Networks.livenet;
+      try {
+        Message.MAGIC_BYTES.toString().should.equal('Bitcoin Signed Message:\n');
+      } finally {
+        bitcore.Networks.defaultNetwork = defaultNetwork;
+      }
+    });
+
+    it('will error with an unknown network', function() {
+      expect(function() {
+        return Message.getMagicBytes({ network: 'unknownnet' });
+      }).to.throw('Unknown network');
+    });
+
+    it('signs with the prefix of the private key network', function() {
+      var message = new Message(text);
+      reddcoinKey.toAddress().toString().should.equal(reddcoinAddress);
+      message.magicHash().should.deep.equal(message.magicHash({ network: 'reddcoin' }));
+      message.verify(reddcoinAddress, message.sign(reddcoinKey)).should.equal(true);
+    });
+
+    it('verifies with the prefix of the address network', function() {
+      var message = new Message(text);
+      message.verify(reddcoinAddress, reddcoinSignature).should.equal(true);
+      message.verify(new Address(reddcoinAddress), reddcoinSignature).should.equal(true);
+      message.recoverPublicKey(reddcoinAddress, reddcoinSignature).should.equal(reddcoinKey.publicKey.toString());
+      should.not.exist(message.error);
+    });
+
+    it('will not verify a Reddcoin signature with the bitcoin prefix', function() {
+      var message = new Message(text);
+      message.verify(reddcoinAddress, reddcoinSignature, { network: 'livenet' }).should.equal(false);
+      message.error.should.equal('The signature did not match the message digest');
+    });
+
+    it('will not verify a bitcoin signature for a Reddcoin address', function() {
+      Message(text).verify(reddcoinAddress, bitcoinSignature).should.equal(false);
+      Message(text).verify(reddcoinAddress, bitcoinSignature, { network: 'livenet' }).should.equal(true);
+    });
+
+    it('verifies with a custom prefix', function() {
+      Message(text).verify(reddcoinAddress, customSignature).should.equal(false);
+      Message(text).verify(reddcoinAddress, customSignature, customPrefix).should.equal(true);
+      Message(text).recoverPublicKey(reddcoinAddress, customSignature, customPrefix)
+        .should.equal(reddcoinKey.publicKey.toString());
+      var signature = Signature.fromCompact(Buffer.from(customSignature, 'base64'));
+      Message(text)._verify(reddcoinKey.publicKey, signature, customPrefix).should.equal(true);
+      Message(text)._verify(reddcoinKey.publicKey, signature).should.equal(false);
+    });
+  });
 });
@@ -12,9 +12,116 @@ describe('Networks', function() {
   it('should contain all Networks', function() {
     should.exist(networks.livenet);
     should.exist(networks.testnet);
+    should.exist(networks.reddcoin);
+    should.exist(networks.reddcoinTestnet);
+    should.exist(networks.reddcoinRegtest);
     should.exist(networks.defaultNetwork);
   });
 
+  it('uses reddcoin as the default network', function() {
+    networks.defaultNetwork.should.equal(networks.reddcoin);
+  });
+
+  it('can get the reddcoin networks by name or alias', function() {
+    networks.get('reddcoin').should.equal(networks.reddcoin);
+    networks.get('rdd').should.equal(networks.reddcoin);
+    networks.get('reddcoin-testnet').should.equal(networks.reddcoinTestnet);
+    networks.get('rdd-testnet').should.equal(networks.reddcoinTestnet);
+    networks.get('reddcoin-regtest').should.equal(networks.reddcoinRegtest);
+    networks.get('rdd-regtest').should.equal(networks.reddcoinRegtest);
+  });
+
+  it('has the reddcoin mainnet constants', function() {
+    var rdd = networks.reddcoin;
+    rdd.pubkeyhash.should.equal(0x3d);
+    rdd.privatekey.should.equal(0xbd);
+    rdd.scripthash.should.equal(0x05);
+    rdd.bech32prefix.should.equal('rdd');
+    rdd.xpubkey.should.equal(0x0488b21e);
+    rdd.xprivkey.should.equal(0x0488ade4);
+    rdd.networkMagic.should.deep.equal(Buffer.from('fbc0b6db', 'hex'));
+    rdd.port.should.equal(45444);
+    rdd.dnsSeeds.length.should.be.above(0);
+  });
+
+  it('has the reddcoin testnet and regtest constants', function() {
+    networks.reddcoinTestnet.bech32prefix.should.equal('trdd');
+    networks.reddcoinTestnet.networkMagic.should.deep.equal(Buffer.from('fec3bcde', 'hex'));
+    networks.reddcoinTestnet.port.should.equal(55444);
+    networks.reddcoinRegtest.bech32prefix.should.equal('rrdd');
+    networks.reddcoinRegtest.networkMagic.should.deep.equal(Buffer.from('fabfb5da', 'hex'));
+    networks.reddcoinRegtest.port.should.equal(56444);
+  });
+
+  it('has consensus and policy parameters', function() {
+    networks.livenet.consensus.maxMoney.should.equal(21000000 * 1e8);
+    networks.livenet.consensus.coinbaseMaturity.should.equal(100);
+    networks.livenet.consensus.maxBlockSize.should.equal(1000000);
+    networks.livenet.consensus.maxBlockWeight.should.equal(4000000);
+    networks.livenet.consensus.powLimit.should.equal(0x1d00ffff);
+    networks.livenet.consensus.targetSpacing.should.equal(600);
+    networks.regtest.consensus.powLimit.should.equal(0x207fffff);
+    networks.signet.consensus.powLimit.should.equal(0x1e0377ae);
+    networks.testnet3.consensus.powLimit.should.equal(0x1d00ffff);
+    networks.livenet.policy.dustRelayFee.should.equal(3000);
+    networks.livenet.policy.minRelayFee.should.equal(1000);
+    networks.livenet.policy.incrementalRelayFee.should.equal(1000);
+    networks.livenet.policy.dustAmount.should.equal(546);
+  });
+
+  it('has the reddcoin consensus parameters', function() {
+    networks.reddcoin.consensus.maxMoney.should.equal(92233720368 * 1e8);
+    networks.reddcoin.consensus.coinbaseMaturity.should.equal(30);
+    networks.reddcoin.consensus.powLimit.should.equal(0x1e0fffff);
+    networks.reddcoin.consensus.targetSpacing.should.equal(60);
+    networks.reddcoinTestnet.consensus.powLimit.should.equal(0x1e0fffff);
+    networks.reddcoinRegtest.consensus.powLimit.should.equal(0x207fffff);
+    networks.reddcoinRegtest.consensus.targetSpacing.should.equal(60);
+  });
+
+  it('has the reddcoin policy parameters', function() {
+    [networks.reddcoin, networks.reddcoinTestnet, networks.reddcoinRegtest].forEach(function(network) {
+      network.policy.minRelayFee.should.equal(100000);
+      network.policy.dustRelayFee.should.equal(300000);
+      network.policy.incrementalRelayFee.should.equal(100000);
+      network.policy.dustAmount.should.equal(54600);
+      network.policy.feePerKb.should.equal(1000000);
+    });
+  });
+
+  it('fills in missing consensus and policy parameters of custom networks', function() {
+    var network = networks.add({
+      name: 'paramnet',
+      pubkeyhash: 0x14,
+      privatekey: 0x94,
+      scripthash: 0x12,
+      consensus: { targetSpacing: 30 },
+      policy: { dustAmount: 1000 }
+    });
+    network.consensus.targetSpacing.should.equal(30);
+    network.consensus.maxMoney.should.equal(21000000 * 1e8);
+    network.policy.dustAmount.should.equal(1000);
+    network.policy.minRelayFee.should.equal(1000);
+    Object.isFrozen(network.consensus).should.equal(true);
+    networks.remove(network);
+  });
+
+  it('resolves prefixes shared with bitcoin livenet to reddcoin', function() {
+    expect(networks.get(0x05, 'scripthash')).to.equal(networks.reddcoin);
+    expect(networks.get(0x0488b21e, 'xpubkey')).to.equal(networks.reddcoin);
+    expect(networks.get(0x00, 'pubkeyhash')).to.equal(networks.livenet);
+    expect(networks.get('bc', 'bech32prefix')).to.equal(networks.livenet);
+  });
+
+  it('only looks networks up by their identifiers', function() {
+    expect(networks.get(2)).to.equal(undefined);
+    expect(networks.get(3)).to.equal(undefined);
+    expect(networks.get('scrypt')).to.equal(undefined);
+    expect(networks.get('reddcoin', 'uriScheme')).to.equal(networks.reddcoin);
+    expect(networks.get(45444)).to.equal(networks.reddcoin);
+    expect(networks.get(0xfbc0b6db)).to.equal(networks.reddcoin);
+  });
+
   it('should not replace testnet network with regtest', function() {
     const beforeEnable = networks.testnet;
     networks.enableRegtest();
@@ -144,4 +251,37 @@ describe('Networks', function() {
     isNaN(testnet.port).should.equal(false);
   });
 
+  it('should have the uri scheme and message prefix of each network', function() {
+    networks.reddcoin.uriScheme.should.equal('reddcoin');
+    networks.reddcoinTestnet.uriScheme.should.equal('reddcoin');
+    networks.reddcoinRegtest.messagePrefix.should.equal('Reddcoin Signed Message:\n');
+    networks.livenet.uriScheme.should.equal('bitcoin');
+    networks.signet.messagePrefix.should.equal('Bitcoin Signed Message:\n');
+    networks.get('reddcoin').should.equal(networks.reddcoin);
+  });
+
+  it('should have the genesis block and checkpoints of each network', function() {
+    networks.reddcoin.checkpoints[0].should.equal('b868e0d95a3c3c0e0dadc67ee587aaf9dc8acbf99e3b4b3110fad4eb74c1decc');
+    networks.reddcoin.genesis.nonce.should.equal(222583475);
+    networks.livenet.checkpoints[11111].should.equal('0000000069e244f73d78e8fd29ba2fd2ed618bd6fa2ee92559f542fdb26e7c1d');
+    networks.testnet3.checkpoints[546].should.equal(networks.testnet.checkpoints[546]);
+    networks.signet.checkpoints[0].should.not.equal(networks.testnet.checkpoints[0]);
+    networks.reddcoinTestnet.genesis.coinbase.should.equal(networks.reddcoin.genesis.coinbase);
+    networks.reddcoinTestnet.checkpoints[0].should.equal(
+      '46db8d519c64586e3f0bf16153f61fdcf1d30b71ab159bf4a5b46dbcbc79d814');
+    should.not.exist(networks.reddcoinRegtest.genesis);
+    networks.reddcoinRegtest.checkpoints.should.deep.equal({});
+    Object.isFrozen(networks.livenet.checkpoints).should.equal(true);
+    Object.isFrozen(networks.livenet.genesis).should.equal(true);
+  });
+
+  it('lists all the networks in the order they were added', function() {
+    var all = networks.all();
+    all[0].should.equal(networks.reddcoin);
+    all.should.include(networks.livenet);
+    all.should.include(networks.reddcoinRegtest);
+    all.push(null);
+    networks.all().length.should.equal(all.length - 1);
+  });
+
 });
@@ -266,6 +266,28 @@ describe('PrivateKey', function() {
       address.toString().should.equal('mtX8nPZZdJ8d3QNLRJ1oJTiEi26Sj6LQXS');
     });
 
+    it('should output this known reddcoin address correctly', function() {
+      var privkey = PrivateKey.fromWIF('V5QUmdeGB8vHdwEfsC4PJ5zuNGm6YUBWhj7gwWz5bL3wXhLWDQfi');
+      privkey.network.should.equal(Networks.reddcoin);
+      privkey.toAddress().toString().should.equal('RdZCDj6J6ft8RoMqLj8TMXRHMCzZp5t8Cf');
+      privkey.toAddress(null, Address.PayToWitnessPublicKeyHash).toString()
+        .should.equal('rdd1qxc4yhfsd7mpsugnz7wc5aernr4x9sznuev5dpw');
+    });
+
+    it('should output reddcoin regtest witness addresses', function() {
+      var privkey = PrivateKey.fromWIF('V5QUmdeGB8vHdwEfsC4PJ5zuNGm6YUBWhj7gwWz5bL3wXhLWDQfi');
+      var address = privkey.toAddress(Networks.reddcoinRegtest, Address.PayToWitnessPublicKeyHash);
+      address.toString().should.equal('rrdd1qxc4yhfsd7mpsugnz7wc5aernr4x9sznutjk7z6');
+      Address(address.toString()).network.should.equal(Networks.reddcoinRegtest);
+    });
+
+    it('creates reddcoin keys by default', function() {
+      var privkey = new PrivateKey();
+      privkey.network.should.equal(Networks.reddcoin);
+      PrivateKey.fromWIF(privkey.toWIF()).network.should.equal(Networks.reddcoin);
+      Address(privkey.toAddress().toString()).network.should.equal(Networks.reddcoin);
+    });
+
     it('creates network specific address', function() {
       var pk = PrivateKey.fromWIF('cR4qogdN9UxLZJXCNFNwDRRZNeLRWuds9TTSuLNweFVjiaE4gPaq');
       pk.toAddress(Networks.livenet).network.name.should.equal(Networks.livenet.name);
@@ -757,6 +757,54 @@ describe('Script', function() {
     }
   });
 
+  describe('#buildTapscriptMultisigOut', function() {
+    var xOnlyHexes = [
+      'c6047f9441ed7d6d3045406e95c07cd85c778e4b8cef3ca7abac09b95c709ee5',
+      '79be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798',
+      'f9308a019258c31049344f85f89d5229b531c845836f99b08601f113bce036f9'
+    ];
+    it('should create a script with the keys in the given order', function() {
+      var s = Script.buildTapscriptMultisigOut(xOnlyHexes, 2);
+      s.toString().should.equal('32 0x' + xOnlyHexes[0] + ' OP_CHECKSIG 32 0x' + xOnlyHexes[1] + ' OP_CHECKSIGADD 32 0x' +
+        xOnlyHexes[2] + ' OP_CHECKSIGADD OP_2 OP_NUMEQUAL');
+      s.isTapscriptMultisigOut().should.equal(true);
+      s.isMultisigOut().should.equal(false);
+    });
+    it('should accept public keys and x-only buffers', function() {
+      var s = Script.buildTapscriptMultisigOut(xOnlyHexes, 1);
+      Script.buildTapscriptMultisigOut([
+        PublicKey('02' + xOnlyHexes[0]),
+        Buffer.from(xOnlyHexes[1], 'hex'),
+        PublicKey('03' + xOnlyHexes[2])
+      ], 1).equals(s).should.equal(true);
+    });
+    it('should create a sorted script', function() {
+      var s = Script.buildSortedTapscriptMultisigOut(xOnlyHexes, 3);
+      s.toString().should.equal('32 0x' + xOnlyHexes[1] + ' OP_CHECKSIG 32 0x' + xOnlyHexes[0] + ' OP_CHECKSIGADD 32 0x' +
+        xOnlyHexes[2] + ' OP_CHECKSIGADD OP_3 OP_NUMEQUAL');
+    });
+    it('should push a threshold above 16', function() {
+      var keys = new Array(17).fill(xOnlyHexes[0]);
+      var s = Script.buildTapscriptMultisigOut(keys, 17);
+      s.chunks[s.chunks.length - 2].buf.should.deep.equal(Buffer.from([17]));
+      s.isTapscriptMultisigOut().should.equal(true);
+    });
+    it('should fail with an invalid threshold', function() {
+      expect(function() {
+        return Script.buildTapscriptMultisigOut(xOnlyHexes, 4);
+      }).to.throw('Number of required signatures must be less than or equal to the number of public keys');
+      expect(function() {
+        return Script.buildTapscriptMultisigOut(xOnlyHexes, 0);
+      }).to.throw('Number of required signatures must be less than or equal to the number of public keys');
+    });
+    it('should identify non tapscript multisig scripts', function() {
+      Script('32 0x' + xOnlyHexes[0] + ' OP_CHECKSIG').isTapscriptMultisigOut().should.equal(false);
+      Script('32 0x' + xOnlyHexes[0] + ' OP_CHECKSIG OP_2 OP_NUMEQUAL').isTapscriptMultisigOut().should.equal(false);
+      Script('32 0x' + xOnlyHexes[0] + ' OP_CHECKSIGADD OP_1 OP_NUMEQUAL').isTapscriptMultisigOut().should.equal(false);
+      Script('33 0x02' + xOnlyHexes[0] + ' OP_CHECKSIG OP_1 OP_NUMEQUAL').isTapscriptMultisigOut().should.equal(false);
+    });
+  });
+
   describe('#buildWitnessMultisigOutFromScript', function() {
     it('it will build nested witness scriptSig', function() {
       var redeemScript = bitcore.Script();
@@ -992,15 +1040,15 @@ describe('Script', function() {
       // taken from tx 7e519caca256423320b92e3e17be5701f87afecbdb3f53af598032bfd8d164f5
       var script = new Script('OP_DUP OP_HASH160 20 ' +
         '0xc8e11b0eb0d2ad5362d894f048908341fa61b6e1 OP_EQUALVERIFY OP_CHECKSIG');
-      script.toAddress().toString().should.equal('1KK9oz4bFH8c1t6LmighHaoSEGx3P3FEmc');
+      script.toAddress(Networks.livenet).toString().should.equal('1KK9oz4bFH8c1t6LmighHaoSEGx3P3FEmc');
     });
     it('works for p2pkh input', function() {
       // taken from tx 7e519caca256423320b92e3e17be5701f87afecbdb3f53af598032bfd8d164f5
       var script = new Script('72 0x3045022100eff96230ca0f55b1e8c7a63e014f48611ff1af40875ecd33dee9062d7a6f5e2002206320405b5f6992c756e03e66b21a05a812b60996464ac6af815c2638b930dd7a01 65 0x04150defa035a2c7d826d7d5fc8ab2154bd1bb832f1a5c8ecb338f436362ad232e428b57db44677c5a8bd42c5ed9e2d7e04e742c59bee1b40080cfd57dec64b23a');
-      script.toAddress().toString().should.equal('1KK9oz4bFH8c1t6LmighHaoSEGx3P3FEmc');
+      script.toAddress(Networks.livenet).toString().should.equal('1KK9oz4bFH8c1t6LmighHaoSEGx3P3FEmc');
       // taken from tx 7f8f95752a59d715dae9e0008a42e7968d2736741591bbfc6685f6e1649c21ed
       var s2 = new Script('71 0x3044022017053dad84aa06213749df50a03330cfd24d6b8e7ddbb6de66c03697b78a752a022053bc0faca8b4049fb3944a05fcf7c93b2861734d39a89b73108f605f70f5ed3401 33 0x0225386e988b84248dc9c30f784b06e02fdec57bbdbd443768eb5744a75ce44a4c');
-      s2.toAddress().toString().should.equal('17VArX6GRE6i6MVscBUZoXwi6NhnHa68B7');
+      s2.toAddress(Networks.livenet).toString().should.equal('17VArX6GRE6i6MVscBUZoXwi6NhnHa68B7');
     });
 
     it('works for p2sh output', function() {
@@ -1117,7 +1165,7 @@ describe('Script', function() {
             }
             PublicKey.prototype.computeTapTweakHash.returnValues[0].toString('hex').should.equal(vec.intermediary.tweak);
             PublicKey.prototype.createTapTweak.returnValues[0].tweakedPubKey.toString('hex').should.equal(vec.intermediary.tweakedPubkey);
-            script.toAddress().toString().should.equal(vec.expected.bip350Address);
+            script.toAddress(Networks.livenet).toString().should.equal(vec.expected.bip350Address);
             script.toHex().should.equal(vec.expected.scriptPubKey);
           });
 
@@ -0,0 +1,220 @@
+'use strict';
+
+var _ = require('lodash');
+var chai = require('chai');
+var should = chai.should();
+var expect = chai.expect;
+
+var bitcore = require('../..');
+var Transaction = bitcore.Transaction;
+var CoinSelection = bitcore.Transaction.CoinSelection;
+var PrivateKey = bitcore.PrivateKey;
+var Script = bitcore.Script;
+var errors = bitcore.errors;
+
+describe('CoinSelection', function() {
+
+  var privateKey = new PrivateKey('cSBnVM4xvxarwGQuAfQFwqDg9k5tErHUHzgWsEfD4zdwUasvqRVY', 'testnet');
+  var address = privateKey.toAddress();
+  var txId = 'a477af6b2667c29670467e4e0728b685ee07b240235771862318e29ddbe58458';
+
+  var newUtxo = function(satoshis, outputIndex, data) {
+    return _.extend({
+      txId: txId,
+      outputIndex: outputIndex,
+      script: Script.buildPublicKeyHashOut(address),
+      satoshis: satoshis
+    }, data);
+  };
+  var utxos = [100000, 50000, 30000, 20000, 7000].map(newUtxo);
+  var amounts = function(selection) {
+    return _.map(selection.utxos, 'satoshis');
+  };
+  var opts = { network: 'testnet' };
+
+  // 1 sat/byte: a transaction of one output is 44 bytes, and each input 148 bytes
+  describe('branchAndBound', function() {
+    it('selects the UTXOs paying the outputs without change', function() {
+      var selection = CoinSelection.strategies.branchAndBound(utxos, [{ address: address, satoshis: 79600 }], 1, opts);
+      amounts(selection).should.deep.equal([50000, 30000]);
+      selection.change.should.equal(0);
+      selection.fee.should.equal(400);
+      selection.inputs.length.should.equal(2);
+      selection.inputs[0].output.satoshis.should.equal(50000);
+    });
+
+    it('finds no selection if all of them need a change', function() {
+      should.not.exist(CoinSelection.strategies.branchAndBound(utxos, [{ address: address, satoshis: 60000 }], 1, opts));
+    });
+  });
+
+  describe('knapsack', function() {
+    it('selects the smallest UTXOs leaving a change', function() {
+      var selection = CoinSelection.strategies.knapsack(utxos, [{ address: address, satoshis: 60000 }], 10, opts);
+      amounts(selection).should.deep.equal([50000, 20000]);
+      selection.fee.should.equal(3740);
+      selection.change.should.equal(6260);
+    });
+
+    it('selects the smallest larger UTXO', function() {
+      var selection = CoinSelection.strategies.knapsack(utxos, [{ address: address, satoshis: 99000 }], 1, opts);
+      amounts(selection).should.deep.equal([100000]);
+    });
+
+    it('finds no selection if the UTXOs are not enough', function() {
+      should.not.exist(CoinSelection.strategies.knapsack(utxos, [{ address: address, satoshis: 207000 }], 1, opts));
+    });
+
+    it('picks the random subsets with the random numbers of the strategy', function() {
+      var calls = 0;
+      var random = function() {
+        calls++;
+        return 0.25;
+      };
+      var selection = CoinSelection.strategies.knapsack(utxos, [{ address: address, satoshis: 60000 }], 10,
+        _.extend({ random: random }, opts));
+      amounts(selection).should.deep.equal([50000, 20000]);
+      calls.should.be.above(0);
+    });
+  });
+
+  describe('largestFirst', function() {
+    it('selects the largest UTXOs', function() {
+      var selection = CoinSelection.strategies.largestFirst(utxos, [{ address: address, satoshis: 120000 }], 1, opts);
+      amounts(selection).should.deep.equal([100000, 50000]);
+      selection.fee.should.equal(340 + 34);
+      selection.change.should.equal(150000 - 120000 - 374);
+    });
+  });
+
+  describe('oldestFirst', function() {
+    it('selects the UTXOs with the most confirmations first', function() {
+      var pool = [
+        newUtxo(50000, 0, { confirmations: 3 }),
+        newUtxo(50000, 1, { confirmations: 10 }),
+        newUtxo(50000, 2, { confirmations: 6 })
+      ];
+      var selection = CoinSelection.strategies.oldestFirst(pool, [{ address: address, satoshis: 60000 }], 1, opts);
+      _.map(selection.utxos, 'outputIndex').should.deep.equal([1, 2]);
+    });
+
+    it('selects the UTXOs of the earliest time first', function() {
+      var pool = [
+        newUtxo(50000, 0, { time: 1600000300 }),
+        newUtxo(50000, 1),
+        newUtxo(50000, 2, { time: 1600000000 })
+      ];
+      var selection = CoinSelection.strategies.oldestFirst(pool, [{ address: address, satoshis: 60000 }], 1, opts);
+      _.map(selection.utxos, 'outputIndex').should.deep.equal([2, 0]);
+    });
+  });
+
+  describe('random', function() {
+    it('selects UTXOs in a random order leaving a change', function() {
+      var random = function() {
+        return 0;
+      };
+      var selection = CoinSelection.strategies.random(utxos, [{ address: address, satoshis: 40000 }], 1,
+        _.extend({ random: random }, opts));
+      amounts(selection).should.deep.equal([50000]);
+      selection.change.should.be.above(0);
+    });
+
+    it('selects the UTXOs needed with secure random numbers', function() {
+      for (var i = 0; i < 5; i++) {
+        var selection = CoinSelection.strategies.random(utxos, [{ address: address, satoshis: 40000 }], 1, opts);
+        _.sum(amounts(selection)).should.be.at.least(40000 + selection.fee);
+        selection.change.should.be.above(0);
+      }
+    });
+  });
+
+  describe('#select', function() {
+    it('uses the size of each type of input', function() {
+      var witnessUtxos = [100000, 50000, 30000, 20000, 7000].map(function(satoshis, index) {
+        return newUtxo(satoshis, index, { script: Script.buildWitnessV0Out(address) });
+      });
+      var outputs = [{ address: address, satoshis: 60000 }];
+      var selection = CoinSelection.select(utxos, outputs, 10, _.extend({ strategy: 'largestFirst' }, opts));
+      var witnessSelection = CoinSelection.select(witnessUtxos, outputs, 10, _.extend({ strategy: 'largestFirst' }, opts));
+      witnessSelection.fee.should.be.below(selection.fee);
+      witnessSelection.fee.should.equal(Math.ceil(44 + 41 + 107 / 4) * 10 + 340);
+    });
+
+    it('falls back to the knapsack if there is no selection without change', function() {
+      CoinSelection.select(utxos, [{ address: address, satoshis: 79600 }], 1, opts).change.should.equal(0);
+      CoinSelection.select(utxos, [{ address: address, satoshis: 60000 }], 10, opts).change.should.equal(6260);
+    });
+
+    it('fails if the UTXOs are not enough', function() {
+      expect(function() {
+        CoinSelection.select(utxos, [{ address: address, satoshis: 207000 }], 1, opts);
+      }).to.throw(errors.Transaction.CoinSelection.InsufficientFunds);
+    });
+
+    it('fails if the strategies find no selection', function() {
+      expect(function() {
+        CoinSelection.select(utxos, [{ address: address, satoshis: 60000 }], 1, _.extend({
+          strategy: 'branchAndBound'
+        }, opts));
+      }).to.throw(errors.Transaction.CoinSelection.NoSolution);
+      expect(function() {
+        CoinSelection.select(utxos, [], 1, _.extend({ strategy: 'smallestFirst' }, opts));
+      }).to.throw('Unknown coin selection strategy: smallestFirst');
+    });
+
+    it('accepts custom strategies', function() {
+      var smallestFirst = CoinSelection.createStrategy(function(candidates, context) {
+        var selected = [];
+        var value = 0;
+        _.sortBy(candidates, 'satoshis').forEach(function(candidate) {
+          if (value < context.target) {
+            selected.push(candidate);
+            value += candidate.effectiveValue;
+          }
+        });
+        return value >= context.target ? selected : null;
+      });
+      var selection = CoinSelection.select(utxos, [{ address: address, satoshis: 40000 }], 1, _.extend({
+        strategy: ['branchAndBound', smallestFirst]
+      }, opts));
+      amounts(selection).should.deep.equal([7000, 20000, 30000]);
+    });
+  });
+
+  describe('Transaction#from', function() {
+    it('adds the selected inputs and the change', function() {
+      var transaction = new Transaction(null, { network: 'testnet' })
+        .to(address, 60000)
+        .change(address)
+        .feePerByte(10)
+        .from(utxos, null, null, { coinSelection: 'knapsack' });
+      transaction.inputs.length.should.equal(2);
+      transaction.getFee().should.equal(3740);
+      transaction.getChangeOutput().satoshis.should.equal(6260);
+      transaction.sign(privateKey);
+      transaction.isFullySigned().should.equal(true);
+      transaction.vsize.should.be.at.most(374);
+    });
+
+    it('selects for the outputs and inputs already added', function() {
+      var transaction = new Transaction(null, { network: 'testnet' })
+        .from(utxos[4])
+        .to(address, 86500)
+        .change(address)
+        .feePerByte(1)
+        .from(utxos, null, null, { coinSelection: 'branchAndBound' });
+      _.map(transaction.inputs, 'output.satoshis').should.deep.equal([7000, 50000, 30000]);
+      should.not.exist(transaction.getChangeOutput());
+      (transaction.inputAmount - transaction.outputAmount).should.equal(500);
+    });
+
+    it('fails without a change address if there is a change', function() {
+      expect(function() {
+        return new Transaction(null, { network: 'testnet' })
+          .to(address, 60000)
+          .from(utxos, null, null, { coinSelection: 'knapsack' });
+      }).to.throw(errors.Transaction.ChangeAddressMissing);
+    });
+  });
+});
@@ -0,0 +1,233 @@
+'use strict';
+
+var should = require('chai').should();
+var expect = require('chai').expect;
+
+var bitcore = require('../../..');
+var Transaction = bitcore.Transaction;
+var TaprootInput = bitcore.Transaction.Input.Taproot;
+var PrivateKey = bitcore.PrivateKey;
+var Script = bitcore.Script;
+var Interpreter = bitcore.Script.Interpreter;
+var Opcode = bitcore.Opcode;
+var Signature = bitcore.crypto.Signature;
+
+describe('TaprootInput', function() {
+
+  var internalKey = new PrivateKey('0000000000000000000000000000000000000000000000000000000000000001', 'testnet');
+  var leafKey = new PrivateKey('0000000000000000000000000000000000000000000000000000000000000002', 'testnet');
+  var xOnlyLeafKey = leafKey.publicKey.point.x.toBuffer({ size: 32 });
+  var leaf = new Script().add(xOnlyLeafKey).add(Opcode.OP_CHECKSIG);
+  var leafHash = Interpreter.computeTapleafHash(0xc0, leaf.toBuffer());
+  var script = Script.buildWitnessV1Out(internalKey.publicKey, { script: leaf, leafVersion: 0xc0 });
+  var controlBlock = Buffer.concat([
+    Buffer.from([0xc0 | internalKey.publicKey.createTapTweak(leafHash).parity]),
+    internalKey.publicKey.point.x.toBuffer({ size: 32 })
+  ]);
+
+  var newTransaction = function(params) {
+    var transaction = new Transaction(null, { network: 'testnet' })
+      .from({
+        txId: '66e64ef8a3b384164b78453fa8c8194de9a473ba14f89485a0e433699daec140',
+        outputIndex: 0,
+        script: script,
+        satoshis: 100000
+      })
+      .to(internalKey.toAddress(), 90000);
+    var input = transaction.inputs[0];
+    input.should.be.instanceof(TaprootInput);
+    if (params) {
+      params.output = input.output;
+      params.prevTxId = input.prevTxId;
+      params.outputIndex = input.outputIndex;
+      params.script = input.script;
+      transaction.inputs[0] = new TaprootInput(params);
+    }
+    return transaction;
+  };
+
+  it('signs the key path with the merkle root of the input', function() {
+    var transaction = newTransaction();
+    transaction.sign(internalKey);
+    transaction.inputs[0].isFullySigned().should.equal(false);
+
+    transaction = newTransaction({ merkleRoot: leafHash.toString('hex') });
+    transaction.getSignatures(leafKey).length.should.equal(0);
+    transaction.sign(internalKey);
+    transaction.inputs[0].isFullySigned().should.equal(true);
+    transaction.inputs[0].witnesses.length.should.equal(1);
+  });
+
+  it('signs and keeps the signatures of its leaf scripts', function() {
+    var transaction = newTransaction({ leafScripts: [{ controlBlock: controlBlock, script: leaf, leafVersion: 0xc0 }] });
+    var input = transaction.inputs[0];
+    transaction.getSignatures(internalKey).length.should.equal(0);
+    var signatures = transaction.getSignatures(leafKey, Signature.SIGHASH_ALL);
+    signatures.length.should.equal(1);
+    signatures[0].leafHash.should.deep.equal(leafHash);
+    signatures[0].publicKey.point.x.toBuffer({ size: 32 }).should.deep.equal(xOnlyLeafKey);
+
+    transaction.sign(leafKey);
+    transaction.sign(leafKey, Signature.SIGHASH_ALL);
+    input.scriptSignatures.length.should.equal(1);
+    input.scriptSignatures[0].sigtype.should.equal(Signature.SIGHASH_ALL);
+    input.isFullySigned().should.equal(true);
+    input.witnesses.should.deep.equal([input.scriptSignatures[0].signature.toBuffer(), leaf.toBuffer(), controlBlock]);
+    var flags = Interpreter.SCRIPT_VERIFY_WITNESS | Interpreter.SCRIPT_VERIFY_TAPROOT;
+    new Interpreter().verify(input.script, script, transaction, 0, flags, input.getWitnesses(), 100000)
+      .should.equal(true);
+  });
+
+  it('does not add an invalid script path signature', function() {
+    var transaction = newTransaction({ leafScripts: [{ controlBlock: controlBlock, script: leaf, leafVersion: 0xc0 }] });
+    var signature = transaction.getSignatures(leafKey)[0];
+    signature.leafHash = Buffer.alloc(32);
+    transaction.inputs[0].isValidSignature(transaction, signature).should.equal(false);
+    transaction.applySignature(signature);
+    transaction.inputs[0].scriptSignatures.length.should.equal(0);
+    expect(transaction.inputs[0].merkleRoot).to.equal(undefined);
+    should.exist(transaction.inputs[0].leafScripts[0].controlBlock);
+  });
+
+  it('takes the parameters of the other inputs to get the key path sighash', function() {
+    var transaction = newTransaction();
+    var input = transaction.inputs[0];
+    var sighash = input.getSighash(transaction);
+    input.getSighash(transaction, internalKey, 0, Signature.SIGHASH_DEFAULT).should.deep.equal(sighash);
+    input.getSighash(transaction, null, 0, Signature.SIGHASH_ALL).should.not.deep.equal(sighash);
+    expect(function() {
+      return input.getSighash(transaction, null, 1);
+    }).to.throw('Input is not part of the transaction');
+  });
+
+  it('signs the key path with a MuSig2 aggregate key', function() {
+    var MuSig2 = bitcore.crypto.MuSig2;
+    var signers = [5, 6, 7].map(function(n) {
+      return new PrivateKey(new bitcore.crypto.BN(n), 'testnet');
+    });
+    var publicKeys = MuSig2.sortKeys(signers.map(function(signer) {
+      return signer.publicKey;
+    }));
+    var outputScript = Script.buildWitnessV1Out(MuSig2.aggregateKeys(publicKeys).publicKey);
+    var keyAgg = MuSig2.aggregateKeys(publicKeys, { taproot: true });
+    keyAgg.xOnlyKey.should.deep.equal(outputScript.chunks[1].buf);
+
+    var transaction = new Transaction(null, { network: 'testnet' })
+      .from({
+        txId: '66e64ef8a3b384164b78453fa8c8194de9a473ba14f89485a0e433699daec140',
+        outputIndex: 0,
+        script: outputScript,
+        satoshis: 100000
+      })
+      .to(internalKey.toAddress(), 90000);
+    var input = transaction.inputs[0];
+    var message = input.getSighash(transaction, null, 0, Signature.SIGHASH_ALL);
+    var nonces = signers.map(function(signer) {
+      return MuSig2.generateNonce({ privateKey: signer, keyAgg: keyAgg, message: message });
+    });
+    var aggregateNonce = MuSig2.aggregateNonces(nonces.map(function(nonce) {
+      return nonce.publicNonce;
+    }));
+    var partialSignatures = signers.map(function(signer, i) {
+      return MuSig2.sign(nonces[i].secretNonce, signer, keyAgg, aggregateNonce, message);
+    });
+    var signature = MuSig2.aggregatePartials(partialSignatures, keyAgg, aggregateNonce, message);
+
+    transaction.applySignature({
+      inputIndex: 0,
+      signature: Signature.fromSchnorr(Buffer.concat([signature, Buffer.from([Signature.SIGHASH_ALL])])),
+      sigtype: Signature.SIGHASH_ALL
+    });
+    input.isFullySigned().should.equal(true);
+    var flags = Interpreter.SCRIPT_VERIFY_WITNESS | Interpreter.SCRIPT_VERIFY_TAPROOT;
+    new Interpreter().verify(input.script, outputScript, transaction, 0, flags, input.getWitnesses(), 100000)
+      .should.equal(true);
+  });
+
+  describe('script path', function() {
+    var flags = Interpreter.SCRIPT_VERIFY_P2SH | Interpreter.SCRIPT_VERIFY_WITNESS | Interpreter.SCRIPT_VERIFY_TAPROOT;
+    var keys = [3, 4, 5].map(function(n) {
+      return new PrivateKey(new bitcore.crypto.BN(n), 'testnet');
+    });
+    var xOnly = function(key) {
+      return key.publicKey.point.x.toBuffer({ size: 32 });
+    };
+    // <key0> OP_CHECKSIGVERIFY <key1> OP_CHECKSIG
+    var twoKeys = new Script().add(xOnly(keys[0])).add(Opcode.OP_CHECKSIGVERIFY).add(xOnly(keys[1])).add(Opcode.OP_CHECKSIG);
+    // OP_CODESEPARATOR <key2> OP_CHECKSIG
+    var codesep = new Script().add(Opcode.OP_CODESEPARATOR).add(xOnly(keys[2])).add(Opcode.OP_CHECKSIG);
+
+    var newTreeTransaction = function() {
+      var output = new bitcore.Transaction.Output({ type: 'taproot', satoshis: 100000 })
+        .add(1, twoKeys)
+        .add(1, codesep);
+      var tree = output.finalize(internalKey.publicKey);
+      return new Transaction(null, { network: 'testnet' })
+        .from({
+          txId: '66e64ef8a3b384164b78453fa8c8194de9a473ba14f89485a0e433699daec140',
+          outputIndex: 0,
+          script: output.script,
+          satoshis: 100000
+        }, null, null, { merkleRoot: tree.merkleRoot, leafScripts: tree.leaves })
+        .to(internalKey.toAddress(), 90000);
+    };
+
+    var verify = function(transaction) {
+      var input = transaction.inputs[0];
+      return new Interpreter().verify(input.script, input.output.script, transaction, 0, flags,
+        input.getWitnesses(), input.output.satoshis);
+    };
+
+    it('assembles the witness once every key of a leaf has signed', function() {
+      var transaction = newTreeTransaction();
+      var input = transaction.inputs[0];
+      input.should.be.instanceof(TaprootInput);
+      transaction.sign(keys[1]);
+      input.isFullySigned().should.equal(false);
+      transaction.sign(keys[0]);
+      input.isFullySigned().should.equal(true);
+      input.witnesses.length.should.equal(4);
+      input.witnesses[2].should.deep.equal(twoKeys.toBuffer());
+      input.witnesses[3].should.deep.equal(input.leafScripts[0].controlBlock);
+      verify(transaction).should.equal(true);
+    });
+
+    it('commits to the position of the last OP_CODESEPARATOR', function() {
+      var transaction = newTreeTransaction();
+      var input = transaction.inputs[0];
+      var signature = transaction.getSignatures(keys[2])[0];
+      input._getExecData(signature.leafHash, signature.publicKey).codeseparatorPos.should.equal(0);
+      transaction.applySignature(signature);
+      input.witnesses[1].should.deep.equal(codesep.toBuffer());
+      verify(transaction).should.equal(true);
+    });
+
+    it('prefers a key path signature', function() {
+      var transaction = newTreeTransaction();
+      transaction.sign(internalKey);
+      transaction.sign(keys[2]);
+      transaction.inputs[0].witnesses.length.should.equal(1);
+      verify(transaction).should.equal(true);
+    });
+
+    it('clears its script path signatures', function() {
+      var transaction = newTreeTransaction();
+      transaction.sign(keys);
+      transaction.inputs[0].clearSignatures();
+      transaction.inputs[0].scriptSignatures.length.should.equal(0);
+      transaction.inputs[0].witnesses.length.should.equal(0);
+    });
+
+    it('estimates the size of its largest witness', function() {
+      var transaction = newTreeTransaction();
+      var input = transaction.inputs[0];
+      var keyPathSize = newTransaction()._estimateSize();
+      transaction._estimateSize().should.be.above(keyPathSize);
+      transaction.sign(keys.slice(0, 2));
+      verify(transaction).should.equal(true);
+      transaction._estimateSize().should.be.at.least(transaction.vsize);
+      input._estimateSize().should.equal(41 + (1 + 2 * 66 + 1 + twoKeys.toBuffer().length + 1 + 65) / 4);
+    });
+  });
+
+});
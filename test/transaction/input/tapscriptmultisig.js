@@ -0,0 +1,125 @@
+'use strict';
+
+var should = require('chai').should();
+var expect = require('chai').expect;
+
+var bitcore = require('../../..');
+var BN = bitcore.crypto.BN;
+var Transaction = bitcore.Transaction;
+var TapscriptMultiSigInput = bitcore.Transaction.Input.TapscriptMultiSig;
+var PrivateKey = bitcore.PrivateKey;
+var Script = bitcore.Script;
+var Interpreter = bitcore.Script.Interpreter;
+
+describe('TapscriptMultiSigInput', function() {
+
+  var internalKey = new PrivateKey(new BN(1), 'testnet');
+  var privateKeys = [4, 3, 2].map(function(n) {
+    return new PrivateKey(new BN(n), 'testnet');
+  });
+  var publicKeys = privateKeys.map(function(privateKey) {
+    return privateKey.publicKey;
+  });
+  var flags = Interpreter.SCRIPT_VERIFY_P2SH | Interpreter.SCRIPT_VERIFY_WITNESS | Interpreter.SCRIPT_VERIFY_TAPROOT;
+
+  var newTransaction = function(leafScript, opts) {
+    var output = new Transaction.Output({ type: 'taproot', satoshis: 100000 })
+      .add(1, leafScript)
+      .add(1, Script.buildTapscriptMultisigOut(publicKeys, 3));
+    var tree = output.finalize(internalKey.publicKey);
+    return new Transaction(null, { network: 'testnet' })
+      .from({
+        txId: '66e64ef8a3b384164b78453fa8c8194de9a473ba14f89485a0e433699daec140',
+        outputIndex: 0,
+        script: output.script,
+        satoshis: 100000
+      }, publicKeys, 2, Object.assign({ leafScripts: tree.leaves }, opts))
+      .to(internalKey.toAddress(), 90000);
+  };
+
+  var verify = function(transaction) {
+    var input = transaction.inputs[0];
+    return new Interpreter().verify(input.script, input.output.script, transaction, 0, flags,
+      input.getWitnesses(), input.output.satoshis);
+  };
+
+  it('can count missing signatures', function() {
+    var transaction = newTransaction(Script.buildSortedTapscriptMultisigOut(publicKeys, 2));
+    var input = transaction.inputs[0];
+    input.should.be.instanceof(TapscriptMultiSigInput);
+    input.countSignatures().should.equal(0);
+    input.countMissingSignatures().should.equal(2);
+    input.publicKeysWithoutSignature().length.should.equal(3);
+
+    transaction.sign(privateKeys[1]);
+    input.countSignatures().should.equal(1);
+    input.countMissingSignatures().should.equal(1);
+    input.isFullySigned().should.equal(false);
+    input.publicKeysWithoutSignature().map(function(publicKey) {
+      return publicKey.point.x.toString();
+    }).should.not.include(publicKeys[1].point.x.toString());
+  });
+
+  it('sets the witness with empty pushes for absent signers', function() {
+    var leafScript = Script.buildSortedTapscriptMultisigOut(publicKeys, 2);
+    var transaction = newTransaction(leafScript);
+    var input = transaction.inputs[0];
+    var signers = privateKeys.filter(function(privateKey) {
+      var x = privateKey.publicKey.point.x.toString();
+      return x !== input.publicKeys[1].point.x.toString();
+    });
+    transaction.sign(signers);
+    input.isFullySigned().should.equal(true);
+    input.witnesses.length.should.equal(5);
+    // the stack ends with the signature of the first key
+    input.witnesses[0].length.should.equal(64);
+    input.witnesses[1].length.should.equal(0);
+    input.witnesses[2].length.should.equal(64);
+    input.witnesses[3].should.deep.equal(leafScript.toBuffer());
+    input.witnesses[4].should.deep.equal(input.leaf.controlBlock);
+    verify(transaction).should.equal(true);
+  });
+
+  it('uses only the signatures needed', function() {
+    var transaction = newTransaction(Script.buildSortedTapscriptMultisigOut(publicKeys, 2));
+    var input = transaction.inputs[0];
+    transaction.sign(privateKeys);
+    input.countSignatures().should.equal(3);
+    input.witnesses.filter(function(item) {
+      return item.length === 64;
+    }).length.should.equal(2);
+    verify(transaction).should.equal(true);
+  });
+
+  it('keeps the order of the keys if asked to', function() {
+    var leafScript = Script.buildTapscriptMultisigOut(publicKeys, 2);
+    var transaction = newTransaction(leafScript, { noSorting: true });
+    var input = transaction.inputs[0];
+    input.leaf.script.equals(leafScript).should.equal(true);
+    input.publicKeys[0].point.x.toString().should.equal(publicKeys[0].point.x.toString());
+    transaction.sign([privateKeys[1], privateKeys[2]]);
+    input.witnesses[2].length.should.equal(0);
+    verify(transaction).should.equal(true);
+  });
+
+  it('fails if the keys are not those of a leaf script', function() {
+    expect(function() {
+      return newTransaction(Script.buildTapscriptMultisigOut(publicKeys, 2));
+    }).to.throw('Provided public keys don\'t match any of the leaf scripts');
+  });
+
+  it('estimates the size of its witness', function() {
+    var transaction = newTransaction(Script.buildSortedTapscriptMultisigOut(publicKeys, 2));
+    var input = transaction.inputs[0];
+    var leaf = input.leaf;
+    input._estimateLeafStackSize(leaf).should.equal(2 * 66 + 1);
+    // the 3-of-3 leaf is larger
+    input._estimateLeafStackSize(input.leafScripts[1]).should.equal(3 * 66);
+    var estimate = transaction._estimateSize();
+    transaction.sign(privateKeys.slice(0, 2));
+    verify(transaction).should.equal(true);
+    estimate.should.be.at.least(transaction.vsize);
+    should.exist(input.leafScripts[1].controlBlock);
+  });
+
+});
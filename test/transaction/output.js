@@ -12,6 +12,7 @@ var BufferWriter = bitcore.encoding.BufferWriter;
 var BufferReader = bitcore.encoding.BufferReader;
 var Output = bitcore.Transaction.Output;
 var Script = bitcore.Script;
+var Networks = bitcore.Networks;
 
 var errors = bitcore.errors;
 
@@ -86,6 +87,16 @@ describe("Output", function() {
     a.script.toString().should.equal(b.script.toString());
   };
 
+  it("checks the satoshis against the money range of a network", function() {
+    var large = new Output({
+      satoshis: 22000000 * 1e8,
+      script: Script.empty()
+    });
+    large.invalidSatoshis().should.equal(false);
+    large.invalidSatoshis(Networks.reddcoin).should.equal(false);
+    large.invalidSatoshis(Networks.livenet).should.equal('transaction txout satoshis greater than max money');
+  });
+
   it("deserializes correctly a simple output", function() {
     var writer = new BufferWriter();
     output.toBufferWriter(writer);
@@ -140,6 +151,21 @@ describe("Output", function() {
     expectEqualOutputs(newOutput, otherOutput);
   });
 
+  it("roundtrips the outputs paying the fee to/from object", function() {
+    var newOutput = new Output({
+      satoshis: 40,
+      script: new Script().add(0),
+      subtractFeeFromAmount: true,
+      requestedSatoshis: 50
+    });
+    var otherOutput = new Output(newOutput.toObject());
+    otherOutput.subtractFeeFromAmount.should.equal(true);
+    otherOutput.requestedSatoshis.should.equal(50);
+    otherOutput.satoshis.should.equal(40);
+    new Output({ satoshis: 0, script: new Script().add(0), sendMax: true }).toObject().sendMax.should.equal(true);
+    should.not.exist(new Output({ satoshis: 0, script: new Script().add(0) }).toObject().sendMax);
+  });
+
   it("toObject will handle an invalid (null) script", function() {
     // block 000000000000000b7e48f88e86ceee3e97b4df7c139f5411d14735c1b3c36791 (livenet)
     // transaction index 2
@@ -188,4 +214,85 @@ describe("Output", function() {
     });
     should.equal(output.script, null);
   });
+
+  describe("taproot tree", function() {
+    var vectors = require("../data/bitcoind/wallet_test_vectors.json").scriptPubKey;
+
+    // the leaves of a script tree of the vectors, with their depth, in depth-first order
+    var toLeaves = function(tree, depth) {
+      if (!tree) {
+        return [];
+      }
+      if (_.isArray(tree)) {
+        return toLeaves(tree[0], depth + 1).concat(toLeaves(tree[1], depth + 1));
+      }
+      return [_.assign({ depth: depth }, tree)];
+    };
+
+    var newTree = function() {
+      return new Output({ type: "taproot", satoshis: 1000 });
+    };
+
+    vectors.forEach(function(vector, i) {
+      it("builds the output of vector " + i, function() {
+        var output = newTree();
+        toLeaves(vector.given.scriptTree, 0).forEach(function(leaf) {
+          output.add(leaf.depth, leaf.script, leaf.leafVersion).should.equal(output);
+        });
+        output.isComplete.should.equal(true);
+        var spendData = output.finalize(vector.given.internalPubkey);
+        output.script.toHex().should.equal(vector.expected.scriptPubKey);
+        spendData.outputKey.toString("hex").should.equal(vector.intermediary.tweakedPubkey);
+        spendData.internalKey.point.x.toString(16, 64).should.equal(vector.given.internalPubkey);
+        if (vector.intermediary.merkleRoot) {
+          spendData.merkleRoot.toString("hex").should.equal(vector.intermediary.merkleRoot);
+        } else {
+          should.equal(spendData.merkleRoot, null);
+        }
+        _.map(spendData.leaves, function(leaf) {
+          return leaf.leafHash.toString("hex");
+        }).should.deep.equal(vector.intermediary.leafHashes || []);
+        _.map(spendData.leaves, function(leaf) {
+          return leaf.controlBlock.toString("hex");
+        }).should.deep.equal(vector.expected.scriptPathControlBlocks || []);
+      });
+    });
+
+    it("returns the spend data of tracked leaves only", function() {
+      var output = newTree()
+        .add(1, "OP_1", 0xc0)
+        .add(1, "OP_2", 0xc0, false);
+      var spendData = output.finalize(new bitcore.PrivateKey().publicKey);
+      spendData.leaves.length.should.equal(1);
+      spendData.leaves[0].script.toString().should.equal("OP_1");
+      spendData.leaves[0].controlBlock.length.should.equal(65);
+      output.script.isTaproot().should.equal(true);
+    });
+
+    it("is invalid when leaves are not added in depth-first order", function() {
+      var output = newTree().add(2, "OP_1").add(1, "OP_2");
+      output.isValid.should.equal(false);
+      output.isComplete.should.equal(false);
+      expect(function() {
+        output.finalize(new bitcore.PrivateKey().publicKey);
+      }).to.throw("finalize can only be called when isComplete is true");
+
+      newTree().add(0, "OP_1").add(0, "OP_2").isValid.should.equal(false);
+    });
+
+    it("is not complete until every branch has two children", function() {
+      var output = newTree().add(1, "OP_1");
+      output.isValid.should.equal(true);
+      output.isComplete.should.equal(false);
+      output.add(2, "OP_2").add(2, "OP_3");
+      output.isComplete.should.equal(true);
+      newTree().isComplete.should.equal(true);
+    });
+
+    it("only builds the tree of taproot outputs", function() {
+      expect(function() {
+        new Output({ satoshis: 1000, script: "OP_1" }).add(0, "OP_1");
+      }).to.throw("Only taproot outputs have a script tree");
+    });
+  });
 });
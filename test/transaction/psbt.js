@@ -0,0 +1,616 @@
+'use strict';
+
+var should = require('chai').should();
+var expect = require('chai').expect;
+var _ = require('lodash');
+
+var bitcore = require('../..');
+var BufferWriter = bitcore.encoding.BufferWriter;
+var Transaction = bitcore.Transaction;
+var Output = bitcore.Transaction.Output;
+var Psbt = bitcore.Psbt;
+var PrivateKey = bitcore.PrivateKey;
+var HDPrivateKey = bitcore.HDPrivateKey;
+var Script = bitcore.Script;
+var Interpreter = bitcore.Script.Interpreter;
+var Opcode = bitcore.Opcode;
+var Signature = bitcore.crypto.Signature;
+var errors = bitcore.errors;
+var vectors = require('../data/psbt.json');
+
+describe('Psbt', function() {
+
+  var keys = _.map(['aa', 'bb', 'cc'], function(byte) {
+    return new PrivateKey(_.padStart(byte, 64, '0'), 'testnet');
+  });
+  var publicKeys = _.map(keys, 'publicKey');
+  var multisig = Script.buildMultisigOut(publicKeys, 2);
+  var master = HDPrivateKey.fromSeed('000102030405060708090a0b0c0d0e0f', 'testnet');
+  var opts = { network: 'testnet' };
+  var prevTxId = 'a477af6b2667c29670467e4e0728b685ee07b240235771862318e29ddbe58458';
+
+  var utxo = function(script) {
+    return { txId: prevTxId, outputIndex: 0, script: script, satoshis: 100000 };
+  };
+
+  var newTransaction = function(script, multisigKeys) {
+    var tx = new Transaction(null, opts);
+    if (multisigKeys) {
+      tx.from(utxo(script), multisigKeys, 2);
+    } else {
+      tx.from(utxo(script));
+    }
+    return tx.to(keys[0].toAddress(), 90000);
+  };
+
+  var scripts = [{
+    name: 'P2PKH',
+    script: Script.buildPublicKeyHashOut(keys[0].toAddress()),
+    signers: [keys[0]]
+  }, {
+    name: 'P2WPKH',
+    script: Script.buildWitnessV0Out(keys[0].publicKey),
+    signers: [keys[0]]
+  }, {
+    name: 'P2SH-P2WPKH',
+    script: Script.buildScriptHashOut(Script.buildWitnessV0Out(keys[0].publicKey)),
+    signers: [keys[0]]
+  }, {
+    name: 'P2SH multisig',
+    script: Script.buildScriptHashOut(multisig),
+    multisig: true,
+    signers: [keys[0], keys[2]]
+  }, {
+    name: 'P2WSH multisig',
+    script: Script.buildWitnessMultisigOutFromScript(multisig),
+    multisig: true,
+    signers: [keys[1], keys[2]]
+  }, {
+    name: 'P2SH-P2WSH multisig',
+    script: Script.buildScriptHashOut(Script.buildWitnessMultisigOutFromScript(multisig)),
+    multisig: true,
+    signers: [keys[0], keys[1]]
+  }];
+
+  // a taproot output of the first key, with a leaf script of the second key
+  var xOnly = function(publicKey) {
+    return publicKey.point.x.toBuffer({ size: 32 });
+  };
+  var leaf = new Script().add(xOnly(publicKeys[1])).add(Opcode.OP_CHECKSIG);
+  var leafHash = Interpreter.computeTapleafHash(0xc0, leaf.toBuffer());
+  var taproot = Script.buildWitnessV1Out(publicKeys[0], { script: leaf, leafVersion: 0xc0 });
+  var controlBlock = Buffer.concat([
+    Buffer.from([0xc0 | publicKeys[0].createTapTweak(leafHash).parity]),
+    xOnly(publicKeys[0])
+  ]);
+  var leafScripts = [{ controlBlock: controlBlock, script: leaf, leafVersion: 0xc0 }];
+
+  var verify = function(tx) {
+    var input = tx.inputs[0];
+    var flags = Interpreter.SCRIPT_VERIFY_P2SH | Interpreter.SCRIPT_VERIFY_WITNESS | Interpreter.SCRIPT_VERIFY_TAPROOT;
+    return new Interpreter().verify(input.script, input.output.script, tx, 0, flags, input.getWitnesses(),
+      input.output.satoshis);
+  };
+
+  describe('creator', function() {
+
+    it('should create a PSBT from a transaction', function() {
+      var tx = newTransaction(scripts[1].script);
+      var psbt = new Psbt(tx);
+      psbt.network.should.equal(bitcore.Networks.testnet);
+      psbt.tx.id.should.equal(tx.id);
+      psbt.inputs.length.should.equal(1);
+      psbt.outputs.length.should.equal(1);
+      psbt.inputs[0].witnessUtxo.satoshis.should.equal(100000);
+      psbt.inputs[0].witnessUtxo.script.equals(scripts[1].script).should.equal(true);
+      should.equal(psbt.inputs[0].nonWitnessUtxo, undefined);
+      Psbt.fromTransaction(tx).toString().should.equal(psbt.toString());
+    });
+
+    it('should not keep the signatures of the transaction', function() {
+      var tx = newTransaction(scripts[1].script).sign(keys[0]);
+      var psbt = new Psbt(tx);
+      psbt.tx.hasWitnesses().should.equal(false);
+      psbt.inputs[0].partialSigs.length.should.equal(0);
+    });
+
+    it('should describe legacy inputs with their previous transaction', function() {
+      var prevTx = new Transaction(null, opts)
+        .from(utxo(scripts[1].script))
+        .to(keys[0].toAddress(), 100000);
+      var tx = new Transaction(null, opts)
+        .from({ txId: prevTx.id, outputIndex: 0, script: scripts[0].script, satoshis: 100000 })
+        .to(keys[1].toAddress(), 90000);
+      var psbt = new Psbt(tx, { prevTxs: [prevTx.toString()] });
+      psbt.inputs[0].nonWitnessUtxo.id.should.equal(prevTx.id);
+      should.equal(psbt.inputs[0].witnessUtxo, undefined);
+      psbt = new Psbt(psbt.toBuffer(), opts);
+      psbt.inputs[0].nonWitnessUtxo.id.should.equal(prevTx.id);
+      psbt.sign(keys[0]).finalize().extractTransaction().toString()
+        .should.equal(tx.sign(keys[0]).toString());
+    });
+
+    it('should keep the scripts and signatures of multisig inputs', function() {
+      var tx = newTransaction(scripts[5].script, publicKeys).sign(keys[0]);
+      var psbt = new Psbt(tx);
+      psbt.inputs[0].witnessScript.equals(multisig).should.equal(true);
+      psbt.inputs[0].redeemScript.equals(Script.buildWitnessMultisigOutFromScript(multisig)).should.equal(true);
+      psbt.inputs[0].partialSigs.length.should.equal(1);
+      psbt.inputs[0].partialSigs[0].publicKey.toString().should.equal(publicKeys[0].toString());
+    });
+
+  });
+
+  describe('serialization', function() {
+
+    var pair = function(key, value) {
+      var writer = new BufferWriter();
+      writer.writeVarintNum(key.length / 2);
+      writer.write(Buffer.from(key, 'hex'));
+      writer.writeVarintNum(value.length / 2);
+      writer.write(Buffer.from(value, 'hex'));
+      return writer.toBuffer().toString('hex');
+    };
+    var unsignedTx = function() {
+      return newTransaction(scripts[1].script).toBuffer().toString('hex');
+    };
+
+    it('should round trip in binary, base64 and hex', function() {
+      var psbt = new Psbt(newTransaction(scripts[4].script, publicKeys)).sign(keys[1]);
+      var buffer = psbt.toBuffer();
+      buffer.slice(0, 5).toString('hex').should.equal('70736274ff');
+      psbt.toString().should.equal(buffer.toString('base64'));
+      psbt.toBase64().should.equal(buffer.toString('base64'));
+      Psbt.fromBuffer(buffer, opts).toBuffer().toString('hex').should.equal(buffer.toString('hex'));
+      Psbt.fromString(buffer.toString('base64'), opts).toString().should.equal(psbt.toString());
+      new Psbt(buffer.toString('hex'), opts).toString().should.equal(psbt.toString());
+      var parsed = new Psbt(psbt.toString(), opts);
+      parsed.inputs[0].partialSigs[0].publicKey.toString().should.equal(publicKeys[1].toString());
+      parsed.inputs[0].partialSigs[0].sigtype.should.equal(Signature.SIGHASH_ALL);
+      parsed.inputs[0].witnessScript.equals(multisig).should.equal(true);
+    });
+
+    it('should parse and keep unknown and proprietary fields', function() {
+      var hex = '70736274ff' +
+        pair('00', unsignedTx()) +
+        pair('fc05626974636f7265', 'abcd') +
+        '00' +
+        pair('01', 'a08601000000000016001427c0d8a01b0f3f4b1c4a5d4d7c2ed06ad6a1d8a2') +
+        pair('0f01', '01') +
+        '00' +
+        pair('0a', '') +
+        '00';
+      var psbt = new Psbt(hex, opts);
+      psbt.unknown[0].key.toString('hex').should.equal('fc05626974636f7265');
+      psbt.unknown[0].value.toString('hex').should.equal('abcd');
+      psbt.inputs[0].witnessUtxo.satoshis.should.equal(100000);
+      psbt.inputs[0].unknown[0].key.toString('hex').should.equal('0f01');
+      psbt.outputs[0].unknown[0].key.toString('hex').should.equal('0a');
+      psbt.toBuffer().toString('hex').should.equal(hex);
+    });
+
+    it('should parse global extended public keys and BIP32 derivations', function() {
+      var account = master.deriveChild('m/84\'/1\'/0\'');
+      var key = account.deriveChild('m/0/1');
+      var hex = '70736274ff' +
+        pair('00', unsignedTx()) +
+        pair('01' + bitcore.encoding.Base58Check.decode(account.hdPublicKey.xpubkey).toString('hex'),
+          master.fingerPrint.toString('hex') + '540000800100008000000080') +
+        '00' +
+        pair('06' + key.publicKey.toString(), master.fingerPrint.toString('hex') +
+          '54000080010000800000008000000000' + '01000000') +
+        '00' +
+        '00';
+      var psbt = new Psbt(hex, opts);
+      psbt.xpubs[0].hdPublicKey.xpubkey.should.equal(account.hdPublicKey.xpubkey);
+      psbt.xpubs[0].path.should.equal('m/84\'/1\'/0\'');
+      psbt.inputs[0].bip32Derivation[0].path.should.equal('m/84\'/1\'/0\'/0/1');
+      psbt.inputs[0].bip32Derivation[0].masterFingerprint.should.deep.equal(master.fingerPrint);
+      psbt.inputs[0].bip32Derivation[0].publicKey.toString().should.equal(key.publicKey.toString());
+      psbt.toBuffer().toString('hex').should.equal(hex);
+    });
+
+    var invalid = function(hex, message) {
+      expect(function() {
+        return new Psbt(Buffer.from(hex, 'hex'), opts);
+      }).to.throw(errors.Transaction.Psbt.InvalidFormat, message);
+    };
+
+    it('should reject malformed PSBTs', function() {
+      invalid('70736274fe' + pair('00', unsignedTx()) + '00', 'wrong magic bytes');
+      invalid('70736274ff' + pair('00', unsignedTx()), 'unexpected end of data');
+      invalid('70736274ff' + pair('00', unsignedTx()) + pair('00', unsignedTx()) + '00', 'duplicate key 00');
+      invalid('70736274ff' + pair('0000', unsignedTx()) + '00', 'invalid key 0000');
+      invalid('70736274ff' + pair('fb', '00000000') + '00', 'the unsigned transaction is missing');
+      invalid('70736274ff' + pair('00', unsignedTx()) + pair('fb', '01000000') + '00', 'unsupported version 1');
+      var signed = newTransaction(scripts[0].script).sign(keys[0]).toString();
+      invalid('70736274ff' + pair('00', signed) + '00' + '00' + '00', 'the unsigned transaction has signatures');
+      invalid('70736274ff' + pair('00', unsignedTx()) + '00' + pair('0201', '00') + '00' + '00',
+        'invalid public key in key 0201');
+    });
+
+    it('should parse the taproot fields', function() {
+      var fingerprint = master.fingerPrint.toString('hex');
+      var hex = '70736274ff' +
+        pair('00', unsignedTx()) +
+        '00' +
+        pair('15' + controlBlock.toString('hex'), leaf.toHex() + 'c0') +
+        pair('16' + xOnly(publicKeys[1]).toString('hex'), '01' + leafHash.toString('hex') + fingerprint + '01000000') +
+        pair('17', xOnly(publicKeys[0]).toString('hex')) +
+        pair('18', leafHash.toString('hex')) +
+        '00' +
+        pair('05', xOnly(publicKeys[0]).toString('hex')) +
+        pair('06', '00c0' + '22' + leaf.toHex()) +
+        pair('07' + xOnly(publicKeys[2]).toString('hex'), '00' + fingerprint + '02000000') +
+        '00';
+      var psbt = new Psbt(hex, opts);
+      var input = psbt.inputs[0];
+      input.tapLeafScripts[0].controlBlock.should.deep.equal(controlBlock);
+      input.tapLeafScripts[0].script.equals(leaf).should.equal(true);
+      input.tapLeafScripts[0].leafVersion.should.equal(0xc0);
+      input.tapBip32Derivation[0].leafHashes.should.deep.equal([leafHash]);
+      input.tapBip32Derivation[0].path.should.equal('m/1');
+      xOnly(input.tapInternalKey).should.deep.equal(xOnly(publicKeys[0]));
+      input.tapMerkleRoot.should.deep.equal(leafHash);
+      var output = psbt.outputs[0];
+      xOnly(output.tapInternalKey).should.deep.equal(xOnly(publicKeys[0]));
+      output.tapTree.length.should.equal(1);
+      output.tapTree[0].depth.should.equal(0);
+      output.tapTree[0].script.equals(leaf).should.equal(true);
+      output.tapBip32Derivation[0].leafHashes.length.should.equal(0);
+      psbt.toBuffer().toString('hex').should.equal(hex);
+
+      invalid('70736274ff' + pair('00', unsignedTx()) + '00' + pair('17', '00') + '00' + '00',
+        'invalid x-only public key in key 17');
+      invalid('70736274ff' + pair('00', unsignedTx()) + '00' + pair('13', _.repeat('01', 64) + '00') + '00' + '00',
+        'invalid schnorr signature in key 13');
+      invalid('70736274ff' + pair('00', unsignedTx()) + '00' + pair('1500', leaf.toHex() + 'c0') + '00' + '00',
+        'invalid leaf script in key 1500');
+      invalid('70736274ff' + pair('00', unsignedTx()) + '00' + '00' + pair('06', '00c0') + '00',
+        'unexpected end of data');
+    });
+
+    it('should check the previous transaction of an input', function() {
+      var prevTx = newTransaction(scripts[1].script).toString();
+      invalid('70736274ff' + pair('00', unsignedTx()) + '00' + pair('00', prevTx) + '00' + '00',
+        'the previous transaction of input 0 does not match');
+    });
+
+    it('should reject truncated values', function() {
+      var tx = unsignedTx();
+      invalid('70736274ff' + pair('00', tx.slice(0, -2)) + '00', 'invalid unsigned transaction');
+      invalid('70736274ff' + pair('00', tx + '00') + '00', 'invalid unsigned transaction');
+      invalid('70736274ff' + pair('00', tx) + pair('fb', '0000') + '00', 'invalid value of key fb');
+      invalid('70736274ff' + pair('00', tx) + '00' + pair('03', '01') + '00' + '00', 'invalid value of key 03');
+      invalid('70736274ff' + pair('00', tx) + '00' + pair('00', '0200') + '00' + '00',
+        'invalid previous transaction of input 0');
+      invalid('70736274ff' + pair('00', tx) + '00' + pair('01', 'a086') + '00' + '00', 'invalid output in key 01');
+    });
+
+    it('should reject malformed values of each key type', function() {
+      var offCurve = '02' + _.repeat('ff', 32);
+      var point = publicKeys[0].toString();
+      var xOnlyKey = xOnly(publicKeys[0]).toString('hex');
+      var global = function(key, value) {
+        return '70736274ff' + pair('00', unsignedTx()) + pair(key, value) + '00' + '00' + '00';
+      };
+      var input = function(key, value) {
+        return '70736274ff' + pair('00', unsignedTx()) + '00' + pair(key, value) + '00' + '00';
+      };
+      var output = function(key, value) {
+        return '70736274ff' + pair('00', unsignedTx()) + '00' + '00' + pair(key, value) + '00';
+      };
+      _.each([
+        [global('01' + _.repeat('ff', 78), '00000000'), 'invalid value of key 01' + _.repeat('ff', 78)],
+        [input('00', '0200'), 'invalid previous transaction of input 0'],
+        [input('01', 'a086'), 'invalid output in key 01'],
+        [input('02' + point, '3006020101020101'), 'invalid value of key 02' + point],
+        [input('02' + offCurve, '300602010102010101'), 'invalid public key in key 02' + offCurve],
+        [input('03', '01'), 'invalid value of key 03'],
+        [input('04', '4c'), 'invalid value of key 04'],
+        [input('05', '4d01'), 'invalid value of key 05'],
+        [input('06' + point, '000000'), 'invalid derivation path in key 06' + point],
+        [input('06' + offCurve, '00000000'), 'invalid public key in key 06' + offCurve],
+        [input('07', '4c'), 'invalid value of key 07'],
+        [input('08', ''), 'invalid witness in key 08'],
+        [input('08', '0000'), 'invalid witness in key 08'],
+        [input('13', '00'), 'invalid schnorr signature in key 13'],
+        [input('14' + xOnlyKey + leafHash.toString('hex'), '00'), 'invalid schnorr signature in key 14'],
+        [input('15' + controlBlock.toString('hex'), '4cc0'), 'invalid value of key 15'],
+        [input('16' + _.repeat('ff', 32), '0000000000'), 'invalid x-only public key in key 16'],
+        [input('17', _.repeat('ff', 32)), 'invalid x-only public key in key 17'],
+        [input('18', '00'), 'invalid hash in key 18'],
+        [output('00', '4c'), 'invalid value of key 00'],
+        [output('01', '4d01'), 'invalid value of key 01'],
+        [output('02' + offCurve, '00000000'), 'invalid public key in key 02' + offCurve],
+        [output('05', _.repeat('ff', 32)), 'invalid x-only public key in key 05'],
+        [output('06', '00c0014c'), 'invalid value of key 06'],
+        [output('07' + xOnlyKey, '05'), 'invalid leaf hashes in key 07' + xOnlyKey]
+      ], function(vector) {
+        invalid(vector[0], vector[1]);
+      });
+    });
+
+    it('should read the transactions of bitcoin without a network', function() {
+      var psbt = new Psbt(vectors.bip174.valid[4].psbt);
+      psbt.network.should.equal(bitcore.Networks.livenet);
+      psbt.tx.version.should.equal(2);
+      var reddcoin = new Psbt(new Transaction(null, { network: 'reddcoin' }).from(utxo(scripts[1].script)));
+      new Psbt(reddcoin.toString()).network.should.equal(bitcore.Networks.reddcoin);
+      expect(function() {
+        return new Psbt(vectors.bip174.valid[4].psbt, { network: 'reddcoin' });
+      }).to.throw(errors.Transaction.Psbt.InvalidFormat, 'invalid unsigned transaction');
+    });
+
+    _.each(['bip174', 'bip371'], function(bip) {
+      _.each(vectors[bip].valid, function(vector) {
+        it('should parse the ' + bip.toUpperCase() + ' vector: ' + vector.description, function() {
+          new Psbt(vector.psbt).toBuffer().toString('hex').should.equal(vector.psbt);
+        });
+      });
+      _.each(vectors[bip].invalid, function(vector) {
+        it('should reject the ' + bip.toUpperCase() + ' vector: ' + vector.description, function() {
+          expect(function() {
+            return new Psbt(vector.psbt);
+          }).to.throw(errors.Transaction.Psbt.InvalidFormat);
+        });
+      });
+    });
+
+  });
+
+  describe('signing and finalizing', function() {
+
+    _.each(scripts, function(fixture) {
+      it('should sign and finalize a ' + fixture.name + ' input', function() {
+        var multisigKeys = fixture.multisig ? publicKeys : null;
+        var serialized = new Psbt(newTransaction(fixture.script, multisigKeys)).toString();
+        var signed = _.map(fixture.signers, function(key) {
+          return new Psbt(serialized, opts).sign(key).toString();
+        });
+        var psbt = new Psbt(serialized, opts);
+        psbt.combine.apply(psbt, signed);
+        psbt.inputs[0].partialSigs.length.should.equal(fixture.signers.length);
+        psbt.isFinalized().should.equal(false);
+
+        psbt.finalize();
+        psbt.isFinalized().should.equal(true);
+        psbt.inputs[0].partialSigs.length.should.equal(0);
+        should.equal(psbt.inputs[0].witnessScript, undefined);
+        var tx = new Psbt(psbt.toString(), opts).extractTransaction();
+        tx.toString().should.equal(newTransaction(fixture.script, multisigKeys).sign(fixture.signers).toString());
+        tx.getFee().should.equal(10000);
+      });
+    });
+
+    it('should only sign the inputs of the key', function() {
+      var psbt = new Psbt(newTransaction(scripts[1].script)).sign(keys[1]);
+      psbt.inputs[0].partialSigs.length.should.equal(0);
+      expect(function() {
+        psbt.finalize();
+      }).to.throw(errors.Transaction.Psbt.CannotFinalize, 'Input 0 cannot be finalized: it is missing signatures');
+      expect(function() {
+        psbt.extractTransaction();
+      }).to.throw(errors.Transaction.Psbt.NotFinalized);
+    });
+
+    it('should ignore invalid partial signatures', function() {
+      var psbt = new Psbt(newTransaction(scripts[1].script)).sign(keys[0]);
+      var other = new Psbt(newTransaction(scripts[1].script).to(keys[1].toAddress(), 1000)).sign(keys[0]);
+      psbt.inputs[0].partialSigs[0].signature = other.inputs[0].partialSigs[0].signature;
+      expect(function() {
+        psbt.finalize();
+      }).to.throw('it is missing signatures');
+    });
+
+    it('should use the sighash type of the input', function() {
+      var sigtype = Signature.SIGHASH_ALL | Signature.SIGHASH_ANYONECANPAY;
+      var psbt = new Psbt(newTransaction(scripts[1].script)).updateInput(0, { sighashType: sigtype });
+      psbt = new Psbt(psbt.toString(), opts);
+      psbt.inputs[0].sighashType.should.equal(sigtype);
+      expect(function() {
+        psbt.sign(keys[0], Signature.SIGHASH_NONE);
+      }).to.throw(errors.Transaction.Psbt.SighashMismatch, 'Input 0 must be signed with the sighash type 129');
+      psbt.sign(keys[0]);
+      psbt.inputs[0].partialSigs[0].sigtype.should.equal(sigtype);
+      var tx = psbt.finalize().extractTransaction();
+      tx.toString().should.equal(newTransaction(scripts[1].script).sign(keys[0], sigtype).toString());
+    });
+
+    it('should sign with the keys of the BIP32 derivations', function() {
+      var path = 'm/84\'/1\'/0\'/0/3';
+      var key = master.deriveChild(path).privateKey;
+      var script = Script.buildWitnessV0Out(key.publicKey);
+      var psbt = new Psbt(newTransaction(script)).updateInput(0, {
+        bip32Derivation: [{
+          publicKey: key.publicKey,
+          masterFingerprint: master.fingerPrint.toString('hex'),
+          path: path
+        }]
+      });
+      psbt = new Psbt(psbt.toString(), opts);
+      psbt.signHD(new HDPrivateKey(), Signature.SIGHASH_ALL);
+      psbt.inputs[0].partialSigs.length.should.equal(0);
+      psbt.signHD(master.xprivkey);
+      psbt.inputs[0].partialSigs.length.should.equal(1);
+      psbt.finalize().extractTransaction().toString().should.equal(newTransaction(script).sign(key).toString());
+    });
+
+    it('should find the redeem script of a nested P2WPKH input', function() {
+      var tx = newTransaction(scripts[2].script);
+      var psbt = new Psbt(tx);
+      should.equal(psbt.inputs[0].redeemScript, undefined);
+      psbt.sign(keys[0]);
+      psbt.inputs[0].redeemScript.equals(Script.buildWitnessV0Out(keys[0].publicKey)).should.equal(true);
+    });
+
+    it('should need the previous output to finalize an input', function() {
+      var psbt = new Psbt(newTransaction(scripts[1].script));
+      delete psbt.inputs[0].witnessUtxo;
+      expect(function() {
+        psbt.finalizeInput(0);
+      }).to.throw('Input 0 cannot be finalized: its previous output is unknown');
+    });
+
+  });
+
+  describe('taproot', function() {
+
+    it('should sign and finalize the key path of a taproot input', function() {
+      var psbt = new Psbt(newTransaction(taproot)).sign(keys[0]);
+      should.equal(psbt.inputs[0].tapKeySig, undefined);
+      psbt.updateInput(0, { tapInternalKey: publicKeys[0], tapMerkleRoot: leafHash });
+      psbt = new Psbt(psbt.toString(), opts).sign(keys);
+      psbt.inputs[0].tapKeySig.toBuffer().length.should.equal(64);
+      psbt.inputs[0].partialSigs.length.should.equal(0);
+      var tx = new Psbt(psbt.toString(), opts).finalize().extractTransaction();
+      tx.inputs[0].witnesses.length.should.equal(1);
+      verify(tx).should.equal(true);
+    });
+
+    it('should sign and finalize the leaf scripts of a taproot input', function() {
+      var psbt = new Psbt(newTransaction(taproot)).updateInput(0, { tapLeafScripts: leafScripts });
+      psbt.sign(keys[0]);
+      psbt.inputs[0].tapScriptSigs.length.should.equal(0);
+      psbt.sign(keys[1], Signature.SIGHASH_ALL);
+      psbt.sign(keys[1], Signature.SIGHASH_ALL);
+      psbt.inputs[0].tapScriptSigs.length.should.equal(1);
+
+      var parsed = new Psbt(psbt.toString(), opts);
+      parsed.toString().should.equal(psbt.toString());
+      var signature = parsed.inputs[0].tapScriptSigs[0];
+      signature.leafHash.should.deep.equal(leafHash);
+      xOnly(signature.publicKey).should.deep.equal(xOnly(publicKeys[1]));
+      signature.sigtype.should.equal(Signature.SIGHASH_ALL);
+      parsed.inputs[0].tapLeafScripts[0].controlBlock.should.deep.equal(controlBlock);
+
+      var tx = parsed.finalize().extractTransaction();
+      tx.inputs[0].witnesses.should.deep.equal([signature.signature.toBuffer(), leaf.toBuffer(), controlBlock]);
+      verify(tx).should.equal(true);
+      expect(function() {
+        new Psbt(newTransaction(taproot)).updateInput(0, { tapLeafScripts: leafScripts }).finalizeInput(0);
+      }).to.throw('Input 0 cannot be finalized: it is missing signatures');
+    });
+
+    it('should combine taproot signatures', function() {
+      var serialized = new Psbt(newTransaction(taproot)).updateInput(0, {
+        tapLeafScripts: leafScripts,
+        tapMerkleRoot: leafHash
+      }).toString();
+      var first = new Psbt(serialized, opts).sign(keys[1]);
+      var second = new Psbt(serialized, opts).sign(keys[0]);
+      first.combine(second, first.toString());
+      first.inputs[0].tapScriptSigs.length.should.equal(1);
+      first.inputs[0].tapLeafScripts.length.should.equal(1);
+      first.inputs[0].tapKeySig.should.equal(second.inputs[0].tapKeySig);
+      verify(first.finalize().extractTransaction()).should.equal(true);
+    });
+
+    it('should sign with the keys of the taproot BIP32 derivations', function() {
+      var path = 'm/86\'/1\'/0\'/0/0';
+      var key = master.deriveChild(path);
+      var psbt = new Psbt(newTransaction(Script.buildWitnessV1Out(key.publicKey))).updateInput(0, {
+        tapBip32Derivation: [{
+          publicKey: key.publicKey,
+          leafHashes: [],
+          masterFingerprint: master.fingerPrint,
+          path: path
+        }]
+      });
+      psbt = new Psbt(psbt.toString(), opts).signHD(master);
+      should.exist(psbt.inputs[0].tapKeySig);
+      verify(psbt.finalize().extractTransaction()).should.equal(true);
+    });
+
+  });
+
+  describe('updater', function() {
+
+    it('should update inputs and outputs', function() {
+      var psbt = new Psbt(newTransaction(scripts[0].script));
+      psbt.updateInput(0, {
+        witnessUtxo: { script: scripts[0].script.toHex(), satoshis: 50000 },
+        redeemScript: multisig.toBuffer()
+      });
+      psbt.inputs[0].witnessUtxo.should.be.instanceof(Output);
+      psbt.inputs[0].witnessUtxo.satoshis.should.equal(50000);
+      psbt.inputs[0].redeemScript.equals(multisig).should.equal(true);
+
+      var derivation = { publicKey: publicKeys[0], masterFingerprint: 0x01020304, path: 'm/0/1' };
+      psbt.updateOutput(0, { witnessScript: multisig, bip32Derivation: [derivation] });
+      psbt.updateOutput(0, { bip32Derivation: [_.assign({}, derivation, { path: 'm/0/2' })] });
+      psbt.outputs[0].bip32Derivation.length.should.equal(1);
+      psbt = new Psbt(psbt.toString(), opts);
+      psbt.outputs[0].witnessScript.equals(multisig).should.equal(true);
+      psbt.outputs[0].bip32Derivation[0].masterFingerprint.toString('hex').should.equal('01020304');
+      psbt.outputs[0].bip32Derivation[0].path.should.equal('m/0/2');
+
+      psbt.updateOutput(0, {
+        tapInternalKey: xOnly(publicKeys[0]).toString('hex'),
+        tapTree: [{ depth: 0, leafVersion: 0xc0, script: leaf.toHex() }]
+      });
+      psbt = new Psbt(psbt.toString(), opts);
+      xOnly(psbt.outputs[0].tapInternalKey).should.deep.equal(xOnly(publicKeys[0]));
+      psbt.outputs[0].tapTree[0].script.equals(leaf).should.equal(true);
+    });
+
+    it('should reject invalid updates', function() {
+      var psbt = new Psbt(newTransaction(scripts[0].script));
+      expect(function() {
+        psbt.updateInput(1, {});
+      }).to.throw(errors.Transaction.InvalidIndex);
+      expect(function() {
+        psbt.updateInput(0, { foo: 1 });
+      }).to.throw('Unknown input field foo');
+      expect(function() {
+        psbt.updateOutput(0, { sighashType: 1 });
+      }).to.throw('Unknown output field sighashType');
+      expect(function() {
+        psbt.updateInput(0, { nonWitnessUtxo: newTransaction(scripts[0].script) });
+      }).to.throw('The previous transaction does not match input 0');
+      expect(function() {
+        psbt.updateOutput(0, { bip32Derivation: [{ publicKey: publicKeys[0], masterFingerprint: '01', path: 'm/0' }] });
+      }).to.throw('Invalid master key fingerprint');
+      expect(function() {
+        psbt.updateInput(0, { tapMerkleRoot: '00' });
+      }).to.throw('Invalid hash');
+      expect(function() {
+        psbt.updateInput(0, { tapLeafScripts: [_.assign({}, leafScripts[0], { controlBlock: '00' })] });
+      }).to.throw('Invalid control block');
+      expect(function() {
+        psbt.updateOutput(0, { tapTree: [] });
+      }).to.throw('Invalid taproot tree');
+    });
+
+  });
+
+  describe('combiner', function() {
+
+    it('should reject PSBTs of another transaction', function() {
+      var psbt = new Psbt(newTransaction(scripts[0].script));
+      expect(function() {
+        psbt.combine(new Psbt(newTransaction(scripts[0].script).to(keys[1].toAddress(), 1000)));
+      }).to.throw(errors.Transaction.Psbt.Mismatch);
+    });
+
+    it('should keep the fields of each PSBT', function() {
+      var serialized = new Psbt(newTransaction(scripts[3].script, publicKeys)).toString();
+      var first = new Psbt(serialized, opts).sign(keys[0]);
+      var second = new Psbt(serialized, opts).sign(keys[0]).updateInput(0, { sighashType: Signature.SIGHASH_ALL });
+      first.combine(second.toString());
+      first.inputs[0].partialSigs.length.should.equal(1);
+      first.inputs[0].sighashType.should.equal(Signature.SIGHASH_ALL);
+      first.inputs[0].redeemScript.equals(multisig).should.equal(true);
+    });
+
+    it('should combine finalized PSBTs', function() {
+      var serialized = new Psbt(newTransaction(scripts[4].script, publicKeys)).toString();
+      var first = new Psbt(serialized, opts).sign(keys).finalize();
+      var second = new Psbt(first.toString(), opts);
+      first.combine(second).inputs[0].finalScriptWitness.length.should.equal(4);
+      first.extractTransaction().toString().should.equal(second.extractTransaction().toString());
+    });
+
+  });
+
+});
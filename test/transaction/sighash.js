@@ -25,7 +25,7 @@ describe('sighash', function() {
       var nin = vector[2];
       var nhashtype = vector[3];
       var sighashbuf = Buffer.from(vector[4], 'hex');
-      var tx = new Transaction(txbuf);
+      var tx = new Transaction(txbuf, { network: 'livenet' });
 
       //make sure transacion to/from buffer is isomorphic
       tx.uncheckedSerialize().should.equal(txbuf.toString('hex'));
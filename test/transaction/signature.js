@@ -124,6 +124,14 @@ describe('TransactionSignature', function() {
     it('can deserialize a previously known object', function() {
       expect(TransactionSignature(testObject).toObject()).to.deep.equal(testObject);
     });
+
+    it('roundtrips the leaf hash of a script path signature', function() {
+      var serialized = _.assign({}, testObject, { leafHash: _.repeat('ab', 32) });
+      var signature = new TransactionSignature(serialized);
+      signature.leafHash.toString('hex').should.equal(serialized.leafHash);
+      expect(signature.toObject()).to.deep.equal(serialized);
+      should.not.exist(TransactionSignature(testObject).leafHash);
+    });
   });
 
   /* jshint maxlen: 500 */
@@ -216,7 +216,7 @@ describe('Transaction', function() {
   });
 
   it('serializes an empty transaction v2', function() {
-    var transaction = new Transaction();
+    var transaction = new Transaction(null, { network: 'livenet' });
     transaction.uncheckedSerialize().should.equal(tx_empty_hexV2);
   });
 
@@ -228,7 +228,7 @@ describe('Transaction', function() {
     // testnet tx 2035ead4a9d0c8e2da1184924abc9034d26f2a7093371183ef12891623b235d1
     const taprootTx = '02000000000102c1d8527f83a3061536d394cf50c476c60e885986b047d0d553c59f7a703cab700100000000fdffffffb843817220dc08b9f008207b5ea2591c26ce0ad5b3f842b934d9f0635a252d630000000000fdffffff02a086010000000000225120a60869f0dbcf1dc659c9cecbaf8050135ea9e8cdc487053f1dc6880949dc684c6a720000000000001600141eadc6c059a0485e0f8cfff955be4f5a544f514d024730440220776ecbb80e66ada7fe379c93c790303a33c11e3e888e41c991bcdae7d7531487022022ff85dc93a45941b4941484c46b515a476a2f2ab4ccb7dfd243eaadeed05036012103e9f41161bafb6a4e54a9ad29a68cdb3194e4d98b784a1ebcafa0055eb7310c810247304402206b275c62d21aa152323cac83e037f660865ef2a3bc73cc208bdc275643291b6f0220257249964a0e42ced656f74247683b70249f0d65da50532a3d9a5c4df12a531401210332fe2e5317637bed2153bee395facec6a245b98831e5a5d8f7af091371e67264aa7f1f00';
     it('deserializes and serializes a taproot tx', function() {
-      const tx = new Transaction(taprootTx);
+      const tx = new Transaction(taprootTx, { network: 'testnet' });
       tx.should.exist;
       const script = new Script(tx.outputs[0]._scriptBuffer);
       const addy = script.toAddress('testnet');
@@ -246,7 +246,7 @@ describe('Transaction', function() {
       index++;
       it('case ' + index, function() {
         var i = 0;
-        var transaction = new Transaction();
+        var transaction = new Transaction(null, { network: 'testnet' });
         transaction.setVersion(1);
         while (i < vector.length) {
           var command = vector[i];
@@ -418,7 +418,7 @@ describe('Transaction', function() {
 
   describe('change address', function() {
     it('can calculate simply the output amount', function() {
-      var transaction = new Transaction()
+      var transaction = new Transaction(null, { network: 'testnet' })
         .from(simpleUtxoWith1000000Satoshis)
         .to(toAddress, 500000)
         .change(changeAddress)
@@ -459,7 +459,7 @@ describe('Transaction', function() {
       transaction.outputs[1].script.isWitnessScriptHashOut().should.equal(true);
     });
     it('can recalculate the change amount', function() {
-      var transaction = new Transaction()
+      var transaction = new Transaction(null, { network: 'testnet' })
         .from(simpleUtxoWith100000Satoshis)
         .to(toAddress, 50000)
         .change(changeAddress)
@@ -501,7 +501,7 @@ describe('Transaction', function() {
       transaction.outputs.length.should.equal(1);
     });
     it('fee can be set up manually', function() {
-      var transaction = new Transaction()
+      var transaction = new Transaction(null, { network: 'testnet' })
         .from(simpleUtxoWith100000Satoshis)
         .to(toAddress, 80000)
         .fee(10000)
@@ -516,7 +516,7 @@ describe('Transaction', function() {
         utxo.outputIndex = i;
         return utxo;
       });
-      var transaction = new Transaction()
+      var transaction = new Transaction(null, { network: 'testnet' })
         .from(inputs)
         .to(toAddress, 950000)
         .feePerKb(8000)
@@ -532,7 +532,7 @@ describe('Transaction', function() {
         utxo.outputIndex = i;
         return utxo;
       });
-      var transaction = new Transaction()
+      var transaction = new Transaction(null, { network: 'testnet' })
         .from(inputs)
         .to(toAddress, 950000)
         .feePerByte(1)
@@ -548,7 +548,7 @@ describe('Transaction', function() {
         utxo.outputIndex = i;
         return utxo;
       });
-      var transaction = new Transaction()
+      var transaction = new Transaction(null, { network: 'testnet' })
         .from(inputs)
         .to(toAddress, 950000)
         .feePerByte(2)
@@ -564,7 +564,7 @@ describe('Transaction', function() {
         utxo.outputIndex = i;
         return utxo;
       });
-      var transaction = new Transaction()
+      var transaction = new Transaction(null, { network: 'testnet' })
         .from(inputs)
         .to(toAddress, 950000)
         .feePerByte(13)
@@ -633,7 +633,7 @@ describe('Transaction', function() {
         return utxo;
       });
       const feeRate = 1;
-      var transaction = new Transaction()
+      var transaction = new Transaction(null, { network: 'testnet' })
         .from(inputs)
         .to(toAddress, 950000)
         .feePerByte(feeRate)
@@ -645,6 +645,142 @@ describe('Transaction', function() {
     });
   });
 
+  describe('send-max and subtracting the fee', function() {
+    var newTransaction = function() {
+      return new Transaction(null, { network: 'testnet' }).feePerByte(10);
+    };
+    // a transaction spending a P2PKH output is 192 bytes with one P2PKH output
+    it('sends everything the inputs are worth minus the fee', function() {
+      var transaction = newTransaction()
+        .from(simpleUtxoWith100000Satoshis)
+        .sendMax(toAddress)
+        .change(changeAddress);
+      transaction.outputs.length.should.equal(1);
+      transaction.outputs[0].satoshis.should.equal(100000 - 1920);
+      should.not.exist(transaction.getChangeOutput());
+      transaction.sign(privateKey);
+      transaction.getFee().should.equal(1920);
+      transaction.getFee().should.be.at.least(transaction.size * 10);
+      should.exist(transaction.serialize());
+    });
+
+    it('updates the send-max amount with the inputs, outputs and fee rate', function() {
+      var transaction = newTransaction()
+        .from(simpleUtxoWith100000Satoshis)
+        .sendMax(toAddress);
+      transaction.from(_.extend({}, simpleUtxoWith100000Satoshis, { outputIndex: 1 }));
+      transaction.outputs[0].satoshis.should.equal(200000 - 3400);
+      transaction.to(fromAddress, 50000);
+      transaction.outputs[0].satoshis.should.equal(150000 - 3740);
+      transaction.feePerByte(1);
+      transaction.outputs[0].satoshis.should.equal(150000 - 374);
+      transaction.fee(1000);
+      transaction.outputs[0].satoshis.should.equal(149000);
+    });
+
+    it('allows a single send-max output', function() {
+      expect(function() {
+        return newTransaction().sendMax(toAddress).sendMax(changeAddress);
+      }).to.throw('The transaction already has a send-max output');
+    });
+
+    it('throws if the send-max amount is too small to pay the fee', function() {
+      var transaction = newTransaction()
+        .from(simpleUtxoWith100000Satoshis)
+        .to(fromAddress, 97800);
+      expect(function() {
+        return transaction.sendMax(toAddress);
+      }).to.throw(errors.Transaction.AmountTooSmallForFee, 'too small to pay the fee of 2260 satoshis');
+      expect(function() {
+        return newTransaction()
+          .from(_.extend({}, simpleUtxoWith100000Satoshis, { satoshis: 2000 }))
+          .sendMax(toAddress);
+      }).to.throw(errors.Transaction.AmountTooSmallForFee);
+    });
+
+    it('waits for inputs paying the other outputs to check the send-max amount', function() {
+      var transaction = newTransaction()
+        .sendMax(toAddress)
+        .to(fromAddress, 150000)
+        .from(simpleUtxoWith100000Satoshis);
+      transaction.outputs[0].satoshis.should.equal(0);
+      transaction.from(_.extend({}, simpleUtxoWith1000000Satoshis, { outputIndex: 1 }));
+      transaction.outputs[0].satoshis.should.equal(950000 - 3740);
+    });
+
+    it('subtracts the fee from an output, the change getting what is left', function() {
+      var transaction = newTransaction()
+        .from(simpleUtxoWith1000000Satoshis)
+        .to(toAddress, 500000, { subtractFeeFromAmount: true })
+        .change(changeAddress)
+        .sign(privateKey);
+      transaction.outputs[0].satoshis.should.equal(500000 - 2260);
+      transaction.outputs[0].requestedSatoshis.should.equal(500000);
+      transaction.getChangeOutput().satoshis.should.equal(500000);
+      transaction.getFee().should.equal(2260);
+      should.exist(transaction.serialize());
+    });
+
+    it('splits the fee between the outputs subtracting it', function() {
+      var transaction = newTransaction()
+        .from(simpleUtxoWith1000000Satoshis)
+        .to([
+          { address: toAddress, satoshis: 300000, subtractFeeFromAmount: true },
+          { address: fromAddress, satoshis: 200000 },
+          { address: toAddress, satoshis: 100000, subtractFeeFromAmount: true }
+        ])
+        .change(changeAddress)
+        .fee(1001);
+      transaction.outputs[0].satoshis.should.equal(300000 - 501);
+      transaction.outputs[1].satoshis.should.equal(200000);
+      transaction.outputs[2].satoshis.should.equal(100000 - 500);
+      transaction.getChangeOutput().satoshis.should.equal(400000);
+      transaction.fee(2000);
+      transaction.outputs[0].satoshis.should.equal(299000);
+      transaction.outputs[2].satoshis.should.equal(99000);
+    });
+
+    it('gives the fee what is left if it is dust', function() {
+      var transaction = newTransaction()
+        .from(simpleUtxoWith100000Satoshis)
+        .to(toAddress, 99800, { subtractFeeFromAmount: true })
+        .change(changeAddress);
+      should.not.exist(transaction.getChangeOutput());
+      transaction.outputs[0].satoshis.should.equal(99800 - 1720);
+      (transaction.inputAmount - transaction.outputAmount).should.equal(1920);
+    });
+
+    it('throws if an output is too small after the fee has been deducted', function() {
+      var transaction = newTransaction()
+        .from(simpleUtxoWith100000Satoshis)
+        .to(toAddress, 2000, { subtractFeeFromAmount: true });
+      expect(function() {
+        return transaction.change(changeAddress);
+      }).to.throw(errors.Transaction.AmountTooSmallAfterFee, 'The amount of 2000 satoshis is too small');
+      expect(function() {
+        return newTransaction()
+          .from(simpleUtxoWith100000Satoshis)
+          .to(toAddress, 50000, { subtractFeeFromAmount: true })
+          .to(fromAddress, 1500, { subtractFeeFromAmount: true })
+          .change(changeAddress);
+      }).to.throw(errors.Transaction.AmountTooSmallAfterFee, 'The amount of 1500 satoshis is too small');
+    });
+
+    it('keeps the modes of the outputs in its object form', function() {
+      var transaction = newTransaction()
+        .from(simpleUtxoWith1000000Satoshis)
+        .to(toAddress, 500000, { subtractFeeFromAmount: true })
+        .sendMax(fromAddress);
+      var copy = new Transaction(transaction.toObject(), { network: 'testnet' });
+      copy.hash.should.equal(transaction.hash);
+      copy.outputs[0].subtractFeeFromAmount.should.equal(true);
+      copy.outputs[0].requestedSatoshis.should.equal(500000);
+      copy.outputs[1].sendMax.should.equal(true);
+      copy.feePerByte(10);
+      copy.outputs[1].satoshis.should.equal(transaction.outputs[1].satoshis);
+    });
+  });
+
   describe('serialization', function() {
     it('stores the change address correctly', function() {
       var serialized = new Transaction()
@@ -695,7 +831,7 @@ describe('Transaction', function() {
       }).to.throw(errors.Transaction.FeeError.TooLarge);
     });
     it('fails if a dust output is created', function() {
-      var transaction = new Transaction()
+      var transaction = new Transaction(null, { network: 'testnet' })
         .from(simpleUtxoWith1BTC)
         .to(toAddress, 545)
         .change(changeAddress)
@@ -705,7 +841,7 @@ describe('Transaction', function() {
       }).to.throw(errors.Transaction.DustOutputs);
     });
     it('doesn\'t fail if a dust output is not dust', function() {
-      var transaction = new Transaction()
+      var transaction = new Transaction(null, { network: 'testnet' })
         .from(simpleUtxoWith1BTC)
         .to(toAddress, 546)
         .change(changeAddress)
@@ -714,6 +850,55 @@ describe('Transaction', function() {
         return transaction.serialize();
       }).to.not.throw(errors.Transaction.DustOutputs);
     });
+    it('uses the dust amount of the network', function() {
+      var network = Networks.add({
+        name: 'dustnet',
+        pubkeyhash: 0x15,
+        privatekey: 0x95,
+        scripthash: 0x16,
+        policy: { dustAmount: 1000, feePerKb: 20000 }
+      });
+      var transaction = new Transaction(null, { network: network })
+        .from(simpleUtxoWith1BTC)
+        .to(toAddress, 999)
+        .change(changeAddress)
+        .sign(privateKey);
+      Networks.remove(network);
+      transaction.getFee().should.equal(Math.ceil(transaction._estimateSize() * 20));
+      expect(function() {
+        return transaction.serialize();
+      }).to.throw(errors.Transaction.DustOutputs);
+    });
+    it('uses the reddcoin dust amount', function() {
+      var transaction = new Transaction()
+        .from(simpleUtxoWith1BTC)
+        .to(toAddress, 54599)
+        .change(changeAddress)
+        .sign(privateKey);
+      expect(function() {
+        return transaction.serialize();
+      }).to.throw(errors.Transaction.DustOutputs);
+      transaction.outputs[0].satoshis = 54600;
+      transaction._updateChangeOutput();
+      transaction.sign(privateKey);
+      expect(function() {
+        return transaction.serialize();
+      }).to.not.throw();
+    });
+    it('has deprecated constants following the default network', function() {
+      Transaction.DUST_AMOUNT.should.equal(54600);
+      Transaction.FEE_PER_KB.should.equal(1000000);
+      Transaction.MAX_MONEY.should.equal(Networks.reddcoin.consensus.maxMoney);
+      var defaultNetwork = Networks.defaultNetwork;
+      Networks.defaultNetwork = Networks.livenet;
+      try {
+        Transaction.DUST_AMOUNT.should.equal(546);
+        Transaction.FEE_PER_KB.should.equal(100000);
+        Transaction.MAX_MONEY.should.equal(21000000 * 1e8);
+      } finally {
+        Networks.defaultNetwork = defaultNetwork;
+      }
+    });
     it('doesn\'t fail if a dust output is an op_return', function() {
       var transaction = new Transaction()
         .from(simpleUtxoWith1BTC)
@@ -747,7 +932,7 @@ describe('Transaction', function() {
       }).to.throw(errors.Transaction.InvalidOutputAmountSum);
     });
     it('will throw fee error with disableMoreOutputThanInput enabled (but not triggered)', function() {
-      var transaction = new Transaction();
+      var transaction = new Transaction(null, { network: 'testnet' });
       transaction.from(simpleUtxoWith1BTC);
       transaction
         .to(toAddress, 84000000)
@@ -763,7 +948,7 @@ describe('Transaction', function() {
     describe('skipping checks', function() {
       var buildSkipTest = function(builder, check, expectedError) {
         return function() {
-          var transaction = new Transaction();
+          var transaction = new Transaction(null, { network: 'testnet' });
           transaction.from(simpleUtxoWith1BTC);
           builder(transaction);
 
@@ -874,6 +1059,24 @@ describe('Transaction', function() {
 
     });
 
+    it('checks outputs against the money range of the network', function() {
+      var amount = 22000000 * 1e8;
+      var build = function(network) {
+        return new Transaction(null, { network: network })
+          .from({
+            'txId': testPrevTx,
+            'outputIndex': 0,
+            'script': testScript,
+            'satoshis': testAmount
+          })
+          .to('mrU9pEmAx26HcbKVrABvgL7AwA5fjNFoDc', amount);
+      };
+      build('livenet').verify().should.equal('transaction txout 0 greater than MAX_MONEY');
+      build('reddcoin').verify().should.equal(true);
+      build('livenet').invalidSatoshis().should.equal(true);
+      build('reddcoin').invalidSatoshis().should.equal(false);
+    });
+
     it('not if has null input (and not coinbase)', function() {
 
       var tx = new Transaction()
@@ -1142,6 +1345,86 @@ describe('Transaction', function() {
     });
   });
 
+  describe('#isFinal', function() {
+    var height = 342734;
+    var time = 1423504946;
+
+    it('is final without a lock time', function() {
+      new Transaction().from(simpleUtxoWith1BTC).isFinal(0).should.equal(true);
+    });
+    it('checks a block height lock time', function() {
+      var transaction = new Transaction()
+        .from(simpleUtxoWith1BTC)
+        .lockUntilBlockHeight(height);
+      transaction.isFinal(height).should.equal(false);
+      transaction.isFinal(height + 1).should.equal(true);
+    });
+    it('checks a date lock time against the median time past', function() {
+      var transaction = new Transaction()
+        .from(simpleUtxoWith1BTC)
+        .lockUntilDate(time);
+      transaction.isFinal(height, time).should.equal(false);
+      transaction.isFinal(height, time + 1).should.equal(true);
+      expect(function() {
+        transaction.isFinal(height);
+      }).to.throw('The median time past is required');
+    });
+    it('ignores the lock time if all inputs are final', function() {
+      var transaction = new Transaction()
+        .from(simpleUtxoWith1BTC)
+        .lockUntilBlockHeight(height);
+      transaction.inputs[0].sequenceNumber = Transaction.Input.MAXINT;
+      transaction.isFinal(height).should.equal(true);
+    });
+  });
+
+  describe('BIP68 sequence locks', function() {
+    var prevs = [{ height: 100, time: 1600000000 }, { height: 200, time: 1600060000 }];
+    var lockedTransaction = function() {
+      var transaction = new Transaction()
+        .from([simpleUtxoWith1BTC, simpleUtxoWith100000Satoshis]);
+      transaction.version = 2;
+      return transaction;
+    };
+
+    it('counts blocks from the confirmation of each spent output', function() {
+      var transaction = lockedTransaction();
+      transaction.inputs[0].lockUntilBlockHeight(150);
+      transaction.inputs[1].lockUntilBlockHeight(10);
+      transaction.getSequenceLocks(prevs).should.deep.equal({ height: 250, time: 0 });
+      transaction.checkSequenceLocks(prevs, 249, 1700000000).should.equal(false);
+      transaction.checkSequenceLocks(prevs, 250, 1700000000).should.equal(true);
+    });
+    it('counts time from the confirmation of each spent output', function() {
+      var transaction = lockedTransaction();
+      transaction.inputs[0].lockForSeconds(512 * 10);
+      transaction.inputs[1].lockUntilBlockHeight(5);
+      transaction.getSequenceLocks(prevs).should.deep.equal({ height: 205, time: 1600005120 });
+      transaction.checkSequenceLocks(prevs, 205, 1600005119).should.equal(false);
+      transaction.checkSequenceLocks(prevs, 205, 1600005120).should.equal(true);
+    });
+    it('ignores inputs with the disable flag', function() {
+      var transaction = lockedTransaction();
+      transaction.inputs[0].lockUntilBlockHeight(150);
+      transaction.inputs[0].sequenceNumber |= Transaction.Input.SEQUENCE_LOCKTIME_DISABLE_FLAG;
+      transaction.inputs[0].sequenceNumber >>>= 0;
+      transaction.inputs[1].sequenceNumber = Transaction.Input.DEFAULT_SEQNUMBER;
+      transaction.getSequenceLocks(prevs).should.deep.equal({ height: 0, time: 0 });
+    });
+    it('does not apply to version 1 transactions', function() {
+      var transaction = lockedTransaction();
+      transaction.inputs[0].lockUntilBlockHeight(150);
+      transaction.version = 1;
+      transaction.getSequenceLocks(prevs).should.deep.equal({ height: 0, time: 0 });
+    });
+    it('requires the confirmation of each spent output', function() {
+      var transaction = lockedTransaction();
+      expect(function() {
+        transaction.getSequenceLocks(prevs.slice(1));
+      }).to.throw('The confirmation of each spent output is required');
+    });
+  });
+
   it('handles anyone-can-spend utxo', function() {
     var transaction = new Transaction()
       .from(anyoneCanSpendUTXO)
@@ -1173,7 +1456,7 @@ describe('Transaction', function() {
       transaction.outputAmount.should.equal(40000000);
     });
     it('returns correct values for transaction with change', function() {
-      var transaction = new Transaction()
+      var transaction = new Transaction(null, { network: 'testnet' })
         .from(simpleUtxoWith1BTC)
         .change(changeAddress)
         .to(toAddress, 1000);
@@ -1256,7 +1539,7 @@ describe('Transaction', function() {
   describe('clearOutputs', function() {
 
     it('removes all outputs and maintains the transaction in order', function() {
-      var tx = new Transaction()
+      var tx = new Transaction(null, { network: 'testnet' })
         .from(simpleUtxoWith1BTC)
         .to(toAddress, tenth)
         .to([
@@ -1477,6 +1760,134 @@ describe('Transaction', function() {
         tx.isRBF().should.equal(true);
       });
     });
+    describe('#bumpFee', function() {
+      var newTransaction = function(utxo, amount) {
+        return new Transaction(null, { network: 'testnet' })
+          .from(utxo)
+          .to(toAddress, amount)
+          .change(changeAddress)
+          .feePerByte(2)
+          .enableRBF()
+          .sign(privateKey);
+      };
+      var otherUtxo = function(satoshis, outputIndex, data) {
+        return _.extend({}, simpleUtxoWith100000Satoshis, { satoshis: satoshis, outputIndex: outputIndex }, data);
+      };
+      var checkReplacement = function(transaction, replacement, feeRate) {
+        var fee = transaction.inputAmount - transaction.outputAmount;
+        var newFee = replacement.inputAmount - replacement.outputAmount;
+        replacement.sign(privateKey);
+        newFee.should.be.above(fee);
+        (newFee / replacement.vsize).should.be.at.least(feeRate);
+        (newFee / replacement.vsize).should.be.above(fee / transaction.vsize);
+        (newFee - fee).should.be.at.least(replacement.vsize);
+        replacement.isRBF().should.equal(true);
+        should.exist(replacement.serialize());
+      };
+
+      it('takes the higher fee from the change', function() {
+        var transaction = newTransaction(simpleUtxoWith100000Satoshis, 50000);
+        var hash = transaction.hash;
+        var replacement = transaction.bumpFee(10);
+        replacement.inputs.length.should.equal(1);
+        replacement.inputs[0].sequenceNumber.should.equal(Input.DEFAULT_RBF_SEQNUMBER);
+        replacement.isFullySigned().should.equal(false);
+        replacement.outputs[0].satoshis.should.equal(50000);
+        replacement.getChangeOutput().satoshis.should.equal(50000 - 2260);
+        checkReplacement(transaction, replacement, 10);
+        transaction.hash.should.equal(hash);
+        transaction.isFullySigned().should.equal(true);
+      });
+
+      it('pays for its relay at the incremental relay fee', function() {
+        var transaction = newTransaction(simpleUtxoWith100000Satoshis, 50000);
+        var fee = transaction.inputAmount - transaction.outputAmount;
+        var replacement = transaction.bumpFee(2.5);
+        (replacement.inputAmount - replacement.outputAmount).should.equal(fee + 226);
+        checkReplacement(transaction, replacement, 2.5);
+      });
+
+      it('drops the change if it becomes dust', function() {
+        var transaction = newTransaction(simpleUtxoWith100000Satoshis, 98800);
+        should.exist(transaction.getChangeOutput());
+        var replacement = transaction.bumpFee(5);
+        should.not.exist(replacement.getChangeOutput());
+        replacement.outputs.length.should.equal(1);
+        checkReplacement(transaction, replacement, 5);
+      });
+
+      it('adds inputs from the UTXOs given', function() {
+        var transaction = newTransaction(otherUtxo(50600, 0), 50000);
+        should.not.exist(transaction.getChangeOutput());
+        var replacement = transaction.bumpFee(10, {
+          utxos: [otherUtxo(20000, 1), otherUtxo(30000, 2), otherUtxo(40000, 3, { confirmations: 0 })],
+          coinSelection: 'largestFirst'
+        });
+        _.map(replacement.inputs, 'output.satoshis').should.deep.equal([50600, 30000]);
+        replacement.inputs[1].sequenceNumber.should.equal(Input.DEFAULT_RBF_SEQNUMBER);
+        replacement.getChangeOutput().satoshis.should.equal(50600 + 30000 - 50000 - 3740);
+        checkReplacement(transaction, replacement, 10);
+      });
+
+      it('takes the higher fee from a send-max output', function() {
+        var transaction = new Transaction(null, { network: 'testnet' })
+          .from(simpleUtxoWith100000Satoshis)
+          .sendMax(toAddress)
+          .feePerByte(2)
+          .enableRBF()
+          .sign(privateKey);
+        var replacement = transaction.bumpFee(10);
+        replacement.outputs[0].satoshis.should.equal(100000 - 1920);
+        checkReplacement(transaction, replacement, 10);
+      });
+
+      it('finds the change output by its address', function() {
+        var transaction = newTransaction(simpleUtxoWith100000Satoshis, 50000);
+        var copy = new Transaction(transaction.serialize(), { network: 'testnet' });
+        copy.associateInputs([simpleUtxoWith100000Satoshis]);
+        var replacement = copy.bumpFee(10, { changeAddress: changeAddress });
+        replacement.getChangeOutput().satoshis.should.equal(50000 - 2260);
+        checkReplacement(copy, replacement, 10);
+      });
+
+      it('keeps a payment to the change address', function() {
+        var transaction = new Transaction(null, { network: 'testnet' })
+          .from(simpleUtxoWith100000Satoshis)
+          .to(changeAddress, 30000)
+          .change(changeAddress)
+          .feePerByte(2)
+          .enableRBF()
+          .sign(privateKey);
+        var replacement = transaction.bumpFee(10, { changeAddress: changeAddress });
+        replacement.outputs.length.should.equal(2);
+        replacement.outputs[0].satoshis.should.equal(30000);
+        replacement.getChangeOutput().should.equal(replacement.outputs[1]);
+        checkReplacement(transaction, replacement, 10);
+
+        var copy = new Transaction(transaction.serialize(), { network: 'testnet' });
+        copy.associateInputs([simpleUtxoWith100000Satoshis]);
+        expect(function() {
+          return copy.bumpFee(10, { changeAddress: changeAddress });
+        }).to.throw(errors.Transaction.FeeBump.AmbiguousChange, changeAddress);
+      });
+
+      it('tells why the fee can\'t be bumped', function() {
+        var transaction = newTransaction(otherUtxo(50600, 0), 50000);
+        expect(function() {
+          return transaction.bumpFee(1);
+        }).to.throw(errors.Transaction.FeeBump.FeeRateTooLow, 'higher than 3.13 satoshis per byte');
+        expect(function() {
+          return transaction.bumpFee(10);
+        }).to.throw(errors.Transaction.FeeBump.InsufficientFunds, 'The inputs can\'t pay a fee of 2260 satoshis');
+        expect(function() {
+          return transaction.bumpFee(10, { utxos: [otherUtxo(1000, 1)] });
+        }).to.throw(errors.Transaction.FeeBump.InsufficientFunds);
+        transaction.inputs[0].sequenceNumber = Input.MAXINT;
+        expect(function() {
+          return transaction.bumpFee(10);
+        }).to.throw(errors.Transaction.FeeBump.NotReplaceable);
+      });
+    });
   });
 
   describe('Segregated Witness', function() {
@@ -1995,14 +2406,14 @@ describe('Transaction', function() {
     });
 
     it('should correctly calculation the size for a segwit tx', function() {
-      const t = new Transaction('020000000001015f8aa587aba19d10a1f12cd67ea3065a6eafa009ccec529597c2021cbf96e5700000000000fdffffff0280a4bf070000000016001498b78eb72df917e39769e68e9390aed719704dc958963e22010000001600141ebe37ae991227a14811cb674bd7f0f93d96a25f024730440220346178b20de865664c3c82cdf2e6ec5774995dba6854f83d5fd5d5e96f255d2902206e088257e59593365ac33334e7f2d9600d2ea69923146bfea41b0692c1e55f720121039a973d562a9efd1a55b2d12fe966529df75f31e1892cc15892ba956d96dc4d1d71000000');
+      const t = new Transaction('020000000001015f8aa587aba19d10a1f12cd67ea3065a6eafa009ccec529597c2021cbf96e5700000000000fdffffff0280a4bf070000000016001498b78eb72df917e39769e68e9390aed719704dc958963e22010000001600141ebe37ae991227a14811cb674bd7f0f93d96a25f024730440220346178b20de865664c3c82cdf2e6ec5774995dba6854f83d5fd5d5e96f255d2902206e088257e59593365ac33334e7f2d9600d2ea69923146bfea41b0692c1e55f720121039a973d562a9efd1a55b2d12fe966529df75f31e1892cc15892ba956d96dc4d1d71000000', { network: 'livenet' });
       t.size.should.equal(222);
       t.vsize.should.equal(141);
       t.weight.should.equal(561);
     });
 
     it('should correctly calculation the size for a segwit tx with a mix', function() {
-      const t = new Transaction('02000000000104cdcdb3429edd6c3a35455c167fc94c7f942cbf6f43f72f295eb3221bff1709a41d00000017160014cbb96e3fff893ca4cc5b30b6140ba633e0684ce5ffffffffdcd8ce8c29596a4100f1092e9fd7ca8c76bd45f4ed3e0188d03daa26b4b57e330500000017160014cbb96e3fff893ca4cc5b30b6140ba633e0684ce5ffffffffde5c954662d037991eea5e4d8c40c2903bebc39128454e5cf22512f3aaff9b740100000000ffffffff127bdd6f71479358fde9548f8c8e41427cfc91793c37c595d7eb1f157d739c3d0300000017160014cbb96e3fff893ca4cc5b30b6140ba633e0684ce5ffffffff07b00400000000000017a9148824d50f1e006a193d42b3e8f1b0e11411580a2c872202000000000000225120c4c57de58f78d4cb47b0a9c60e59f1a160914bcd0a405d8f4e1f23955d126dc14691150000000000225120b2a66b5e9dc1fd44ef8313d4970d6233a2c4cc2d6e77e2a749d3f585dd664434ac8a00000000000017a914ea6b832a05c6ca578baa3836f3f25553d41068a587580200000000000017a9148824d50f1e006a193d42b3e8f1b0e11411580a2c87580200000000000017a9148824d50f1e006a193d42b3e8f1b0e11411580a2c87a7c30a000000000017a9148824d50f1e006a193d42b3e8f1b0e11411580a2c8702483045022100bf84301a15e8ff8c54a29bd3c020eaa1c0e709a7e3c15461a9def844797e54f302206e449429f665b9df45444ac49ae978ece2b5183f60757a6b72812b35054c03fb01210323dbb07eb97d1524cb43ae68abdea9816346e5bfe0873d3451bcb31d58be7d7502483045022100805d548559ab39d4bec4b5efdf624a62149fb1e3471a937f22219b4a49583183022039e56d63ad4edb39aca4477e5d59c7ea6f0e9e267116ce6e03e4024a15da907201210323dbb07eb97d1524cb43ae68abdea9816346e5bfe0873d3451bcb31d58be7d7501413179caa8aef69cc3f9afb4b60283c25a4b9184f800206c5cc1761a8f341d2d61d9bb52566e71f760b0d533ba88b0affc4009c44152485a10e32c839348455c42830247304402203b443cfd56c665bf9798d24e536bee9b69b2c9f7d3daab45a31ab3eb94d1cf8a0220585ae75835aba95d4f63141dba75c3f36a3996cd6c2c1167244326fcd345fd5201210323dbb07eb97d1524cb43ae68abdea9816346e5bfe0873d3451bcb31d58be7d7500000000');
+      const t = new Transaction('02000000000104cdcdb3429edd6c3a35455c167fc94c7f942cbf6f43f72f295eb3221bff1709a41d00000017160014cbb96e3fff893ca4cc5b30b6140ba633e0684ce5ffffffffdcd8ce8c29596a4100f1092e9fd7ca8c76bd45f4ed3e0188d03daa26b4b57e330500000017160014cbb96e3fff893ca4cc5b30b6140ba633e0684ce5ffffffffde5c954662d037991eea5e4d8c40c2903bebc39128454e5cf22512f3aaff9b740100000000ffffffff127bdd6f71479358fde9548f8c8e41427cfc91793c37c595d7eb1f157d739c3d0300000017160014cbb96e3fff893ca4cc5b30b6140ba633e0684ce5ffffffff07b00400000000000017a9148824d50f1e006a193d42b3e8f1b0e11411580a2c872202000000000000225120c4c57de58f78d4cb47b0a9c60e59f1a160914bcd0a405d8f4e1f23955d126dc14691150000000000225120b2a66b5e9dc1fd44ef8313d4970d6233a2c4cc2d6e77e2a749d3f585dd664434ac8a00000000000017a914ea6b832a05c6ca578baa3836f3f25553d41068a587580200000000000017a9148824d50f1e006a193d42b3e8f1b0e11411580a2c87580200000000000017a9148824d50f1e006a193d42b3e8f1b0e11411580a2c87a7c30a000000000017a9148824d50f1e006a193d42b3e8f1b0e11411580a2c8702483045022100bf84301a15e8ff8c54a29bd3c020eaa1c0e709a7e3c15461a9def844797e54f302206e449429f665b9df45444ac49ae978ece2b5183f60757a6b72812b35054c03fb01210323dbb07eb97d1524cb43ae68abdea9816346e5bfe0873d3451bcb31d58be7d7502483045022100805d548559ab39d4bec4b5efdf624a62149fb1e3471a937f22219b4a49583183022039e56d63ad4edb39aca4477e5d59c7ea6f0e9e267116ce6e03e4024a15da907201210323dbb07eb97d1524cb43ae68abdea9816346e5bfe0873d3451bcb31d58be7d7501413179caa8aef69cc3f9afb4b60283c25a4b9184f800206c5cc1761a8f341d2d61d9bb52566e71f760b0d533ba88b0affc4009c44152485a10e32c839348455c42830247304402203b443cfd56c665bf9798d24e536bee9b69b2c9f7d3daab45a31ab3eb94d1cf8a0220585ae75835aba95d4f63141dba75c3f36a3996cd6c2c1167244326fcd345fd5201210323dbb07eb97d1524cb43ae68abdea9816346e5bfe0873d3451bcb31d58be7d7500000000', { network: 'livenet' });
       t.size.should.equal(881);
       t.vsize.should.equal(587);
       t.weight.should.equal(2348);
@@ -2011,7 +2422,7 @@ describe('Transaction', function() {
 
   describe('_estimateSize', function() {
     it('estimate an accurate size - non-segwit', function() {
-      const t = new Transaction();
+      const t = new Transaction(null, { network: 'livenet' });
       t.from(simpleUtxoWith1BTC);
       t.to(toAddress, 50000);
       t.change(changeAddress);
@@ -2023,7 +2434,7 @@ describe('Transaction', function() {
     });
 
     it('estimate an accurate size - segwit', function() {
-      const t = new Transaction();
+      const t = new Transaction(null, { network: 'livenet' });
       t.from(simpleWitnessUtxoWith1BTC);
       t.to(toAddress, 50000);
       t.change(changeAddress);
@@ -2035,7 +2446,7 @@ describe('Transaction', function() {
     });
 
     it('estimate an accurate size - wrapped segwit', function() {
-      const t = new Transaction();
+      const t = new Transaction(null, { network: 'livenet' });
       t.from(simpleWrappedWitnessUtxoWith1BTC);
       t.to(toAddress, 50000);
       t.change(changeAddress);
@@ -2047,7 +2458,7 @@ describe('Transaction', function() {
     });
 
     it('estimate an accurate size - p2sh 2:2 multisig', function() {
-      const t = new Transaction();
+      const t = new Transaction(null, { network: 'livenet' });
       t.from(p2shUtxoWith1BTC, [p2shPublicKey1, p2shPublicKey2, p2shPublicKey3], 2);
       t.to(toAddress, 50000);
       t.change(changeAddress);
@@ -2060,7 +2471,7 @@ describe('Transaction', function() {
     });
 
     it('estimate an accurate size - p2sh 2:2 multisig', function() {
-      const t = new Transaction();
+      const t = new Transaction(null, { network: 'livenet' });
       t.from(p2shUtxoWith1BTC, [p2shPublicKey1, p2shPublicKey2, p2shPublicKey3], 2);
       t.to(toAddress, 50000);
       t.change(changeAddress);
@@ -2073,7 +2484,7 @@ describe('Transaction', function() {
     });
 
     it('estimate an accurate size - p2wsh multisig', function() {
-      const t = new Transaction();
+      const t = new Transaction(null, { network: 'livenet' });
       t.from(p2wshUtxoWith1BTC, [p2shPublicKey1, p2shPublicKey2, p2shPublicKey3], 2);
       t.to(toAddress, 50000);
       t.change(changeAddress);
@@ -2086,7 +2497,7 @@ describe('Transaction', function() {
     });
 
     it('estimate an accurate size - p2wsh multisig change', function() {
-      const t = new Transaction();
+      const t = new Transaction(null, { network: 'livenet' });
       t.from(p2wshUtxoWith1BTC, [p2shPublicKey1, p2shPublicKey2, p2shPublicKey3], 2);
       t.to(toAddress, 50000);
       t.change(p2wshAddress);
@@ -2105,9 +2516,9 @@ describe('Transaction', function() {
       const vec = taprootVectors.keyPathSpending[i];
       it(`vector ${i}`, function() {
         Script;
-        const tx = new Transaction(vec.given.rawUnsignedTx);
-        const tf = new Transaction(vec.auxiliary.fullySignedTx);
-        const t = new Transaction();
+        const tx = new Transaction(vec.given.rawUnsignedTx, { network: 'livenet' });
+        const tf = new Transaction(vec.auxiliary.fullySignedTx, { network: 'livenet' });
+        const t = new Transaction(null, { network: 'livenet' });
         t.nLockTime = tx.nLockTime;
         // t.lockUntilBlockHeight(tx.nLockTime)
         for (let j = 0; j < vec.given.utxosSpent.length; j++) {
@@ -2161,6 +2572,224 @@ describe('Transaction', function() {
     }
   });
 
+
+  describe('PoSV transaction time', function() {
+    var SighashWitness = require('../../lib/transaction/sighashwitness');
+
+    it('serializes nTime after nLockTime for version 2 reddcoin transactions', function() {
+      var transaction = new Transaction().setTime(1577836800);
+      transaction.network.should.equal(Networks.reddcoin);
+      transaction.hasTime().should.equal(true);
+      transaction.uncheckedSerialize().should.equal('0200000000000000000000e10b5e');
+    });
+
+    it('sets nTime to the current time for new reddcoin transactions', function() {
+      var now = Math.floor(Date.now() / 1000);
+      var transaction = new Transaction();
+      transaction.nTime.should.be.within(now - 1, now + 1);
+    });
+
+    it('does not serialize nTime for version 1 reddcoin transactions', function() {
+      var transaction = new Transaction().setVersion(1);
+      transaction.hasTime().should.equal(false);
+      transaction.uncheckedSerialize().should.equal(tx_empty_hex);
+    });
+
+    it('does not serialize nTime for bitcoin transactions', function() {
+      var transaction = new Transaction(null, { network: 'livenet' });
+      transaction.hasTime().should.equal(false);
+      should.not.exist(transaction.nTime);
+    });
+
+    it('deserializes nTime and includes it in the hash', function() {
+      var transaction = new Transaction()
+        .from(simpleUtxoWith1BTC)
+        .to(toAddress, 40000000)
+        .setTime(1577836800);
+      var parsed = new Transaction(transaction.toBuffer());
+      parsed.nTime.should.equal(1577836800);
+      parsed.uncheckedSerialize().should.equal(transaction.uncheckedSerialize());
+      var other = new Transaction(transaction.toBuffer()).setTime(1577836801);
+      other.hash.should.not.equal(parsed.hash);
+    });
+
+    it('round trips nTime through toObject/fromObject', function() {
+      var transaction = new Transaction()
+        .from(simpleUtxoWith1BTC)
+        .to(toAddress, 40000000)
+        .setTime(new Date(1577836800 * 1000));
+      var obj = transaction.toObject();
+      obj.nTime.should.equal(1577836800);
+      var copy = new Transaction(obj);
+      copy.nTime.should.equal(1577836800);
+      copy.hash.should.equal(transaction.hash);
+    });
+
+    it('records the network in toObject', function() {
+      var transaction = new Transaction(null, { network: 'livenet' })
+        .from(simpleUtxoWith1BTC)
+        .to(toAddress, 40000000);
+      var obj = transaction.toObject();
+      obj.network.should.equal('livenet');
+      should.not.exist(obj.nTime);
+      var copy = new Transaction(obj);
+      copy.network.should.equal(Networks.livenet);
+      should.not.exist(copy.nTime);
+      copy.hash.should.equal(transaction.hash);
+    });
+
+    it('fails to load a PoSV transaction object without nTime', function() {
+      var obj = new Transaction()
+        .from(simpleUtxoWith1BTC)
+        .to(toAddress, 40000000)
+        .toObject();
+      delete obj.nTime;
+      delete obj.hash;
+      expect(function() {
+        return new Transaction(obj);
+      }).to.throw('The nTime of a version 2 reddcoin transaction is required');
+    });
+
+    it('keeps the network of a copied transaction', function() {
+      var transaction = new Transaction(null, { network: 'livenet' }).from(simpleUtxoWith1BTC);
+      Transaction.shallowCopy(transaction).network.should.equal(Networks.livenet);
+      new Transaction(transaction).network.should.equal(Networks.livenet);
+    });
+
+    it('counts nTime in the estimated size', function() {
+      var reddcoinTx = new Transaction().from(simpleUtxoWith1BTC).to(toAddress, 50000);
+      var bitcoinTx = new Transaction(null, { network: 'testnet' }).from(simpleUtxoWith1BTC).to(toAddress, 50000);
+      reddcoinTx._estimateSize().should.equal(bitcoinTx._estimateSize() + 4);
+    });
+
+    it('commits to nTime in the witness sighash', function() {
+      var transaction = new Transaction()
+        .from(simpleWitnessUtxoWith1BTC)
+        .to(toAddress, 50000)
+        .setTime(1577836800);
+      var scriptCode = Buffer.from('1976a91488d9931ea73d60eaf7e5671efc0552b912911f2a88ac', 'hex');
+      var satoshisBuffer = Buffer.alloc(8);
+      var first = SighashWitness.sighash(transaction, 1, 0, scriptCode, satoshisBuffer);
+      transaction.setTime(1577836801);
+      var second = SighashWitness.sighash(transaction, 1, 0, scriptCode, satoshisBuffer);
+      first.should.not.deep.equal(second);
+    });
+
+    it('signs and verifies legacy and witness inputs', function() {
+      var transaction = new Transaction()
+        .from(simpleUtxoWith1BTC)
+        .from(simpleWitnessUtxoWith1BTC)
+        .to(toAddress, 50000)
+        .change(changeAddress)
+        .sign(privateKey);
+      transaction.isFullySigned().should.equal(true);
+      var parsed = new Transaction(transaction.toBuffer());
+      parsed.nTime.should.equal(transaction.nTime);
+      parsed.hash.should.equal(transaction.hash);
+    });
+  });
+
+  describe('#isCoinstake', function() {
+    var coinstake = function() {
+      return new Transaction()
+        .from(simpleUtxoWith1BTC)
+        .addOutput(new Output({ satoshis: 0, script: new Script() }))
+        .addOutput(new Output({ satoshis: 1e8, script: Script.buildPublicKeyOut(new PrivateKey(privateKey).publicKey) }));
+    };
+
+    it('detects a coinstake transaction', function() {
+      coinstake().isCoinstake().should.equal(true);
+    });
+
+    it('requires an empty first output', function() {
+      var transaction = coinstake();
+      transaction.outputs[0].satoshis = 1;
+      transaction.isCoinstake().should.equal(false);
+    });
+
+    it('requires at least two outputs', function() {
+      var transaction = coinstake();
+      transaction.removeOutput(1);
+      transaction.isCoinstake().should.equal(false);
+    });
+
+    it('is false for coinbase and empty transactions', function() {
+      var coinbase = new Transaction('01000000010000000000000000000000000000000000000000000000000000000000000000ffffffff0704ffff001d0104ffffffff0100f2052a0100000043410496b538e853519c726a2c91e61ec11600ae1390813a627c66fb8be7947be63c52da7589379515d4e0a604f8141781e62294721166bf621e73a82cbf2342c858eeac00000000', { network: 'livenet' });
+      coinbase.isCoinstake().should.equal(false);
+      new Transaction().isCoinstake().should.equal(false);
+    });
+  });
+
+  describe('#createCoinstake', function() {
+    var stakerKey = new PrivateKey('V5QUmdeGB8vHdwEfsC4PJ5zuNGm6YUBWhj7gwWz5bL3wXhLWDQfi');
+    var blockTime = 1600000000;
+    var p2pkhUtxo = {
+      txId: 'a477af6b2667c29670467e4e0728b685ee07b240235771862318e29ddbe58458',
+      outputIndex: 0,
+      script: Script.buildPublicKeyHashOut(stakerKey.toAddress()),
+      satoshis: 1000 * 1e8
+    };
+    var p2pkUtxo = {
+      txId: 'b477af6b2667c29670467e4e0728b685ee07b240235771862318e29ddbe58458',
+      outputIndex: 1,
+      script: Script.buildPublicKeyOut(stakerKey.publicKey),
+      satoshis: 500 * 1e8
+    };
+
+    it('builds a signed coinstake paying the stake and reward to the staker key', function() {
+      var coinstake = Transaction.createCoinstake([p2pkhUtxo, p2pkUtxo], 5 * 1e8, stakerKey, { time: blockTime });
+      coinstake.isCoinstake().should.equal(true);
+      coinstake.isFullySigned().should.equal(true);
+      coinstake.verify().should.equal(true);
+      coinstake.nTime.should.equal(blockTime);
+      coinstake.outputs.length.should.equal(2);
+      coinstake.outputs[0].isEmpty().should.equal(true);
+      coinstake.outputs[1].satoshis.should.equal(1505 * 1e8);
+      coinstake.outputs[1].script.toHex().should.equal(Script.buildPublicKeyOut(stakerKey.publicKey).toHex());
+    });
+
+    it('round trips through serialization', function() {
+      var coinstake = Transaction.createCoinstake(p2pkhUtxo, 1e8, stakerKey, { time: new Date(blockTime * 1000) });
+      var serialized = coinstake.serialize({ disableMoreOutputThanInput: true });
+      var parsed = new Transaction(serialized);
+      parsed.nTime.should.equal(blockTime);
+      parsed.isCoinstake().should.equal(true);
+      parsed.hash.should.equal(coinstake.hash);
+    });
+
+    it('splits the stake into two outputs', function() {
+      var coinstake = Transaction.createCoinstake(p2pkhUtxo, 123456789, stakerKey, { time: blockTime, split: true });
+      coinstake.outputs.length.should.equal(3);
+      coinstake.outputs[1].satoshis.should.equal(50061000000);
+      coinstake.outputs[2].satoshis.should.equal(1000 * 1e8 + 123456789 - 50061000000);
+      coinstake.isCoinstake().should.equal(true);
+      coinstake.isFullySigned().should.equal(true);
+    });
+
+    it('uses the current time by default', function() {
+      var now = Math.floor(Date.now() / 1000);
+      var coinstake = Transaction.createCoinstake(p2pkhUtxo, 0, stakerKey);
+      coinstake.nTime.should.be.within(now - 1, now + 1);
+    });
+
+    it('rejects utxos that do not belong to the staker key', function() {
+      expect(function() {
+        Transaction.createCoinstake(p2pkhUtxo, 0, new PrivateKey());
+      }).to.throw('does not belong to the staker key');
+    });
+
+    it('rejects networks without PoSV', function() {
+      expect(function() {
+        Transaction.createCoinstake(p2pkhUtxo, 0, stakerKey, { network: 'livenet' });
+      }).to.throw('PoSV network');
+    });
+
+    it('requires staking utxos', function() {
+      expect(function() {
+        Transaction.createCoinstake([], 0, stakerKey);
+      }).to.throw('At least one staking utxo is required');
+    });
+  });
 });
 
 
@@ -29,6 +29,19 @@ describe('UnspentOutput', function() {
     expect(UnspentOutput(sampleData2).toObject()).to.deep.equal(sampleData2);
   });
 
+  it('roundtrips the transaction time', function() {
+    var data = _.extend({}, sampleData2, { time: 1600000000 });
+    var utxo = new UnspentOutput(data);
+    utxo.time.should.equal(1600000000);
+    expect(utxo.toObject()).to.deep.equal(data);
+  });
+
+  it('fails with an invalid transaction time', function() {
+    expect(function() {
+      return new UnspentOutput(_.extend({}, sampleData1, { time: -1 }));
+    }).to.throw('Time must be a natural number');
+  });
+
   it('can be created without "new" operand', function() {
     expect(UnspentOutput(sampleData1) instanceof UnspentOutput).to.equal(true);
   });
@@ -6,6 +6,7 @@ var expect = require('chai').expect;
 var bitcore = require('..');
 var errors = bitcore.errors;
 var Unit = bitcore.Unit;
+var Networks = bitcore.Networks;
 
 describe('Unit', function() {
 
@@ -185,6 +186,111 @@ describe('Unit', function() {
     }).to.throw(errors.Unit.UnknownCode);
   });
 
+  describe('Reddcoin units', function() {
+
+    it('has property accesors "RDD", "mRDD" and "redds"', function() {
+      var unit = new Unit(1.2, 'RDD');
+      unit.RDD.should.equal(1.2);
+      unit.mRDD.should.equal(1200);
+      unit.redds.should.equal(120000000);
+      unit.satoshis.should.equal(120000000);
+      unit.BTC.should.equal(1.2);
+    });
+
+    it('exposes unit codes and helpers', function() {
+      Unit.RDD.should.equal('RDD');
+      Unit.mRDD.should.equal('mRDD');
+      Unit.redds.should.equal('redds');
+      Unit.fromRDD('1.00001').toRDD().should.equal(1.00001);
+      Unit.fromRDD(0.00000003).redds.should.equal(3);
+    });
+
+    it('uses the network of the unit code', function() {
+      new Unit(1, 'mRDD').network.should.equal(Networks.reddcoin);
+      new Unit(1, 'BTC').network.should.equal(Networks.livenet);
+      new Unit(1, 'satoshis').network.should.equal(Networks.defaultNetwork);
+      new Unit(1, 'BTC', 'reddcoin-testnet').network.should.equal(Networks.reddcoinTestnet);
+    });
+
+    it('emits the ticker of the network', function() {
+      var unit = Unit.fromSatoshis(130000000);
+      unit.toObject().should.deep.equal({ amount: 1.3, code: 'RDD' });
+      unit.toString().should.equal('130000000 redds');
+      unit.inspect().should.equal('<Unit: 130000000 redds>');
+      Unit.fromSatoshis(130000000, 'livenet').toObject().should.deep.equal({ amount: 1.3, code: 'BTC' });
+      new Unit(1300, 'mRDD', 'testnet').toObject().should.deep.equal({ amount: 1.3, code: 'BTC' });
+    });
+
+    it('can be imported and exported from/to JSON', function() {
+      var json = JSON.stringify({ amount: 1.3, code: 'RDD' });
+      var unit = Unit.fromObject(JSON.parse(json));
+      JSON.stringify(unit).should.equal(json);
+      Unit.fromObject({ amount: 1300, code: 'mRDD' }).toJSON().should.deep.equal({ amount: 1.3, code: 'RDD' });
+      Unit.fromObject({ amount: 1.3, code: 'satoshis', network: 'livenet' }).toObject().code.should.equal('BTC');
+    });
+
+    it('converts fiat with the main unit of the network', function() {
+      var unit = Unit.fromFiat(43, 0.5);
+      unit.RDD.should.equal(86);
+      unit.atRate(0.5).should.equal(43);
+      Unit.fromFiat(43, 350, 'livenet').toObject().should.deep.equal({ amount: 0.12285714, code: 'BTC' });
+    });
+
+    it('fails with an unknown network', function() {
+      expect(function() {
+        return new Unit(1, 'RDD', 'unknownnet');
+      }).to.throw('Unknown network');
+    });
+
+  });
+
+  describe('#setNetworkUnits', function() {
+
+    it('registers the units of a network', function() {
+      var network = Networks.add({
+        name: 'unitnet',
+        pubkeyhash: 0x15,
+        privatekey: 0x95,
+        scripthash: 0x16
+      });
+      Unit.getNetworkUnits(network).code.should.equal('BTC');
+      Unit.setNetworkUnits(network, {
+        code: 'UNT',
+        baseCode: 'units',
+        units: {
+          'UNT': [1e8, 8],
+          'units': [1, 0]
+        }
+      });
+      var unit = new Unit(2.5, 'UNT');
+      unit.network.should.equal(network);
+      unit.toObject().should.deep.equal({ amount: 2.5, code: 'UNT' });
+      unit.toString().should.equal('250000000 units');
+      Unit.UNT.should.equal('UNT');
+      Networks.remove(network);
+    });
+
+    it('fails to redefine a unit', function() {
+      expect(function() {
+        Unit.setNetworkUnits('livenet', {
+          code: 'BTC',
+          baseCode: 'satoshis',
+          units: { 'BTC': [1e6, 6], 'satoshis': [1, 0] }
+        });
+      }).to.throw('Unit BTC is already defined');
+    });
+
+    it('fails when the main or base unit is not in the table', function() {
+      expect(function() {
+        Unit.setNetworkUnits('livenet', { code: 'XYZ', baseCode: 'satoshis', units: { 'satoshis': [1, 0] } });
+      }).to.throw('The main unit must be in the unit table');
+      expect(function() {
+        Unit.setNetworkUnits('livenet', { code: 'BTC', baseCode: 'xyz', units: { 'BTC': [1e8, 8] } });
+      }).to.throw('The base unit must be in the unit table');
+    });
+
+  });
+
   it('fails when the exchange rate is invalid', function() {
     expect(function() {
       return new Unit(100, -123);
@@ -243,6 +243,56 @@ describe('URI', function() {
     instance.inspect().should.equal('<URI: ' + uri + '>');
   });
 
+  describe('reddcoin scheme', function() {
+    var reddcoinAddress = 'RdZCDj6J6ft8RoMqLj8TMXRHMCzZp5t8Cf';
+    var testnetAddress = 'mkYY5NRvikVBY1EPtaq9fAFgquesdjqECw';
+    var scriptAddress = '32LB5ANdvjNPoW3DXLXUt6ra7Lih9WeBJN';
+
+    it('parses a reddcoin uri', function() {
+      var uri = new URI('reddcoin:' + reddcoinAddress + '?amount=1000.5&label=tips');
+      uri.address.toString().should.equal(reddcoinAddress);
+      uri.network.should.equal(Networks.reddcoin);
+      uri.amount.should.equal(100050000000);
+      uri.label.should.equal('tips');
+      URI.parse('reddcoin:' + reddcoinAddress).address.should.equal(reddcoinAddress);
+    });
+
+    it('is case insensitive to the scheme', function() {
+      new URI('ReddCoin:' + reddcoinAddress).network.should.equal(Networks.reddcoin);
+    });
+
+    it('validates the address against the networks of the scheme', function() {
+      URI.isValid('reddcoin:' + reddcoinAddress).should.equal(true);
+      URI.isValid('bitcoin:' + reddcoinAddress).should.equal(false);
+      URI.isValid('reddcoin:1DP69gMMvSuYhbnxsi4EJEFufUAbDrEQfj').should.equal(false);
+      (function() {
+        return new URI('bitcoin:' + reddcoinAddress);
+      }).should.throw(TypeError, 'Invalid bitcoin address');
+    });
+
+    it('uses the network of the scheme for shared address versions', function() {
+      new URI('reddcoin:' + testnetAddress).network.should.equal(Networks.reddcoinTestnet);
+      new URI('bitcoin:' + testnetAddress).network.should.equal(Networks.testnet);
+      new URI('reddcoin:' + scriptAddress).network.should.equal(Networks.reddcoin);
+      new URI('bitcoin:' + scriptAddress).network.should.equal(Networks.livenet);
+    });
+
+    it('fails with an unknown scheme', function() {
+      URI.parse.bind(URI, 'litecoin:' + reddcoinAddress).should.throw(TypeError);
+      URI.isValid('litecoin:' + reddcoinAddress).should.equal(false);
+    });
+
+    it('writes the scheme of the address network', function() {
+      var str = 'reddcoin:' + reddcoinAddress + '?amount=1000.5&message=Thanks';
+      URI.fromString(str).toString().should.equal(str);
+      new URI({ address: reddcoinAddress, amount: 100000000 }).toString()
+        .should.equal('reddcoin:' + reddcoinAddress + '?amount=1');
+      new URI({ address: new bitcore.Address(testnetAddress, 'reddcoin-testnet') }).toString()
+        .should.equal('reddcoin:' + testnetAddress);
+      new URI('bitcoin:' + scriptAddress).toString().should.equal('bitcoin:' + scriptAddress);
+    });
+  });
+
   it('fails early when fromString isn\'t provided a string', function() {
     expect(function() {
       return URI.fromString(1);